@@ -0,0 +1,315 @@
+// ElevenPage Reader - Audio Cache
+// Content-addressed IndexedDB cache for synthesized audio and alignment data
+
+/**
+ * IndexedDB database name
+ */
+const CACHE_DB_NAME = 'elevenpage-audio-cache';
+
+/**
+ * IndexedDB schema version
+ */
+const CACHE_DB_VERSION = 1;
+
+/**
+ * Object store holding audio and alignment payloads
+ */
+const AUDIO_STORE = 'audio';
+
+/**
+ * Object store holding entry size and access times (kept separate so
+ * eviction can scan metadata without loading audio buffers)
+ */
+const META_STORE = 'meta';
+
+/**
+ * Default maximum total size of cached audio in bytes (50 MB)
+ */
+const DEFAULT_MAX_CACHE_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Cached database connection promise
+ */
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available in the current context
+ * @returns {boolean}
+ */
+function isAudioCacheAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Build a canonical string for the synthesis parameters
+ * Object keys are sorted so equivalent settings always produce the same string
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Create a content-addressed cache key for a synthesis request
+ * @param {Object} params - Synthesis parameters
+ * @param {string} params.text - Text being synthesized
+ * @param {string} params.voiceId - Voice ID
+ * @param {string} params.modelId - Model ID
+ * @param {Object} [params.voiceSettings] - Voice settings sent to the API
+ * @param {Array<{id: string, versionId: string}>} [params.pronunciationDictionaries] - Pronunciation dictionaries sent to the API
+ * @param {string} [params.previousText] - Text before sent to the API for continuity
+ * @param {string} [params.nextText] - Text after sent to the API for continuity
+ * @returns {Promise<string>} Hex-encoded SHA-256 hash
+ */
+async function createCacheKey({ text, voiceId, modelId, voiceSettings = {}, pronunciationDictionaries = [], previousText = '', nextText = '' }) {
+  // Requests without dictionaries or context keep the keys they had before either existed
+  const params = { text, voiceId, modelId, voiceSettings };
+  if (pronunciationDictionaries.length > 0) {
+    params.pronunciationDictionaries = pronunciationDictionaries;
+  }
+  if (previousText || nextText) {
+    params.previousText = previousText;
+    params.nextText = nextText;
+  }
+  const canonical = canonicalize(params);
+  const bytes = new TextEncoder().encode(canonical);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Select which entries to evict so the cache fits within the size cap
+ * Least recently accessed entries are evicted first
+ * @param {Array<{key: string, size: number, lastAccessed: number}>} entries - Cache metadata
+ * @param {number} maxBytes - Maximum total size in bytes
+ * @returns {string[]} Keys of entries to evict
+ */
+function selectEntriesToEvict(entries, maxBytes) {
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  if (totalBytes <= maxBytes) {
+    return [];
+  }
+
+  const byAge = [...entries].sort((a, b) => a.lastAccessed - b.lastAccessed);
+  const evicted = [];
+
+  for (const entry of byAge) {
+    if (totalBytes <= maxBytes) {
+      break;
+    }
+    evicted.push(entry.key);
+    totalBytes -= entry.size;
+  }
+
+  return evicted;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (or create) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCacheDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+        db.createObjectStore(AUDIO_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        const metaStore = db.createObjectStore(META_STORE, { keyPath: 'key' });
+        metaStore.createIndex('lastAccessed', 'lastAccessed');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Get cached audio for a key and mark it as recently used
+ * @param {string} key - Cache key from createCacheKey
+ * @returns {Promise<{audio: ArrayBuffer, alignment: Object}|null>} Cached entry or null on miss
+ */
+async function getCachedAudio(key) {
+  if (!isAudioCacheAvailable()) {
+    return null;
+  }
+
+  try {
+    const db = await openCacheDatabase();
+    const transaction = db.transaction([AUDIO_STORE, META_STORE], 'readwrite');
+    const entry = await promisifyRequest(transaction.objectStore(AUDIO_STORE).get(key));
+
+    if (!entry) {
+      return null;
+    }
+
+    // Touch the entry so LRU eviction keeps it
+    const metaStore = transaction.objectStore(META_STORE);
+    const meta = await promisifyRequest(metaStore.get(key));
+    if (meta) {
+      metaStore.put({ ...meta, lastAccessed: Date.now() });
+    }
+    await transactionDone(transaction);
+
+    return { audio: entry.audio, alignment: entry.alignment };
+  } catch (error) {
+    console.warn('ElevenPage Reader: Audio cache read failed', error);
+    return null;
+  }
+}
+
+/**
+ * Store audio in the cache and evict old entries beyond the size cap
+ * @param {string} key - Cache key from createCacheKey
+ * @param {{audio: ArrayBuffer, alignment: Object}} data - Audio and alignment to store
+ * @param {number} [maxBytes=DEFAULT_MAX_CACHE_BYTES] - Maximum total cache size
+ * @returns {Promise<void>}
+ */
+async function putCachedAudio(key, { audio, alignment }, maxBytes = DEFAULT_MAX_CACHE_BYTES) {
+  if (!isAudioCacheAvailable() || !audio) {
+    return;
+  }
+
+  try {
+    const db = await openCacheDatabase();
+    const now = Date.now();
+
+    const writeTransaction = db.transaction([AUDIO_STORE, META_STORE], 'readwrite');
+    writeTransaction.objectStore(AUDIO_STORE).put({ key, audio, alignment });
+    writeTransaction.objectStore(META_STORE).put({
+      key,
+      size: audio.byteLength,
+      createdAt: now,
+      lastAccessed: now
+    });
+    await transactionDone(writeTransaction);
+
+    await evictToFit(db, maxBytes);
+  } catch (error) {
+    console.warn('ElevenPage Reader: Audio cache write failed', error);
+  }
+}
+
+/**
+ * Evict least recently used entries until the cache fits the size cap
+ * @param {IDBDatabase} db - Open cache database
+ * @param {number} maxBytes - Maximum total cache size
+ * @returns {Promise<void>}
+ */
+async function evictToFit(db, maxBytes) {
+  const readTransaction = db.transaction(META_STORE, 'readonly');
+  const entries = await promisifyRequest(readTransaction.objectStore(META_STORE).getAll());
+  const keysToEvict = selectEntriesToEvict(entries, maxBytes);
+
+  if (keysToEvict.length === 0) {
+    return;
+  }
+
+  const deleteTransaction = db.transaction([AUDIO_STORE, META_STORE], 'readwrite');
+  for (const key of keysToEvict) {
+    deleteTransaction.objectStore(AUDIO_STORE).delete(key);
+    deleteTransaction.objectStore(META_STORE).delete(key);
+  }
+  await transactionDone(deleteTransaction);
+}
+
+/**
+ * Remove every entry from the audio cache
+ * @returns {Promise<void>}
+ */
+async function clearAudioCache() {
+  if (!isAudioCacheAvailable()) {
+    return;
+  }
+
+  const db = await openCacheDatabase();
+  const transaction = db.transaction([AUDIO_STORE, META_STORE], 'readwrite');
+  transaction.objectStore(AUDIO_STORE).clear();
+  transaction.objectStore(META_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Get entry count and total size of the audio cache
+ * @returns {Promise<{entries: number, totalBytes: number, maxBytes: number}>}
+ */
+async function getAudioCacheStats() {
+  const stats = { entries: 0, totalBytes: 0, maxBytes: DEFAULT_MAX_CACHE_BYTES };
+
+  if (!isAudioCacheAvailable()) {
+    return stats;
+  }
+
+  const db = await openCacheDatabase();
+  const transaction = db.transaction(META_STORE, 'readonly');
+  const entries = await promisifyRequest(transaction.objectStore(META_STORE).getAll());
+
+  stats.entries = entries.length;
+  stats.totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  return stats;
+}
+
+// Export for use in other modules
+export {
+  CACHE_DB_NAME,
+  DEFAULT_MAX_CACHE_BYTES,
+  isAudioCacheAvailable,
+  createCacheKey,
+  selectEntriesToEvict,
+  getCachedAudio,
+  putCachedAudio,
+  clearAudioCache,
+  getAudioCacheStats
+};
@@ -0,0 +1,349 @@
+// ElevenPage Reader - Audio Export
+// Builds a single MP3 audiobook with ID3 chapter markers from per-paragraph audio
+
+/**
+ * Default number of paragraphs per chapter when the page has no headings
+ */
+const DEFAULT_PARAGRAPHS_PER_CHAPTER = 10;
+
+/**
+ * Maximum number of chapters (the CTOC entry count is a single byte)
+ */
+const MAX_CHAPTERS = 255;
+
+/**
+ * Title used for paragraphs that come before the first heading
+ */
+const INTRODUCTION_TITLE = 'Introduction';
+
+/**
+ * Layer III bitrates in kbps, indexed by the header bitrate index
+ */
+const MPEG1_BITRATES = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MPEG2_BITRATES = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+/**
+ * Sample rates in Hz, indexed by MPEG version bits then sample rate index
+ */
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],  // MPEG 2.5
+  2: [22050, 24000, 16000], // MPEG 2
+  3: [44100, 48000, 32000]  // MPEG 1
+};
+
+/**
+ * Parse an MPEG audio Layer III frame header
+ * @param {Uint8Array} bytes - MP3 data
+ * @param {number} offset - Offset of the candidate header
+ * @returns {{length: number, samples: number, sampleRate: number, sideInfoSize: number}|null} Frame info, or null if no valid frame starts here
+ */
+function parseFrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length) {
+    return null;
+  }
+
+  const b1 = bytes[offset + 1];
+  const b2 = bytes[offset + 2];
+  const b3 = bytes[offset + 3];
+
+  if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const version = (b1 >> 3) & 0x03;
+  const layer = (b1 >> 1) & 0x03;
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  const padding = (b2 >> 1) & 0x01;
+  const mono = (b3 >> 6) === 0x03;
+
+  // Only Layer III with a known version, bitrate and sample rate
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = version === 3;
+  const bitrate = (isMpeg1 ? MPEG1_BITRATES : MPEG2_BITRATES)[bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+
+  return {
+    length: Math.floor(((isMpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+    samples: isMpeg1 ? 1152 : 576,
+    sampleRate,
+    sideInfoSize: isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  };
+}
+
+/**
+ * Check if a frame is a Xing/Info header frame
+ * These describe a single file and would give wrong durations in the middle of a combined file
+ * @param {Uint8Array} bytes - MP3 data
+ * @param {number} offset - Frame offset
+ * @param {{sideInfoSize: number}} frame - Parsed frame header
+ * @returns {boolean}
+ */
+function isInfoFrame(bytes, offset, frame) {
+  const tagOffset = offset + 4 + frame.sideInfoSize;
+  const tag = String.fromCharCode(...bytes.subarray(tagOffset, tagOffset + 4));
+  return tag === 'Xing' || tag === 'Info';
+}
+
+/**
+ * Get the size of a leading ID3v2 tag
+ * @param {Uint8Array} bytes - MP3 data
+ * @returns {number} Tag size in bytes, 0 if there is none
+ */
+function getId3v2Size(bytes) {
+  if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+    return 0;
+  }
+
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  const hasFooter = (bytes[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Extract the audio frames of an MP3 file, dropping ID3 tags, Xing/Info
+ * frames and any bytes that aren't part of a frame
+ * @param {ArrayBuffer|Uint8Array} audio - MP3 data
+ * @returns {{data: Uint8Array, duration: number}} Frame data and its duration in seconds
+ */
+function extractMp3Frames(audio) {
+  const bytes = audio instanceof Uint8Array ? audio : new Uint8Array(audio);
+  const ranges = [];
+  let totalLength = 0;
+  let duration = 0;
+  let offset = getId3v2Size(bytes);
+
+  while (offset < bytes.length) {
+    const frame = parseFrameHeader(bytes, offset);
+
+    if (!frame || offset + frame.length > bytes.length) {
+      // Resynchronize on the next byte (skips junk and a trailing ID3v1 tag)
+      offset++;
+      continue;
+    }
+
+    if (!isInfoFrame(bytes, offset, frame)) {
+      ranges.push([offset, offset + frame.length]);
+      totalLength += frame.length;
+      duration += frame.samples / frame.sampleRate;
+    }
+
+    offset += frame.length;
+  }
+
+  const data = new Uint8Array(totalLength);
+  let position = 0;
+  for (const [start, end] of ranges) {
+    data.set(bytes.subarray(start, end), position);
+    position += end - start;
+  }
+
+  return { data, duration };
+}
+
+/**
+ * Get the playing time of MP3 audio
+ * @param {ArrayBuffer|Uint8Array} audio - MP3 data
+ * @returns {number} Duration in seconds
+ */
+function getMp3Duration(audio) {
+  return extractMp3Frames(audio).duration;
+}
+
+/**
+ * Group paragraphs into chapters
+ * Pages with headings get one chapter per heading; otherwise a chapter
+ * starts every paragraphsPerChapter paragraphs
+ * @param {Array<string|null>} headings - Nearest preceding heading of each paragraph
+ * @param {number} [paragraphsPerChapter=DEFAULT_PARAGRAPHS_PER_CHAPTER] - Chapter length without headings
+ * @returns {Array<{title: string, startParagraph: number, endParagraph: number}>} Chapters with inclusive paragraph ranges
+ */
+function planChapters(headings, paragraphsPerChapter = DEFAULT_PARAGRAPHS_PER_CHAPTER) {
+  const total = headings.length;
+  if (total === 0) {
+    return [];
+  }
+
+  if (headings.some(heading => heading)) {
+    const chapters = [];
+    headings.forEach((heading, index) => {
+      if (index === 0 || heading !== headings[index - 1]) {
+        chapters.push({ title: heading || INTRODUCTION_TITLE, startParagraph: index, endParagraph: index });
+      } else {
+        chapters[chapters.length - 1].endParagraph = index;
+      }
+    });
+
+    if (chapters.length <= MAX_CHAPTERS) {
+      return chapters;
+    }
+  }
+
+  const size = Math.max(paragraphsPerChapter, Math.ceil(total / MAX_CHAPTERS), 1);
+  const chapters = [];
+  for (let start = 0; start < total; start += size) {
+    chapters.push({
+      title: `Part ${chapters.length + 1}`,
+      startParagraph: start,
+      endParagraph: Math.min(start + size, total) - 1
+    });
+  }
+  return chapters;
+}
+
+/**
+ * Encode a number as a 4-byte big-endian integer
+ * @param {number} value - Value to encode
+ * @returns {number[]}
+ */
+function uint32Bytes(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Encode a string as null-terminated ISO-8859-1 (used for element IDs)
+ * @param {string} text - ASCII text
+ * @returns {number[]}
+ */
+function latin1Bytes(text) {
+  return [...Array.from(text, char => char.charCodeAt(0) & 0xFF), 0];
+}
+
+/**
+ * Build an ID3v2.3 frame
+ * @param {string} id - Four-character frame ID
+ * @param {number[]} body - Frame body
+ * @returns {number[]}
+ */
+function buildFrame(id, body) {
+  return [...latin1Bytes(id).slice(0, 4), ...uint32Bytes(body.length), 0, 0, ...body];
+}
+
+/**
+ * Build a TIT2 (title) frame encoded as UTF-16 with byte order mark
+ * @param {string} title - Title text
+ * @returns {number[]}
+ */
+function buildTitleFrame(title) {
+  const body = [0x01, 0xFF, 0xFE];
+  for (let i = 0; i < title.length; i++) {
+    const code = title.charCodeAt(i);
+    body.push(code & 0xFF, code >> 8);
+  }
+  return buildFrame('TIT2', body);
+}
+
+/**
+ * Build an ID3v2.3 tag with a table of contents and one CHAP frame per chapter
+ * @param {Object} options - Tag contents
+ * @param {string} options.title - Audiobook title
+ * @param {Array<{title: string, startMs: number, endMs: number}>} options.chapters - Chapter timings
+ * @returns {Uint8Array}
+ */
+function buildChapterTag({ title, chapters }) {
+  const elementIds = chapters.map((chapter, index) => `chp${index}`);
+  const frames = [];
+
+  if (title) {
+    frames.push(...buildTitleFrame(title));
+  }
+
+  // Top-level, ordered table of contents listing every chapter
+  frames.push(...buildFrame('CTOC', [
+    ...latin1Bytes('toc'),
+    0x03,
+    elementIds.length,
+    ...elementIds.flatMap(latin1Bytes)
+  ]));
+
+  chapters.forEach((chapter, index) => {
+    frames.push(...buildFrame('CHAP', [
+      ...latin1Bytes(elementIds[index]),
+      ...uint32Bytes(Math.round(chapter.startMs)),
+      ...uint32Bytes(Math.round(chapter.endMs)),
+      // Byte offsets unused
+      ...uint32Bytes(0xFFFFFFFF),
+      ...uint32Bytes(0xFFFFFFFF),
+      ...buildTitleFrame(chapter.title)
+    ]));
+  });
+
+  const size = frames.length;
+  const header = [
+    0x49, 0x44, 0x33, // "ID3"
+    0x03, 0x00,       // Version 2.3.0
+    0x00,             // No flags
+    (size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F
+  ];
+
+  return new Uint8Array([...header, ...frames]);
+}
+
+/**
+ * Combine paragraph audio into one MP3 with chapter markers
+ * @param {Object} options - Audiobook contents
+ * @param {string} options.title - Audiobook title
+ * @param {Array<ArrayBuffer>} options.segments - MP3 audio of each paragraph, in order
+ * @param {Array<{title: string, startParagraph: number, endParagraph: number}>} options.chapters - Chapters from planChapters
+ * @returns {{audio: Uint8Array, chapters: Array<{title: string, startMs: number, endMs: number}>}}
+ */
+function createAudiobook({ title, segments, chapters }) {
+  const frames = segments.map(extractMp3Frames);
+
+  // Start time of each paragraph in milliseconds
+  const offsets = [0];
+  frames.forEach(({ duration }) => {
+    offsets.push(offsets[offsets.length - 1] + duration * 1000);
+  });
+
+  const timedChapters = chapters.map(chapter => ({
+    title: chapter.title,
+    startMs: offsets[chapter.startParagraph],
+    endMs: offsets[chapter.endParagraph + 1]
+  }));
+
+  const tag = buildChapterTag({ title, chapters: timedChapters });
+  const audioLength = frames.reduce((sum, { data }) => sum + data.length, 0);
+  const audio = new Uint8Array(tag.length + audioLength);
+
+  audio.set(tag, 0);
+  let position = tag.length;
+  for (const { data } of frames) {
+    audio.set(data, position);
+    position += data.length;
+  }
+
+  return { audio, chapters: timedChapters };
+}
+
+/**
+ * Turn a page title into a safe download file name
+ * @param {string} title - Page title
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function getExportFileName(title, extension) {
+  const base = (title || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100)
+    .replace(/[. ]+$/, '');
+
+  return `${base || 'ElevenPage Reader export'}.${extension}`;
+}
+
+// Export for use in other modules
+export {
+  DEFAULT_PARAGRAPHS_PER_CHAPTER,
+  MAX_CHAPTERS,
+  extractMp3Frames,
+  getMp3Duration,
+  planChapters,
+  buildChapterTag,
+  createAudiobook,
+  getExportFileName
+};
@@ -0,0 +1,147 @@
+// ElevenPage Reader - Chunk Planner
+// Groups consecutive paragraphs into one speech request up to a character
+// budget, and splits paragraphs longer than the budget at sentence boundaries
+
+/**
+ * Characters read in one request by default
+ */
+const DEFAULT_CHUNK_CHARACTERS = 1000;
+
+/**
+ * Smallest and largest character budgets that can be set
+ */
+const MIN_CHUNK_CHARACTERS = 200;
+const MAX_CHUNK_CHARACTERS = 5000;
+
+/**
+ * Characters of the text around a chunk sent with it, so its intonation
+ * carries on from what was read before and leads into what comes next
+ */
+const CONTEXT_CHARACTERS = 300;
+
+/**
+ * Part of a paragraph read in a chunk
+ * @typedef {Object} ChunkPart
+ * @property {number} index - Index of the paragraph in the paragraphs planned over
+ * @property {number} start - Offset of the part in the paragraph text
+ * @property {number} end - End of the part in the paragraph text
+ */
+
+/**
+ * Get the character budget from a saved value
+ * @param {*} saved - Saved budget
+ * @returns {number} Budget within the limits
+ */
+function resolveChunkCharacters(saved) {
+  const budget = Math.round(Number(saved));
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return DEFAULT_CHUNK_CHARACTERS;
+  }
+  return Math.max(MIN_CHUNK_CHARACTERS, Math.min(MAX_CHUNK_CHARACTERS, budget));
+}
+
+/**
+ * Split text into parts at sentence boundaries, each within the budget where
+ * its sentences allow; a sentence longer than the budget is a part of its own
+ * Sentences end at ., ! or ? followed by whitespace, as the text parser splits them
+ * @param {string} text - Paragraph text
+ * @param {number} budget - Most characters in a part
+ * @param {number} [from=0] - Offset to start splitting at
+ * @returns {Array<{start: number, end: number}>} Parts, covering the text from the offset
+ */
+function splitAtSentences(text, budget, from = 0) {
+  const sentenceStarts = [from];
+  const pattern = /[.!?]+\s+(?=\S)/g;
+  pattern.lastIndex = from;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    sentenceStarts.push(match.index + match[0].length);
+  }
+
+  const parts = [];
+  let start = from;
+  for (let i = 1; i <= sentenceStarts.length; i++) {
+    const end = i < sentenceStarts.length ? sentenceStarts[i] : text.length;
+    // Close the part before the sentence that would take it over the budget
+    if (end - start > budget && sentenceStarts[i - 1] > start) {
+      parts.push({ start, end: sentenceStarts[i - 1] });
+      start = sentenceStarts[i - 1];
+    }
+  }
+  if (start < text.length || parts.length === 0) {
+    parts.push({ start, end: text.length });
+  }
+  return parts;
+}
+
+/**
+ * Plan the text read in one request
+ * Reading starts at an offset in the first paragraph. If the rest of it is
+ * longer than the budget, only its next part is read; otherwise whole
+ * paragraphs after it are added while they fit the budget.
+ * @param {string[]} texts - Texts of the paragraphs from the first one read, as far ahead as is known
+ * @param {number} budget - Most characters in the request, beyond the first part
+ * @param {number} [charStart=0] - Offset in the first paragraph to start at
+ * @returns {ChunkPart[]} Parts in reading order, at least one
+ */
+function planChunk(texts, budget, charStart = 0) {
+  const first = texts[0] || '';
+  const [firstPart] = splitAtSentences(first, budget, Math.min(charStart, first.length));
+  const parts = [{ index: 0, ...firstPart }];
+  if (firstPart.end < first.length) {
+    return parts;
+  }
+
+  let length = firstPart.end - firstPart.start;
+  for (let index = 1; index < texts.length; index++) {
+    length += texts[index].length;
+    if (length > budget) {
+      break;
+    }
+    parts.push({ index, start: 0, end: texts[index].length });
+  }
+  return parts;
+}
+
+/**
+ * Take the end of the text before a chunk, starting at a word
+ * @param {string} text - Text before the chunk
+ * @returns {string}
+ */
+function getPreviousContext(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.length <= CONTEXT_CHARACTERS) {
+    return trimmed;
+  }
+  const tail = trimmed.slice(-CONTEXT_CHARACTERS);
+  const space = tail.search(/\s/);
+  return (space >= 0 ? tail.slice(space) : tail).trim();
+}
+
+/**
+ * Take the start of the text after a chunk, ending at a word
+ * @param {string} text - Text after the chunk
+ * @returns {string}
+ */
+function getNextContext(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.length <= CONTEXT_CHARACTERS) {
+    return trimmed;
+  }
+  const head = trimmed.slice(0, CONTEXT_CHARACTERS);
+  const space = head.search(/\s\S*$/);
+  return (space > 0 ? head.slice(0, space) : head).trim();
+}
+
+// Export for use in other modules
+export {
+  DEFAULT_CHUNK_CHARACTERS,
+  MIN_CHUNK_CHARACTERS,
+  MAX_CHUNK_CHARACTERS,
+  CONTEXT_CHARACTERS,
+  resolveChunkCharacters,
+  splitAtSentences,
+  planChunk,
+  getPreviousContext,
+  getNextContext
+};
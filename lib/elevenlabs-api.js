@@ -6,6 +6,32 @@
  */
 const API_BASE_URL = 'https://api.elevenlabs.io/v1';
 
+/**
+ * Default model for speech synthesis
+ */
+const DEFAULT_MODEL_ID = 'eleven_monolingual_v1';
+
+/**
+ * Default model for pages that aren't in English
+ */
+const MULTILINGUAL_MODEL_ID = 'eleven_multilingual_v2';
+
+/**
+ * Default voice stability (0-1)
+ */
+const DEFAULT_STABILITY = 0.5;
+
+/**
+ * Default voice similarity boost (0-1)
+ */
+const DEFAULT_SIMILARITY_BOOST = 0.75;
+
+/**
+ * Tolerance in seconds when deciding whether a streamed alignment chunk
+ * restarts its timestamps at zero instead of continuing the timeline
+ */
+const STREAM_ALIGNMENT_TOLERANCE = 0.05;
+
 /**
  * API Error types for categorized error handling
  */
@@ -40,6 +66,237 @@ function isValidApiKeyFormat(apiKey) {
   return typeof apiKey === 'string' && apiKey.trim().length > 0;
 }
 
+/**
+ * Check if an error was caused by an aborted request
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Wrap a non-API error as a network error
+ * Aborts are re-thrown unchanged so callers can tell cancellation apart from failure
+ * @param {Error} error - Original error
+ * @param {string} message - Message for the wrapped error
+ * @returns {Error}
+ */
+function toNetworkError(error, message) {
+  if (error instanceof ElevenLabsAPIError || isAbortError(error)) {
+    return error;
+  }
+  
+  return new ElevenLabsAPIError(
+    message,
+    API_ERROR_TYPES.NETWORK_ERROR,
+    null,
+    error
+  );
+}
+
+/**
+ * Build the voice_settings request body from synthesis options
+ * Style and speaker boost are only sent when set, so the API applies its own
+ * defaults for voices that were never tuned
+ * @param {object} options - Synthesis options
+ * @param {number} [options.stability] - Voice stability (0-1)
+ * @param {number} [options.similarityBoost] - Similarity boost (0-1)
+ * @param {number} [options.style] - Style exaggeration (0-1)
+ * @param {boolean} [options.useSpeakerBoost] - Boost similarity to the original speaker
+ * @returns {{stability: number, similarity_boost: number, style?: number, use_speaker_boost?: boolean}}
+ */
+function buildVoiceSettings(options = {}) {
+  const {
+    stability = DEFAULT_STABILITY,
+    similarityBoost = DEFAULT_SIMILARITY_BOOST,
+    style,
+    useSpeakerBoost
+  } = options;
+  
+  const voiceSettings = {
+    stability: stability,
+    similarity_boost: similarityBoost
+  };
+  
+  if (typeof style === 'number') {
+    voiceSettings.style = style;
+  }
+  if (typeof useSpeakerBoost === 'boolean') {
+    voiceSettings.use_speaker_boost = useSpeakerBoost;
+  }
+  
+  return voiceSettings;
+}
+
+/**
+ * Convert an API voice_settings object to synthesis options
+ * @param {{stability?: number, similarity_boost?: number, style?: number, use_speaker_boost?: boolean}} voiceSettings - Settings as returned by the API
+ * @returns {{stability: number, similarityBoost: number, style: number, useSpeakerBoost: boolean}}
+ */
+function parseVoiceSettings(voiceSettings = {}) {
+  return {
+    stability: typeof voiceSettings.stability === 'number' ? voiceSettings.stability : DEFAULT_STABILITY,
+    similarityBoost: typeof voiceSettings.similarity_boost === 'number'
+      ? voiceSettings.similarity_boost
+      : DEFAULT_SIMILARITY_BOOST,
+    style: typeof voiceSettings.style === 'number' ? voiceSettings.style : 0,
+    useSpeakerBoost: voiceSettings.use_speaker_boost !== false
+  };
+}
+
+/**
+ * Validate the arguments shared by the text-to-speech endpoints
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - Voice ID to use for synthesis
+ * @throws {ElevenLabsAPIError} On invalid arguments
+ */
+function validateSpeechRequest(apiKey, text, voiceId) {
+  // Validate API key
+  if (!isValidApiKeyFormat(apiKey)) {
+    throw new ElevenLabsAPIError(
+      'API key is required and must be a non-empty string.',
+      API_ERROR_TYPES.INVALID_API_KEY
+    );
+  }
+  
+  // Validate text
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new ElevenLabsAPIError(
+      'Text is required and must be a non-empty string.',
+      API_ERROR_TYPES.GENERATION_FAILED
+    );
+  }
+  
+  // Validate voice ID
+  if (typeof voiceId !== 'string' || voiceId.trim().length === 0) {
+    throw new ElevenLabsAPIError(
+      'Voice ID is required and must be a non-empty string.',
+      API_ERROR_TYPES.INVALID_VOICE
+    );
+  }
+}
+
+/**
+ * Build the fetch options for a text-to-speech request
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {string} text - Text to convert to speech
+ * @param {object} options - Synthesis options
+ * @returns {RequestInit}
+ */
+function buildSpeechRequest(apiKey, text, options) {
+  const { modelId = DEFAULT_MODEL_ID, pronunciationDictionaries, previousText, nextText, signal } = options;
+  
+  const body = {
+    text: text,
+    model_id: modelId,
+    voice_settings: buildVoiceSettings(options)
+  };
+  
+  if (Array.isArray(pronunciationDictionaries) && pronunciationDictionaries.length > 0) {
+    body.pronunciation_dictionary_locators = pronunciationDictionaries.map(({ id, versionId }) => ({
+      pronunciation_dictionary_id: id,
+      version_id: versionId
+    }));
+  }
+  
+  if (previousText) {
+    body.previous_text = previousText;
+  }
+  if (nextText) {
+    body.next_text = nextText;
+  }
+  
+  return {
+    method: 'POST',
+    headers: {
+      'xi-api-key': apiKey,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  };
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} base64 - Base64 encoded string
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Create an empty alignment structure
+ * @returns {{characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}}
+ */
+function createEmptyAlignment() {
+  return {
+    characters: [],
+    character_start_times_seconds: [],
+    character_end_times_seconds: []
+  };
+}
+
+/**
+ * Append a streamed alignment chunk to accumulated alignment data
+ * Chunks whose timestamps restart at zero are shifted to continue the timeline
+ * @param {object} target - Accumulated alignment (mutated)
+ * @param {object|null} chunk - Alignment chunk from the stream
+ * @returns {object} The target alignment
+ */
+function mergeAlignmentChunk(target, chunk) {
+  if (!chunk || !Array.isArray(chunk.characters) || chunk.characters.length === 0) {
+    return target;
+  }
+  
+  const starts = chunk.character_start_times_seconds || [];
+  const ends = chunk.character_end_times_seconds || [];
+  const previousStarts = target.character_start_times_seconds;
+  const previousEnds = target.character_end_times_seconds;
+  const previousStart = previousStarts.length > 0 ? previousStarts[previousStarts.length - 1] : 0;
+  const previousEnd = previousEnds.length > 0 ? previousEnds[previousEnds.length - 1] : 0;
+  // A chunk restarts at zero if it begins before the last character started,
+  // or clearly before the previous chunk ended
+  const restarts = starts.length > 0 &&
+    (starts[0] < previousStart || starts[0] + STREAM_ALIGNMENT_TOLERANCE < previousEnd);
+  const offset = restarts ? previousEnd : 0;
+  
+  target.characters.push(...chunk.characters);
+  target.character_start_times_seconds.push(...starts.map(time => time + offset));
+  target.character_end_times_seconds.push(...ends.map(time => time + offset));
+  
+  return target;
+}
+
+/**
+ * Read how long a rate-limited response asks to wait
+ * The Retry-After header holds either seconds or an HTTP date
+ * @param {Response} response - Fetch response object
+ * @returns {number|null} Seconds to wait, or null if the response doesn't say
+ */
+function getRetryAfterSeconds(response) {
+  const value = response.headers?.get?.('retry-after');
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
 /**
  * Parse API error response and return appropriate error type
  * @param {Response} response - Fetch response object
@@ -58,11 +315,13 @@ function parseAPIError(response, responseText) {
   }
   
   if (statusCode === 429) {
-    return new ElevenLabsAPIError(
+    const error = new ElevenLabsAPIError(
       'Rate limit exceeded. Please wait before making more requests.',
       API_ERROR_TYPES.RATE_LIMITED,
       statusCode
     );
+    error.retryAfter = getRetryAfterSeconds(response);
+    return error;
   }
   
   if (statusCode === 404 || statusCode === 400) {
@@ -102,10 +361,13 @@ function parseAPIError(response, responseText) {
 /**
  * Fetch available voices from ElevenLabs API
  * @param {string} apiKey - ElevenLabs API key
+ * @param {object} options - Optional parameters
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
  * @returns {Promise<Array<{voice_id: string, name: string, category: string, labels: object}>>}
  * @throws {ElevenLabsAPIError} On API errors
  */
-async function getVoices(apiKey) {
+async function getVoices(apiKey, options = {}) {
   // Validate API key
   if (!isValidApiKeyFormat(apiKey)) {
     throw new ElevenLabsAPIError(
@@ -114,13 +376,16 @@ async function getVoices(apiKey) {
     );
   }
   
+  const { baseUrl = API_BASE_URL, signal } = options;
+  
   try {
-    const response = await fetch(`${API_BASE_URL}/voices`, {
+    const response = await fetch(`${baseUrl}/voices`, {
       method: 'GET',
       headers: {
         'xi-api-key': apiKey,
         'Content-Type': 'application/json'
-      }
+      },
+      signal
     });
     
     const responseText = await response.text();
@@ -140,34 +405,22 @@ async function getVoices(apiKey) {
     }));
     
   } catch (error) {
-    // Re-throw ElevenLabsAPIError as-is
-    if (error instanceof ElevenLabsAPIError) {
-      throw error;
-    }
-    
-    // Wrap network errors
-    throw new ElevenLabsAPIError(
-      'Network error while fetching voices. Please check your connection.',
-      API_ERROR_TYPES.NETWORK_ERROR,
-      null,
-      error
-    );
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while fetching voices. Please check your connection.');
   }
 }
 
 /**
- * Generate speech from text using ElevenLabs API with alignment data
+ * Fetch the default settings of a voice from ElevenLabs API
  * @param {string} apiKey - ElevenLabs API key
- * @param {string} text - Text to convert to speech
- * @param {string} voiceId - Voice ID to use for synthesis
+ * @param {string} voiceId - Voice ID
  * @param {object} options - Optional parameters
- * @param {number} options.stability - Voice stability (0-1), default 0.5
- * @param {number} options.similarityBoost - Similarity boost (0-1), default 0.75
- * @param {string} options.modelId - Model ID, default 'eleven_monolingual_v1'
- * @returns {Promise<{audio: ArrayBuffer, alignment: {characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}}>}
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{stability: number, similarityBoost: number, style: number, useSpeakerBoost: boolean}>}
  * @throws {ElevenLabsAPIError} On API errors
  */
-async function textToSpeech(apiKey, text, voiceId, options = {}) {
+async function getVoiceSettings(apiKey, voiceId, options = {}) {
   // Validate API key
   if (!isValidApiKeyFormat(apiKey)) {
     throw new ElevenLabsAPIError(
@@ -176,14 +429,6 @@ async function textToSpeech(apiKey, text, voiceId, options = {}) {
     );
   }
   
-  // Validate text
-  if (typeof text !== 'string' || text.trim().length === 0) {
-    throw new ElevenLabsAPIError(
-      'Text is required and must be a non-empty string.',
-      API_ERROR_TYPES.GENERATION_FAILED
-    );
-  }
-  
   // Validate voice ID
   if (typeof voiceId !== 'string' || voiceId.trim().length === 0) {
     throw new ElevenLabsAPIError(
@@ -192,31 +437,212 @@ async function textToSpeech(apiKey, text, voiceId, options = {}) {
     );
   }
   
-  const {
-    stability = 0.5,
-    similarityBoost = 0.75,
-    modelId = 'eleven_monolingual_v1'
-  } = options;
+  const { baseUrl = API_BASE_URL, signal } = options;
+  
+  try {
+    const response = await fetch(`${baseUrl}/voices/${encodeURIComponent(voiceId)}/settings`, {
+      method: 'GET',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+    
+    const responseText = await response.text();
+    
+    if (!response.ok) {
+      throw parseAPIError(response, responseText);
+    }
+    
+    return parseVoiceSettings(JSON.parse(responseText));
+    
+  } catch (error) {
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while fetching voice settings. Please check your connection.');
+  }
+}
+
+/**
+ * Fetch available models from ElevenLabs API
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {object} options - Optional parameters
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Array<{model_id: string, name: string, description: string, can_do_text_to_speech: boolean, languages: Array<{language_id: string, name: string}>}>>}
+ * @throws {ElevenLabsAPIError} On API errors
+ */
+async function getModels(apiKey, options = {}) {
+  // Validate API key
+  if (!isValidApiKeyFormat(apiKey)) {
+    throw new ElevenLabsAPIError(
+      'API key is required and must be a non-empty string.',
+      API_ERROR_TYPES.INVALID_API_KEY
+    );
+  }
+  
+  const { baseUrl = API_BASE_URL, signal } = options;
+  
+  try {
+    const response = await fetch(`${baseUrl}/models`, {
+      method: 'GET',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+    
+    const responseText = await response.text();
+    
+    if (!response.ok) {
+      throw parseAPIError(response, responseText);
+    }
+    
+    const data = JSON.parse(responseText);
+    
+    // The endpoint returns a bare array of models
+    return (Array.isArray(data) ? data : []).map(model => ({
+      model_id: model.model_id,
+      name: model.name || model.model_id,
+      description: model.description || '',
+      can_do_text_to_speech: model.can_do_text_to_speech === true,
+      languages: model.languages || []
+    }));
+    
+  } catch (error) {
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while fetching models. Please check your connection.');
+  }
+}
+
+/**
+ * Fetch the character quota of the account's subscription
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {object} options - Optional parameters
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{tier: string, characterCount: number, characterLimit: number, nextResetUnix: number|null}>}
+ * @throws {ElevenLabsAPIError} On API errors
+ */
+async function getSubscription(apiKey, options = {}) {
+  // Validate API key
+  if (!isValidApiKeyFormat(apiKey)) {
+    throw new ElevenLabsAPIError(
+      'API key is required and must be a non-empty string.',
+      API_ERROR_TYPES.INVALID_API_KEY
+    );
+  }
+  
+  const { baseUrl = API_BASE_URL, signal } = options;
+  
+  try {
+    const response = await fetch(`${baseUrl}/user/subscription`, {
+      method: 'GET',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      signal
+    });
+    
+    const responseText = await response.text();
+    
+    if (!response.ok) {
+      throw parseAPIError(response, responseText);
+    }
+    
+    const data = JSON.parse(responseText);
+    
+    return {
+      tier: data.tier || 'unknown',
+      characterCount: data.character_count || 0,
+      characterLimit: data.character_limit || 0,
+      nextResetUnix: data.next_character_count_reset_unix || null
+    };
+    
+  } catch (error) {
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while fetching subscription. Please check your connection.');
+  }
+}
+
+/**
+ * Get the primary subtag of a language code ("en-US" -> "en")
+ * @param {string} languageCode - BCP 47 language code
+ * @returns {string} Lowercase primary language subtag, or '' if unknown
+ */
+function getPrimaryLanguage(languageCode) {
+  if (typeof languageCode !== 'string') {
+    return '';
+  }
+  
+  const primary = languageCode.trim().toLowerCase().split(/[-_]/)[0];
+  return primary === 'und' ? '' : primary;
+}
+
+/**
+ * Filter models down to those that can synthesize speech in a language
+ * Models that can't do text-to-speech are always removed. When the language
+ * is unknown, or no model lists it, every text-to-speech model is kept.
+ * @param {Array<{can_do_text_to_speech: boolean, languages: Array<{language_id: string}>}>} models - Models from getModels
+ * @param {string} [languageCode] - Page language (e.g. "de" or "pt-BR")
+ * @returns {Array} Models usable for the language
+ */
+function filterModelsForLanguage(models, languageCode) {
+  const speechModels = models.filter(model => model.can_do_text_to_speech);
+  const language = getPrimaryLanguage(languageCode);
+  
+  if (!language) {
+    return speechModels;
+  }
+  
+  const matching = speechModels.filter(model =>
+    (model.languages || []).some(entry => getPrimaryLanguage(entry.language_id) === language)
+  );
+  
+  return matching.length > 0 ? matching : speechModels;
+}
+
+/**
+ * Get the model to use for a language when none has been selected
+ * @param {string} [languageCode] - Page language (e.g. "de" or "pt-BR")
+ * @returns {string} DEFAULT_MODEL_ID for English or an unknown language, MULTILINGUAL_MODEL_ID otherwise
+ */
+function getDefaultModelId(languageCode) {
+  const language = getPrimaryLanguage(languageCode);
+  return !language || language === 'en' ? DEFAULT_MODEL_ID : MULTILINGUAL_MODEL_ID;
+}
+
+/**
+ * Generate speech from text using ElevenLabs API with alignment data
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - Voice ID to use for synthesis
+ * @param {object} options - Optional parameters
+ * @param {number} options.stability - Voice stability (0-1), default 0.5
+ * @param {number} options.similarityBoost - Similarity boost (0-1), default 0.75
+ * @param {number} options.style - Style exaggeration (0-1), omitted by default
+ * @param {boolean} options.useSpeakerBoost - Speaker boost, omitted by default
+ * @param {string} options.modelId - Model ID, default DEFAULT_MODEL_ID
+ * @param {Array<{id: string, versionId: string}>} options.pronunciationDictionaries - Pronunciation dictionaries to apply, omitted by default
+ * @param {string} options.previousText - Text read before this text, for continuity, omitted by default
+ * @param {string} options.nextText - Text read after this text, for continuity, omitted by default
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{audio: ArrayBuffer, alignment: {characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}}>}
+ * @throws {ElevenLabsAPIError} On API errors
+ */
+async function textToSpeech(apiKey, text, voiceId, options = {}) {
+  validateSpeechRequest(apiKey, text, voiceId);
+  
+  const { baseUrl = API_BASE_URL } = options;
   
   try {
     // Request with timestamps for word-level alignment
     const response = await fetch(
-      `${API_BASE_URL}/text-to-speech/${voiceId}/with-timestamps`,
-      {
-        method: 'POST',
-        headers: {
-          'xi-api-key': apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          text: text,
-          model_id: modelId,
-          voice_settings: {
-            stability: stability,
-            similarity_boost: similarityBoost
-          }
-        })
-      }
+      `${baseUrl}/text-to-speech/${voiceId}/with-timestamps`,
+      buildSpeechRequest(apiKey, text, options)
     );
     
     const responseText = await response.text();
@@ -229,13 +655,7 @@ async function textToSpeech(apiKey, text, voiceId, options = {}) {
     const data = JSON.parse(responseText);
     
     // Decode base64 audio to ArrayBuffer
-    const audioBase64 = data.audio_base64;
-    const binaryString = atob(audioBase64);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-    const audioBuffer = bytes.buffer;
+    const audioBuffer = base64ToBytes(data.audio_base64).buffer;
     
     // Extract alignment data
     const alignment = {
@@ -250,29 +670,190 @@ async function textToSpeech(apiKey, text, voiceId, options = {}) {
     };
     
   } catch (error) {
-    // Re-throw ElevenLabsAPIError as-is
-    if (error instanceof ElevenLabsAPIError) {
-      throw error;
-    }
-    
-    // Wrap network errors
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while generating speech. Please check your connection.');
+  }
+}
+
+/**
+ * Create a pronunciation dictionary from alias rules
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {string} name - Dictionary name
+ * @param {Array<{type: string, string_to_replace: string, alias: string}>} rules - Alias rules
+ * @param {object} options - Optional parameters
+ * @param {string} options.baseUrl - API base URL, default API_BASE_URL
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<{id: string, versionId: string}>}
+ * @throws {ElevenLabsAPIError} On API errors
+ */
+async function createPronunciationDictionary(apiKey, name, rules, options = {}) {
+  // Validate API key
+  if (!isValidApiKeyFormat(apiKey)) {
     throw new ElevenLabsAPIError(
-      'Network error while generating speech. Please check your connection.',
-      API_ERROR_TYPES.NETWORK_ERROR,
-      null,
-      error
+      'API key is required and must be a non-empty string.',
+      API_ERROR_TYPES.INVALID_API_KEY
     );
   }
+  
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new ElevenLabsAPIError(
+      'A pronunciation dictionary needs at least one rule.',
+      API_ERROR_TYPES.GENERATION_FAILED
+    );
+  }
+  
+  const { baseUrl = API_BASE_URL, signal } = options;
+  
+  try {
+    const response = await fetch(`${baseUrl}/pronunciation-dictionaries/add-from-rules`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name, rules }),
+      signal
+    });
+    
+    const responseText = await response.text();
+    
+    if (!response.ok) {
+      throw parseAPIError(response, responseText);
+    }
+    
+    const data = JSON.parse(responseText);
+    
+    return {
+      id: data.id,
+      versionId: data.version_id
+    };
+    
+  } catch (error) {
+    // Re-throw API errors and aborts as-is, wrap network errors
+    throw toNetworkError(error, 'Network error while uploading the pronunciation dictionary. Please check your connection.');
+  }
 }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    API_BASE_URL,
-    API_ERROR_TYPES,
-    ElevenLabsAPIError,
-    isValidApiKeyFormat,
-    getVoices,
-    textToSpeech
+/**
+ * Generate speech using the streaming endpoint with alignment data
+ * The response is newline-delimited JSON, each line holding a base64 audio
+ * chunk and the alignment for the characters it covers
+ * @param {string} apiKey - ElevenLabs API key
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - Voice ID to use for synthesis
+ * @param {function({audioBase64: string, alignment: object|null}): Promise<void>} onChunk - Called for each chunk
+ * @param {object} options - Optional parameters, same as textToSpeech
+ * @returns {Promise<{audio: ArrayBuffer, alignment: object}>} The complete audio and alignment
+ * @throws {ElevenLabsAPIError} On API errors
+ */
+async function textToSpeechStream(apiKey, text, voiceId, onChunk, options = {}) {
+  validateSpeechRequest(apiKey, text, voiceId);
+  
+  const { baseUrl = API_BASE_URL } = options;
+  
+  let response;
+  try {
+    response = await fetch(
+      `${baseUrl}/text-to-speech/${voiceId}/stream/with-timestamps`,
+      buildSpeechRequest(apiKey, text, options)
+    );
+  } catch (error) {
+    throw toNetworkError(error, 'Network error while generating speech. Please check your connection.');
+  }
+  
+  if (!response.ok) {
+    const responseText = await response.text().catch(() => '');
+    throw parseAPIError(response, responseText);
+  }
+  
+  const audioChunks = [];
+  const alignment = createEmptyAlignment();
+  
+  const handleLine = async (line) => {
+    if (!line.trim()) return;
+    
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      throw new ElevenLabsAPIError(
+        'Received malformed audio stream from ElevenLabs.',
+        API_ERROR_TYPES.GENERATION_FAILED,
+        null,
+        error
+      );
+    }
+    
+    const chunk = {
+      audioBase64: data.audio_base64 || '',
+      alignment: data.alignment || null
+    };
+    
+    if (chunk.audioBase64) {
+      audioChunks.push(base64ToBytes(chunk.audioBase64));
+    }
+    mergeAlignmentChunk(alignment, chunk.alignment);
+    
+    await onChunk(chunk);
   };
+  
+  try {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffered += decoder.decode(value, { stream: true });
+      
+      let newlineIndex;
+      while ((newlineIndex = buffered.indexOf('\n')) >= 0) {
+        const line = buffered.slice(0, newlineIndex);
+        buffered = buffered.slice(newlineIndex + 1);
+        await handleLine(line);
+      }
+    }
+    
+    buffered += decoder.decode();
+    await handleLine(buffered);
+  } catch (error) {
+    throw toNetworkError(error, 'Network error while streaming speech. Please check your connection.');
+  }
+  
+  // Concatenate the MP3 chunks into one buffer for caching and replay
+  const totalLength = audioChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const audio = new Uint8Array(totalLength);
+  let position = 0;
+  for (const chunk of audioChunks) {
+    audio.set(chunk, position);
+    position += chunk.length;
+  }
+  
+  return { audio: audio.buffer, alignment };
 }
+
+// Export for use in other modules
+export {
+  API_BASE_URL,
+  API_ERROR_TYPES,
+  DEFAULT_MODEL_ID,
+  MULTILINGUAL_MODEL_ID,
+  ElevenLabsAPIError,
+  isValidApiKeyFormat,
+  isAbortError,
+  buildVoiceSettings,
+  parseVoiceSettings,
+  createEmptyAlignment,
+  mergeAlignmentChunk,
+  getVoices,
+  getVoiceSettings,
+  getModels,
+  getSubscription,
+  filterModelsForLanguage,
+  getDefaultModelId,
+  createPronunciationDictionary,
+  textToSpeech,
+  textToSpeechStream
+};
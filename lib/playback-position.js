@@ -0,0 +1,57 @@
+// ElevenPage Reader - Playback Position
+// Maps positions in a paragraph's text to times in its audio, for seeking
+
+/**
+ * Find the audio time a character of the paragraph text is spoken at
+ * Whitespace isn't spoken, so an offset on it seeks to the next word
+ * @param {Object|null} alignment - Alignment of the paragraph text
+ * @param {number} charIndex - Offset in the paragraph text, clamped to it
+ * @returns {number} Audio time in seconds, 0 without alignment
+ */
+function getCharacterStartTime(alignment, charIndex) {
+  if (!alignment || !alignment.characters || alignment.characters.length === 0) {
+    return 0;
+  }
+  const { characters, character_start_times_seconds: starts } = alignment;
+  const last = characters.length - 1;
+  let index = Math.max(0, Math.min(last, Math.trunc(charIndex) || 0));
+  while (index < last && /\s/.test(characters[index])) {
+    index++;
+  }
+  return starts[index] || 0;
+}
+
+/**
+ * Get how long the audio of an alignment lasts
+ * @param {Object|null} alignment - Alignment of the paragraph text
+ * @returns {number} End time of the last character in seconds, 0 without alignment
+ */
+function getAlignmentDuration(alignment) {
+  const ends = alignment && alignment.character_end_times_seconds;
+  return ends && ends.length > 0 ? ends[ends.length - 1] || 0 : 0;
+}
+
+/**
+ * Find the audio times the sentences of a paragraph start at
+ * Sentences end at ., ! or ? followed by whitespace, as the text parser splits them
+ * @param {Object|null} alignment - Alignment of the paragraph text
+ * @returns {number[]} Start time of each sentence in seconds, [0] without alignment
+ */
+function getSentenceStartTimes(alignment) {
+  if (!alignment || !alignment.characters || alignment.characters.length === 0) {
+    return [0];
+  }
+  const text = alignment.characters.join('');
+  const boundaries = [text.search(/\S/)];
+  for (const match of text.matchAll(/[.!?]+\s+(?=\S)/g)) {
+    boundaries.push(match.index + match[0].length);
+  }
+  return boundaries.map(index => getCharacterStartTime(alignment, Math.max(0, index)));
+}
+
+// Export for use in other modules
+export {
+  getCharacterStartTime,
+  getAlignmentDuration,
+  getSentenceStartTimes
+};
@@ -0,0 +1,126 @@
+// ElevenPage Reader - Preload Pipeline
+// Positions, limits and backoff for the chunks synthesized ahead of reading
+
+/**
+ * Paragraphs kept synthesized ahead of reading by default
+ */
+const DEFAULT_PRELOAD_PARAGRAPHS = 2;
+
+/**
+ * Fewest and most paragraphs ahead that can be set
+ */
+const MIN_PRELOAD_PARAGRAPHS = 1;
+const MAX_PRELOAD_PARAGRAPHS = 5;
+
+/**
+ * Preload requests sent to ElevenLabs at the same time
+ */
+const MAX_CONCURRENT_PRELOADS = 2;
+
+/**
+ * Wait after a rate-limited preload that doesn't say how long to wait;
+ * it doubles with each rate limit in a row, up to the maximum
+ */
+const PRELOAD_BACKOFF_MS = 2000;
+const MAX_PRELOAD_BACKOFF_MS = 60000;
+
+/**
+ * Place in the page a chunk starts at
+ * @typedef {Object} ReadingPosition
+ * @property {number} paragraphIndex - Paragraph index
+ * @property {number} charStart - Offset in the paragraph text
+ */
+
+/**
+ * Get the number of paragraphs to preload from a saved value
+ * @param {*} saved - Saved number of paragraphs
+ * @returns {number} Number within the limits
+ */
+function resolvePreloadParagraphs(saved) {
+  const paragraphs = Math.round(Number(saved));
+  if (!Number.isFinite(paragraphs) || paragraphs <= 0) {
+    return DEFAULT_PRELOAD_PARAGRAPHS;
+  }
+  return Math.max(MIN_PRELOAD_PARAGRAPHS, Math.min(MAX_PRELOAD_PARAGRAPHS, paragraphs));
+}
+
+/**
+ * Compare two reading positions
+ * @param {ReadingPosition} a - First position
+ * @param {ReadingPosition} b - Second position
+ * @returns {number} Negative if a comes first, positive if b does, 0 if they are the same
+ */
+function comparePositions(a, b) {
+  return a.paragraphIndex - b.paragraphIndex || a.charStart - b.charStart;
+}
+
+/**
+ * Find where reading goes on after a chunk
+ * @param {Array<{paragraphIndex: number|null, charEnd: number, paragraphLength: number}>} segments - Segments of the chunk
+ * @returns {ReadingPosition|null} Null for a chunk outside the page's paragraphs
+ */
+function getChunkEnd(segments) {
+  const last = segments[segments.length - 1];
+  if (!last || last.paragraphIndex === null) {
+    return null;
+  }
+  return last.charEnd < last.paragraphLength
+    ? { paragraphIndex: last.paragraphIndex, charStart: last.charEnd }
+    : { paragraphIndex: last.paragraphIndex + 1, charStart: 0 };
+}
+
+/**
+ * Find how far into the page audio is ready, like the buffered range of a video
+ * The chunk being played counts once its audio is complete; preloaded chunks
+ * count while each follows on from the one before it.
+ * @param {{segments: Array<Object>, audioData: *}} current - Chunk being played
+ * @param {Array<{paragraphIndex: number, charStart: number, segments: Array<Object>, audioData: *}>} entries - Preloaded chunks in reading order
+ * @returns {number|null} Paragraphs from the start of the page, with the part of the last one as a fraction, or null if nothing is ready
+ */
+function getBufferedParagraphs(current, entries) {
+  if (!current.audioData) {
+    return null;
+  }
+  let segments = current.segments;
+  for (const entry of entries) {
+    const end = getChunkEnd(segments);
+    if (!end || !entry.audioData || comparePositions(entry, end) !== 0) {
+      break;
+    }
+    segments = entry.segments;
+  }
+
+  const last = segments[segments.length - 1];
+  if (!last || last.paragraphIndex === null) {
+    return null;
+  }
+  return last.paragraphIndex + (last.paragraphLength > 0 ? last.charEnd / last.paragraphLength : 1);
+}
+
+/**
+ * Get the time to wait before preloading again after a rate limit
+ * @param {number|null} retryAfterSeconds - Wait the response asked for, if any
+ * @param {number} attempt - Rate limits in a row, from 1
+ * @returns {number} Milliseconds
+ */
+function getPreloadBackoffMs(retryAfterSeconds, attempt) {
+  if (typeof retryAfterSeconds === 'number' && Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return Math.min(MAX_PRELOAD_BACKOFF_MS, retryAfterSeconds * 1000);
+  }
+  return Math.min(MAX_PRELOAD_BACKOFF_MS, PRELOAD_BACKOFF_MS * 2 ** Math.max(0, attempt - 1));
+}
+
+// Export for use in other modules
+export {
+  DEFAULT_PRELOAD_PARAGRAPHS,
+  MIN_PRELOAD_PARAGRAPHS,
+  MAX_PRELOAD_PARAGRAPHS,
+  MAX_CONCURRENT_PRELOADS,
+  PRELOAD_BACKOFF_MS,
+  MAX_PRELOAD_BACKOFF_MS,
+  resolvePreloadParagraphs,
+  comparePositions,
+  getChunkEnd,
+  getBufferedParagraphs,
+  getPreloadBackoffMs
+};
@@ -0,0 +1,310 @@
+// ElevenPage Reader - Pronunciation
+// User lexicon and text normalization applied before synthesis, with a map
+// from spoken characters back to the page text for highlighting
+
+/**
+ * Lexicon entry, in the same shape as site rule replacements
+ * @typedef {Object} LexiconEntry
+ * @property {string} find - Word to replace, or a regular expression source when regex is set
+ * @property {string} replace - Spoken form
+ * @property {boolean} [regex] - Whether find is a regular expression
+ * @property {string} [flags] - Regular expression flags
+ */
+
+/**
+ * Lexicon structure
+ * @typedef {Object} Lexicon
+ * @property {LexiconEntry[]} global - Entries used on every site
+ * @property {Object<string, LexiconEntry[]>} domains - Entries for a domain and its subdomains, overriding global entries for the same word
+ */
+
+/**
+ * Text transform compiled from a lexicon entry
+ * @typedef {Object} TextTransform
+ * @property {RegExp} pattern - Global pattern
+ * @property {string} replace - Replacement, with $1-style references for regex entries
+ */
+
+/**
+ * Uploaded ElevenLabs pronunciation dictionary
+ * @typedef {Object} UploadedDictionary
+ * @property {string} id - Dictionary ID
+ * @property {string} versionId - Dictionary version ID
+ * @property {LexiconEntry[]} entries - Entries the dictionary was built from
+ */
+
+/**
+ * Letters, digits and underscores: characters that continue a word
+ */
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+/**
+ * Keep the valid entries of a list
+ * @param {*} entries - Value that should be a list of entries
+ * @returns {LexiconEntry[]}
+ */
+function normalizeEntries(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+  return entries
+    .filter(entry => entry && typeof entry.find === 'string' && entry.find !== '' && typeof entry.replace === 'string')
+    .map(({ find, replace, regex, flags }) => (regex
+      ? { find, replace, regex: true, flags: typeof flags === 'string' ? flags : '' }
+      : { find, replace }));
+}
+
+/**
+ * Get a lexicon from storage, dropping invalid entries
+ * @param {*} saved - Stored lexicon
+ * @returns {Lexicon}
+ */
+function resolveLexicon(saved) {
+  if (!saved || typeof saved !== 'object') {
+    return { global: [], domains: {} };
+  }
+
+  const domains = {};
+  if (saved.domains && typeof saved.domains === 'object') {
+    Object.entries(saved.domains).forEach(([domain, entries]) => {
+      const key = domain.trim().toLowerCase().replace(/^www\./, '');
+      if (key) {
+        domains[key] = normalizeEntries(entries);
+      }
+    });
+  }
+  return { global: normalizeEntries(saved.global), domains };
+}
+
+/**
+ * Check if a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Page hostname
+ * @param {string} domain - Lexicon domain
+ * @returns {boolean}
+ */
+function isInDomain(hostname, domain) {
+  const host = (hostname || '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Get the entries that apply on a site
+ * Entries of the most specific matching domain come first and replace
+ * entries for the same word from broader domains and the global list
+ * @param {Lexicon} lexicon - Lexicon
+ * @param {string} [hostname] - Page hostname
+ * @returns {LexiconEntry[]}
+ */
+function getLexiconEntries(lexicon, hostname) {
+  const domainLists = Object.keys(lexicon.domains)
+    .filter(domain => isInDomain(hostname, domain))
+    .sort((a, b) => b.length - a.length)
+    .map(domain => lexicon.domains[domain]);
+
+  const entries = [];
+  const seen = new Set();
+  for (const list of [...domainLists, lexicon.global]) {
+    for (const entry of list) {
+      const key = `${entry.regex ? '/' : ''}${entry.find}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        entries.push(entry);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile lexicon entries into text transforms
+ * Words match whole words only, and match any case unless they contain a
+ * capital letter ("SQL" stays case-sensitive, "nginx" doesn't). Invalid
+ * regular expressions are skipped.
+ * @param {LexiconEntry[]} entries - Entries to compile
+ * @param {LexiconEntry[]} [handledEntries=[]] - Entries an uploaded dictionary already pronounces
+ * @returns {TextTransform[]}
+ */
+function buildTextTransforms(entries, handledEntries = []) {
+  const handled = new Set(handledEntries.map(entry => `${entry.find}\u0000${entry.replace}`));
+  const transforms = [];
+
+  for (const entry of entries) {
+    if (entry.regex) {
+      try {
+        const flags = entry.flags.includes('g') ? entry.flags : `${entry.flags}g`;
+        transforms.push({ pattern: new RegExp(entry.find, flags), replace: entry.replace });
+      } catch (e) {
+        // Invalid regular expression, skip
+      }
+    } else if (!handled.has(`${entry.find}\u0000${entry.replace}`)) {
+      const flags = /\p{Lu}/u.test(entry.find) ? 'gu' : 'giu';
+      transforms.push({
+        pattern: new RegExp(`(?<!${WORD_CHARACTER})${escapeRegExp(entry.find)}(?!${WORD_CHARACTER})`, flags),
+        // Words are replaced literally, "$" included
+        replace: entry.replace.replace(/\$/g, '$$$$')
+      });
+    }
+  }
+  return transforms;
+}
+
+/**
+ * Apply one transform, mapping each output character to an input character
+ * Characters of a replacement spread evenly over the text they replace
+ * @param {string} text - Input text
+ * @param {TextTransform} transform - Transform to apply
+ * @returns {{text: string, charMap: number[]}|null} Null when nothing matched
+ */
+function applyTransform(text, { pattern, replace }) {
+  const matches = Array.from(text.matchAll(pattern));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  // Expand $1-style references against each match on its own
+  const single = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  let output = '';
+  const charMap = [];
+  let position = 0;
+
+  for (const match of matches) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (end === start) {
+      // Skip empty matches, which would insert text between every character
+      continue;
+    }
+
+    for (let i = position; i < start; i++) {
+      charMap.push(i);
+    }
+    output += text.slice(position, start);
+
+    const spoken = match[0].replace(single, replace);
+    const length = end - start;
+    for (let k = 0; k < spoken.length; k++) {
+      charMap.push(start + Math.min(length - 1, Math.floor((k * length) / spoken.length)));
+    }
+    output += spoken;
+    position = end;
+  }
+
+  for (let i = position; i < text.length; i++) {
+    charMap.push(i);
+  }
+  output += text.slice(position);
+
+  return output === text ? null : { text: output, charMap };
+}
+
+/**
+ * Apply text transforms in order
+ * @param {string} text - Paragraph text
+ * @param {TextTransform[]} transforms - Transforms from buildTextTransforms
+ * @returns {{text: string, charMap: number[]|null}} Spoken text, and for each of
+ *   its characters the index of the paragraph character it came from (null when unchanged)
+ */
+function normalizeForSpeech(text, transforms) {
+  let current = text;
+  let charMap = null;
+
+  for (const transform of transforms) {
+    const result = applyTransform(current, transform);
+    if (!result) {
+      continue;
+    }
+    charMap = charMap ? result.charMap.map(index => charMap[index]) : result.charMap;
+    current = result.text;
+  }
+
+  return { text: current, charMap };
+}
+
+/**
+ * Turn alignment of the spoken text into alignment of the paragraph text
+ * Each paragraph character spans the times of the spoken characters that came
+ * from it; characters that were removed take no time. Works on the partial
+ * alignment of a paragraph that is still streaming.
+ * @param {Object|null} alignment - Alignment of the spoken text
+ * @param {number[]|null} charMap - Map from normalizeForSpeech
+ * @param {string} text - Paragraph text
+ * @returns {Object|null}
+ */
+function mapAlignmentToText(alignment, charMap, text) {
+  if (!alignment || !charMap) {
+    return alignment;
+  }
+
+  const spokenCount = Math.min(alignment.characters.length, charMap.length);
+  const starts = [];
+  const ends = [];
+  let covered = 0;
+
+  for (let i = 0; i < spokenCount; i++) {
+    const index = charMap[i];
+    const start = alignment.character_start_times_seconds[i];
+    const end = alignment.character_end_times_seconds[i];
+    starts[index] = starts[index] === undefined ? start : Math.min(starts[index], start);
+    ends[index] = ends[index] === undefined ? end : Math.max(ends[index], end);
+    covered = Math.max(covered, index + 1);
+  }
+  if (spokenCount === charMap.length) {
+    covered = text.length;
+  }
+
+  let previousEnd = 0;
+  for (let j = 0; j < covered; j++) {
+    if (starts[j] === undefined) {
+      starts[j] = previousEnd;
+      ends[j] = previousEnd;
+    }
+    previousEnd = ends[j];
+  }
+
+  return {
+    ...alignment,
+    characters: text.slice(0, covered).split(''),
+    character_start_times_seconds: starts.slice(0, covered),
+    character_end_times_seconds: ends.slice(0, covered)
+  };
+}
+
+/**
+ * Get the entries an ElevenLabs pronunciation dictionary can hold
+ * Dictionaries apply on every site and match words literally, so only global
+ * word entries are uploaded
+ * @param {Lexicon} lexicon - Lexicon
+ * @returns {LexiconEntry[]}
+ */
+function getDictionaryEntries(lexicon) {
+  return lexicon.global.filter(entry => !entry.regex);
+}
+
+/**
+ * Build ElevenLabs alias rules from lexicon entries
+ * @param {LexiconEntry[]} entries - Word entries
+ * @returns {Array<{type: string, string_to_replace: string, alias: string}>}
+ */
+function toDictionaryRules(entries) {
+  return entries.map(({ find, replace }) => ({ type: 'alias', string_to_replace: find, alias: replace }));
+}
+
+// Export for use in other modules
+export {
+  resolveLexicon,
+  getLexiconEntries,
+  buildTextTransforms,
+  normalizeForSpeech,
+  mapAlignmentToText,
+  getDictionaryEntries,
+  toDictionaryRules
+};
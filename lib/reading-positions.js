@@ -0,0 +1,156 @@
+// ElevenPage Reader - Reading Positions
+// Remembers where reading stopped on each page, so it can be resumed later
+
+/**
+ * Number of pages to remember positions for
+ */
+const MAX_READING_POSITIONS = 200;
+
+/**
+ * Query parameters that track where a visitor came from rather than what the page shows
+ */
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|_ga)$/i;
+
+/**
+ * Saved reading position
+ * @typedef {Object} ReadingPosition
+ * @property {number} paragraphIndex - Paragraph being read
+ * @property {number} sentenceIndex - Sentence being read within the paragraph
+ * @property {number} currentTime - Audio offset within the paragraph in seconds
+ * @property {string|null} fingerprint - Fingerprint of the paragraph text, from getTextFingerprint
+ * @property {number} savedAt - Time the position was saved, in milliseconds since the epoch
+ */
+
+/**
+ * Get the URL positions are saved under for a page
+ * The fragment and tracking parameters are dropped and the remaining
+ * parameters sorted, so links to the same article share a position
+ * @param {string} url - Page URL
+ * @returns {string|null} Canonical URL, or null for missing or non-web URLs
+ */
+function getCanonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+/**
+ * Fingerprint paragraph text, ignoring case and whitespace
+ * Used to find a paragraph again after the page layout moved it
+ * @param {string} text - Paragraph text
+ * @returns {string} 32-bit FNV-1a hash in hex
+ */
+function getTextFingerprint(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Find the sentence being spoken at a time
+ * Sentences end at ., ! or ? followed by whitespace, as the text parser splits them
+ * @param {Object|null} alignment - Alignment of the paragraph text
+ * @param {number} currentTime - Audio time in seconds
+ * @returns {number} Sentence index within the paragraph
+ */
+function getSentenceIndexAtTime(alignment, currentTime) {
+  if (!alignment || !alignment.characters) {
+    return 0;
+  }
+  const starts = alignment.character_start_times_seconds;
+  let spoken = 0;
+  while (spoken < starts.length && starts[spoken] <= currentTime) {
+    spoken++;
+  }
+  const text = alignment.characters.slice(0, spoken).join('');
+  return (text.match(/[.!?]+\s+(?=\S)/g) || []).length;
+}
+
+/**
+ * Save the position for a page, forgetting the oldest pages beyond the limit
+ * @param {Object<string, ReadingPosition>|undefined} positions - Saved positions (not modified)
+ * @param {string} url - Canonical URL of the page
+ * @param {ReadingPosition|null} position - Position to save, or null to forget the page
+ * @param {number} [maxPositions=MAX_READING_POSITIONS] - Number of pages to keep
+ * @returns {Object<string, ReadingPosition>} New saved positions
+ */
+function recordReadingPosition(positions, url, position, maxPositions = MAX_READING_POSITIONS) {
+  const updated = { ...(positions || {}) };
+  delete updated[url];
+  if (position) {
+    updated[url] = position;
+  }
+
+  const urls = Object.keys(updated);
+  if (urls.length <= maxPositions) {
+    return updated;
+  }
+  urls
+    .sort((a, b) => (updated[a].savedAt || 0) - (updated[b].savedAt || 0))
+    .slice(0, urls.length - maxPositions)
+    .forEach(oldest => delete updated[oldest]);
+  return updated;
+}
+
+/**
+ * Find the paragraph to resume a saved position at
+ * The paragraph with the saved fingerprint nearest the saved index wins, so
+ * reading picks up at the same text when paragraphs were added or removed
+ * above it. Without a match the saved index is used, from its start.
+ * @param {string[]} fingerprints - Fingerprint of each paragraph on the page
+ * @param {ReadingPosition|null} position - Saved position
+ * @returns {{paragraphIndex: number, currentTime: number}|null} Null when there is nothing to resume
+ */
+function findResumeParagraph(fingerprints, position) {
+  if (!position || typeof position.paragraphIndex !== 'number' || fingerprints.length === 0) {
+    return null;
+  }
+  const saved = position.paragraphIndex;
+  const currentTime = position.currentTime > 0 ? position.currentTime : 0;
+
+  if (position.fingerprint) {
+    let nearest = -1;
+    fingerprints.forEach((fingerprint, index) => {
+      if (fingerprint === position.fingerprint &&
+          (nearest < 0 || Math.abs(index - saved) < Math.abs(nearest - saved))) {
+        nearest = index;
+      }
+    });
+    if (nearest >= 0) {
+      return { paragraphIndex: nearest, currentTime };
+    }
+  }
+
+  if (saved < 0 || saved >= fingerprints.length) {
+    return null;
+  }
+  // The paragraph changed, so the audio offset no longer lines up with it
+  return { paragraphIndex: saved, currentTime: position.fingerprint ? 0 : currentTime };
+}
+
+// Export for use in other modules
+export {
+  MAX_READING_POSITIONS,
+  getCanonicalUrl,
+  getTextFingerprint,
+  getSentenceIndexAtTime,
+  recordReadingPosition,
+  findResumeParagraph
+};
@@ -0,0 +1,117 @@
+// ElevenPage Reader - Reading Progress
+// Estimates how long the rest of a page takes to read, from the speaking rate
+// observed for each voice
+
+/**
+ * Characters per second assumed for a voice that hasn't been heard yet
+ */
+const DEFAULT_CHARACTERS_PER_SECOND = 15;
+
+/**
+ * Seconds of audio a voice's rate is averaged over; older audio counts for less
+ */
+const MAX_RATE_SAMPLE_SECONDS = 600;
+
+/**
+ * Speaking rate observed for a voice
+ * @typedef {Object} SpeechRate
+ * @property {number} characters - Characters spoken
+ * @property {number} seconds - Seconds of audio they took, at normal speed
+ */
+
+/**
+ * Get saved speaking rates, dropping invalid entries
+ * @param {*} saved - Stored rates
+ * @returns {Object<string, SpeechRate>}
+ */
+function resolveSpeechRates(saved) {
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+    return {};
+  }
+  const rates = {};
+  for (const [voiceId, rate] of Object.entries(saved)) {
+    if (rate && rate.characters > 0 && rate.seconds > 0) {
+      rates[voiceId] = { characters: rate.characters, seconds: rate.seconds };
+    }
+  }
+  return rates;
+}
+
+/**
+ * Add a paragraph's audio to a voice's speaking rate
+ * @param {*} saved - Stored rates (not modified)
+ * @param {string} voiceId - Voice that spoke the paragraph
+ * @param {number} characters - Characters spoken
+ * @param {number} seconds - Seconds of audio, at normal speed
+ * @returns {Object<string, SpeechRate>} New rates
+ */
+function recordSpeechRate(saved, voiceId, characters, seconds) {
+  const rates = resolveSpeechRates(saved);
+  if (!voiceId || !(characters > 0) || !(seconds > 0)) {
+    return rates;
+  }
+
+  const previous = rates[voiceId] || { characters: 0, seconds: 0 };
+  let total = { characters: previous.characters + characters, seconds: previous.seconds + seconds };
+  if (total.seconds > MAX_RATE_SAMPLE_SECONDS) {
+    const scale = MAX_RATE_SAMPLE_SECONDS / total.seconds;
+    total = { characters: total.characters * scale, seconds: MAX_RATE_SAMPLE_SECONDS };
+  }
+  return { ...rates, [voiceId]: total };
+}
+
+/**
+ * Get the speaking rate of a voice
+ * @param {*} saved - Stored rates
+ * @param {string} voiceId - Voice ID
+ * @returns {number} Characters per second at normal speed
+ */
+function getCharactersPerSecond(saved, voiceId) {
+  const rate = resolveSpeechRates(saved)[voiceId];
+  return rate ? rate.characters / rate.seconds : DEFAULT_CHARACTERS_PER_SECOND;
+}
+
+/**
+ * Estimate the time left to read a page
+ * @param {number[]} paragraphLengths - Characters in each paragraph of the page
+ * @param {number} paragraphIndex - Paragraph being read
+ * @param {number} paragraphFraction - Fraction of that paragraph already read, from 0 to 1
+ * @param {number} charactersPerSecond - Speaking rate at normal speed
+ * @param {number} [speed=1] - Playback speed
+ * @returns {number} Seconds left
+ */
+function estimateRemainingSeconds(paragraphLengths, paragraphIndex, paragraphFraction, charactersPerSecond, speed = 1) {
+  if (!(charactersPerSecond > 0) || !(speed > 0) || paragraphIndex >= paragraphLengths.length) {
+    return 0;
+  }
+  const fraction = Math.max(0, Math.min(1, paragraphFraction || 0));
+  let characters = (paragraphLengths[paragraphIndex] || 0) * (1 - fraction);
+  for (let i = Math.max(0, paragraphIndex + 1); i < paragraphLengths.length; i++) {
+    characters += paragraphLengths[i];
+  }
+  return characters / (charactersPerSecond * speed);
+}
+
+/**
+ * Format a duration as m:ss, or h:mm:ss from an hour
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Export for use in other modules
+export {
+  DEFAULT_CHARACTERS_PER_SECOND,
+  MAX_RATE_SAMPLE_SECONDS,
+  resolveSpeechRates,
+  recordSpeechRate,
+  getCharactersPerSecond,
+  estimateRemainingSeconds,
+  formatDuration
+};
@@ -0,0 +1,123 @@
+// ElevenPage Reader - Reading Queue
+// Articles queued to be read back-to-back, across tabs
+
+import { getCanonicalUrl } from './reading-positions.js';
+
+/**
+ * Most articles the queue holds
+ */
+const MAX_QUEUE_LENGTH = 100;
+
+/**
+ * Queued article
+ * @typedef {Object} QueueItem
+ * @property {string} id - Unique ID
+ * @property {string} url - Page URL
+ * @property {string} title - Page title, or the URL when the title is unknown
+ * @property {number} addedAt - Time the article was queued, in milliseconds since the epoch
+ */
+
+/**
+ * Get a queue from storage, dropping invalid items
+ * @param {*} saved - Stored queue
+ * @returns {QueueItem[]}
+ */
+function resolveQueue(saved) {
+  if (!Array.isArray(saved)) {
+    return [];
+  }
+  return saved.filter(item => item && typeof item.id === 'string' && getCanonicalUrl(item.url))
+    .map(({ id, url, title, addedAt }) => ({
+      id,
+      url,
+      title: typeof title === 'string' && title.trim() ? title.trim() : url,
+      addedAt: typeof addedAt === 'number' ? addedAt : 0
+    }));
+}
+
+/**
+ * Create a queue item for a page
+ * @param {string} url - Page URL
+ * @param {string} [title] - Page title
+ * @returns {QueueItem|null} Null for non-web URLs, which can't be read
+ */
+function createQueueItem(url, title) {
+  if (!getCanonicalUrl(url)) {
+    return null;
+  }
+  return {
+    id: `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    url,
+    title: typeof title === 'string' && title.trim() ? title.trim() : url,
+    addedAt: Date.now()
+  };
+}
+
+/**
+ * Add an item to the end of the queue
+ * A page already in the queue keeps its place
+ * @param {QueueItem[]} queue - Queue (not modified)
+ * @param {QueueItem} item - Item to add
+ * @returns {QueueItem[]} New queue
+ */
+function addToQueue(queue, item) {
+  const url = getCanonicalUrl(item.url);
+  if (queue.some(queued => getCanonicalUrl(queued.url) === url) || queue.length >= MAX_QUEUE_LENGTH) {
+    return queue;
+  }
+  return [...queue, item];
+}
+
+/**
+ * Remove an item from the queue
+ * @param {QueueItem[]} queue - Queue (not modified)
+ * @param {string} id - ID of the item to remove
+ * @returns {QueueItem[]} New queue
+ */
+function removeFromQueue(queue, id) {
+  return queue.filter(item => item.id !== id);
+}
+
+/**
+ * Move an item to a new place in the queue
+ * @param {QueueItem[]} queue - Queue (not modified)
+ * @param {string} id - ID of the item to move
+ * @param {number} index - New index, clamped to the queue
+ * @returns {QueueItem[]} New queue
+ */
+function moveInQueue(queue, id, index) {
+  const from = queue.findIndex(item => item.id === id);
+  if (from < 0 || typeof index !== 'number' || Number.isNaN(index)) {
+    return queue;
+  }
+  const moved = queue.filter(item => item.id !== id);
+  const to = Math.max(0, Math.min(moved.length, Math.trunc(index)));
+  moved.splice(to, 0, queue[from]);
+  return moved;
+}
+
+/**
+ * Get the host permissions needed to fetch pages, for reading them in the background
+ * @param {string[]} urls - Page URLs
+ * @returns {string[]} Origin patterns (e.g. "https://example.com/*"), one per site, leaving out non-web URLs
+ */
+function getSitePermissions(urls) {
+  const origins = urls
+    .map(getCanonicalUrl)
+    .filter(Boolean)
+    .map(url => new URL(url))
+    // Match patterns leave out the port
+    .map(({ protocol, hostname }) => `${protocol}//${hostname}/*`);
+  return [...new Set(origins)];
+}
+
+// Export for use in other modules
+export {
+  MAX_QUEUE_LENGTH,
+  resolveQueue,
+  createQueueItem,
+  addToQueue,
+  removeFromQueue,
+  moveInQueue,
+  getSitePermissions
+};
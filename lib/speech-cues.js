@@ -0,0 +1,122 @@
+// ElevenPage Reader - Speech Cues
+// Short spoken announcements before headings, list items, table rows, code and quotes
+
+/**
+ * Block types (mirrors BlockType in src/content/text-parser.js)
+ */
+const BlockType = {
+  PARAGRAPH: 'paragraph',
+  HEADING: 'heading',
+  LIST_ITEM: 'listItem',
+  TABLE_ROW: 'tableRow',
+  CODE: 'code',
+  QUOTE: 'quote'
+};
+
+/**
+ * Cues are off until turned on in the popup
+ */
+const DEFAULT_SPEECH_CUES = {
+  [BlockType.HEADING]: false,
+  [BlockType.LIST_ITEM]: false,
+  [BlockType.TABLE_ROW]: false,
+  [BlockType.CODE]: false,
+  [BlockType.QUOTE]: false
+};
+
+/**
+ * Merge saved cue settings over the defaults
+ * @param {Object<string, boolean>|undefined} saved - Settings from storage
+ * @returns {Object<string, boolean>}
+ */
+function resolveSpeechCues(saved) {
+  const cues = { ...DEFAULT_SPEECH_CUES };
+  if (saved && typeof saved === 'object') {
+    Object.keys(DEFAULT_SPEECH_CUES).forEach(type => {
+      if (typeof saved[type] === 'boolean') {
+        cues[type] = saved[type];
+      }
+    });
+  }
+  return cues;
+}
+
+/**
+ * Get the cue spoken before a block
+ * @param {Object|null|undefined} block - Block description from the content script
+ * @param {Object<string, boolean>} enabled - Enabled cue types
+ * @returns {string} Cue text, or an empty string for no cue
+ */
+function getSpeechCue(block, enabled) {
+  if (!block || !enabled[block.type]) {
+    return '';
+  }
+
+  switch (block.type) {
+    case BlockType.HEADING:
+      return block.level ? `Heading level ${block.level}.` : 'Heading.';
+    case BlockType.LIST_ITEM:
+      return block.ordinal && block.total ? `Item ${block.ordinal} of ${block.total}.` : 'Item.';
+    case BlockType.TABLE_ROW: {
+      if (block.header) {
+        return 'Table header.';
+      }
+      const position = block.ordinal && block.total ? `Row ${block.ordinal} of ${block.total}.` : 'Row.';
+      return block.headers && block.headers.length > 0
+        ? `${position} Columns: ${block.headers.join(', ')}.`
+        : position;
+    }
+    case BlockType.CODE:
+      return 'Code block.';
+    case BlockType.QUOTE:
+      return 'Quote.';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Add the cue for a block in front of its text
+ * @param {string} text - Paragraph text
+ * @param {Object|null|undefined} block - Block description from the content script
+ * @param {Object<string, boolean>} enabled - Enabled cue types
+ * @returns {{text: string, cueLength: number}} Text to synthesize and how many leading characters are the cue
+ */
+function applySpeechCue(text, block, enabled) {
+  const cue = getSpeechCue(block, enabled);
+  if (!cue) {
+    return { text, cueLength: 0 };
+  }
+  return { text: `${cue} ${text}`, cueLength: cue.length + 1 };
+}
+
+/**
+ * Drop the cue's characters from alignment data, so character positions
+ * match the paragraph text highlighted in the page
+ * Times are kept, so highlighting starts once the cue has been spoken
+ * @param {Object|null} alignment - Alignment of the synthesized text
+ * @param {number} cueLength - Characters of cue at the start of the text
+ * @returns {Object|null}
+ */
+function stripCueFromAlignment(alignment, cueLength) {
+  if (!alignment || !cueLength) {
+    return alignment;
+  }
+
+  return {
+    ...alignment,
+    characters: (alignment.characters || []).slice(cueLength),
+    character_start_times_seconds: (alignment.character_start_times_seconds || []).slice(cueLength),
+    character_end_times_seconds: (alignment.character_end_times_seconds || []).slice(cueLength)
+  };
+}
+
+// Export for use in other modules
+export {
+  BlockType,
+  DEFAULT_SPEECH_CUES,
+  resolveSpeechCues,
+  getSpeechCue,
+  applySpeechCue,
+  stripCueFromAlignment
+};
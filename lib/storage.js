@@ -7,11 +7,32 @@
 const STORAGE_KEYS = {
   API_KEY: 'apiKey',
   SELECTED_VOICE_ID: 'selectedVoiceId',
+  SELECTED_MODEL_ID: 'selectedModelId',
+  VOICE_SETTINGS: 'voiceSettings',
   PLAYBACK_SPEED: 'playbackSpeed',
   CACHED_VOICES: 'cachedVoices',
   VOICES_CACHED_AT: 'voicesCachedAt',
   AUTO_CONTINUE: 'autoContinue',
-  AUTO_START: 'autoStart'
+  AUTO_START: 'autoStart',
+  STREAMING_ENABLED: 'streamingEnabled',
+  USAGE_STATS: 'usageStats',
+  SPENDING_GUARD_ENABLED: 'spendingGuardEnabled',
+  SPENDING_GUARD_THRESHOLD: 'spendingGuardThreshold',
+  EXPORT_PARAGRAPHS_PER_CHAPTER: 'exportParagraphsPerChapter',
+  SUBTITLE_WORD_TIMINGS: 'subtitleWordTimings',
+  KEYBOARD_SHORTCUTS: 'keyboardShortcuts',
+  CONTENT_STRATEGY: 'contentStrategy',
+  SPEECH_CUES: 'speechCues',
+  SITE_RULES: 'siteRules',
+  PRONUNCIATION_LEXICON: 'pronunciationLexicon',
+  PRONUNCIATION_DICTIONARY: 'pronunciationDictionary',
+  READING_POSITIONS: 'readingPositions',
+  READING_QUEUE: 'readingQueue',
+  READ_QUEUE_IN_BACKGROUND: 'readQueueInBackground',
+  SPEECH_RATES: 'speechRates',
+  BATCHING_ENABLED: 'batchingEnabled',
+  BATCH_CHARACTERS: 'batchCharacters',
+  PRELOAD_PARAGRAPHS: 'preloadParagraphs'
 };
 
 /**
@@ -20,7 +41,16 @@ const STORAGE_KEYS = {
 const DEFAULTS = {
   [STORAGE_KEYS.PLAYBACK_SPEED]: 1.0,
   [STORAGE_KEYS.AUTO_CONTINUE]: true,
-  [STORAGE_KEYS.AUTO_START]: true
+  [STORAGE_KEYS.AUTO_START]: true,
+  [STORAGE_KEYS.STREAMING_ENABLED]: true,
+  [STORAGE_KEYS.SPENDING_GUARD_ENABLED]: true,
+  [STORAGE_KEYS.SPENDING_GUARD_THRESHOLD]: 10000,
+  [STORAGE_KEYS.BATCHING_ENABLED]: true,
+  [STORAGE_KEYS.BATCH_CHARACTERS]: 1000,
+  [STORAGE_KEYS.PRELOAD_PARAGRAPHS]: 2,
+  [STORAGE_KEYS.EXPORT_PARAGRAPHS_PER_CHAPTER]: 10,
+  [STORAGE_KEYS.SUBTITLE_WORD_TIMINGS]: false,
+  [STORAGE_KEYS.CONTENT_STRATEGY]: 'readability'
 };
 
 /**
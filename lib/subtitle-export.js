@@ -0,0 +1,143 @@
+// ElevenPage Reader - Subtitle Export
+// Converts per-paragraph alignment data into SRT and WebVTT subtitles
+
+/**
+ * Build sentence cues on one timeline from the alignment of each paragraph
+ * Sentence boundaries come from the content script's sentence splitting, so
+ * cues match the sentences highlighted while reading
+ * @param {Array<Object>} paragraphs - Paragraphs in reading order
+ * @param {string[]} paragraphs[].sentences - Sentence texts; the paragraph text is these joined by spaces
+ * @param {Object|null} paragraphs[].alignment - Character alignment returned with the paragraph audio
+ * @param {number} paragraphs[].start - Time the paragraph starts on the export timeline, in seconds
+ * @param {number} paragraphs[].end - Time the paragraph ends on the export timeline, in seconds
+ * @returns {Array<{start: number, end: number, text: string, words: Array<{start: number, text: string}>}>}
+ */
+function buildSubtitleCues(paragraphs) {
+  const cues = [];
+
+  for (const paragraph of paragraphs) {
+    const totalLength = paragraph.sentences.join(' ').length;
+    const getTime = createCharacterClock(paragraph, totalLength);
+    let position = 0;
+
+    for (const sentence of paragraph.sentences) {
+      if (!sentence.trim()) {
+        position += sentence.length + 1;
+        continue;
+      }
+
+      const words = [];
+      const wordPattern = /\S+/g;
+      let match;
+      while ((match = wordPattern.exec(sentence)) !== null) {
+        words.push({ start: getTime(position + match.index, 'start'), text: match[0] });
+      }
+
+      const start = getTime(position, 'start');
+      const end = Math.max(getTime(position + sentence.length - 1, 'end'), start);
+      cues.push({ start, end, text: sentence.trim(), words });
+
+      // Sentences are joined with a single space
+      position += sentence.length + 1;
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Create a lookup from paragraph character index to timeline time
+ * Without usable alignment, time is spread evenly over the paragraph's characters
+ * @param {Object} paragraph - Paragraph passed to buildSubtitleCues
+ * @param {number} totalLength - Length of the paragraph text
+ * @returns {function(number, string): number} Maps (character index, 'start'|'end') to seconds
+ */
+function createCharacterClock(paragraph, totalLength) {
+  const { alignment, start, end } = paragraph;
+  const starts = alignment?.character_start_times_seconds || [];
+  const ends = alignment?.character_end_times_seconds || [];
+
+  if (starts.length === 0 || ends.length === 0) {
+    const perCharacter = totalLength > 0 ? (end - start) / totalLength : 0;
+    return (index, edge) => start + (index + (edge === 'end' ? 1 : 0)) * perCharacter;
+  }
+
+  return (index, edge) => {
+    const times = edge === 'end' ? ends : starts;
+    const clamped = Math.min(Math.max(index, 0), times.length - 1);
+    return Math.min(start + times[clamped], end);
+  };
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before milliseconds (',' for SRT, '.' for WebVTT)
+ * @returns {string} HH:MM:SS,mmm or HH:MM:SS.mmm
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Format cues as SRT
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues from buildSubtitleCues
+ * @returns {string}
+ */
+function formatSrt(cues) {
+  return cues.map((cue, index) => [
+    String(index + 1),
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    cue.text
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for a WebVTT cue payload
+ * @param {string} text - Cue text
+ * @returns {string}
+ */
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format cues as WebVTT
+ * @param {Array<{start: number, end: number, text: string, words: Array<{start: number, text: string}>}>} cues - Cues from buildSubtitleCues
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.wordTimings=false] - Add karaoke timestamp tags before each word
+ * @returns {string}
+ */
+function formatWebVtt(cues, { wordTimings = false } = {}) {
+  const blocks = cues.map(cue => {
+    const text = wordTimings && cue.words.length > 0
+      ? cue.words.map((word, index) => {
+        const escaped = escapeVttText(word.text);
+        // Timestamp tags must fall inside the cue, so the first word needs none
+        return index === 0 || word.start <= cue.start ? escaped : `<${formatTimestamp(word.start, '.')}>${escaped}`;
+      }).join(' ')
+      : escapeVttText(cue.text);
+
+    return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${text}`;
+  });
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+// Export for use in other modules
+export {
+  buildSubtitleCues,
+  formatTimestamp,
+  formatSrt,
+  formatWebVtt
+};
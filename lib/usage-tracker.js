@@ -0,0 +1,124 @@
+// ElevenPage Reader - Usage Tracker
+// Tallies characters sent to ElevenLabs per day and per domain
+
+/**
+ * Number of days of usage history to keep
+ */
+const USAGE_HISTORY_DAYS = 30;
+
+/**
+ * Domain recorded when the characters were not read from a web page
+ */
+const UNKNOWN_DOMAIN = 'other';
+
+/**
+ * Create an empty usage record
+ * @returns {{days: Object<string, {total: number, domains: Object<string, number>}>}}
+ */
+function createEmptyUsage() {
+  return { days: {} };
+}
+
+/**
+ * Get the local calendar day of a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function getDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the domain usage is attributed to for a page URL
+ * @param {string} url - Page URL
+ * @returns {string} Hostname, or UNKNOWN_DOMAIN for missing or non-web URLs
+ */
+function getUsageDomain(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'http:' || protocol === 'https:') && hostname ? hostname : UNKNOWN_DOMAIN;
+  } catch (e) {
+    return UNKNOWN_DOMAIN;
+  }
+}
+
+/**
+ * Add characters to a usage record
+ * @param {Object} usage - Usage record (not modified)
+ * @param {Object} entry - Usage to add
+ * @param {number} entry.characters - Number of characters sent
+ * @param {string} entry.domain - Domain the text came from
+ * @param {string} entry.date - Day key from getDateKey
+ * @returns {Object} New usage record
+ */
+function recordUsage(usage, { characters, domain, date }) {
+  const days = { ...(usage?.days || {}) };
+  const day = days[date] || { total: 0, domains: {} };
+
+  days[date] = {
+    total: day.total + characters,
+    domains: {
+      ...day.domains,
+      [domain]: (day.domains[domain] || 0) + characters
+    }
+  };
+
+  return { days };
+}
+
+/**
+ * Drop days older than the history window
+ * @param {Object} usage - Usage record (not modified)
+ * @param {string} today - Day key from getDateKey
+ * @param {number} [keepDays=USAGE_HISTORY_DAYS] - Number of days to keep, including today
+ * @returns {Object} New usage record
+ */
+function pruneUsage(usage, today, keepDays = USAGE_HISTORY_DAYS) {
+  const cutoff = new Date(`${today}T00:00:00`);
+  cutoff.setDate(cutoff.getDate() - (keepDays - 1));
+  const cutoffKey = getDateKey(cutoff);
+
+  const days = {};
+  Object.entries(usage?.days || {}).forEach(([date, day]) => {
+    // Day keys sort chronologically as strings
+    if (date >= cutoffKey) {
+      days[date] = day;
+    }
+  });
+
+  return { days };
+}
+
+/**
+ * Summarize usage for display
+ * @param {Object} usage - Usage record
+ * @param {string} today - Day key from getDateKey
+ * @returns {{today: number, last30Days: number, todayByDomain: Array<{domain: string, characters: number}>}}
+ */
+function summarizeUsage(usage, today) {
+  const days = usage?.days || {};
+  const todayUsage = days[today] || { total: 0, domains: {} };
+
+  return {
+    today: todayUsage.total,
+    last30Days: Object.values(days).reduce((sum, day) => sum + day.total, 0),
+    todayByDomain: Object.entries(todayUsage.domains)
+      .map(([domain, characters]) => ({ domain, characters }))
+      .sort((a, b) => b.characters - a.characters)
+  };
+}
+
+// Export for use in other modules
+export {
+  USAGE_HISTORY_DAYS,
+  UNKNOWN_DOMAIN,
+  createEmptyUsage,
+  getDateKey,
+  getUsageDomain,
+  recordUsage,
+  pruneUsage,
+  summarizeUsage
+};
@@ -0,0 +1,73 @@
+// ElevenPage Reader - Article Parser
+// Parses fetched article HTML in the offscreen document, where DOMParser is
+// available, so pages can be read without opening them in a tab
+
+import { setActiveSiteRule, getParagraphTranscript } from '../content/text-parser.js';
+import { getContentStrategy } from '../content/content-extractor.js';
+import { resolveSiteRules, getActiveSiteRule } from '../content/site-rules.js';
+
+/**
+ * Paragraph of an article read in the background
+ * @typedef {Object} ArticleParagraph
+ * @property {string} text - Paragraph text, as the content script reads it
+ * @property {Object} block - Block description, for the spoken cue
+ * @property {Array<{words: Array<{text: string, start: number}>}>} sentences - Words of each sentence, with their offsets in the text
+ */
+
+/**
+ * Article parsed from HTML
+ * @typedef {Object} ParsedArticle
+ * @property {string} title - Article title, empty when the page has none
+ * @property {string|null} language - Language the page declares in <html lang>, or null
+ * @property {ArticleParagraph[]} paragraphs - Paragraphs in reading order
+ */
+
+/**
+ * Parse article HTML into the paragraphs the content script would read
+ * Uses the same content strategy and site rules as a page opened in a tab
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL, for matching site rules
+ * @param {Object} [options] - Parse options
+ * @param {*} [options.siteRules] - Stored site rules
+ * @param {string} [options.contentStrategy] - Content extraction strategy name
+ * @returns {ParsedArticle}
+ */
+function parseArticleHtml(html, url, options = {}) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const title = doc.querySelector('meta[property="og:title"]')?.getAttribute('content') || doc.title || '';
+  const language = doc.documentElement.getAttribute('lang')?.trim() || null;
+
+  setActiveSiteRule(getActiveSiteRule(resolveSiteRules(options.siteRules), url));
+  try {
+    const { paragraphs } = getContentStrategy(options.contentStrategy)(doc);
+    return {
+      title: title.trim(),
+      language,
+      paragraphs: paragraphs
+        .map(getParagraphTranscript)
+        .filter(paragraph => paragraph.text.trim().length > 0)
+    };
+  } finally {
+    setActiveSiteRule(null);
+  }
+}
+
+/**
+ * Handle parse requests from the service worker
+ */
+if (typeof chrome !== 'undefined' && chrome.runtime?.onMessage) {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen' || message.type !== 'parseArticle') return;
+
+    try {
+      sendResponse({ success: true, ...parseArticleHtml(message.html, message.url, message) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  });
+}
+
+// Export for testing
+export {
+  parseArticleHtml
+};
@@ -16,6 +16,26 @@ let currentSpeed = 1.0;
  */
 let timeUpdateInterval = null;
 
+/**
+ * MIME type of streamed audio chunks
+ */
+const STREAM_MIME_TYPE = 'audio/mpeg';
+
+/**
+ * Streaming playback state
+ * Chunks are appended to a MediaSource as they arrive, or collected and
+ * played as a single blob when MediaSource cannot handle MP3
+ */
+let streamState = {
+  mediaSource: null,      // MediaSource backing the audio element
+  sourceBuffer: null,     // SourceBuffer receiving MP3 chunks
+  pendingChunks: [],      // Chunks waiting for the SourceBuffer to be ready
+  ended: false,           // Whether the service worker has sent all chunks
+  playbackStarted: false, // Whether audio.play() has been called
+  fallbackChunks: null,   // Collected chunks when MediaSource is unsupported
+  startTime: 0            // Audio offset to start playback at in seconds
+};
+
 /**
  * Convert base64 string to ArrayBuffer
  * @param {string} base64 - Base64 encoded string
@@ -36,18 +56,18 @@ function base64ToArrayBuffer(base64) {
  * @returns {HTMLAudioElement}
  */
 function createAudioElement(audioData) {
-  // Clean up existing audio - remove listeners first to prevent error events
-  if (audioElement) {
-    audioElement.removeEventListener('ended', handleEnded);
-    audioElement.removeEventListener('error', handleError);
-    audioElement.pause();
-    audioElement.src = '';
-    audioElement = null;
-  }
-  
   // Create blob URL from audio data
   const blob = new Blob([audioData], { type: 'audio/mpeg' });
-  const url = URL.createObjectURL(blob);
+  return createAudioElementFromUrl(URL.createObjectURL(blob));
+}
+
+/**
+ * Create audio element for a source URL, replacing any existing element
+ * @param {string} url - Blob or MediaSource object URL
+ * @returns {HTMLAudioElement}
+ */
+function createAudioElementFromUrl(url) {
+  releaseAudioElement();
   
   // Create audio element
   audioElement = new Audio(url);
@@ -60,6 +80,43 @@ function createAudioElement(audioData) {
   return audioElement;
 }
 
+/**
+ * Release the current audio element
+ * Listeners are removed first to prevent error events during cleanup
+ */
+function releaseAudioElement() {
+  if (audioElement) {
+    audioElement.removeEventListener('ended', handleEnded);
+    audioElement.removeEventListener('error', handleError);
+    audioElement.pause();
+    audioElement.src = '';
+    audioElement = null;
+  }
+}
+
+/**
+ * Reset streaming state
+ */
+function resetStreamState() {
+  streamState = {
+    mediaSource: null,
+    sourceBuffer: null,
+    pendingChunks: [],
+    ended: false,
+    playbackStarted: false,
+    fallbackChunks: null,
+    startTime: 0
+  };
+}
+
+/**
+ * Check if MP3 chunks can be appended to a MediaSource
+ * @returns {boolean}
+ */
+function canStreamMpeg() {
+  return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(STREAM_MIME_TYPE);
+}
+
 /**
  * Start time update reporting
  */
@@ -122,13 +179,26 @@ function sendToServiceWorker(message) {
  * Handle play command
  * @param {string} audioBase64 - Base64 encoded audio data
  * @param {number} speed - Playback speed
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
  */
-async function handlePlay(audioBase64, speed) {
+async function handlePlay(audioBase64, speed, startTime = 0) {
   currentSpeed = speed;
+  resetStreamState();
   
   // Convert base64 back to ArrayBuffer
-  const audioData = base64ToArrayBuffer(audioBase64);
+  await playAudioData(base64ToArrayBuffer(audioBase64), startTime);
+}
+
+/**
+ * Play a complete audio buffer
+ * @param {ArrayBuffer} audioData - Audio data
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
+ */
+async function playAudioData(audioData, startTime = 0) {
   const audio = createAudioElement(audioData);
+  if (startTime > 0) {
+    audio.currentTime = startTime;
+  }
   
   try {
     await audio.play();
@@ -141,6 +211,122 @@ async function handlePlay(audioBase64, speed) {
   }
 }
 
+/**
+ * Handle streamStart command
+ * Prepares a MediaSource-backed audio element for incoming chunks
+ * @param {number} speed - Playback speed
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
+ */
+function handleStreamStart(speed, startTime = 0) {
+  currentSpeed = speed;
+  stopTimeUpdates();
+  resetStreamState();
+  streamState.startTime = startTime;
+  
+  if (!canStreamMpeg()) {
+    // Collect chunks and play them as one blob once the stream ends
+    releaseAudioElement();
+    streamState.fallbackChunks = [];
+    return;
+  }
+  
+  const mediaSource = new MediaSource();
+  streamState.mediaSource = mediaSource;
+  createAudioElementFromUrl(URL.createObjectURL(mediaSource));
+  
+  mediaSource.addEventListener('sourceopen', () => {
+    // Ignore if a newer stream or a stop replaced this one
+    if (streamState.mediaSource !== mediaSource) return;
+    
+    streamState.sourceBuffer = mediaSource.addSourceBuffer(STREAM_MIME_TYPE);
+    streamState.sourceBuffer.addEventListener('updateend', flushStreamChunks);
+    flushStreamChunks();
+  }, { once: true });
+}
+
+/**
+ * Handle streamChunk command
+ * @param {string} audioBase64 - Base64 encoded MP3 chunk
+ */
+function handleStreamChunk(audioBase64) {
+  const chunk = base64ToArrayBuffer(audioBase64);
+  
+  if (streamState.fallbackChunks) {
+    streamState.fallbackChunks.push(chunk);
+    return;
+  }
+  
+  if (!streamState.mediaSource) return;
+  
+  streamState.pendingChunks.push(chunk);
+  flushStreamChunks();
+}
+
+/**
+ * Handle streamEnd command
+ * Closes the MediaSource once all queued chunks are appended
+ */
+async function handleStreamEnd() {
+  if (streamState.fallbackChunks) {
+    const chunks = streamState.fallbackChunks;
+    streamState.fallbackChunks = null;
+    await playAudioData(await new Blob(chunks).arrayBuffer(), streamState.startTime);
+    return;
+  }
+  
+  streamState.ended = true;
+  flushStreamChunks();
+}
+
+/**
+ * Append the next queued chunk to the SourceBuffer, or end the stream
+ * when everything has been appended
+ */
+function flushStreamChunks() {
+  const { mediaSource, sourceBuffer } = streamState;
+  if (!mediaSource || !sourceBuffer || sourceBuffer.updating) return;
+  
+  if (streamState.pendingChunks.length > 0) {
+    try {
+      sourceBuffer.appendBuffer(streamState.pendingChunks.shift());
+      startStreamPlayback();
+    } catch (error) {
+      sendToServiceWorker({
+        type: 'error',
+        error: error.message
+      });
+    }
+    return;
+  }
+  
+  if (streamState.ended && mediaSource.readyState === 'open') {
+    mediaSource.endOfStream();
+  }
+}
+
+/**
+ * Start playing the streamed audio after the first chunk is appended
+ */
+async function startStreamPlayback() {
+  if (streamState.playbackStarted || !audioElement) return;
+  streamState.playbackStarted = true;
+  
+  // Playback waits at the offset until the stream has reached it
+  if (streamState.startTime > 0) {
+    audioElement.currentTime = streamState.startTime;
+  }
+  
+  try {
+    await audioElement.play();
+    startTimeUpdates();
+  } catch (error) {
+    sendToServiceWorker({
+      type: 'error',
+      error: error.message
+    });
+  }
+}
+
 /**
  * Handle pause command
  */
@@ -173,16 +359,8 @@ async function handleResume() {
  */
 function handleStop() {
   stopTimeUpdates();
-  
-  if (audioElement) {
-    // Remove listeners first to prevent error events during cleanup
-    audioElement.removeEventListener('ended', handleEnded);
-    audioElement.removeEventListener('error', handleError);
-    audioElement.pause();
-    audioElement.currentTime = 0;
-    audioElement.src = '';
-    audioElement = null;
-  }
+  resetStreamState();
+  releaseAudioElement();
 }
 
 /**
@@ -201,6 +379,35 @@ function handleSetSpeed(speed) {
   }
 }
 
+/**
+ * Handle seek command
+ * Streamed audio that hasn't started playing yet starts at the offset instead
+ * @param {number} time - Audio offset in seconds
+ */
+function handleSeek(time) {
+  const offset = Math.max(0, time || 0);
+  
+  if (streamState.fallbackChunks || (streamState.mediaSource && !streamState.playbackStarted)) {
+    streamState.startTime = offset;
+    return;
+  }
+  
+  if (audioElement) {
+    audioElement.currentTime = offset;
+  }
+}
+
+/**
+ * Hold an exported file as a blob for the service worker to download
+ * @param {string} dataBase64 - Base64 encoded file
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string} Blob URL of the file
+ */
+function createDownloadUrl(dataBase64, mimeType) {
+  const blob = new Blob([base64ToArrayBuffer(dataBase64)], { type: mimeType });
+  return URL.createObjectURL(blob);
+}
+
 /**
  * Message listener for commands from service worker
  */
@@ -210,7 +417,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   switch (message.type) {
     case 'play':
-      handlePlay(message.audioBase64, message.speed);
+      handlePlay(message.audioBase64, message.speed, message.startTime);
+      break;
+      
+    case 'streamStart':
+      handleStreamStart(message.speed, message.startTime);
+      break;
+      
+    case 'streamChunk':
+      handleStreamChunk(message.audioBase64);
+      break;
+      
+    case 'streamEnd':
+      handleStreamEnd();
       break;
       
     case 'pause':
@@ -228,6 +447,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'setSpeed':
       handleSetSpeed(message.speed);
       break;
+      
+    case 'seek':
+      handleSeek(message.time);
+      break;
+      
+    case 'createDownloadUrl':
+      sendResponse({ url: createDownloadUrl(message.dataBase64, message.mimeType) });
+      break;
+      
+    case 'revokeDownloadUrl':
+      URL.revokeObjectURL(message.url);
+      break;
   }
 });
 
@@ -1,6 +1,114 @@
 // ElevenPage Reader - Service Worker
 // Handles ElevenLabs API communication, audio management, and global state
 
+import {
+  API_ERROR_TYPES,
+  isAbortError,
+  buildVoiceSettings,
+  createEmptyAlignment,
+  mergeAlignmentChunk,
+  getVoices,
+  getVoiceSettings,
+  getModels,
+  getSubscription,
+  filterModelsForLanguage,
+  getDefaultModelId,
+  createPronunciationDictionary,
+  textToSpeech,
+  textToSpeechStream
+} from '../../lib/elevenlabs-api.js';
+
+import {
+  createCacheKey,
+  getCachedAudio,
+  putCachedAudio,
+  clearAudioCache,
+  getAudioCacheStats
+} from '../../lib/audio-cache.js';
+
+import {
+  createEmptyUsage,
+  getDateKey,
+  getUsageDomain,
+  recordUsage,
+  pruneUsage,
+  summarizeUsage
+} from '../../lib/usage-tracker.js';
+
+import {
+  DEFAULT_PARAGRAPHS_PER_CHAPTER,
+  getMp3Duration,
+  planChapters,
+  createAudiobook,
+  getExportFileName
+} from '../../lib/audio-export.js';
+
+import {
+  buildSubtitleCues,
+  formatSrt,
+  formatWebVtt
+} from '../../lib/subtitle-export.js';
+
+import {
+  resolveSpeechCues,
+  applySpeechCue,
+  stripCueFromAlignment
+} from '../../lib/speech-cues.js';
+
+import {
+  resolveLexicon,
+  getLexiconEntries,
+  buildTextTransforms,
+  normalizeForSpeech,
+  mapAlignmentToText,
+  getDictionaryEntries,
+  toDictionaryRules
+} from '../../lib/pronunciation.js';
+
+import {
+  getCanonicalUrl,
+  getTextFingerprint,
+  getSentenceIndexAtTime,
+  recordReadingPosition
+} from '../../lib/reading-positions.js';
+
+import {
+  resolveQueue,
+  createQueueItem,
+  addToQueue,
+  removeFromQueue,
+  moveInQueue,
+  getSitePermissions
+} from '../../lib/reading-queue.js';
+
+import {
+  getCharacterStartTime,
+  getAlignmentDuration,
+  getSentenceStartTimes
+} from '../../lib/playback-position.js';
+
+import {
+  DEFAULT_CHARACTERS_PER_SECOND,
+  recordSpeechRate,
+  getCharactersPerSecond
+} from '../../lib/reading-progress.js';
+
+import {
+  resolveChunkCharacters,
+  planChunk,
+  getPreviousContext,
+  getNextContext
+} from '../../lib/chunk-planner.js';
+
+import {
+  MAX_CONCURRENT_PRELOADS,
+  resolvePreloadParagraphs,
+  comparePositions,
+  getChunkEnd,
+  getBufferedParagraphs,
+  getPreloadBackoffMs
+} from '../../lib/preload-pipeline.js';
+
 /**
  * Message types for communication between components
  */
@@ -13,16 +121,42 @@ const MessageType = {
   JUMP_TO_PARAGRAPH: 'jumpToParagraph',
   SKIP_NEXT: 'skipNext',
   SKIP_PREVIOUS: 'skipPrevious',
+  SKIP_SENTENCE_NEXT: 'skipSentenceNext',
+  SKIP_SENTENCE_PREVIOUS: 'skipSentencePrevious',
+  SEEK_BY: 'seekBy',
+  PLAY_SELECTION: 'playSelection',
+  RUN_COMMAND: 'runCommand',
+  SEEK: 'seek',
   
   // State queries
   GET_STATE: 'getState',
   GET_VOICES: 'getVoices',
+  GET_MODELS: 'getModels',
   
   // Settings
   SET_API_KEY: 'setApiKey',
   SET_VOICE: 'setVoice',
+  SET_MODEL: 'setModel',
+  GET_VOICE_SETTINGS: 'getVoiceSettings',
+  SET_VOICE_SETTINGS: 'setVoiceSettings',
+  PREVIEW_VOICE: 'previewVoice',
   SET_AUTO_CONTINUE: 'setAutoContinue',
   
+  // Audio cache
+  CLEAR_AUDIO_CACHE: 'clearAudioCache',
+  GET_AUDIO_CACHE_STATS: 'getAudioCacheStats',
+  
+  // Usage and spending guard
+  GET_USAGE: 'getUsage',
+  CONFIRM_SPENDING: 'confirmSpending',
+  GET_REMAINING_TEXT_LENGTH: 'getRemainingTextLength',
+  
+  // Export
+  START_EXPORT: 'startExport',
+  CANCEL_EXPORT: 'cancelExport',
+  GET_EXPORT_CONTENT: 'getExportContent',
+  EXPORT_PROGRESS: 'exportProgress',
+  
   // Auto-continue
   GET_NEXT_PARAGRAPH: 'getNextParagraph',
   SET_TOTAL_PARAGRAPHS: 'setTotalParagraphs',
@@ -30,10 +164,26 @@ const MessageType = {
   // UI control
   SHOW_PLAYER: 'showPlayer',
   INITIALIZE: 'initialize',
+  READ_SELECTION: 'readSelection',
+  PICK_ELEMENT: 'pickElement',
+  UPLOAD_PRONUNCIATION_DICTIONARY: 'uploadPronunciationDictionary',
+  CLEAR_PRONUNCIATION_DICTIONARY: 'clearPronunciationDictionary',
+  GET_READING_POSITION: 'getReadingPosition',
+  GET_QUEUE: 'getQueue',
+  ADD_TO_QUEUE: 'addToQueue',
+  REMOVE_FROM_QUEUE: 'removeFromQueue',
+  MOVE_IN_QUEUE: 'moveInQueue',
+  CLEAR_QUEUE: 'clearQueue',
+  START_QUEUE: 'startQueue',
+  READ_IN_BACKGROUND: 'readInBackground',
+  GET_TRANSCRIPT: 'getTranscript',
   
   // Events to content script
   HIGHLIGHT_UPDATE: 'highlightUpdate',
-  PLAYBACK_STATE_CHANGE: 'playbackStateChange'
+  PLAYBACK_STATE_CHANGE: 'playbackStateChange',
+  
+  // Events to the side panel
+  TRANSCRIPT_CHANGE: 'transcriptChange'
 };
 
 /**
@@ -47,6 +197,73 @@ const PlaybackStatus = {
   ERROR: 'error'
 };
 
+/**
+ * Export job status enum
+ */
+const ExportStatus = {
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  ERROR: 'error'
+};
+
+/**
+ * Export file formats
+ */
+const ExportFormat = {
+  MP3: 'mp3',
+  SRT: 'srt',
+  VTT: 'vtt'
+};
+
+/**
+ * MIME types of exported files
+ */
+const EXPORT_MIME_TYPES = {
+  [ExportFormat.MP3]: 'audio/mpeg',
+  [ExportFormat.SRT]: 'application/x-subrip',
+  [ExportFormat.VTT]: 'text/vtt'
+};
+
+/**
+ * ID of the "Read selection" context menu item
+ */
+const READ_SELECTION_MENU_ID = 'read-selection';
+
+/**
+ * ID of the "Add link to reading queue" context menu item
+ */
+const ADD_LINK_TO_QUEUE_MENU_ID = 'add-link-to-queue';
+
+/**
+ * Context menu item that reads a link in the side panel
+ */
+const READ_LINK_IN_BACKGROUND_MENU_ID = 'read-link-in-background';
+
+/**
+ * Keyboard commands (see "commands" in manifest.json)
+ * In-page shortcuts send the same names with RUN_COMMAND
+ */
+const Command = {
+  READ_SELECTION: 'read-selection',
+  TOGGLE_PLAYBACK: 'toggle-playback',
+  STOP: 'stop-playback',
+  SKIP_NEXT: 'skip-next',
+  SKIP_PREVIOUS: 'skip-previous',
+  SKIP_SENTENCE_NEXT: 'skip-sentence-next',
+  SKIP_SENTENCE_PREVIOUS: 'skip-sentence-previous',
+  REWIND: 'rewind',
+  FORWARD: 'fast-forward',
+  SPEED_UP: 'speed-up',
+  SPEED_DOWN: 'speed-down'
+};
+
+/**
+ * Speeds stepped through by the speed up/down commands
+ * (mirrors SPEED_OPTIONS in floating-player.js)
+ */
+const SPEED_STEPS = [0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0];
+
 /**
  * Early threshold in seconds for skip previous behavior
  * If current time < threshold, go to previous paragraph
@@ -54,6 +271,17 @@ const PlaybackStatus = {
  */
 const SKIP_PREVIOUS_THRESHOLD = 3;
 
+/**
+ * Seconds into a sentence after which skipping back restarts it
+ * instead of going to the previous sentence
+ */
+const SKIP_SENTENCE_THRESHOLD = 1;
+
+/**
+ * Seconds the rewind and fast-forward commands jump by
+ */
+const JUMP_SECONDS = 10;
+
 /**
  * Current playback state
  */
@@ -65,8 +293,13 @@ let playbackState = {
   currentTime: 0,
   speed: 1.0,
   error: null,
+  errorType: null,
   autoContinue: true,
-  totalParagraphs: 0
+  totalParagraphs: 0,
+  readingSelection: false,    // Whether selected text is being read instead of a page paragraph
+  spendingConfirmation: null, // {remainingCharacters, threshold} while auto-continue waits for approval
+  charactersPerSecond: DEFAULT_CHARACTERS_PER_SECOND, // Speaking rate heard from the selected voice, at normal speed
+  bufferedParagraphs: null    // How far into the page audio is ready, in paragraphs, for the player's buffer bar
 };
 
 /**
@@ -76,121 +309,379 @@ let audioContext = {
   audioData: null,        // ArrayBuffer of audio data
   alignmentData: null,    // Timestamp alignment data
   tabId: null,            // Tab ID where playback is active
-  offscreenReady: false   // Whether offscreen document is ready
+  offscreenReady: false,  // Whether offscreen document is ready
+  streamController: null, // AbortController for an in-flight streaming request
+  previewing: false,      // Whether the offscreen player is playing a voice preview
+  pageUrl: null,          // URL of the page being read, for usage tracking
+  segments: []            // SpokenSegment for each paragraph, or part of one, in the audio
+};
+
+/**
+ * Paragraph text read in a chunk of audio
+ * Consecutive short paragraphs are read in one request, and a paragraph longer
+ * than the chunk budget is read in parts; each segment maps its stretch of the
+ * chunk's alignment back to the paragraph text
+ * @typedef {Object} SpokenSegment
+ * @property {number|null} paragraphIndex - Page paragraph, or null for a selection
+ * @property {number} charStart - Offset of the text read in the paragraph
+ * @property {number} charEnd - End of the text read in the paragraph
+ * @property {number} paragraphLength - Length of the paragraph text
+ * @property {string} textBefore - Paragraph text before charStart, read in an earlier chunk
+ * @property {number} spokenStart - Offset of the segment's spoken text in the chunk text
+ * @property {number} spokenEnd - End of the segment's spoken text in the chunk text
+ * @property {number} cueLength - Characters of spoken cue before the paragraph text
+ * @property {{charMap: number[], text: string}|null} textMap - Maps spoken characters back to the paragraph text
+ * @property {string|null} fingerprint - Fingerprint of the paragraph text, for resuming
+ */
+
+/**
+ * Text separating the paragraphs of a chunk, read as a pause
+ */
+const SEGMENT_SEPARATOR = '\n\n';
+
+/**
+ * Spending guard state for the tab being read
+ * Once the rest of a page has been checked (or approved), auto-continue
+ * runs freely until a different page is read
+ */
+let spendingGuard = {
+  tabId: null,                 // Tab the check applies to
+  checked: false,              // Whether the rest of the page was checked or approved
+  awaitingConfirmation: false, // Whether auto-continue is held for approval
+  declined: false,             // Whether the user chose to stop after the current paragraph
+  held: false                  // Whether playback stopped at a paragraph end to wait for approval
+};
+
+/**
+ * Default number of remaining page characters that triggers the spending guard
+ */
+const DEFAULT_SPENDING_GUARD_THRESHOLD = 10000;
+
+/**
+ * Serializes read-modify-write updates of the usage record
+ */
+let usageWriteQueue = Promise.resolve();
+
+/**
+ * Serializes read-modify-write updates of the saved reading positions
+ */
+let readingPositionWriteQueue = Promise.resolve();
+
+/**
+ * Running export job
+ * Exports are independent of playback; only one runs at a time
+ */
+let exportJob = {
+  tabId: null,       // Tab the export was started from
+  controller: null,  // AbortController used to cancel the export
+  promise: null      // Promise that settles when the export finishes
+};
+
+/**
+ * Blob URLs of exported files in the offscreen document, by download ID,
+ * released once their download ends
+ */
+const exportDownloadUrls = new Map();
+
+/**
+ * Reading queue progress
+ * When a page is finished the next queued page is opened, and reading
+ * starts once its content script reports how many paragraphs it has
+ */
+let queueState = {
+  pendingTabId: null,  // Tab of the queued page waiting for its paragraph count
+  timer: null          // Timeout that skips a page that never reports its paragraphs
 };
 
 /**
- * Preload state for next paragraph audio
- * Used for preemptive loading to eliminate delays between paragraphs
+ * Time to wait for a queued page to report its paragraphs before moving on
+ */
+const QUEUE_PAGE_TIMEOUT_MS = 30000;
+
+/**
+ * Article read in the background, without a tab
+ * Its HTML is fetched here and parsed in the offscreen document; the side
+ * panel shows its transcript in place of in-page highlighting
+ * @type {{url: string, title: string, language: string|null, paragraphs: ArticleParagraph[]}|null}
+ */
+let backgroundArticle = null;
+
+/**
+ * Sample sentence synthesized when previewing voice settings
+ */
+const VOICE_PREVIEW_TEXT = 'Hello! This is how I sound with the current voice settings.';
+
+/**
+ * Chunk synthesized ahead of reading
+ * @typedef {Object} PreloadEntry
+ * @property {number} paragraphIndex - Paragraph the chunk starts at
+ * @property {number} charStart - Offset in that paragraph the chunk starts at
+ * @property {{paragraphIndex: number, charStart: number}} next - Where the chunk after it starts
+ * @property {string} text - Text to synthesize
+ * @property {{previousText?: string, nextText?: string}} context - Text around the chunk sent for continuity
+ * @property {SpokenSegment[]} segments - Segment for each paragraph in the chunk
+ * @property {ArrayBuffer|null} audioData - Audio, once synthesized
+ * @property {Object|null} alignmentData - Alignment, once synthesized
+ * @property {Promise<void>|null} pendingRequest - Request in flight
+ * @property {AbortController} abortController - Cancels the request
+ */
+
+/**
+ * Preload pipeline: the chunks after the one being played, synthesized ahead
+ * so reading goes on without a pause
+ * Entries are planned one after another up to the configured number of
+ * paragraphs ahead, and synthesized a few at a time; a rate limit holds new
+ * requests back until its backoff has passed
  */
 let preloadState = {
-  paragraphIndex: null,      // Index of preloaded paragraph
-  audioData: null,           // Cached ArrayBuffer of audio
-  alignmentData: null,       // Cached alignment data
-  pendingRequest: null,      // Promise for in-flight preload request
-  abortController: null      // AbortController to cancel pending requests
+  entries: [],          // PreloadEntry for each chunk ahead, in reading order
+  generation: 0,        // Counts refills and clears, so an outdated refill stops
+  rateLimits: 0,        // Rate-limited preloads in a row, for the backoff
+  backoffUntil: 0,      // Time preload requests may start again after a rate limit
+  backoffTimer: null    // Timer that starts preloads again once the backoff has passed
 };
 
+/**
+ * Cancel a preloaded chunk and take it out of the pipeline
+ * @param {PreloadEntry} entry - Entry to drop
+ */
+function dropPreloadEntry(entry) {
+  entry.abortController.abort();
+  preloadState.entries = preloadState.entries.filter(e => e !== entry);
+}
+
 /**
  * Clear preload state and cancel any pending requests
+ * The rate-limit backoff is kept, since it applies to the account
  */
 function clearPreloadState() {
-  if (preloadState.abortController) {
-    preloadState.abortController.abort();
-  }
+  preloadState.entries.forEach(entry => entry.abortController.abort());
+  clearTimeout(preloadState.backoffTimer);
   preloadState = {
-    paragraphIndex: null,
-    audioData: null,
-    alignmentData: null,
-    pendingRequest: null,
-    abortController: null
+    ...preloadState,
+    entries: [],
+    generation: preloadState.generation + 1,
+    backoffTimer: null
   };
 }
 
 /**
- * Initiate preloading of next paragraph when conditions are met
- * Called after playback starts successfully
- * @param {number} currentParagraphIndex - Currently playing paragraph
+ * Find the preloaded chunk starting at a position
+ * @param {{paragraphIndex: number, charStart: number}} position - Where the chunk starts
+ * @returns {PreloadEntry|null}
+ */
+function findPreloadEntry(position) {
+  return preloadState.entries.find(entry => comparePositions(entry, position) === 0) || null;
+}
+
+/**
+ * Drop preloaded chunks that start before a position, keeping the ones still
+ * ahead of reading
+ * @param {{paragraphIndex: number, charStart: number}} position - Where reading goes on
+ * @returns {PreloadEntry|null} The chunk starting at the position, if preloaded
+ */
+function retainPreloadEntries(position) {
+  preloadState.entries
+    .filter(entry => comparePositions(entry, position) < 0)
+    .forEach(dropPreloadEntry);
+  return findPreloadEntry(position);
+}
+
+/**
+ * Initiate preloading of the chunks after the one being played
+ * Called after playback starts successfully; returns once the chunks are
+ * planned, while their audio is still being synthesized
+ * @param {number} currentParagraphIndex - Last paragraph in the audio playing
+ * @param {number} [continueAt=0] - Offset the next chunk starts at in that paragraph, when the audio ends partway through it
  */
-async function initiatePreload(currentParagraphIndex) {
+async function initiatePreload(currentParagraphIndex, continueAt = 0) {
   const { autoContinue, totalParagraphs } = playbackState;
-  const nextIndex = currentParagraphIndex + 1;
+  const start = continueAt > 0
+    ? { paragraphIndex: currentParagraphIndex, charStart: continueAt }
+    : { paragraphIndex: currentParagraphIndex + 1, charStart: 0 };
   
   // Only preload if auto-continue is enabled and there's a next paragraph
-  if (!autoContinue || nextIndex >= totalParagraphs) {
+  if (!autoContinue || start.paragraphIndex >= totalParagraphs) {
     return;
   }
   
-  // Don't preload if already preloading or have cached the correct paragraph
-  if (preloadState.paragraphIndex === nextIndex) {
+  // Don't preload if no page is being read
+  if (!hasReadingPage()) {
     return;
   }
   
-  // Don't preload if no active tab
-  if (!audioContext.tabId) {
+  // Don't spend characters on the next paragraph until the spending guard allows it
+  if (!(await checkSpendingGuard(currentParagraphIndex))) {
     return;
   }
   
-  // Clear any existing preload state
-  clearPreloadState();
-  
-  // Create abort controller for this request
-  preloadState.abortController = new AbortController();
-  preloadState.paragraphIndex = nextIndex;
-  
-  // Request next paragraph text from content script
   try {
-    const response = await chrome.tabs.sendMessage(audioContext.tabId, {
-      type: MessageType.GET_NEXT_PARAGRAPH,
-      paragraphIndex: nextIndex
-    });
-    
-    if (!response?.success || !response?.text) {
-      clearPreloadState();
-      return;
-    }
-    
-    // Start preloading audio
-    preloadState.pendingRequest = preloadAudio(response.text, nextIndex);
-    await preloadState.pendingRequest;
-    
+    await fillPreloadPipeline(start);
   } catch (error) {
     console.log('Preload failed, will load on-demand:', error.message);
-    clearPreloadState();
   }
 }
 
 /**
- * Preload audio for a paragraph
- * @param {string} text - Paragraph text
- * @param {number} paragraphIndex - Paragraph index
+ * Plan the chunks from a position up to the paragraphs to preload, and start
+ * synthesizing them
+ * Chunks already preloaded along the way are kept; the rest are dropped.
+ * @param {{paragraphIndex: number, charStart: number}} start - Where the first chunk starts
+ * @returns {Promise<void>}
+ */
+async function fillPreloadPipeline(start) {
+  const generation = ++preloadState.generation;
+  const lookahead = resolvePreloadParagraphs(await getFromStorage(STORAGE_KEYS.PRELOAD_PARAGRAPHS));
+  retainPreloadEntries(start);
+  
+  const chain = [];
+  let position = start;
+  while (chain.length < lookahead &&
+         position.paragraphIndex - start.paragraphIndex < lookahead &&
+         position.paragraphIndex < playbackState.totalParagraphs) {
+    let entry = findPreloadEntry(position);
+    if (!entry) {
+      entry = await planPreloadEntry(position);
+      // Reading moved on while the chunk was planned
+      if (generation !== preloadState.generation) {
+        return;
+      }
+      if (!entry) {
+        break;
+      }
+      preloadState.entries = [...preloadState.entries, entry].sort(comparePositions);
+      startPreloads();
+    }
+    chain.push(entry);
+    position = entry.next;
+  }
+  
+  preloadState.entries.filter(entry => !chain.includes(entry)).forEach(dropPreloadEntry);
+  startPreloads();
+}
+
+/**
+ * Plan the chunk starting at a position of the page being read
+ * @param {{paragraphIndex: number, charStart: number}} position - Where the chunk starts
+ * @returns {Promise<PreloadEntry|null>} Null if the page has no text there
  */
-async function preloadAudio(text, paragraphIndex) {
+async function planPreloadEntry(position) {
+  const paragraph = await getPageParagraph(position.paragraphIndex);
+  if (!paragraph) {
+    return null;
+  }
+  
   const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
   const voiceId = await getFromStorage(STORAGE_KEYS.SELECTED_VOICE_ID);
-  
   if (!apiKey || !voiceId) {
     throw new Error('Missing API key or voice');
   }
   
-  try {
-    const response = await generateSpeech(apiKey, text, voiceId);
-    
-    // Store in preload cache (only if still relevant)
-    if (preloadState.paragraphIndex === paragraphIndex) {
-      preloadState.audioData = response.audio;
-      preloadState.alignmentData = response.alignment;
-      preloadState.pendingRequest = null;
+  const chunk = await planPageChunk(paragraph, position.charStart);
+  const spoken = await getSpokenChunk(chunk.parts);
+  return {
+    ...position,
+    next: getChunkEnd(spoken.segments),
+    text: spoken.text,
+    context: chunk.context,
+    segments: spoken.segments,
+    audioData: null,
+    alignmentData: null,
+    pendingRequest: null,
+    abortController: new AbortController()
+  };
+}
+
+/**
+ * Start synthesizing planned chunks, in reading order, as far as the
+ * concurrency limit and any rate-limit backoff allow
+ */
+function startPreloads() {
+  const wait = preloadState.backoffUntil - Date.now();
+  if (wait > 0) {
+    // Pick up again once the backoff has passed
+    if (!preloadState.backoffTimer) {
+      preloadState.backoffTimer = setTimeout(() => {
+        preloadState.backoffTimer = null;
+        startPreloads();
+      }, wait);
+    }
+    return;
+  }
+  
+  let loading = preloadState.entries.filter(entry => entry.pendingRequest).length;
+  for (const entry of preloadState.entries) {
+    if (loading >= MAX_CONCURRENT_PRELOADS) {
+      break;
+    }
+    if (!entry.audioData && !entry.pendingRequest) {
+      entry.pendingRequest = preloadAudio(entry);
+      loading++;
     }
+  }
+}
+
+/**
+ * Synthesize a preloaded chunk
+ * A rate-limited chunk stays in the pipeline to be tried again after the
+ * backoff; any other failure drops it, and it is loaded on demand instead.
+ * @param {PreloadEntry} entry - Entry to synthesize
+ * @returns {Promise<void>} Settles once the request is done; never rejects
+ */
+async function preloadAudio(entry) {
+  const { signal } = entry.abortController;
+  try {
+    const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+    const voiceId = await getFromStorage(STORAGE_KEYS.SELECTED_VOICE_ID);
+    const response = await synthesizeSpeech(apiKey, entry.text, voiceId, { context: entry.context, signal });
+    entry.audioData = response.audio;
+    entry.alignmentData = response.alignment;
+    preloadState.rateLimits = 0;
   } catch (error) {
-    // Clear preload state on error
-    if (preloadState.paragraphIndex === paragraphIndex) {
-      clearPreloadState();
+    if (signal.aborted) {
+      return;
     }
-    throw error;
+    if (getErrorType(error) === API_ERROR_TYPES.RATE_LIMITED) {
+      preloadState.rateLimits++;
+      preloadState.backoffUntil = Date.now() + getPreloadBackoffMs(error.retryAfter ?? null, preloadState.rateLimits);
+    } else {
+      console.log('Preload failed, will load on-demand:', error.message);
+      dropPreloadEntry(entry);
+    }
+  } finally {
+    entry.pendingRequest = null;
+  }
+  
+  if (!signal.aborted) {
+    startPreloads();
+    await updateBufferedParagraphs();
   }
 }
 
+/**
+ * Wait for a preloaded chunk's audio
+ * @param {PreloadEntry} entry - Entry to wait for
+ * @returns {Promise<boolean>} True if its audio is ready to play
+ */
+async function waitForPreloadEntry(entry) {
+  if (entry.pendingRequest) {
+    await entry.pendingRequest;
+  }
+  return Boolean(entry.audioData) && preloadState.entries.includes(entry);
+}
+
+/**
+ * Tell the player how far into the page audio is ready
+ * @returns {Promise<void>}
+ */
+async function updateBufferedParagraphs() {
+  const bufferedParagraphs = playbackState.readingSelection
+    ? null
+    : getBufferedParagraphs(audioContext, preloadState.entries);
+  if (bufferedParagraphs !== playbackState.bufferedParagraphs) {
+    await updatePlaybackState({ bufferedParagraphs });
+  }
+}
 
 /**
  * Storage keys (matching lib/storage.js)
@@ -198,10 +689,31 @@ async function preloadAudio(text, paragraphIndex) {
 const STORAGE_KEYS = {
   API_KEY: 'apiKey',
   SELECTED_VOICE_ID: 'selectedVoiceId',
+  SELECTED_MODEL_ID: 'selectedModelId',
+  VOICE_SETTINGS: 'voiceSettings',
+  USAGE_STATS: 'usageStats',
+  SPENDING_GUARD_ENABLED: 'spendingGuardEnabled',
+  SPENDING_GUARD_THRESHOLD: 'spendingGuardThreshold',
+  EXPORT_PARAGRAPHS_PER_CHAPTER: 'exportParagraphsPerChapter',
+  SUBTITLE_WORD_TIMINGS: 'subtitleWordTimings',
   PLAYBACK_SPEED: 'playbackSpeed',
   CACHED_VOICES: 'cachedVoices',
   VOICES_CACHED_AT: 'voicesCachedAt',
-  AUTO_CONTINUE: 'autoContinue'
+  AUTO_CONTINUE: 'autoContinue',
+  AUTO_START: 'autoStart',
+  STREAMING_ENABLED: 'streamingEnabled',
+  SPEECH_CUES: 'speechCues',
+  PRONUNCIATION_LEXICON: 'pronunciationLexicon',
+  PRONUNCIATION_DICTIONARY: 'pronunciationDictionary',
+  READING_POSITIONS: 'readingPositions',
+  READING_QUEUE: 'readingQueue',
+  READ_QUEUE_IN_BACKGROUND: 'readQueueInBackground',
+  CONTENT_STRATEGY: 'contentStrategy',
+  SITE_RULES: 'siteRules',
+  SPEECH_RATES: 'speechRates',
+  BATCHING_ENABLED: 'batchingEnabled',
+  BATCH_CHARACTERS: 'batchCharacters',
+  PRELOAD_PARAGRAPHS: 'preloadParagraphs'
 };
 
 /**
@@ -312,18 +824,22 @@ function getCurrentPlaybackState() {
  * @param {number} payload.tabId - Tab ID to play in
  * @param {string} payload.text - Text to convert to speech
  * @param {number} payload.paragraphIndex - Starting paragraph index
+ * @param {Object} [payload.block] - Block description, for the spoken cue
+ * @param {number} [payload.startTime] - Audio offset to start at in seconds, when resuming
+ * @param {number} [payload.charStart] - Offset in the paragraph to start at, when it is read in parts
  * @returns {Promise<Object>}
  */
 async function handlePlay(payload) {
-  const { tabId, text, paragraphIndex = 0 } = payload;
+  const { tabId, text, paragraphIndex = 0, pageUrl, selection = false, block, startTime = 0, charStart = 0 } = payload;
   
   // Check if already playing
   if (playbackState.status === PlaybackStatus.PLAYING) {
     return { success: false, error: 'Already playing' };
   }
   
-  // If paused, resume playback
-  if (playbackState.status === PlaybackStatus.PAUSED && audioContext.audioData) {
+  // If paused, resume playback (including a paragraph that is still streaming)
+  if (playbackState.status === PlaybackStatus.PAUSED &&
+      (audioContext.audioData || audioContext.streamController)) {
     await updatePlaybackState({ status: PlaybackStatus.PLAYING });
     await sendToOffscreen({ type: 'resume' });
     return { success: true };
@@ -334,7 +850,7 @@ async function handlePlay(payload) {
   const voiceId = await getFromStorage(STORAGE_KEYS.SELECTED_VOICE_ID);
   
   if (!apiKey) {
-    return { success: false, error: 'API key not configured' };
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
   }
   
   if (!voiceId) {
@@ -345,6 +861,11 @@ async function handlePlay(payload) {
     return { success: false, error: 'No text to play' };
   }
   
+  if (!tabId && backgroundArticle) {
+    // Pages loaded since may have replaced the article's paragraph count
+    playbackState.totalParagraphs = backgroundArticle.paragraphs.length;
+  }
+  
   // Update state to loading
   await updatePlaybackState({
     status: PlaybackStatus.LOADING,
@@ -352,42 +873,90 @@ async function handlePlay(payload) {
     currentSentenceIndex: 0,
     currentWordIndex: 0,
     currentTime: 0,
-    error: null
+    error: null,
+    errorType: null,
+    readingSelection: selection,
+    charactersPerSecond: getCharactersPerSecond(await getFromStorage(STORAGE_KEYS.SPEECH_RATES), voiceId)
   });
   
+  const previousTabId = audioContext.tabId;
   audioContext.tabId = tabId;
+  audioContext.previewing = false;
+  audioContext.segments = [];
+  if (pageUrl) {
+    audioContext.pageUrl = pageUrl;
+  }
+  
+  if (tabId && backgroundArticle) {
+    // Reading a page in a tab ends reading in the background
+    await setBackgroundArticle(null);
+  } else if (tabId && tabId !== previousTabId) {
+    await broadcastTranscriptChange();
+  }
+  
+  // A new paragraph replaces any stream still in flight
+  abortActiveStream();
   
   try {
-    // Request TTS from ElevenLabs API
-    const response = await generateSpeech(apiKey, text, voiceId);
+    // A selection is read on its own; page paragraphs are read in chunks
+    const chunk = selection
+      ? { parts: [{ paragraphIndex: null, text, block, start: 0, end: text.length }], context: {} }
+      : await planPageChunk({ paragraphIndex, text, block }, charStart);
+    const spoken = await getSpokenChunk(chunk.parts);
+    audioContext.segments = spoken.segments;
     
-    audioContext.audioData = response.audio;
-    audioContext.alignmentData = response.alignment;
-    
-    // Ensure offscreen document exists and play audio
-    await ensureOffscreenDocument();
-    
-    // Convert ArrayBuffer to base64 for messaging (ArrayBuffer can't be sent directly)
-    const audioBase64 = arrayBufferToBase64(response.audio);
-    
-    await sendToOffscreen({
-      type: 'play',
-      audioBase64: audioBase64,
-      speed: playbackState.speed
-    });
+    const cacheKey = await getSpeechCacheKey(spoken.text, voiceId, chunk.context);
+    const cached = await getCachedAudio(cacheKey);
     
-    await updatePlaybackState({ status: PlaybackStatus.PLAYING });
+    if (!cached && await isStreamingEnabled()) {
+      // Stream audio so playback starts before the whole chunk is generated
+      const completed = await playStreamedSpeech(apiKey, spoken.text, voiceId, cacheKey, startTime, chunk.context);
+      if (!completed) {
+        return { success: false, error: 'Playback cancelled' };
+      }
+    } else {
+      // Request TTS from the audio cache or ElevenLabs API
+      const response = cached || await generateAndCacheSpeech(apiKey, spoken.text, voiceId, cacheKey, { context: chunk.context });
+      
+      audioContext.audioData = response.audio;
+      audioContext.alignmentData = response.alignment;
+      
+      // Ensure offscreen document exists and play audio
+      await ensureOffscreenDocument();
+      
+      // Convert ArrayBuffer to base64 for messaging (ArrayBuffer can't be sent directly)
+      const audioBase64 = arrayBufferToBase64(response.audio);
+      
+      await sendToOffscreen({
+        type: 'play',
+        audioBase64: audioBase64,
+        speed: playbackState.speed,
+        startTime
+      });
+      
+      await updatePlaybackState({ status: PlaybackStatus.PLAYING });
+    }
     
-    // Initiate preload for the next paragraph (for seamless auto-continue)
-    await initiatePreload(paragraphIndex);
+    // Initiate preload for the next chunk (for seamless auto-continue)
+    // A selection is read on its own, so there is nothing to continue with
+    if (!selection) {
+      await preloadNextChunk();
+    }
     
     return { success: true };
   } catch (error) {
+    // Stopping or skipping aborts the stream; that is not a playback error
+    if (isAbortError(error)) {
+      return { success: false, error: 'Playback cancelled' };
+    }
+    
+    const errorType = getErrorType(error);
     await updatePlaybackState({
       status: PlaybackStatus.ERROR,
-      error: error.message
+      error: error.message,
+      errorType
     });
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, errorType };
   }
 }
 
@@ -402,6 +971,7 @@ async function handlePause() {
   
   await sendToOffscreen({ type: 'pause' });
   await updatePlaybackState({ status: PlaybackStatus.PAUSED });
+  await saveReadingPosition();
   
   return { success: true };
 }
@@ -411,22 +981,34 @@ async function handlePause() {
  * @returns {Promise<Object>}
  */
 async function handleStop() {
+  await saveReadingPosition();
+  abortActiveStream();
+  audioContext.previewing = false;
+  spendingGuard.awaitingConfirmation = false;
+  spendingGuard.declined = false;
+  spendingGuard.held = false;
   await sendToOffscreen({ type: 'stop' });
   
   // Reset state
   audioContext.audioData = null;
   audioContext.alignmentData = null;
+  audioContext.segments = [];
   
   // Clear any preloaded audio since playback is stopping
   clearPreloadState();
   
   await updatePlaybackState({
     status: PlaybackStatus.IDLE,
-    currentParagraphIndex: 0,
+    // A selection leaves the page's place alone
+    currentParagraphIndex: playbackState.readingSelection ? playbackState.currentParagraphIndex : 0,
     currentSentenceIndex: 0,
     currentWordIndex: 0,
     currentTime: 0,
-    error: null
+    error: null,
+    errorType: null,
+    readingSelection: false,
+    spendingConfirmation: null,
+    bufferedParagraphs: null
   });
   
   return { success: true };
@@ -468,7 +1050,11 @@ async function handleSetSpeed(payload) {
  * @returns {Promise<Object>}
  */
 async function handleSkipNext() {
-  const { currentParagraphIndex, totalParagraphs } = playbackState;
+  const { currentParagraphIndex, totalParagraphs, readingSelection } = playbackState;
+  
+  if (readingSelection) {
+    return { success: false, error: 'Skipping is not available while reading a selection' };
+  }
   const nextIndex = currentParagraphIndex + 1;
   
   // Check if next paragraph exists
@@ -477,6 +1063,12 @@ async function handleSkipNext() {
     return handleStop();
   }
   
+  // A paragraph read in the same chunk is already loaded
+  const segment = findLoadedSegment(nextIndex);
+  if (segment) {
+    return seekToTime(getSegmentStartTime(segment));
+  }
+  
   // Request and play next paragraph
   return requestAndPlayParagraph(nextIndex);
 }
@@ -487,277 +1079,2305 @@ async function handleSkipNext() {
  * @returns {Promise<Object>}
  */
 async function handleSkipPrevious() {
-  const { currentParagraphIndex, currentTime } = playbackState;
+  const { currentParagraphIndex, currentTime, readingSelection } = playbackState;
   
-  // If time >= threshold OR at first paragraph, restart current paragraph
-  if (currentTime >= SKIP_PREVIOUS_THRESHOLD || currentParagraphIndex === 0) {
-    return requestAndPlayParagraph(currentParagraphIndex);
+  if (readingSelection) {
+    return { success: false, error: 'Skipping is not available while reading a selection' };
   }
   
-  // Go to previous paragraph (time < threshold AND previous exists)
-  return requestAndPlayParagraph(currentParagraphIndex - 1);
+  // Time is counted from the start of the paragraph within its chunk
+  const current = findLoadedSegment(currentParagraphIndex);
+  const timeInParagraph = current ? currentTime - getSegmentStartTime(current) : currentTime;
+  
+  // If time >= threshold OR at first paragraph, restart current paragraph
+  // Otherwise go to previous paragraph (time < threshold AND previous exists)
+  const targetIndex = timeInParagraph >= SKIP_PREVIOUS_THRESHOLD || currentParagraphIndex === 0
+    ? currentParagraphIndex
+    : currentParagraphIndex - 1;
+  
+  // A paragraph read in the same chunk is already loaded
+  const segment = findLoadedSegment(targetIndex);
+  if (segment) {
+    return seekToTime(getSegmentStartTime(segment));
+  }
+  return requestAndPlayParagraph(targetIndex);
 }
 
 /**
- * Handle JUMP_TO_PARAGRAPH message
- * @param {Object} payload - Jump payload
- * @param {number} payload.paragraphIndex - Paragraph index to jump to
- * @param {string} payload.text - Text of the paragraph
- * @param {number} payload.tabId - Tab ID
+ * Check whether the audio being read can be sought in
+ * @returns {Object|null} Error response, or null when seeking is possible
+ */
+function getSeekError() {
+  const { status } = playbackState;
+  if (status === PlaybackStatus.LOADING) {
+    return { success: false, error: 'Audio is still loading' };
+  }
+  if ((status !== PlaybackStatus.PLAYING && status !== PlaybackStatus.PAUSED) || !audioContext.alignmentData) {
+    return { success: false, error: 'Nothing to seek in' };
+  }
+  return null;
+}
+
+/**
+ * Read a page paragraph and seek to a time near its end
+ * A paragraph read in parts is read from its first part, so this seeks near
+ * the end of that part
+ * @param {number} paragraphIndex - Paragraph to read
+ * @param {function(Object): number} getTime - Returns the time to seek to from the paragraph's alignment
  * @returns {Promise<Object>}
  */
-async function handleJumpToParagraph(payload) {
-  // Clear any preloaded audio that is no longer relevant
-  // since the user is manually jumping to a different paragraph
-  clearPreloadState();
-  
-  // Stop current playback first
-  await handleStop();
-  
-  // Start playing from the new paragraph
-  return handlePlay(payload);
+async function playParagraphNearEnd(paragraphIndex, getTime) {
+  const result = await requestAndPlayParagraph(paragraphIndex);
+  // Stopped, or moved on, while the paragraph was loading
+  if (!result.success || getSeekError() || playbackState.currentParagraphIndex !== paragraphIndex) {
+    return result;
+  }
+  return seekToTime(getTime(getLoadedParagraphAlignment(paragraphIndex)));
 }
 
 /**
- * Handle GET_STATE message
- * @returns {Object}
+ * Find the audio times the sentences read in the chunk being played start at
+ * Each paragraph starts a sentence, as well as each sentence within it
+ * @returns {number[]} Start times in seconds, in order
  */
-function handleGetState() {
-  return { success: true, state: getPlaybackState() };
+function getChunkSentenceStartTimes() {
+  const starts = [];
+  for (const segment of audioContext.segments) {
+    const alignment = getSegmentAlignment(audioContext.alignmentData, segment);
+    // Later paragraphs may still be streaming in
+    if (!alignment || alignment.characters.length === 0) {
+      break;
+    }
+    for (const time of getSentenceStartTimes(alignment)) {
+      if (starts.length === 0 || time > starts[starts.length - 1]) {
+        starts.push(time);
+      }
+    }
+  }
+  return starts.length > 0 ? starts : [0];
 }
 
 /**
- * Handle GET_VOICES message
+ * Handle SKIP_SENTENCE_NEXT and SKIP_SENTENCE_PREVIOUS messages
+ * Seeks to the next or previous sentence of the chunk being read. Past the
+ * last sentence the next chunk is read; before the first, the previous
+ * paragraph is read from its last sentence. Like skipping paragraphs,
+ * skipping back restarts a sentence that is well under way.
+ * @param {number} direction - 1 for the next sentence, -1 for the previous one
  * @returns {Promise<Object>}
  */
-async function handleGetVoices() {
-  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
-  
-  if (!apiKey) {
-    return { success: false, error: 'API key not configured' };
+async function handleSkipSentence(direction) {
+  const error = getSeekError();
+  if (error) {
+    return error;
   }
   
-  try {
-    const voices = await fetchVoices(apiKey);
-    return { success: true, voices };
-  } catch (error) {
-    return { success: false, error: error.message };
+  const { currentTime, totalParagraphs, readingSelection } = playbackState;
+  const starts = getChunkSentenceStartTimes();
+  let sentence = 0;
+  while (sentence + 1 < starts.length && starts[sentence + 1] <= currentTime) {
+    sentence++;
   }
-}
+  
+  if (direction > 0) {
+    if (sentence + 1 < starts.length) {
+      return seekToTime(starts[sentence + 1]);
+    }
+    if (audioContext.streamController) {
+      // The next sentence may not have arrived yet
+      return { success: false, error: 'Audio is still loading' };
+    }
+    // A selection or the end of the page ends as if it had been read to the end
+    const next = getNextChunkStart();
+    if (readingSelection || next.paragraphIndex >= totalParagraphs) {
+      return seekToTime(getAlignmentDuration(audioContext.alignmentData));
+    }
+    return requestAndPlayParagraph(next.paragraphIndex, 0, next.charStart);
+  }
+  
+  if (currentTime - starts[sentence] >= SKIP_SENTENCE_THRESHOLD) {
+    return seekToTime(starts[sentence]);
+  }
+  if (sentence > 0) {
+    return seekToTime(starts[sentence - 1]);
+  }
+  const previousIndex = getPreviousParagraphIndex();
+  if (readingSelection || previousIndex < 0) {
+    return seekToTime(0);
+  }
+  return playParagraphNearEnd(previousIndex, previous => {
+    const previousStarts = getSentenceStartTimes(previous);
+    return previousStarts[previousStarts.length - 1];
+  });
+}
+
+/**
+ * Handle SEEK_BY message
+ * Jumps back or forward in the audio being read. A jump past the end of the
+ * chunk goes on into the next one; a jump back past its start goes into the
+ * end of the previous paragraph.
+ * @param {Object} payload - Jump payload
+ * @param {number} payload.seconds - Seconds to jump, negative to go back
+ * @returns {Promise<Object>}
+ */
+async function handleSeekBy(payload = {}) {
+  const { seconds } = payload;
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds)) {
+    return { success: false, error: 'Invalid jump' };
+  }
+  const error = getSeekError();
+  if (error) {
+    return error;
+  }
+  
+  const { currentTime, totalParagraphs, readingSelection } = playbackState;
+  const target = currentTime + seconds;
+  const duration = getAlignmentDuration(audioContext.alignmentData);
+  
+  if (target < 0) {
+    const previousIndex = getPreviousParagraphIndex();
+    if (readingSelection || previousIndex < 0) {
+      return seekToTime(0);
+    }
+    return playParagraphNearEnd(previousIndex, previous => getAlignmentDuration(previous) + target);
+  }
+  
+  // Audio still streaming in can only be sought in as far as it has arrived
+  const next = getNextChunkStart();
+  if (target < duration || audioContext.streamController ||
+      readingSelection || next.paragraphIndex >= totalParagraphs) {
+    return seekToTime(target);
+  }
+  return requestAndPlayParagraph(next.paragraphIndex, target - duration, next.charStart);
+}
+
+/**
+ * Handle JUMP_TO_PARAGRAPH message
+ * @param {Object} payload - Jump payload
+ * @param {number} payload.paragraphIndex - Paragraph index to jump to
+ * @param {string} payload.text - Text of the paragraph
+ * @param {number} payload.tabId - Tab ID
+ * @returns {Promise<Object>}
+ */
+async function handleJumpToParagraph(payload) {
+  // Clear any preloaded audio that is no longer relevant
+  // since the user is manually jumping to a different paragraph
+  clearPreloadState();
+  
+  // Stop current playback first
+  await handleStop();
+  
+  // Start playing from the new paragraph
+  return handlePlay(payload);
+}
+
+/**
+ * Handle PLAY_SELECTION message
+ * Reads selected text on its own; the page's paragraph indices are left alone
+ * and auto-continue doesn't run afterwards
+ * @param {Object} payload - Selection payload
+ * @param {string} payload.text - Selected text
+ * @param {number} payload.tabId - Tab ID
+ * @param {string} [payload.pageUrl] - URL of the page, for usage tracking
+ * @returns {Promise<Object>}
+ */
+async function handlePlaySelection(payload) {
+  // The selection is read at the page's place, which is where reading picks up after it
+  const { currentParagraphIndex } = playbackState;
+  clearPreloadState();
+  await handleStop();
+  
+  return handlePlay({ ...payload, paragraphIndex: currentParagraphIndex, selection: true });
+}
+
+/**
+ * Read the selection in a tab
+ * The content script wraps the selection for highlighting; pages without the
+ * content script (or selections it can't see, like text in form fields) fall
+ * back to the selection text reported by the browser, without highlighting
+ * @param {number} tabId - Tab ID
+ * @param {Object} [fallback] - Selection reported by the browser
+ * @param {string} [fallback.selectionText] - Selected text
+ * @param {string} [fallback.pageUrl] - URL of the page
+ * @returns {Promise<Object>}
+ */
+async function readSelectionInTab(tabId, fallback = {}) {
+  let response = null;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, { type: MessageType.READ_SELECTION });
+  } catch (error) {
+    // Content script not available on this page
+  }
+  
+  if (response?.success || !fallback.selectionText) {
+    return response || { success: false, error: 'No text selected' };
+  }
+  
+  return handlePlaySelection({ tabId, text: fallback.selectionText, pageUrl: fallback.pageUrl });
+}
+
+/**
+ * Toggle playback from a keyboard command
+ * Pauses or resumes the current paragraph; when nothing is playing, starts
+ * reading the tab from the current paragraph
+ * @param {number} [tabId] - Tab the command was used in
+ * @returns {Promise<Object>}
+ */
+async function handleTogglePlayback(tabId) {
+  switch (playbackState.status) {
+    case PlaybackStatus.PLAYING:
+      return handlePause();
+    case PlaybackStatus.PAUSED:
+      return handlePlay({});
+    case PlaybackStatus.LOADING:
+      return { success: false, error: 'Audio is still loading' };
+    default:
+      if (tabId === undefined) {
+        return { success: false, error: 'No active tab' };
+      }
+      audioContext.tabId = tabId;
+      return requestAndPlayParagraph(playbackState.currentParagraphIndex);
+  }
+}
+
+/**
+ * Step the playback speed up or down to the next speed option
+ * @param {number} direction - 1 to speed up, -1 to slow down
+ * @returns {Promise<Object>}
+ */
+async function handleStepSpeed(direction) {
+  const { speed } = playbackState;
+  const next = direction > 0
+    ? SPEED_STEPS.find(step => step > speed + 1e-9)
+    : [...SPEED_STEPS].reverse().find(step => step < speed - 1e-9);
+  
+  if (next === undefined) {
+    return { success: false, error: direction > 0 ? 'Already at the fastest speed' : 'Already at the slowest speed' };
+  }
+  
+  return handleSetSpeed({ speed: next });
+}
+
+/**
+ * Run a keyboard command from the browser's shortcuts or an in-page shortcut
+ * @param {string} command - Command name
+ * @param {number} [tabId] - Tab the command was used in
+ * @returns {Promise<Object>}
+ */
+async function handleCommand(command, tabId) {
+  switch (command) {
+    case Command.READ_SELECTION:
+      return tabId === undefined ? { success: false, error: 'No active tab' } : readSelectionInTab(tabId);
+    case Command.TOGGLE_PLAYBACK:
+      return handleTogglePlayback(tabId);
+    case Command.STOP:
+      return handleStop();
+    case Command.SKIP_NEXT:
+      return handleSkipNext();
+    case Command.SKIP_PREVIOUS:
+      return handleSkipPrevious();
+    case Command.SKIP_SENTENCE_NEXT:
+      return handleSkipSentence(1);
+    case Command.SKIP_SENTENCE_PREVIOUS:
+      return handleSkipSentence(-1);
+    case Command.REWIND:
+      return handleSeekBy({ seconds: -JUMP_SECONDS });
+    case Command.FORWARD:
+      return handleSeekBy({ seconds: JUMP_SECONDS });
+    case Command.SPEED_UP:
+      return handleStepSpeed(1);
+    case Command.SPEED_DOWN:
+      return handleStepSpeed(-1);
+    default:
+      return { success: false, error: `Unknown command: ${command}` };
+  }
+}
+
+/**
+ * Handle GET_STATE message
+ * @returns {Object}
+ */
+function handleGetState() {
+  return { success: true, state: getPlaybackState() };
+}
+
+/**
+ * Handle GET_VOICES message
+ * @returns {Promise<Object>}
+ */
+async function handleGetVoices() {
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  try {
+    const voices = await getVoices(apiKey);
+    return { success: true, voices };
+  } catch (error) {
+    return { success: false, error: error.message, errorType: getErrorType(error) };
+  }
+}
+
+/**
+ * Handle GET_MODELS message
+ * @param {Object} payload - Models payload
+ * @param {string} [payload.language] - Page language used to hide models that can't read it
+ * @returns {Promise<Object>}
+ */
+async function handleGetModels(payload = {}) {
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  try {
+    const models = await getModels(apiKey);
+    const selectedModelId = await getFromStorage(STORAGE_KEYS.SELECTED_MODEL_ID);
+    
+    return {
+      success: true,
+      models: filterModelsForLanguage(models, payload.language),
+      selectedModelId: selectedModelId || getDefaultModelId(payload.language)
+    };
+  } catch (error) {
+    return { success: false, error: error.message, errorType: getErrorType(error) };
+  }
+}
+
+/**
+ * Handle SET_API_KEY message
+ * @param {Object} payload - API key payload
+ * @param {string} payload.apiKey - The API key to save
+ * @returns {Promise<Object>}
+ */
+async function handleSetApiKey(payload) {
+  const { apiKey } = payload;
+  
+  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
+    return { success: false, error: 'Invalid API key' };
+  }
+  
+  await saveToStorage(STORAGE_KEYS.API_KEY, apiKey.trim());
+  return { success: true };
+}
+
+/**
+ * Handle SET_VOICE message
+ * @param {Object} payload - Voice payload
+ * @param {string} payload.voiceId - The voice ID to save
+ * @returns {Promise<Object>}
+ */
+async function handleSetVoice(payload) {
+  const { voiceId } = payload;
+  
+  if (!voiceId || typeof voiceId !== 'string' || voiceId.trim().length === 0) {
+    return { success: false, error: 'Invalid voice ID' };
+  }
+  
+  await saveToStorage(STORAGE_KEYS.SELECTED_VOICE_ID, voiceId.trim());
+  return { success: true };
+}
+
+/**
+ * Handle SET_MODEL message
+ * @param {Object} payload - Model payload
+ * @param {string} payload.modelId - The model ID to save
+ * @returns {Promise<Object>}
+ */
+async function handleSetModel(payload) {
+  const { modelId } = payload;
+  
+  if (!modelId || typeof modelId !== 'string' || modelId.trim().length === 0) {
+    return { success: false, error: 'Invalid model ID' };
+  }
+  
+  await saveToStorage(STORAGE_KEYS.SELECTED_MODEL_ID, modelId.trim());
+  return { success: true };
+}
+
+/**
+ * Check that voice settings hold valid slider values
+ * @param {Object} settings - Voice settings to check
+ * @returns {boolean}
+ */
+function isValidVoiceSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return false;
+  }
+  
+  const isUnitValue = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+  
+  return isUnitValue(settings.stability) &&
+    isUnitValue(settings.similarityBoost) &&
+    isUnitValue(settings.style) &&
+    typeof settings.useSpeakerBoost === 'boolean';
+}
+
+/**
+ * Get the saved voice settings of every tuned voice
+ * @returns {Promise<Object<string, Object>>} Settings keyed by voice ID
+ */
+async function getSavedVoiceSettings() {
+  return (await getFromStorage(STORAGE_KEYS.VOICE_SETTINGS)) || {};
+}
+
+/**
+ * Handle GET_VOICE_SETTINGS message
+ * Returns the saved settings for the voice, or the voice's defaults from the API
+ * @param {Object} payload - Voice settings payload
+ * @param {string} payload.voiceId - Voice ID
+ * @returns {Promise<Object>}
+ */
+async function handleGetVoiceSettings(payload) {
+  const { voiceId } = payload;
+  
+  if (!voiceId || typeof voiceId !== 'string') {
+    return { success: false, error: 'Invalid voice ID' };
+  }
+  
+  const saved = (await getSavedVoiceSettings())[voiceId];
+  if (saved) {
+    return { success: true, settings: saved, isCustom: true };
+  }
+  
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  try {
+    const settings = await getVoiceSettings(apiKey, voiceId);
+    return { success: true, settings, isCustom: false };
+  } catch (error) {
+    return { success: false, error: error.message, errorType: getErrorType(error) };
+  }
+}
+
+/**
+ * Handle SET_VOICE_SETTINGS message
+ * @param {Object} payload - Voice settings payload
+ * @param {string} payload.voiceId - Voice ID
+ * @param {Object|null} payload.settings - Settings to save, or null to restore the voice defaults
+ * @returns {Promise<Object>}
+ */
+async function handleSetVoiceSettings(payload) {
+  const { voiceId, settings } = payload;
+  
+  if (!voiceId || typeof voiceId !== 'string') {
+    return { success: false, error: 'Invalid voice ID' };
+  }
+  
+  if (settings !== null && !isValidVoiceSettings(settings)) {
+    return { success: false, error: 'Invalid voice settings' };
+  }
+  
+  const allSettings = await getSavedVoiceSettings();
+  
+  if (settings === null) {
+    delete allSettings[voiceId];
+  } else {
+    const { stability, similarityBoost, style, useSpeakerBoost } = settings;
+    allSettings[voiceId] = { stability, similarityBoost, style, useSpeakerBoost };
+  }
+  
+  await saveToStorage(STORAGE_KEYS.VOICE_SETTINGS, allSettings);
+  return { success: true };
+}
+
+/**
+ * Handle PREVIEW_VOICE message
+ * Synthesizes a sample sentence and plays it through the offscreen player,
+ * interrupting any page playback
+ * @param {Object} payload - Preview payload
+ * @param {string} payload.voiceId - Voice ID
+ * @param {Object} [payload.settings] - Unsaved settings to preview, defaults to the saved ones
+ * @returns {Promise<Object>}
+ */
+async function handlePreviewVoice(payload) {
+  const { voiceId, settings } = payload;
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  if (!voiceId || typeof voiceId !== 'string') {
+    return { success: false, error: 'Invalid voice ID' };
+  }
+  
+  if (settings && !isValidVoiceSettings(settings)) {
+    return { success: false, error: 'Invalid voice settings' };
+  }
+  
+  try {
+    const options = { ...(await getSpeechOptions(voiceId)), ...settings };
+    const response = await textToSpeech(apiKey, VOICE_PREVIEW_TEXT, voiceId, options);
+    await recordCharacterUsage(VOICE_PREVIEW_TEXT.length, getUsageDomain(null));
+    
+    if (playbackState.status !== PlaybackStatus.IDLE) {
+      await handleStop();
+    }
+    
+    audioContext.previewing = true;
+    await ensureOffscreenDocument();
+    await sendToOffscreen({
+      type: 'play',
+      audioBase64: arrayBufferToBase64(response.audio),
+      speed: playbackState.speed
+    });
+    
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message, errorType: getErrorType(error) };
+  }
+}
+
+/**
+ * Add characters sent to ElevenLabs to today's usage
+ * @param {number} characters - Number of characters synthesized
+ * @param {string} domain - Domain the text was read from
+ * @returns {Promise<void>}
+ */
+function recordCharacterUsage(characters, domain) {
+  usageWriteQueue = usageWriteQueue.then(async () => {
+    const today = getDateKey(new Date());
+    const usage = (await getFromStorage(STORAGE_KEYS.USAGE_STATS)) || createEmptyUsage();
+    const updated = recordUsage(usage, { characters, domain, date: today });
+    await saveToStorage(STORAGE_KEYS.USAGE_STATS, pruneUsage(updated, today));
+  }).catch((error) => {
+    console.warn('ElevenPage Reader: Failed to record usage', error);
+  });
+  
+  return usageWriteQueue;
+}
+
+/**
+ * Handle GET_USAGE message
+ * Local usage is always returned; the subscription quota only when the API is reachable
+ * @returns {Promise<Object>}
+ */
+async function handleGetUsage() {
+  const usage = (await getFromStorage(STORAGE_KEYS.USAGE_STATS)) || createEmptyUsage();
+  const response = {
+    success: true,
+    usage: summarizeUsage(usage, getDateKey(new Date())),
+    subscription: null
+  };
+  
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  if (!apiKey) {
+    return response;
+  }
+  
+  try {
+    response.subscription = await getSubscription(apiKey);
+  } catch (error) {
+    response.subscriptionError = error.message;
+    response.errorType = getErrorType(error);
+  }
+  
+  return response;
+}
+
+/**
+ * Reset the spending guard for a tab
+ * @param {number|null} tabId - Tab the guard applies to
+ */
+function resetSpendingGuard(tabId) {
+  spendingGuard = {
+    tabId,
+    checked: false,
+    awaitingConfirmation: false,
+    declined: false,
+    held: false
+  };
+}
+
+/**
+ * Check whether auto-continue may spend characters on the rest of the page
+ * The first time this runs for a page, the remaining text length is compared
+ * with the configured threshold; above it, auto-continue is held and the user
+ * is asked to confirm
+ * @param {number} currentParagraphIndex - Paragraph currently playing
+ * @returns {Promise<boolean>} True if the next paragraph may be synthesized
+ */
+async function checkSpendingGuard(currentParagraphIndex) {
+  if (spendingGuard.tabId !== audioContext.tabId) {
+    resetSpendingGuard(audioContext.tabId);
+  }
+  
+  if (spendingGuard.declined || spendingGuard.awaitingConfirmation) {
+    return false;
+  }
+  
+  if (spendingGuard.checked) {
+    return true;
+  }
+  
+  const enabled = await getFromStorage(STORAGE_KEYS.SPENDING_GUARD_ENABLED);
+  if (enabled === false) {
+    return true;
+  }
+  
+  const threshold = (await getFromStorage(STORAGE_KEYS.SPENDING_GUARD_THRESHOLD)) || DEFAULT_SPENDING_GUARD_THRESHOLD;
+  
+  let response = null;
+  try {
+    response = await sendToReadingPage({
+      type: MessageType.GET_REMAINING_TEXT_LENGTH,
+      paragraphIndex: currentParagraphIndex + 1
+    });
+  } catch (error) {
+    // Content script not responding - don't block reading
+  }
+  
+  // The remaining length can't be measured, so there is nothing to guard
+  if (!response?.success || typeof response.length !== 'number') {
+    return true;
+  }
+  
+  if (response.length <= threshold) {
+    spendingGuard.checked = true;
+    return true;
+  }
+  
+  spendingGuard.awaitingConfirmation = true;
+  await updatePlaybackState({
+    spendingConfirmation: { remainingCharacters: response.length, threshold }
+  });
+  return false;
+}
+
+/**
+ * Handle CONFIRM_SPENDING message
+ * @param {Object} payload - Confirmation payload
+ * @param {boolean} payload.confirmed - True to keep reading the page, false to stop after the current paragraph
+ * @returns {Promise<Object>}
+ */
+async function handleConfirmSpending(payload) {
+  if (!spendingGuard.awaitingConfirmation) {
+    return { success: false, error: 'No confirmation pending' };
+  }
+  
+  const { confirmed } = payload;
+  const wasHeld = spendingGuard.held;
+  
+  spendingGuard.awaitingConfirmation = false;
+  spendingGuard.held = false;
+  spendingGuard.checked = confirmed === true;
+  spendingGuard.declined = confirmed !== true;
+  
+  await updatePlaybackState({ spendingConfirmation: null });
+  
+  if (!confirmed) {
+    if (wasHeld) {
+      await handleStop();
+    }
+    return { success: true };
+  }
+  
+  if (wasHeld) {
+    // Playback already reached the end of the chunk - continue with the next one
+    const next = getNextChunkStart();
+    await updatePlaybackState({ status: PlaybackStatus.LOADING });
+    await requestNextParagraph(next.paragraphIndex, next.charStart);
+  } else {
+    await preloadNextChunk();
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Handle SET_AUTO_CONTINUE message
+ * @param {Object} payload - Auto-continue payload
+ * @param {boolean} payload.autoContinue - The auto-continue setting
+ * @returns {Promise<Object>}
+ */
+async function handleSetAutoContinue(payload) {
+  const { autoContinue } = payload;
+  
+  // Validate that autoContinue is a boolean
+  if (typeof autoContinue !== 'boolean') {
+    return { success: false, error: 'Auto-continue must be a boolean' };
+  }
+  
+  // Save to storage
+  await saveToStorage(STORAGE_KEYS.AUTO_CONTINUE, autoContinue);
+  
+  // Clear preload state when auto-continue is disabled
+  // This cancels any pending preload requests and clears cached audio
+  if (!autoContinue) {
+    clearPreloadState();
+  }
+  
+  // Update playback state and broadcast change
+  await updatePlaybackState({ autoContinue });
+  
+  return { success: true };
+}
+
+/**
+ * Handle SET_TOTAL_PARAGRAPHS message
+ * Updates the total paragraphs count for auto-continue boundary checking
+ * @param {Object} payload - Total paragraphs payload
+ * @param {number} payload.totalParagraphs - The total number of paragraphs on the page
+ * @param {number} [payload.tabId] - Tab of the page
+ * @returns {Promise<Object>}
+ */
+async function handleSetTotalParagraphs(payload) {
+  const { totalParagraphs } = payload;
+  
+  // Validate that totalParagraphs is a non-negative number
+  if (typeof totalParagraphs !== 'number' || totalParagraphs < 0) {
+    return { success: false, error: 'Total paragraphs must be a non-negative number' };
+  }
+  
+  // Pages loading in other tabs, or while an article is read in the background,
+  // don't change the length or the spending guard of the page being read
+  const isPageBeingRead = !isReadingInBackground() && payload.tabId === audioContext.tabId;
+  const isQueuedPage = payload.tabId !== undefined && payload.tabId === queueState.pendingTabId;
+  if (playbackState.status !== PlaybackStatus.IDLE && !isPageBeingRead && !isQueuedPage) {
+    return { success: true };
+  }
+  
+  // Update playback state (no need to broadcast for this internal state)
+  playbackState.totalParagraphs = totalParagraphs;
+  
+  // A newly parsed page has not been checked by the spending guard
+  resetSpendingGuard(null);
+  
+  // Until something is read, the side panel shows the newly parsed page if it is the active tab
+  if (playbackState.status === PlaybackStatus.IDLE) {
+    await broadcastTranscriptChange();
+  }
+  
+  // A page opened from the reading queue starts reading once its paragraphs are known
+  // (not awaited, so the page can finish setting up while the first paragraph loads)
+  if (payload.tabId !== undefined && payload.tabId === queueState.pendingTabId) {
+    clearPendingQueuePage();
+    startQueuedPage(payload.tabId, totalParagraphs);
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Handle SHOW_PLAYER message
+ * Sends a message to the content script to show the floating player
+ * @param {number} tabId - Tab ID to show player in
+ * @returns {Promise<Object>}
+ */
+async function handleShowPlayer(tabId) {
+  if (!tabId) {
+    // Get the active tab if no tabId provided
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab?.id;
+  }
+  
+  if (!tabId) {
+    return { success: false, error: 'No active tab found' };
+  }
+  
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: MessageType.SHOW_PLAYER });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: 'Content script not loaded on this page' };
+  }
+}
+
+/**
+ * Handle INITIALIZE message
+ * Forwards initialization request to content script in active tab
+ * Used for manual activation when auto-start is disabled
+ * @returns {Promise<Object>}
+ */
+async function handleInitialize() {
+  // Get the active tab
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab?.id) {
+    return { success: false, error: 'No active tab found' };
+  }
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: MessageType.INITIALIZE });
+    return response || { success: false, error: 'No response from content script' };
+  } catch (error) {
+    return { success: false, error: 'Content script not loaded on this page' };
+  }
+}
+
+/**
+ * Handle PICK_ELEMENT message
+ * Starts the element picker in the active tab, for adding to the site rules
+ * @returns {Promise<Object>}
+ */
+async function handlePickElement() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab?.id) {
+    return { success: false, error: 'No active tab found' };
+  }
+  
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: MessageType.PICK_ELEMENT });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: 'Content script not loaded on this page' };
+  }
+}
+
+/**
+ * Handle UPLOAD_PRONUNCIATION_DICTIONARY message
+ * Uploads the global word entries of the lexicon as an ElevenLabs
+ * pronunciation dictionary, used with every request from then on
+ * @returns {Promise<Object>}
+ */
+async function handleUploadPronunciationDictionary() {
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  const lexicon = resolveLexicon(await getFromStorage(STORAGE_KEYS.PRONUNCIATION_LEXICON));
+  const entries = getDictionaryEntries(lexicon);
+  if (entries.length === 0) {
+    return { success: false, error: 'Add words to the global list first' };
+  }
+  
+  try {
+    const { id, versionId } = await createPronunciationDictionary(
+      apiKey,
+      'ElevenPage Reader',
+      toDictionaryRules(entries)
+    );
+    await saveToStorage(STORAGE_KEYS.PRONUNCIATION_DICTIONARY, { id, versionId, entries });
+    return { success: true, id, versionId, entries: entries.length };
+  } catch (error) {
+    return { success: false, error: error.message, errorType: getErrorType(error) };
+  }
+}
+
+/**
+ * Handle CLEAR_PRONUNCIATION_DICTIONARY message
+ * Stops sending the uploaded dictionary; the lexicon is applied locally again
+ * @returns {Promise<Object>}
+ */
+async function handleClearPronunciationDictionary() {
+  await saveToStorage(STORAGE_KEYS.PRONUNCIATION_DICTIONARY, null);
+  return { success: true };
+}
+
+/**
+ * Save or forget the reading position of a page
+ * @param {string|null} pageUrl - Page URL
+ * @param {ReadingPosition|null} position - Position to save, or null to forget the page
+ * @returns {Promise<void>}
+ */
+function storeReadingPosition(pageUrl, position) {
+  const url = getCanonicalUrl(pageUrl);
+  if (!url) {
+    return readingPositionWriteQueue;
+  }
+  
+  readingPositionWriteQueue = readingPositionWriteQueue.then(async () => {
+    const positions = await getFromStorage(STORAGE_KEYS.READING_POSITIONS);
+    await saveToStorage(STORAGE_KEYS.READING_POSITIONS, recordReadingPosition(positions, url, position));
+  }).catch((error) => {
+    console.warn('ElevenPage Reader: Failed to save reading position', error);
+  });
+  
+  return readingPositionWriteQueue;
+}
+
+/**
+ * Save where the page being read is, so reading can resume there in a later session
+ * Nothing is saved while idle or reading a selection
+ * @returns {Promise<void>}
+ */
+function saveReadingPosition() {
+  const { status, readingSelection, currentParagraphIndex, currentTime } = playbackState;
+  if (status === PlaybackStatus.IDLE || readingSelection || audioContext.segments.length === 0) {
+    return readingPositionWriteQueue;
+  }
+  
+  // While the next chunk loads, the segments still belong to the previous one
+  const segment = audioContext.segments.find(s => s.paragraphIndex === currentParagraphIndex) || null;
+  const alignment = segment ? getSegmentAlignment(audioContext.alignmentData, segment) : null;
+  // Reading resumes with a chunk starting at the paragraph, so the offset
+  // counts from the paragraph's start; a later part of a paragraph read in
+  // parts resumes at its sentence instead
+  const startTime = segment && segment.charStart === 0 ? getSegmentStartTime(segment) : null;
+  
+  return storeReadingPosition(audioContext.pageUrl, {
+    paragraphIndex: currentParagraphIndex,
+    sentenceIndex: getSentenceIndexAtTime(alignment, currentTime),
+    currentTime: startTime !== null ? Math.max(0, currentTime - startTime) : 0,
+    fingerprint: segment ? segment.fingerprint : null,
+    savedAt: Date.now()
+  });
+}
+
+/**
+ * Handle GET_READING_POSITION message
+ * @param {Object} payload - Request payload
+ * @param {string} payload.pageUrl - URL of the page
+ * @returns {Promise<Object>} Response with the saved position, or null
+ */
+async function handleGetReadingPosition(payload) {
+  const url = getCanonicalUrl(payload?.pageUrl);
+  if (!url) {
+    return { success: true, position: null };
+  }
+  
+  const positions = await getFromStorage(STORAGE_KEYS.READING_POSITIONS);
+  return { success: true, position: positions?.[url] || null };
+}
+
+/**
+ * Get the reading queue from storage
+ * @returns {Promise<QueueItem[]>}
+ */
+async function getQueue() {
+  return resolveQueue(await getFromStorage(STORAGE_KEYS.READING_QUEUE));
+}
+
+/**
+ * Save the reading queue
+ * @param {QueueItem[]} queue - Queue to save
+ * @returns {Promise<Object>} Response with the saved queue
+ */
+async function saveQueue(queue) {
+  await saveToStorage(STORAGE_KEYS.READING_QUEUE, queue);
+  return { success: true, queue };
+}
+
+/**
+ * Handle GET_QUEUE message
+ * @returns {Promise<Object>}
+ */
+async function handleGetQueue() {
+  return { success: true, queue: await getQueue() };
+}
+
+/**
+ * Handle ADD_TO_QUEUE message
+ * Queues the given page, or the active tab when no URL is given
+ * @param {Object} [payload] - Add payload
+ * @param {string} [payload.url] - URL of the page
+ * @param {string} [payload.title] - Title of the page
+ * @returns {Promise<Object>}
+ */
+async function handleAddToQueue(payload = {}) {
+  let { url, title } = payload;
+  if (!url) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    url = tab?.url;
+    title = tab?.title;
+  }
+  
+  const item = createQueueItem(url, title);
+  if (!item) {
+    return { success: false, error: 'Only web pages can be queued' };
+  }
+  return saveQueue(addToQueue(await getQueue(), item));
+}
+
+/**
+ * Handle REMOVE_FROM_QUEUE message
+ * @param {Object} payload - Remove payload
+ * @param {string} payload.id - ID of the item to remove
+ * @returns {Promise<Object>}
+ */
+async function handleRemoveFromQueue(payload) {
+  return saveQueue(removeFromQueue(await getQueue(), payload?.id));
+}
+
+/**
+ * Handle MOVE_IN_QUEUE message
+ * @param {Object} payload - Move payload
+ * @param {string} payload.id - ID of the item to move
+ * @param {number} payload.index - New index of the item
+ * @returns {Promise<Object>}
+ */
+async function handleMoveInQueue(payload) {
+  return saveQueue(moveInQueue(await getQueue(), payload?.id, payload?.index));
+}
+
+/**
+ * Handle CLEAR_QUEUE message
+ * @returns {Promise<Object>}
+ */
+async function handleClearQueue() {
+  return saveQueue([]);
+}
+
+/**
+ * Handle START_QUEUE message
+ * Opens the first queued page and reads it, then the rest in order
+ * @returns {Promise<Object>}
+ */
+async function handleStartQueue() {
+  if (playbackState.status !== PlaybackStatus.IDLE) {
+    return { success: false, error: 'Stop reading first; the queue continues when a page is finished' };
+  }
+  if (!(await advanceQueue())) {
+    return { success: false, error: 'The reading queue is empty' };
+  }
+  return { success: true };
+}
+
+/**
+ * Stop waiting for a queued page
+ */
+function clearPendingQueuePage() {
+  clearTimeout(queueState.timer);
+  queueState = { pendingTabId: null, timer: null };
+}
+
+/**
+ * Wait for a queued page to report its paragraphs, moving on if it never does
+ * @param {number} tabId - Tab of the queued page
+ */
+function waitForQueuedPage(tabId) {
+  clearPendingQueuePage();
+  queueState.pendingTabId = tabId;
+  queueState.timer = setTimeout(() => {
+    if (queueState.pendingTabId === tabId) {
+      console.log('ElevenPage Reader: Queued page has nothing to read, moving on');
+      advanceQueue();
+    }
+  }, QUEUE_PAGE_TIMEOUT_MS);
+}
+
+/**
+ * Ask a queued page to set up for reading
+ * A page that is already set up doesn't report its paragraphs again, so the
+ * count in its reply is used instead
+ * @param {number} tabId - Tab of the queued page
+ * @returns {Promise<void>}
+ */
+async function initializeQueuedPage(tabId) {
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, { type: MessageType.INITIALIZE });
+  } catch (error) {
+    // Content script not loaded yet; the page reports its paragraphs when it starts
+    return;
+  }
+  
+  if (response?.totalParagraphs && queueState.pendingTabId === tabId) {
+    await handleSetTotalParagraphs({ totalParagraphs: response.totalParagraphs, tabId });
+  }
+}
+
+/**
+ * Take the next page off the reading queue and open it
+ * A tab already showing the page is switched to; otherwise a new tab is opened
+ * @returns {Promise<boolean>} False if the queue was empty
+ */
+async function advanceQueue() {
+  clearPendingQueuePage();
+  
+  const [item, ...rest] = await getQueue();
+  if (!item) {
+    return false;
+  }
+  await saveToStorage(STORAGE_KEYS.READING_QUEUE, rest);
+  
+  if (await getFromStorage(STORAGE_KEYS.READ_QUEUE_IN_BACKGROUND)) {
+    const response = await handleReadInBackground({ url: item.url, title: item.title });
+    return response.success ? true : advanceQueue();
+  }
+  
+  try {
+    const url = getCanonicalUrl(item.url);
+    const tabs = await chrome.tabs.query({});
+    const openTab = tabs.find(tab => tab.url && getCanonicalUrl(tab.url) === url);
+    
+    if (openTab) {
+      await chrome.tabs.update(openTab.id, { active: true });
+      waitForQueuedPage(openTab.id);
+      await initializeQueuedPage(openTab.id);
+    } else {
+      const tab = await chrome.tabs.create({ url: item.url, active: true });
+      waitForQueuedPage(tab.id);
+    }
+  } catch (error) {
+    console.error('ElevenPage Reader: Could not open queued page:', error);
+    return advanceQueue();
+  }
+  return true;
+}
+
+/**
+ * Start reading a queued page from its first paragraph
+ * @param {number} tabId - Tab of the queued page
+ * @param {number} totalParagraphs - Number of paragraphs on the page
+ * @returns {Promise<Object|boolean>}
+ */
+async function startQueuedPage(tabId, totalParagraphs) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const response = totalParagraphs > 0
+      ? await chrome.tabs.sendMessage(tabId, { type: MessageType.GET_NEXT_PARAGRAPH, paragraphIndex: 0 })
+      : null;
+    
+    if (response?.success && response.text) {
+      return handlePlay({ tabId, text: response.text, paragraphIndex: 0, block: response.block, pageUrl: tab.url });
+    }
+  } catch (error) {
+    console.error('ElevenPage Reader: Could not read queued page:', error);
+  }
+  return advanceQueue();
+}
+
+/**
+ * Check if the page being read is an article read in the background
+ * @returns {boolean}
+ */
+function isReadingInBackground() {
+  return !audioContext.tabId && backgroundArticle !== null;
+}
+
+/**
+ * Check if there is a page to read paragraphs from, in a tab or in the background
+ * @returns {boolean}
+ */
+function hasReadingPage() {
+  return Boolean(audioContext.tabId) || backgroundArticle !== null;
+}
+
+/**
+ * Send a paragraph request to the page being read
+ * Pages in a tab answer through their content script; articles read in the
+ * background answer from their parsed paragraphs, the same way
+ * @param {Object} message - GET_NEXT_PARAGRAPH or GET_REMAINING_TEXT_LENGTH message
+ * @returns {Promise<Object|undefined>}
+ */
+async function sendToReadingPage(message) {
+  if (!isReadingInBackground()) {
+    return chrome.tabs.sendMessage(audioContext.tabId, message);
+  }
+  
+  const { paragraphs } = backgroundArticle;
+  const { paragraphIndex } = message;
+  if (typeof paragraphIndex !== 'number' || paragraphIndex < 0) {
+    return { success: false, error: 'Invalid paragraph index' };
+  }
+  
+  switch (message.type) {
+    case MessageType.GET_NEXT_PARAGRAPH:
+      if (paragraphIndex >= paragraphs.length) {
+        return { success: false, error: 'Invalid paragraph index' };
+      }
+      return { success: true, text: paragraphs[paragraphIndex].text, paragraphIndex, block: paragraphs[paragraphIndex].block };
+      
+    case MessageType.GET_REMAINING_TEXT_LENGTH:
+      return { success: true, length: paragraphs.slice(paragraphIndex).map(p => p.text).join('\n\n').length };
+      
+    default:
+      return { success: false, error: 'Unknown message type' };
+  }
+}
+
+/**
+ * Replace the article read in the background and tell the side panel
+ * @param {{url: string, title: string, language: string|null, paragraphs: ArticleParagraph[]}|null} article - New article, or null for none
+ */
+async function setBackgroundArticle(article) {
+  backgroundArticle = article;
+  await broadcastTranscriptChange();
+}
+
+/**
+ * Tell the side panel that the page being read changed, so it loads the new transcript
+ */
+async function broadcastTranscriptChange() {
+  try {
+    await chrome.runtime.sendMessage({ type: MessageType.TRANSCRIPT_CHANGE });
+  } catch (e) {
+    // Side panel may not be open
+  }
+}
+
+/**
+ * Fetch a page and parse it into paragraphs in the offscreen document
+ * @param {string} url - Page URL
+ * @returns {Promise<{title: string, language: string|null, paragraphs: ArticleParagraph[]}>}
+ */
+async function fetchArticle(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load the page (HTTP ${response.status})`);
+  }
+  const html = await response.text();
+  
+  await ensureOffscreenDocument();
+  const parsed = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'parseArticle',
+    html,
+    url: response.url || url,
+    siteRules: await getFromStorage(STORAGE_KEYS.SITE_RULES),
+    contentStrategy: await getFromStorage(STORAGE_KEYS.CONTENT_STRATEGY)
+  });
+  
+  if (!parsed?.success) {
+    throw new Error(parsed?.error || 'Could not read the page');
+  }
+  if (parsed.paragraphs.length === 0) {
+    throw new Error('No readable content found on the page');
+  }
+  return parsed;
+}
+
+/**
+ * Handle READ_IN_BACKGROUND message
+ * Reads a page without opening it: the page is fetched and parsed, then read
+ * from its first paragraph with the transcript in the side panel
+ * @param {Object} payload - Read payload
+ * @param {string} payload.url - URL of the page
+ * @param {string} [payload.title] - Title of the page, when known
+ * @returns {Promise<Object>}
+ */
+async function handleReadInBackground(payload = {}) {
+  const { url, title } = payload;
+  if (!getCanonicalUrl(url)) {
+    return { success: false, error: 'Only web pages can be read in the background' };
+  }
+  
+  // Pages are fetched with a permission for their site, asked for when the user starts reading them
+  if (!(await chrome.permissions.contains({ origins: getSitePermissions([url]) }))) {
+    return { success: false, error: 'Allow the extension to read pages from this site first' };
+  }
+  
+  clearPreloadState();
+  await handleStop();
+  await updatePlaybackState({ status: PlaybackStatus.LOADING });
+  
+  let article;
+  try {
+    article = await fetchArticle(url);
+  } catch (error) {
+    await updatePlaybackState({
+      status: PlaybackStatus.ERROR,
+      error: error.message,
+      errorType: API_ERROR_TYPES.UNKNOWN
+    });
+    return { success: false, error: error.message };
+  }
+  
+  // Stopped while the page was loading
+  if (playbackState.status !== PlaybackStatus.LOADING) {
+    return { success: false, error: 'Playback cancelled' };
+  }
+  
+  // Pages that don't declare their language have it detected from their text,
+  // to pick the model the way it is picked for a tab
+  const language = article.language ||
+    await detectTextLanguage(article.paragraphs.map(paragraph => paragraph.text).join('\n\n'));
+  
+  // The article is the page being read by the time the side panel asks for it
+  audioContext.tabId = null;
+  await setBackgroundArticle({ url, title: title || article.title || url, language, paragraphs: article.paragraphs });
+  resetSpendingGuard(null);
+  
+  const [first] = article.paragraphs;
+  return handlePlay({ text: first.text, paragraphIndex: 0, block: first.block, pageUrl: url });
+}
+
+/**
+ * Handle GET_TRANSCRIPT message
+ * The side panel shows the page being read: the article read in the
+ * background, the tab being read, or else the active tab
+ * @returns {Promise<Object>} Response with the transcript, or null when there is no parsed page
+ */
+async function handleGetTranscript() {
+  const state = getPlaybackState();
+  if (isReadingInBackground()) {
+    return { success: true, transcript: { ...backgroundArticle, tabId: null }, state };
+  }
+  
+  let tabId = playbackState.status !== PlaybackStatus.IDLE ? audioContext.tabId : null;
+  try {
+    if (!tabId) {
+      const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      tabId = activeTab?.id;
+    }
+    if (tabId) {
+      const response = await chrome.tabs.sendMessage(tabId, { type: MessageType.GET_TRANSCRIPT });
+      if (response?.success) {
+        const { url, title, paragraphs } = response;
+        return { success: true, transcript: { tabId, url, title, paragraphs }, state };
+      }
+    }
+  } catch (e) {
+    // The tab has no content script, so it has no transcript
+  }
+  return { success: true, transcript: null, state };
+}
+
+/**
+ * Handle SEEK message
+ * Moves playback to a character of a paragraph. The paragraph being read
+ * seeks in place; any other paragraph is read from its start first.
+ * With a time instead, seeks in the audio being read, page or selection.
+ * @param {Object} payload - Seek payload
+ * @param {number} [payload.time] - Time in the audio being read, in seconds
+ * @param {number} payload.paragraphIndex - Paragraph to seek in
+ * @param {number} [payload.charOffset=0] - Offset in the paragraph text
+ * @param {string} [payload.text] - Paragraph text, to read a paragraph that isn't loaded
+ * @param {Object} [payload.block] - Block description, for the spoken cue
+ * @param {number|null} [payload.tabId] - Tab of the page, or null for the article read in the background
+ * @param {string} [payload.pageUrl] - URL of the page
+ * @returns {Promise<Object>}
+ */
+async function handleSeek(payload = {}) {
+  const { paragraphIndex, charOffset = 0, tabId } = payload;
+  if (typeof payload.time === 'number') {
+    return seekToTime(payload.time);
+  }
+  if (typeof paragraphIndex !== 'number' || paragraphIndex < 0) {
+    return { success: false, error: 'Invalid paragraph index' };
+  }
+  
+  // The paragraph may be anywhere in the chunk being read, as far as it has arrived
+  const segment = audioContext.segments.find(s => s.paragraphIndex === paragraphIndex);
+  const loaded = !getSeekError() &&
+    !playbackState.readingSelection &&
+    Boolean(segment) &&
+    (tabId === undefined || (tabId || null) === (audioContext.tabId || null)) &&
+    getSegmentStartTime(segment) !== null &&
+    charOffset >= segment.charStart &&
+    (charOffset < segment.charEnd || segment.charEnd === segment.paragraphLength);
+  
+  if (!loaded) {
+    if (!tabId && !backgroundArticle) {
+      return { success: false, error: 'No page to read' };
+    }
+    const result = await handleJumpToParagraph({ ...payload, tabId: tabId || null });
+    // Stopped, or moved on, while the paragraph was loading
+    if (!result.success || charOffset <= 0 || playbackState.currentParagraphIndex !== paragraphIndex ||
+        playbackState.status === PlaybackStatus.IDLE || playbackState.status === PlaybackStatus.ERROR) {
+      return result;
+    }
+  }
+  
+  return seekToTime(getCharacterStartTime(getLoadedParagraphAlignment(paragraphIndex), charOffset));
+}
+
+/**
+ * Seek to a time in the audio being read
+ * @param {number} time - Time in seconds, clamped to the audio
+ * @returns {Promise<Object>}
+ */
+async function seekToTime(time) {
+  const { status } = playbackState;
+  if ((status !== PlaybackStatus.PLAYING && status !== PlaybackStatus.PAUSED) || !audioContext.alignmentData) {
+    return { success: false, error: 'Nothing to seek in' };
+  }
+  
+  const currentTime = Math.max(0, Math.min(time, getAlignmentDuration(audioContext.alignmentData)));
+  await sendToOffscreen({ type: 'seek', time: currentTime });
+  playbackState.currentTime = currentTime;
+  await followSegmentAtTime(currentTime);
+  await broadcastHighlightUpdate(currentTime);
+  
+  return { success: true, currentTime };
+}
+
+/**
+ * Handle CLEAR_AUDIO_CACHE message
+ * @returns {Promise<Object>}
+ */
+async function handleClearAudioCache() {
+  try {
+    await clearAudioCache();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle GET_AUDIO_CACHE_STATS message
+ * @returns {Promise<Object>}
+ */
+async function handleGetAudioCacheStats() {
+  try {
+    const stats = await getAudioCacheStats();
+    return { success: true, stats };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send export progress to the tab the export was started from
+ * @param {number} tabId - Tab ID
+ * @param {{status: string, completed?: number, total?: number, error?: string, errorType?: string}} progress - Export progress
+ */
+async function sendExportProgress(tabId, progress) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: MessageType.EXPORT_PROGRESS, progress });
+  } catch (e) {
+    // Tab may have been closed
+  }
+}
+
+/**
+ * Handle START_EXPORT message
+ * Starts exporting the page as an MP3 audiobook or subtitles in the
+ * background; progress is reported to the tab with EXPORT_PROGRESS messages
+ * @param {Object} payload - Export payload
+ * @param {number} payload.tabId - Tab to export
+ * @param {string} [payload.format='mp3'] - One of ExportFormat
+ * @param {string} [payload.pageUrl] - URL of the page, for usage tracking
+ * @param {boolean} [payload.confirmed] - True once the user has accepted the export's character cost
+ * @returns {Promise<Object>}
+ */
+async function handleStartExport(payload) {
+  const { tabId, pageUrl, format = ExportFormat.MP3, confirmed } = payload;
+  
+  if (typeof tabId !== 'number') {
+    return { success: false, error: 'Exports must be started from a page' };
+  }
+  
+  if (!Object.values(ExportFormat).includes(format)) {
+    return { success: false, error: 'Unsupported export format' };
+  }
+  
+  if (exportJob.controller) {
+    return { success: false, error: 'An export is already running' };
+  }
+  
+  const apiKey = await getFromStorage(STORAGE_KEYS.API_KEY);
+  const voiceId = await getFromStorage(STORAGE_KEYS.SELECTED_VOICE_ID);
+  
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured', errorType: API_ERROR_TYPES.INVALID_API_KEY };
+  }
+  
+  if (!voiceId) {
+    return { success: false, error: 'Voice not selected' };
+  }
+  
+  // Exporting spends characters on the whole page, so the spending guard asks first
+  const spendingConfirmation = confirmed === true ? null : await getExportSpendingConfirmation(tabId);
+  if (spendingConfirmation) {
+    return { success: false, error: 'Export needs confirmation', spendingConfirmation };
+  }
+  
+  const controller = new AbortController();
+  exportJob = { tabId, controller, promise: null };
+  exportJob.promise = runExport({ apiKey, voiceId, tabId, pageUrl, format, signal: controller.signal })
+    .finally(() => {
+      if (exportJob.controller === controller) {
+        exportJob = { tabId: null, controller: null, promise: null };
+      }
+    });
+  
+  return { success: true };
+}
+
+/**
+ * Check an export against the spending guard
+ * @param {number} tabId - Tab to export
+ * @returns {Promise<{remainingCharacters: number, threshold: number}|null>} Confirmation to ask for, or null if the export may start
+ */
+async function getExportSpendingConfirmation(tabId) {
+  const enabled = await getFromStorage(STORAGE_KEYS.SPENDING_GUARD_ENABLED);
+  if (enabled === false) {
+    return null;
+  }
+  
+  const threshold = (await getFromStorage(STORAGE_KEYS.SPENDING_GUARD_THRESHOLD)) || DEFAULT_SPENDING_GUARD_THRESHOLD;
+  
+  let response = null;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, {
+      type: MessageType.GET_REMAINING_TEXT_LENGTH,
+      paragraphIndex: 0
+    });
+  } catch (error) {
+    // Content script not responding - the export reports it
+  }
+  
+  if (!response?.success || typeof response.length !== 'number' || response.length <= threshold) {
+    return null;
+  }
+  return { remainingCharacters: response.length, threshold };
+}
+
+/**
+ * Handle CANCEL_EXPORT message
+ * @returns {Object}
+ */
+function handleCancelExport() {
+  if (!exportJob.controller) {
+    return { success: false, error: 'No export running' };
+  }
+  
+  exportJob.controller.abort();
+  return { success: true };
+}
+
+/**
+ * Synthesize every paragraph of a page and download it as one MP3 with
+ * chapter markers, or as subtitles timed to that MP3
+ * Paragraph audio goes through the audio cache, so exporting the page again
+ * or in another format isn't paid for twice. Reading caches chunks with the
+ * text around them, so their audio isn't reused here.
+ * @param {Object} job - Export job
+ * @param {string} job.apiKey - API key
+ * @param {string} job.voiceId - Voice ID
+ * @param {number} job.tabId - Tab to export
+ * @param {string} [job.pageUrl] - URL of the page, for usage tracking
+ * @param {string} job.format - One of ExportFormat
+ * @param {AbortSignal} job.signal - Signal that cancels the export
+ * @returns {Promise<void>}
+ */
+async function runExport({ apiKey, voiceId, tabId, pageUrl, format, signal }) {
+  await sendExportProgress(tabId, { status: ExportStatus.RUNNING, completed: 0, total: 0 });
+  
+  try {
+    const content = await chrome.tabs.sendMessage(tabId, { type: MessageType.GET_EXPORT_CONTENT });
+    if (!content?.success || !content.paragraphs?.length) {
+      throw new Error(content?.error || 'No readable content on this page');
+    }
+    
+    const total = content.paragraphs.length;
+    const paragraphs = [];
+    const segments = [];
+    
+    for (const [index, paragraph] of content.paragraphs.entries()) {
+      if (signal.aborted) break;
+      
+      // Subtitles show the page text, not the spoken form
+      const spoken = await getSpokenText(paragraph.text, null, pageUrl);
+      // Paragraphs with nothing left to say once normalized are left out
+      if (spoken.text.trim()) {
+        const { audio, alignment } = await synthesizeSpeech(apiKey, spoken.text, voiceId, { signal, pageUrl, tabId });
+        paragraphs.push(paragraph);
+        segments.push({ audio, alignment: getParagraphAlignment(alignment, spoken.cueLength, spoken.textMap) });
+      }
+      await sendExportProgress(tabId, { status: ExportStatus.RUNNING, completed: index + 1, total });
+    }
+    
+    if (signal.aborted) {
+      await sendExportProgress(tabId, { status: ExportStatus.CANCELLED });
+      return;
+    }
+    
+    if (segments.length === 0) {
+      throw new Error('No readable content on this page');
+    }
+    
+    // Chapters and subtitles follow the paragraphs that were exported
+    const exported = { ...content, paragraphs };
+    const file = format === ExportFormat.MP3
+      ? await buildAudiobookFile(exported, segments)
+      : await buildSubtitleFile(exported, segments, format);
+    
+    await downloadExportFile(file, EXPORT_MIME_TYPES[format], getExportFileName(content.title, format));
+    
+    await sendExportProgress(tabId, { status: ExportStatus.DONE, completed: total, total });
+  } catch (error) {
+    if (signal.aborted || isAbortError(error)) {
+      await sendExportProgress(tabId, { status: ExportStatus.CANCELLED });
+      return;
+    }
+    
+    console.error('ElevenPage Reader: Export failed', error);
+    await sendExportProgress(tabId, {
+      status: ExportStatus.ERROR,
+      error: error.message,
+      errorType: getErrorType(error)
+    });
+  }
+}
+
+/**
+ * Download an exported file
+ * The offscreen document holds the file as a blob to download from, since
+ * a data: URL of a whole audiobook is too long to download
+ * @param {Uint8Array} file - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} filename - Name to save the file as
+ * @returns {Promise<void>}
+ */
+async function downloadExportFile(file, mimeType, filename) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'createDownloadUrl',
+    dataBase64: arrayBufferToBase64(file),
+    mimeType
+  });
+  if (!response?.url) {
+    throw new Error('Could not prepare the download');
+  }
+  
+  try {
+    const downloadId = await chrome.downloads.download({ url: response.url, filename });
+    exportDownloadUrls.set(downloadId, response.url);
+  } catch (error) {
+    await sendToOffscreen({ type: 'revokeDownloadUrl', url: response.url });
+    throw error;
+  }
+}
+
+/**
+ * Release the blob of an exported file once its download ends
+ * @param {{id: number, state?: {current: string}}} delta - Download change
+ */
+function handleDownloadChanged(delta) {
+  const url = exportDownloadUrls.get(delta.id);
+  const state = delta.state?.current;
+  if (url && (state === 'complete' || state === 'interrupted')) {
+    exportDownloadUrls.delete(delta.id);
+    sendToOffscreen({ type: 'revokeDownloadUrl', url });
+  }
+}
+
+/**
+ * Combine exported paragraph audio into an MP3 audiobook
+ * @param {Object} content - Export content from the page
+ * @param {Array<{audio: ArrayBuffer}>} segments - Audio of each paragraph
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildAudiobookFile(content, segments) {
+  const paragraphsPerChapter = (await getFromStorage(STORAGE_KEYS.EXPORT_PARAGRAPHS_PER_CHAPTER)) ||
+    DEFAULT_PARAGRAPHS_PER_CHAPTER;
+  const chapters = planChapters(content.paragraphs.map(p => p.heading || null), paragraphsPerChapter);
+  
+  const { audio } = createAudiobook({
+    title: content.title,
+    segments: segments.map(segment => segment.audio),
+    chapters
+  });
+  return audio;
+}
+
+/**
+ * Build SRT or WebVTT subtitles for exported paragraphs
+ * Paragraphs are placed back to back using their audio durations, so the
+ * subtitles line up with the MP3 export of the same page
+ * @param {Object} content - Export content from the page
+ * @param {Array<{audio: ArrayBuffer, alignment: Object}>} segments - Audio and alignment of each paragraph
+ * @param {string} format - ExportFormat.SRT or ExportFormat.VTT
+ * @returns {Promise<Uint8Array>} UTF-8 encoded subtitles
+ */
+async function buildSubtitleFile(content, segments, format) {
+  let offset = 0;
+  const paragraphs = segments.map((segment, index) => {
+    const ends = segment.alignment?.character_end_times_seconds || [];
+    const duration = getMp3Duration(segment.audio) || ends[ends.length - 1] || 0;
+    const paragraph = {
+      sentences: content.paragraphs[index].sentences || [content.paragraphs[index].text],
+      alignment: segment.alignment,
+      start: offset,
+      end: offset + duration
+    };
+    offset += duration;
+    return paragraph;
+  });
+  
+  const cues = buildSubtitleCues(paragraphs);
+  const wordTimings = (await getFromStorage(STORAGE_KEYS.SUBTITLE_WORD_TIMINGS)) === true;
+  const text = format === ExportFormat.SRT ? formatSrt(cues) : formatWebVtt(cues, { wordTimings });
+  
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Get the structured error type for an error
+ * @param {Error} error - Error thrown by the API client or playback
+ * @returns {string} One of API_ERROR_TYPES
+ */
+function getErrorType(error) {
+  return error?.type || API_ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Get the options passed to the API client for speech synthesis
+ * @param {string} [voiceId] - Voice whose saved tuning should be applied
+ * @param {number|null} [tabId] - Tab with the text, whose language picks the model when none is selected (defaults to the page being read, null for the article read in the background)
+ * @returns {Promise<{modelId: string, pronunciationDictionaries?: Array<{id: string, versionId: string}>, stability?: number, similarityBoost?: number, style?: number, useSpeakerBoost?: boolean}>}
+ */
+async function getSpeechOptions(voiceId, tabId = audioContext.tabId) {
+  // Without a selected model, pages that aren't in English get a multilingual one
+  const modelId = await getFromStorage(STORAGE_KEYS.SELECTED_MODEL_ID)
+    || getDefaultModelId(tabId ? await detectTabLanguage(tabId) : backgroundArticle?.language);
+  const voiceSettings = voiceId ? (await getSavedVoiceSettings())[voiceId] : null;
+  const dictionary = await getFromStorage(STORAGE_KEYS.PRONUNCIATION_DICTIONARY);
+  
+  return {
+    modelId,
+    ...(dictionary?.id ? { pronunciationDictionaries: [{ id: dictionary.id, versionId: dictionary.versionId }] } : {}),
+    ...voiceSettings
+  };
+}
+
+/**
+ * Detect the language of the page in a tab
+ * @param {number|null} tabId - Tab ID
+ * @returns {Promise<string|null>} Language code, or null if unknown
+ */
+async function detectTabLanguage(tabId) {
+  if (!tabId) {
+    return null;
+  }
+  
+  try {
+    const language = await chrome.tabs.detectLanguage(tabId);
+    return language && language !== 'und' ? language : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the language of text that isn't in a tab
+ * @param {string} text - Text to detect the language of
+ * @returns {Promise<string|null>} Language code, or null if unknown or unreliable
+ */
+async function detectTextLanguage(text) {
+  try {
+    const result = await chrome.i18n.detectLanguage(text);
+    const language = result?.isReliable ? result.languages?.[0]?.language : null;
+    return language && language !== 'und' ? language : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the text to synthesize for a paragraph: the user's pronunciations
+ * applied, then the cue for its block ("Heading level 2.", "Item 3 of 5.", ...)
+ * when that cue is turned on
+ * @param {string} text - Paragraph text
+ * @param {Object} [block] - Block description from the content script
+ * @param {string} [pageUrl] - Page the text came from (defaults to the page being read)
+ * @returns {Promise<{text: string, cueLength: number, textMap: {charMap: number[], text: string}|null}>}
+ */
+async function getSpokenText(text, block, pageUrl = audioContext.pageUrl) {
+  const lexicon = resolveLexicon(await getFromStorage(STORAGE_KEYS.PRONUNCIATION_LEXICON));
+  const dictionary = await getFromStorage(STORAGE_KEYS.PRONUNCIATION_DICTIONARY);
+  
+  // Words in the uploaded dictionary are pronounced by ElevenLabs
+  const transforms = buildTextTransforms(
+    getLexiconEntries(lexicon, getUsageDomain(pageUrl)),
+    dictionary?.id ? dictionary.entries || [] : []
+  );
+  const normalized = normalizeForSpeech(text, transforms);
+  
+  const cues = resolveSpeechCues(await getFromStorage(STORAGE_KEYS.SPEECH_CUES));
+  const spoken = applySpeechCue(normalized.text, block, cues);
+  
+  return {
+    ...spoken,
+    textMap: normalized.charMap ? { charMap: normalized.charMap, text } : null
+  };
+}
+
+/**
+ * Turn alignment of spoken text into alignment of the paragraph text
+ * @param {Object|null} alignment - Alignment from the API
+ * @param {number} cueLength - Characters of spoken cue before the paragraph
+ * @param {{charMap: number[], text: string}|null} textMap - Map from getSpokenText
+ * @returns {Object|null}
+ */
+function getParagraphAlignment(alignment, cueLength, textMap) {
+  const withoutCue = stripCueFromAlignment(alignment, cueLength);
+  return textMap ? mapAlignmentToText(withoutCue, textMap.charMap, textMap.text) : withoutCue;
+}
+
+/**
+ * Get the chunk budget for reading the page
+ * Paragraphs are only read together while auto-continue would read them anyway
+ * @returns {Promise<number|null>} Characters per request, or null to read one paragraph at a time
+ */
+async function getChunkBudget() {
+  if (!playbackState.autoContinue || (await getFromStorage(STORAGE_KEYS.BATCHING_ENABLED)) === false) {
+    return null;
+  }
+  return resolveChunkCharacters(await getFromStorage(STORAGE_KEYS.BATCH_CHARACTERS));
+}
+
+/**
+ * Get the text of a paragraph of the page being read
+ * @param {number} paragraphIndex - Paragraph index
+ * @returns {Promise<{paragraphIndex: number, text: string, block: Object}|null>} Null if the page doesn't answer
+ */
+async function getPageParagraph(paragraphIndex) {
+  try {
+    const response = await sendToReadingPage({ type: MessageType.GET_NEXT_PARAGRAPH, paragraphIndex });
+    return response?.success && response.text
+      ? { paragraphIndex, text: response.text, block: response.block }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Plan the chunk of the page read in one request, starting at a paragraph
+ * Short paragraphs after it are added up to the chunk budget, and a paragraph
+ * over the budget is read in parts. The text around the chunk is sent along,
+ * so the voice carries on across requests.
+ * @param {{paragraphIndex: number, text: string, block: Object}} first - Paragraph to start at
+ * @param {number} [charStart=0] - Offset in that paragraph to start at
+ * @returns {Promise<{parts: Array<Object>, context: {previousText: string, nextText: string}}>}
+ *   Parts hold the paragraph with the start and end of the text read in it
+ */
+async function planPageChunk(first, charStart = 0) {
+  const budget = await getChunkBudget();
+  if (budget === null) {
+    return { parts: [{ ...first, start: Math.min(charStart, first.text.length), end: first.text.length }], context: {} };
+  }
+  
+  // Look ahead until the budget is filled, keeping the paragraph that doesn't
+  // fit for the text after the chunk; the spending guard decides whether
+  // paragraphs beyond the first may be spent on
+  const paragraphs = [first];
+  let length = first.text.length - charStart;
+  if (length <= budget && first.paragraphIndex + 1 < playbackState.totalParagraphs &&
+      await checkSpendingGuard(first.paragraphIndex)) {
+    while (length <= budget && first.paragraphIndex + paragraphs.length < playbackState.totalParagraphs) {
+      const next = await getPageParagraph(first.paragraphIndex + paragraphs.length);
+      if (!next) {
+        break;
+      }
+      paragraphs.push(next);
+      length += next.text.length;
+    }
+  }
+  
+  const parts = planChunk(paragraphs.map(paragraph => paragraph.text), budget, charStart)
+    .map(({ index, start, end }) => ({ ...paragraphs[index], start, end }));
+  
+  const last = parts[parts.length - 1];
+  const nextText = last.end < last.text.length ? last.text.slice(last.end) : paragraphs[parts.length]?.text;
+  let previousText = first.text.slice(0, parts[0].start);
+  if (!previousText && first.paragraphIndex > 0) {
+    previousText = (await getPageParagraph(first.paragraphIndex - 1))?.text;
+  }
+  
+  return {
+    parts,
+    context: { previousText: getPreviousContext(previousText), nextText: getNextContext(nextText) }
+  };
+}
+
+/**
+ * Get the text to synthesize for a chunk, and the segments that map its
+ * alignment back to the paragraphs
+ * @param {Array<{paragraphIndex: number|null, text: string, block: Object, start: number, end: number}>} parts - Parts from planPageChunk
+ * @returns {Promise<{text: string, segments: SpokenSegment[]}>}
+ */
+async function getSpokenChunk(parts) {
+  const texts = [];
+  const segments = [];
+  let offset = 0;
+  
+  for (const part of parts) {
+    if (texts.length > 0) {
+      offset += SEGMENT_SEPARATOR.length;
+    }
+    // The cue introduces a block, so a later part of a paragraph goes without it
+    const spoken = await getSpokenText(part.text.slice(part.start, part.end), part.start === 0 ? part.block : undefined);
+    segments.push({
+      paragraphIndex: part.paragraphIndex,
+      charStart: part.start,
+      charEnd: part.end,
+      paragraphLength: part.text.length,
+      textBefore: part.text.slice(0, part.start),
+      spokenStart: offset,
+      spokenEnd: offset + spoken.text.length,
+      cueLength: spoken.cueLength,
+      textMap: spoken.textMap,
+      fingerprint: part.paragraphIndex === null ? null : getTextFingerprint(part.text)
+    });
+    texts.push(spoken.text);
+    offset += spoken.text.length;
+  }
+  
+  return { text: texts.join(SEGMENT_SEPARATOR), segments };
+}
+
+/**
+ * Turn alignment of a chunk into alignment of one segment's paragraph text
+ * Times stay those of the chunk audio. Paragraph text read in an earlier
+ * chunk is put back in front, timed at the segment's start, so offsets and
+ * sentences count from the start of the paragraph.
+ * @param {Object|null} alignment - Alignment of the chunk
+ * @param {SpokenSegment} segment - Segment to get
+ * @returns {Object|null}
+ */
+function getSegmentAlignment(alignment, segment) {
+  if (!alignment) {
+    return null;
+  }
+  
+  const spoken = {
+    characters: alignment.characters.slice(segment.spokenStart, segment.spokenEnd),
+    character_start_times_seconds: alignment.character_start_times_seconds.slice(segment.spokenStart, segment.spokenEnd),
+    character_end_times_seconds: alignment.character_end_times_seconds.slice(segment.spokenStart, segment.spokenEnd)
+  };
+  const paragraph = getParagraphAlignment(spoken, segment.cueLength, segment.textMap);
+  if (!segment.textBefore || paragraph.characters.length === 0) {
+    return paragraph;
+  }
+  
+  const before = new Array(segment.textBefore.length).fill(paragraph.character_start_times_seconds[0]);
+  return {
+    characters: [...segment.textBefore.split(''), ...paragraph.characters],
+    character_start_times_seconds: [...before, ...paragraph.character_start_times_seconds],
+    character_end_times_seconds: [...before, ...paragraph.character_end_times_seconds]
+  };
+}
+
+/**
+ * Get the alignment of a paragraph in the chunk being played
+ * @param {number} paragraphIndex - Paragraph index
+ * @returns {Object|null} Null when the paragraph isn't in the chunk
+ */
+function getLoadedParagraphAlignment(paragraphIndex) {
+  const segment = audioContext.segments.find(s => s.paragraphIndex === paragraphIndex);
+  return segment ? getSegmentAlignment(audioContext.alignmentData, segment) : null;
+}
+
+/**
+ * Alignment of the chunk being played, as last built by getChunkAlignment
+ * The revision changes whenever it is rebuilt, so pages can tell a new
+ * alignment from the one sent with the previous highlight update
+ */
+let chunkAlignment = {
+  alignmentData: null,  // Chunk alignment it was built from
+  segments: null,       // Segments it was built for
+  length: 0,            // Characters in the chunk alignment then, which grows while streaming
+  alignment: null,      // Alignment of the page text
+  revision: 0
+};
+
+/**
+ * Get the alignment of the page text read in the chunk being played
+ * Its paragraphs follow each other, so the page highlights across them from
+ * the first one
+ * @returns {Object|null}
+ */
+function getChunkAlignment() {
+  const { segments, alignmentData } = audioContext;
+  if (!alignmentData) {
+    return null;
+  }
+  
+  if (chunkAlignment.alignmentData === alignmentData && chunkAlignment.segments === segments &&
+      chunkAlignment.length === alignmentData.characters.length) {
+    return chunkAlignment.alignment;
+  }
+  
+  let combined = alignmentData;
+  if (segments.length > 0) {
+    combined = createEmptyAlignment();
+    for (const segment of segments) {
+      const alignment = getSegmentAlignment(alignmentData, segment);
+      combined.characters.push(...alignment.characters);
+      combined.character_start_times_seconds.push(...alignment.character_start_times_seconds);
+      combined.character_end_times_seconds.push(...alignment.character_end_times_seconds);
+    }
+  }
+  
+  chunkAlignment = {
+    alignmentData,
+    segments,
+    length: alignmentData.characters.length,
+    alignment: combined,
+    revision: chunkAlignment.revision + 1
+  };
+  return combined;
+}
+
+/**
+ * Get the time a segment starts at in the chunk audio
+ * @param {SpokenSegment} segment - Segment in the chunk being played
+ * @returns {number|null} Time in seconds, or null while its audio hasn't arrived
+ */
+function getSegmentStartTime(segment) {
+  if (segment === audioContext.segments[0]) {
+    return 0;
+  }
+  const starts = audioContext.alignmentData?.character_start_times_seconds || [];
+  return segment.spokenStart < starts.length ? starts[segment.spokenStart] : null;
+}
+
+/**
+ * Find the segment being spoken at a time in the chunk audio
+ * @param {number} time - Time in seconds
+ * @returns {SpokenSegment|null}
+ */
+function findSegmentAtTime(time) {
+  let found = audioContext.segments[0] || null;
+  for (const segment of audioContext.segments) {
+    const start = getSegmentStartTime(segment);
+    if (start === null || start > time) {
+      break;
+    }
+    found = segment;
+  }
+  return found;
+}
+
+/**
+ * Find a paragraph read from its start in the chunk being played
+ * @param {number} paragraphIndex - Paragraph index
+ * @returns {SpokenSegment|null} Null when it isn't in the chunk, its audio hasn't arrived, or nothing can be sought in
+ */
+function findLoadedSegment(paragraphIndex) {
+  if (playbackState.readingSelection || getSeekError()) {
+    return null;
+  }
+  const segment = audioContext.segments.find(s => s.paragraphIndex === paragraphIndex && s.charStart === 0);
+  return segment && getSegmentStartTime(segment) !== null ? segment : null;
+}
+
+/**
+ * Move the current paragraph to the one being spoken at a time
+ * @param {number} time - Time in the chunk audio, in seconds
+ * @returns {Promise<void>}
+ */
+async function followSegmentAtTime(time) {
+  const segment = findSegmentAtTime(time);
+  if (segment && segment.paragraphIndex !== null && segment.paragraphIndex !== playbackState.currentParagraphIndex) {
+    await updatePlaybackState({
+      currentParagraphIndex: segment.paragraphIndex,
+      currentSentenceIndex: 0,
+      currentWordIndex: 0
+    });
+  }
+}
+
+/**
+ * Get how far reading is through the paragraph being spoken at a time
+ * @param {number} time - Time in the chunk audio, in seconds
+ * @returns {number} Fraction of the paragraph text, 0 to 1
+ */
+function getParagraphProgress(time) {
+  const segment = findSegmentAtTime(time);
+  if (!segment || segment.paragraphLength === 0) {
+    return 0;
+  }
+  const start = getSegmentStartTime(segment) || 0;
+  const end = getAlignmentDuration(getSegmentAlignment(audioContext.alignmentData, segment));
+  const spoken = end > start ? Math.max(0, Math.min(1, (time - start) / (end - start))) : 0;
+  return (segment.charStart + spoken * (segment.charEnd - segment.charStart)) / segment.paragraphLength;
+}
+
+/**
+ * Find where the chunk after the one being played starts
+ * @returns {{paragraphIndex: number, charStart: number}}
+ */
+function getNextChunkStart() {
+  return getChunkEnd(audioContext.segments) ||
+    { paragraphIndex: playbackState.currentParagraphIndex + 1, charStart: 0 };
+}
 
 /**
- * Handle SET_API_KEY message
- * @param {Object} payload - API key payload
- * @param {string} payload.apiKey - The API key to save
- * @returns {Promise<Object>}
+ * Find the paragraph read before the chunk being played
+ * A chunk that starts partway through a paragraph follows its earlier parts
+ * @returns {number} Paragraph index, or -1 at the start of the page
  */
-async function handleSetApiKey(payload) {
-  const { apiKey } = payload;
-  
-  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
-    return { success: false, error: 'Invalid API key' };
+function getPreviousParagraphIndex() {
+  const first = audioContext.segments[0];
+  if (!first || first.paragraphIndex === null) {
+    return playbackState.currentParagraphIndex - 1;
   }
-  
-  await saveToStorage(STORAGE_KEYS.API_KEY, apiKey.trim());
-  return { success: true };
+  return first.charStart > 0 ? first.paragraphIndex : first.paragraphIndex - 1;
 }
 
 /**
- * Handle SET_VOICE message
- * @param {Object} payload - Voice payload
- * @param {string} payload.voiceId - The voice ID to save
- * @returns {Promise<Object>}
+ * Preload the chunks after the one being played
+ * @returns {Promise<void>}
  */
-async function handleSetVoice(payload) {
-  const { voiceId } = payload;
-  
-  if (!voiceId || typeof voiceId !== 'string' || voiceId.trim().length === 0) {
-    return { success: false, error: 'Invalid voice ID' };
-  }
-  
-  await saveToStorage(STORAGE_KEYS.SELECTED_VOICE_ID, voiceId.trim());
-  return { success: true };
+async function preloadNextChunk() {
+  const next = getNextChunkStart();
+  await initiatePreload(next.charStart > 0 ? next.paragraphIndex : next.paragraphIndex - 1, next.charStart);
+  await updateBufferedParagraphs();
 }
 
 /**
- * Handle SET_AUTO_CONTINUE message
- * @param {Object} payload - Auto-continue payload
- * @param {boolean} payload.autoContinue - The auto-continue setting
- * @returns {Promise<Object>}
+ * Get the audio cache key for text synthesized with the current voice, model and settings
+ * @param {string} text - Text to convert
+ * @param {string} voiceId - Voice ID
+ * @param {{previousText?: string, nextText?: string}} [context] - Text around it sent for continuity
+ * @param {number|null} [tabId] - Tab with the text (defaults to the page being read)
+ * @returns {Promise<string>}
  */
-async function handleSetAutoContinue(payload) {
-  const { autoContinue } = payload;
-  
-  // Validate that autoContinue is a boolean
-  if (typeof autoContinue !== 'boolean') {
-    return { success: false, error: 'Auto-continue must be a boolean' };
-  }
-  
-  // Save to storage
-  await saveToStorage(STORAGE_KEYS.AUTO_CONTINUE, autoContinue);
-  
-  // Clear preload state when auto-continue is disabled
-  // This cancels any pending preload requests and clears cached audio
-  if (!autoContinue) {
-    clearPreloadState();
-  }
+async function getSpeechCacheKey(text, voiceId, context = {}, tabId = audioContext.tabId) {
+  const options = await getSpeechOptions(voiceId, tabId);
   
-  // Update playback state and broadcast change
-  await updatePlaybackState({ autoContinue });
-  
-  return { success: true };
+  return createCacheKey({
+    text,
+    voiceId,
+    modelId: options.modelId,
+    voiceSettings: buildVoiceSettings(options),
+    pronunciationDictionaries: options.pronunciationDictionaries,
+    previousText: context.previousText,
+    nextText: context.nextText
+  });
 }
 
 /**
- * Handle SET_TOTAL_PARAGRAPHS message
- * Updates the total paragraphs count for auto-continue boundary checking
- * @param {Object} payload - Total paragraphs payload
- * @param {number} payload.totalParagraphs - The total number of paragraphs on the page
- * @returns {Promise<Object>}
+ * Get speech for text, using the audio cache when the same text, voice,
+ * model and settings were synthesized before
+ * @param {string} apiKey - API key
+ * @param {string} text - Text to convert
+ * @param {string} voiceId - Voice ID
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {string} [options.pageUrl] - Page the text came from (defaults to the page being read)
+ * @param {{previousText?: string, nextText?: string}} [options.context] - Text around it sent for continuity
+ * @param {number|null} [options.tabId] - Tab with the text (defaults to the page being read)
+ * @returns {Promise<{audio: ArrayBuffer, alignment: Object, fromCache: boolean}>}
  */
-async function handleSetTotalParagraphs(payload) {
-  const { totalParagraphs } = payload;
+async function synthesizeSpeech(apiKey, text, voiceId, options = {}) {
+  const cacheKey = await getSpeechCacheKey(text, voiceId, options.context, options.tabId);
   
-  // Validate that totalParagraphs is a non-negative number
-  if (typeof totalParagraphs !== 'number' || totalParagraphs < 0) {
-    return { success: false, error: 'Total paragraphs must be a non-negative number' };
+  const cached = await getCachedAudio(cacheKey);
+  if (cached) {
+    return { ...cached, fromCache: true };
   }
   
-  // Update playback state (no need to broadcast for this internal state)
-  playbackState.totalParagraphs = totalParagraphs;
-  
-  return { success: true };
+  const response = await generateAndCacheSpeech(apiKey, text, voiceId, cacheKey, options);
+  return { ...response, fromCache: false };
 }
 
 /**
- * Handle SHOW_PLAYER message
- * Sends a message to the content script to show the floating player
- * @param {number} tabId - Tab ID to show player in
- * @returns {Promise<Object>}
+ * Generate speech with the API and store it in the audio cache
+ * @param {string} apiKey - API key
+ * @param {string} text - Text to convert
+ * @param {string} voiceId - Voice ID
+ * @param {string} cacheKey - Cache key for the request
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {string} [options.pageUrl] - Page the text came from (defaults to the page being read)
+ * @param {{previousText?: string, nextText?: string}} [options.context] - Text around it sent for continuity
+ * @param {number|null} [options.tabId] - Tab with the text (defaults to the page being read)
+ * @returns {Promise<{audio: ArrayBuffer, alignment: Object}>}
  */
-async function handleShowPlayer(tabId) {
-  if (!tabId) {
-    // Get the active tab if no tabId provided
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    tabId = tab?.id;
-  }
-  
-  if (!tabId) {
-    return { success: false, error: 'No active tab found' };
-  }
-  
-  try {
-    await chrome.tabs.sendMessage(tabId, { type: MessageType.SHOW_PLAYER });
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: 'Content script not loaded on this page' };
-  }
+async function generateAndCacheSpeech(apiKey, text, voiceId, cacheKey, options = {}) {
+  const { signal, pageUrl = audioContext.pageUrl, context = {}, tabId = audioContext.tabId } = options;
+  const response = await textToSpeech(apiKey, text, voiceId, { ...(await getSpeechOptions(voiceId, tabId)), ...context, signal });
+  await recordCharacterUsage(text.length, getUsageDomain(pageUrl));
+  await putCachedAudio(cacheKey, response);
+  return response;
 }
 
 /**
- * Handle INITIALIZE message
- * Forwards initialization request to content script in active tab
- * Used for manual activation when auto-start is disabled
- * @returns {Promise<Object>}
+ * Check if streaming synthesis is enabled (defaults to true)
+ * @returns {Promise<boolean>}
  */
-async function handleInitialize() {
-  // Get the active tab
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  
-  if (!tab?.id) {
-    return { success: false, error: 'No active tab found' };
-  }
-  
-  try {
-    const response = await chrome.tabs.sendMessage(tab.id, { type: MessageType.INITIALIZE });
-    return response || { success: false, error: 'No response from content script' };
-  } catch (error) {
-    return { success: false, error: 'Content script not loaded on this page' };
+async function isStreamingEnabled() {
+  const streamingEnabled = await getFromStorage(STORAGE_KEYS.STREAMING_ENABLED);
+  return streamingEnabled !== false;
+}
+
+/**
+ * Abort the in-flight streaming request, if any
+ */
+function abortActiveStream() {
+  if (audioContext.streamController) {
+    audioContext.streamController.abort();
+    audioContext.streamController = null;
   }
 }
 
 /**
- * Generate speech using ElevenLabs API
+ * Stream speech into the offscreen document as it is generated
+ * Alignment chunks are merged into the active alignment data as they arrive,
+ * so highlight updates can start before the whole chunk is synthesized
  * @param {string} apiKey - API key
  * @param {string} text - Text to convert
  * @param {string} voiceId - Voice ID
- * @returns {Promise<{audio: ArrayBuffer, alignment: Object}>}
+ * @param {string} cacheKey - Cache key to store the completed audio under
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
+ * @param {{previousText?: string, nextText?: string}} [context] - Text around it sent for continuity
+ * @returns {Promise<boolean>} False if the stream was aborted before completing
  */
-async function generateSpeech(apiKey, text, voiceId) {
-  const response = await fetch(
-    `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`,
-    {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        text: text,
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75
-        }
-      })
-    }
-  );
+async function playStreamedSpeech(apiKey, text, voiceId, cacheKey, startTime = 0, context = {}) {
+  const controller = new AbortController();
+  const domain = getUsageDomain(audioContext.pageUrl);
+  audioContext.streamController = controller;
+  audioContext.audioData = null;
+  audioContext.alignmentData = createEmptyAlignment();
   
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const errorMessage = errorData.detail?.message || errorData.detail?.status || `API error: ${response.status}`;
-    throw new Error(errorMessage);
-  }
+  await ensureOffscreenDocument();
+  await sendToOffscreen({ type: 'streamStart', speed: playbackState.speed, startTime });
   
-  const data = await response.json();
+  const options = await getSpeechOptions(voiceId);
   
-  // Decode base64 audio
-  const binaryString = atob(data.audio_base64);
-  const bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
-  }
+  let started = false;
+  let streamedCharacters = 0;
+  let response = null;
   
-  return {
-    audio: bytes.buffer,
-    alignment: data.alignment || {
-      characters: [],
-      character_start_times_seconds: [],
-      character_end_times_seconds: []
+  try {
+    response = await textToSpeechStream(apiKey, text, voiceId, async (chunk) => {
+      streamedCharacters += chunk.alignment?.characters?.length || 0;
+      if (controller.signal.aborted) return;
+      
+      mergeAlignmentChunk(audioContext.alignmentData, chunk.alignment);
+      
+      if (chunk.audioBase64) {
+        await sendToOffscreen({ type: 'streamChunk', audioBase64: chunk.audioBase64 });
+        
+        if (!started) {
+          started = true;
+          await updatePlaybackState({ status: PlaybackStatus.PLAYING });
+        }
+      }
+    }, { ...options, ...context, signal: controller.signal });
+  } catch (error) {
+    // Stopping already stopped the offscreen document; a stream that failed
+    // would leave it waiting for the rest of the audio
+    if (!controller.signal.aborted) {
+      await sendToOffscreen({ type: 'stop' });
     }
-  };
-}
-
-/**
- * Fetch voices from ElevenLabs API
- * @param {string} apiKey - API key
- * @returns {Promise<Array>}
- */
-async function fetchVoices(apiKey) {
-  const response = await fetch('https://api.elevenlabs.io/v1/voices', {
-    method: 'GET',
-    headers: {
-      'xi-api-key': apiKey,
-      'Content-Type': 'application/json'
+    throw error;
+  } finally {
+    if (audioContext.streamController === controller) {
+      audioContext.streamController = null;
     }
-  });
+    // Characters are billed even if playback was cancelled or the stream
+    // failed mid-way, as far as it got
+    const characters = response ? text.length : streamedCharacters;
+    if (characters > 0) {
+      await recordCharacterUsage(characters, domain);
+    }
+  }
   
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const errorMessage = errorData.detail?.message || errorData.detail?.status || `API error: ${response.status}`;
-    throw new Error(errorMessage);
+  if (controller.signal.aborted) {
+    return false;
   }
   
-  const data = await response.json();
-  return (data.voices || []).map(voice => ({
-    voice_id: voice.voice_id,
-    name: voice.name,
-    category: voice.category || 'unknown',
-    labels: voice.labels || {}
-  }));
+  await sendToOffscreen({ type: 'streamEnd' });
+  
+  audioContext.audioData = response.audio;
+  
+  if (!started) {
+    await updatePlaybackState({ status: PlaybackStatus.PLAYING });
+  }
+  
+  await putCachedAudio(cacheKey, response);
+  return true;
 }
 
-
 /**
  * Convert ArrayBuffer to base64 string for messaging
  * @param {ArrayBuffer} buffer - ArrayBuffer to convert
@@ -765,9 +3385,12 @@ async function fetchVoices(apiKey) {
  */
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
   let binary = '';
-  for (let i = 0; i < bytes.byteLength; i++) {
-    binary += String.fromCharCode(bytes[i]);
+  // Convert in chunks - exported audiobooks are too large for one call
+  // and too slow to convert a byte at a time
+  for (let i = 0; i < bytes.byteLength; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
   }
   return btoa(binary);
 }
@@ -789,7 +3412,7 @@ async function hasOffscreenDocument() {
 }
 
 /**
- * Ensure offscreen document exists for audio playback
+ * Ensure offscreen document exists for audio playback and parsing pages read in the background
  */
 async function ensureOffscreenDocument() {
   if (await hasOffscreenDocument()) {
@@ -799,8 +3422,8 @@ async function ensureOffscreenDocument() {
   try {
     await chrome.offscreen.createDocument({
       url: OFFSCREEN_DOCUMENT_PATH,
-      reasons: ['AUDIO_PLAYBACK'],
-      justification: 'Playing text-to-speech audio from ElevenLabs'
+      reasons: ['AUDIO_PLAYBACK', 'DOM_PARSER', 'BLOBS'],
+      justification: 'Playing text-to-speech audio from ElevenLabs, parsing pages read without a tab and downloading exports'
     });
     audioContext.offscreenReady = true;
   } catch (error) {
@@ -828,13 +3451,16 @@ async function sendToOffscreen(message) {
  * Request paragraph text from content script and initiate playback
  * Used for skip next/previous navigation
  * @param {number} paragraphIndex - Index of paragraph to play
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
+ * @param {number} [charStart=0] - Offset in the paragraph to start at, when it is read in parts
  * @returns {Promise<Object>}
  */
-async function requestAndPlayParagraph(paragraphIndex) {
-  // Clear preload state since we're manually navigating
-  clearPreloadState();
+async function requestAndPlayParagraph(paragraphIndex, startTime = 0, charStart = 0) {
+  // Chunks preloaded from the paragraph on are still ahead of reading
+  const preloaded = retainPreloadEntries({ paragraphIndex, charStart });
   
   // Stop current audio via offscreen
+  abortActiveStream();
   await sendToOffscreen({ type: 'stop' });
   
   // Update state to loading
@@ -845,13 +3471,18 @@ async function requestAndPlayParagraph(paragraphIndex) {
   });
   
   // Request paragraph text from content script
-  if (!audioContext.tabId) {
+  if (!hasReadingPage()) {
     await handleStop();
     return { success: false, error: 'No active tab' };
   }
   
+  if (preloaded && await waitForPreloadEntry(preloaded)) {
+    await playPreloadedAudio(preloaded, startTime);
+    return { success: true };
+  }
+  
   try {
-    const response = await chrome.tabs.sendMessage(audioContext.tabId, {
+    const response = await sendToReadingPage({
       type: MessageType.GET_NEXT_PARAGRAPH,
       paragraphIndex
     });
@@ -865,7 +3496,10 @@ async function requestAndPlayParagraph(paragraphIndex) {
     return handlePlay({
       tabId: audioContext.tabId,
       text: response.text,
-      paragraphIndex
+      paragraphIndex,
+      block: response.block,
+      startTime,
+      charStart
     });
   } catch (error) {
     console.error('Error during paragraph skip:', error);
@@ -877,10 +3511,11 @@ async function requestAndPlayParagraph(paragraphIndex) {
 /**
  * Request next paragraph text from content script and initiate playback
  * @param {number} paragraphIndex - Index of the paragraph to request
+ * @param {number} [charStart=0] - Offset in the paragraph to start at, when it is read in parts
  * @returns {Promise<void>}
  */
-async function requestNextParagraph(paragraphIndex) {
-  if (!audioContext.tabId) {
+async function requestNextParagraph(paragraphIndex, charStart = 0) {
+  if (!hasReadingPage()) {
     await handleStop();
     return;
   }
@@ -891,14 +3526,16 @@ async function requestNextParagraph(paragraphIndex) {
   };
   
   try {
-    const response = await chrome.tabs.sendMessage(audioContext.tabId, message);
+    const response = await sendToReadingPage(message);
     
     if (response && response.success && response.text) {
       // Initiate playback of the next paragraph
       await handlePlay({
         tabId: audioContext.tabId,
         text: response.text,
-        paragraphIndex: response.paragraphIndex
+        paragraphIndex: response.paragraphIndex,
+        block: response.block,
+        charStart
       });
     } else {
       // No more paragraphs or error - stop playback
@@ -911,77 +3548,121 @@ async function requestNextParagraph(paragraphIndex) {
   }
 }
 
+/**
+ * Add a finished chunk's audio to the selected voice's speaking rate,
+ * which estimates the time left on the page
+ * @param {Object|null} alignment - Alignment of the audio that finished
+ * @returns {Promise<void>}
+ */
+async function recordParagraphSpeechRate(alignment) {
+  const seconds = getAlignmentDuration(alignment);
+  if (seconds <= 0) {
+    return;
+  }
+  try {
+    const voiceId = await getFromStorage(STORAGE_KEYS.SELECTED_VOICE_ID);
+    const rates = recordSpeechRate(await getFromStorage(STORAGE_KEYS.SPEECH_RATES), voiceId, alignment.characters.length, seconds);
+    await saveToStorage(STORAGE_KEYS.SPEECH_RATES, rates);
+    playbackState.charactersPerSecond = getCharactersPerSecond(rates, voiceId);
+  } catch (error) {
+    console.error('Error recording speech rate:', error);
+  }
+}
+
 /**
  * Handle audio playback ended event
- * Implements auto-continue logic to play next paragraph if enabled
+ * Implements auto-continue logic to play the next chunk if enabled
  * Uses preloaded audio when available for seamless transitions
  * @returns {Promise<void>}
  */
 async function handleAudioEnded() {
-  const { autoContinue, currentParagraphIndex, totalParagraphs } = playbackState;
+  const { autoContinue, totalParagraphs, readingSelection } = playbackState;
+  const next = getNextChunkStart();
+  const nextIndex = next.paragraphIndex;
+  
+  await recordParagraphSpeechRate(audioContext.alignmentData);
   
   // First, clean up the current audio state
   audioContext.audioData = null;
   audioContext.alignmentData = null;
   
+  // A selection is read on its own - stop when it ends
+  if (readingSelection) {
+    await handleStop();
+    return;
+  }
+  
+  // Hold on the current paragraph while the spending guard waits for approval
+  if (spendingGuard.awaitingConfirmation && autoContinue && nextIndex < totalParagraphs) {
+    clearPreloadState();
+    spendingGuard.held = true;
+    await updatePlaybackState({ status: PlaybackStatus.IDLE, currentTime: 0 });
+    return;
+  }
+  
   // Check if auto-continue is enabled and there's a next paragraph
-  if (!autoContinue || currentParagraphIndex >= totalParagraphs - 1) {
+  if (!autoContinue || spendingGuard.declined || nextIndex >= totalParagraphs) {
     // Stop playback - either auto-continue is disabled or we're at the last paragraph
+    // Resume after the paragraph that ended, or start over once the page is finished
+    const pageFinished = autoContinue && !spendingGuard.declined && nextIndex >= totalParagraphs;
+    audioContext.segments = [];
+    await storeReadingPosition(audioContext.pageUrl, nextIndex < totalParagraphs
+      ? { paragraphIndex: nextIndex, sentenceIndex: 0, currentTime: 0, fingerprint: null, savedAt: Date.now() }
+      : null);
+    
     clearPreloadState();
     await handleStop();
+    
+    // Go on to the next article in the reading queue
+    if (pageFinished) {
+      await advanceQueue();
+    }
     return;
   }
   
-  const nextIndex = currentParagraphIndex + 1;
-  
-  // Check if we have preloaded audio for the next paragraph
-  if (preloadState.paragraphIndex === nextIndex && preloadState.audioData) {
+  // Check if we have preloaded audio for the next chunk
+  const preloaded = findPreloadEntry(next);
+  if (preloaded?.audioData) {
     // Use cached audio immediately
-    await playPreloadedAudio(nextIndex);
-  } else if (preloadState.paragraphIndex === nextIndex && preloadState.pendingRequest) {
+    await playPreloadedAudio(preloaded);
+  } else if (preloaded?.pendingRequest) {
     // Wait for pending preload to complete
     await updatePlaybackState({ status: PlaybackStatus.LOADING });
-    try {
-      await preloadState.pendingRequest;
-      if (preloadState.audioData) {
-        await playPreloadedAudio(nextIndex);
-      } else {
-        // Preload failed, fall back to on-demand
-        await requestNextParagraph(nextIndex);
-      }
-    } catch (error) {
+    if (await waitForPreloadEntry(preloaded)) {
+      await playPreloadedAudio(preloaded);
+    } else {
       // Preload failed, fall back to on-demand
-      console.log('Preload request failed, falling back to on-demand:', error.message);
-      await requestNextParagraph(nextIndex);
+      await requestNextParagraph(nextIndex, next.charStart);
     }
   } else {
     // No preload available, load on-demand (fallback)
     await updatePlaybackState({ status: PlaybackStatus.LOADING });
-    await requestNextParagraph(nextIndex);
+    await requestNextParagraph(nextIndex, next.charStart);
   }
 }
 
 /**
- * Play preloaded audio for a paragraph
- * Moves preloaded data to active audio context and starts playback
- * @param {number} paragraphIndex - Paragraph index to play
+ * Play a preloaded chunk
+ * Moves preloaded data to active audio context and starts playback; the
+ * chunks preloaded after it stay in the pipeline
+ * @param {PreloadEntry} entry - Preloaded chunk
+ * @param {number} [startTime=0] - Audio offset to start at in seconds
  * @returns {Promise<void>}
  */
-async function playPreloadedAudio(paragraphIndex) {
+async function playPreloadedAudio(entry, startTime = 0) {
   // Move preloaded data to active audio context
-  audioContext.audioData = preloadState.audioData;
-  audioContext.alignmentData = preloadState.alignmentData;
-  
-  // Clear preload state
-  clearPreloadState();
+  audioContext.audioData = entry.audioData;
+  audioContext.alignmentData = entry.alignmentData;
+  audioContext.segments = entry.segments;
+  preloadState.entries = preloadState.entries.filter(e => e !== entry);
   
   // Update state
   await updatePlaybackState({
     status: PlaybackStatus.PLAYING,
-    currentParagraphIndex: paragraphIndex,
+    currentParagraphIndex: entry.paragraphIndex,
     currentSentenceIndex: 0,
     currentWordIndex: 0,
-    currentTime: 0
+    currentTime: startTime
   });
   
   // Play the audio
@@ -990,11 +3671,12 @@ async function playPreloadedAudio(paragraphIndex) {
   await sendToOffscreen({
     type: 'play',
     audioBase64: audioBase64,
-    speed: playbackState.speed
+    speed: playbackState.speed,
+    startTime
   });
   
-  // Initiate preload for the next paragraph
-  await initiatePreload(paragraphIndex);
+  // Initiate preload for the next chunk
+  await preloadNextChunk();
 }
 
 /**
@@ -1006,12 +3688,22 @@ async function handleOffscreenMessage(message) {
   
   switch (message.type) {
     case 'timeUpdate':
-      // Update current time and broadcast highlight updates
+      // Voice previews have no paragraph to highlight
+      if (audioContext.previewing) break;
+      
+      // Update current time, follow reading into the next paragraph of
+      // the chunk, and broadcast highlight updates
       playbackState.currentTime = message.currentTime;
+      await followSegmentAtTime(message.currentTime);
       await broadcastHighlightUpdate(message.currentTime);
       break;
       
     case 'ended':
+      if (audioContext.previewing) {
+        audioContext.previewing = false;
+        break;
+      }
+      
       // Audio playback completed - check for auto-continue
       await handleAudioEnded();
       break;
@@ -1019,7 +3711,8 @@ async function handleOffscreenMessage(message) {
     case 'error':
       await updatePlaybackState({
         status: PlaybackStatus.ERROR,
-        error: message.error
+        error: message.error,
+        errorType: API_ERROR_TYPES.UNKNOWN
       });
       break;
   }
@@ -1027,22 +3720,38 @@ async function handleOffscreenMessage(message) {
 
 /**
  * Broadcast highlight update based on current time
+ * The alignment covers the whole chunk from the paragraph it starts at;
+ * the paragraph being spoken and how far through it reading is come along
+ * for the transcript and the player
  * @param {number} currentTime - Current audio time in seconds
  */
 async function broadcastHighlightUpdate(currentTime) {
-  if (!audioContext.tabId || !audioContext.alignmentData) return;
+  if (!hasReadingPage() || !audioContext.alignmentData) return;
   
   const message = {
     type: MessageType.HIGHLIGHT_UPDATE,
     currentTime,
-    alignment: audioContext.alignmentData,
-    paragraphIndex: playbackState.currentParagraphIndex
+    alignment: getChunkAlignment(),
+    alignmentRevision: chunkAlignment.revision,
+    paragraphIndex: audioContext.segments[0]?.paragraphIndex ?? playbackState.currentParagraphIndex,
+    currentParagraphIndex: playbackState.currentParagraphIndex,
+    paragraphProgress: getParagraphProgress(currentTime),
+    selection: playbackState.readingSelection
   };
   
+  if (!isReadingInBackground()) {
+    try {
+      await chrome.tabs.sendMessage(audioContext.tabId, message);
+    } catch (e) {
+      // Tab may have been closed
+    }
+  }
+  
+  // The side panel highlights its transcript when it shows the same page
   try {
-    await chrome.tabs.sendMessage(audioContext.tabId, message);
+    await chrome.runtime.sendMessage({ ...message, tabId: audioContext.tabId || null });
   } catch (e) {
-    // Tab may have been closed
+    // Side panel may not be open
   }
 }
 
@@ -1060,7 +3769,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const handleMessage = async () => {
     switch (message.type) {
       case MessageType.PLAY:
-        return handlePlay({ ...message.payload, tabId: sender.tab?.id });
+        return handlePlay({ ...message.payload, tabId: sender.tab?.id, pageUrl: sender.tab ? sender.url : undefined });
         
       case MessageType.PAUSE:
         return handlePause();
@@ -1072,7 +3781,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return handleSetSpeed(message.payload);
         
       case MessageType.JUMP_TO_PARAGRAPH:
-        return handleJumpToParagraph({ ...message.payload, tabId: sender.tab?.id });
+        return handleJumpToParagraph({ ...message.payload, tabId: sender.tab?.id, pageUrl: sender.tab ? sender.url : undefined });
+        
+      case MessageType.SEEK:
+        // The side panel names the page it shows; content scripts are the page
+        return handleSeek({
+          ...message.payload,
+          tabId: sender.tab ? sender.tab.id : message.payload?.tabId,
+          pageUrl: sender.tab ? sender.url : message.payload?.pageUrl
+        });
+        
+      case MessageType.PLAY_SELECTION:
+        return handlePlaySelection({ ...message.payload, tabId: sender.tab?.id, pageUrl: sender.tab ? sender.url : undefined });
+        
+      case MessageType.RUN_COMMAND:
+        return handleCommand(message.payload?.command, sender.tab?.id);
         
       case MessageType.SKIP_NEXT:
         return handleSkipNext();
@@ -1080,23 +3803,65 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case MessageType.SKIP_PREVIOUS:
         return handleSkipPrevious();
         
+      case MessageType.SKIP_SENTENCE_NEXT:
+        return handleSkipSentence(1);
+        
+      case MessageType.SKIP_SENTENCE_PREVIOUS:
+        return handleSkipSentence(-1);
+        
+      case MessageType.SEEK_BY:
+        return handleSeekBy(message.payload);
+        
       case MessageType.GET_STATE:
         return handleGetState();
         
       case MessageType.GET_VOICES:
         return handleGetVoices();
         
+      case MessageType.GET_MODELS:
+        return handleGetModels(message.payload);
+        
       case MessageType.SET_API_KEY:
         return handleSetApiKey(message.payload);
         
       case MessageType.SET_VOICE:
         return handleSetVoice(message.payload);
         
+      case MessageType.SET_MODEL:
+        return handleSetModel(message.payload);
+        
+      case MessageType.GET_VOICE_SETTINGS:
+        return handleGetVoiceSettings(message.payload);
+        
+      case MessageType.SET_VOICE_SETTINGS:
+        return handleSetVoiceSettings(message.payload);
+        
+      case MessageType.PREVIEW_VOICE:
+        return handlePreviewVoice(message.payload);
+        
       case MessageType.SET_AUTO_CONTINUE:
         return handleSetAutoContinue(message.payload);
         
       case MessageType.SET_TOTAL_PARAGRAPHS:
-        return handleSetTotalParagraphs(message.payload);
+        return handleSetTotalParagraphs({ ...message.payload, tabId: sender.tab?.id });
+        
+      case MessageType.CLEAR_AUDIO_CACHE:
+        return handleClearAudioCache();
+        
+      case MessageType.GET_AUDIO_CACHE_STATS:
+        return handleGetAudioCacheStats();
+        
+      case MessageType.GET_USAGE:
+        return handleGetUsage();
+        
+      case MessageType.CONFIRM_SPENDING:
+        return handleConfirmSpending(message.payload || {});
+        
+      case MessageType.START_EXPORT:
+        return handleStartExport({ ...message.payload, tabId: sender.tab?.id, pageUrl: sender.tab ? sender.url : undefined });
+        
+      case MessageType.CANCEL_EXPORT:
+        return handleCancelExport();
         
       case MessageType.SHOW_PLAYER:
         return handleShowPlayer(sender.tab?.id);
@@ -1104,6 +3869,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case MessageType.INITIALIZE:
         return handleInitialize();
         
+      case MessageType.PICK_ELEMENT:
+        return handlePickElement();
+        
+      case MessageType.UPLOAD_PRONUNCIATION_DICTIONARY:
+        return handleUploadPronunciationDictionary();
+        
+      case MessageType.CLEAR_PRONUNCIATION_DICTIONARY:
+        return handleClearPronunciationDictionary();
+        
+      case MessageType.GET_QUEUE:
+        return handleGetQueue();
+        
+      case MessageType.ADD_TO_QUEUE:
+        return handleAddToQueue(message.payload);
+        
+      case MessageType.REMOVE_FROM_QUEUE:
+        return handleRemoveFromQueue(message.payload);
+        
+      case MessageType.MOVE_IN_QUEUE:
+        return handleMoveInQueue(message.payload);
+        
+      case MessageType.CLEAR_QUEUE:
+        return handleClearQueue();
+        
+      case MessageType.START_QUEUE:
+        return handleStartQueue();
+        
+      case MessageType.READ_IN_BACKGROUND:
+        return handleReadInBackground(message.payload);
+        
+      case MessageType.GET_TRANSCRIPT:
+        return handleGetTranscript();
+        
+      case MessageType.GET_READING_POSITION:
+        return handleGetReadingPosition({ ...message.payload, pageUrl: sender.tab ? sender.url : message.payload?.pageUrl });
+        
       default:
         return { success: false, error: 'Unknown message type' };
     }
@@ -1114,13 +3915,76 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Handle tab close - stop playback if active tab closes
+ * Register the "Read selection", "Add link to reading queue" and "Read link in side panel" context menu items
+ */
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: READ_SELECTION_MENU_ID,
+      title: 'Read selection with ElevenPage',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: ADD_LINK_TO_QUEUE_MENU_ID,
+      title: 'Add link to reading queue',
+      contexts: ['link']
+    });
+    chrome.contextMenus.create({
+      id: READ_LINK_IN_BACKGROUND_MENU_ID,
+      title: 'Read link in side panel',
+      contexts: ['link']
+    });
+  });
+});
+
+/**
+ * Handle the "Read selection" context menu item
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === READ_SELECTION_MENU_ID && tab?.id !== undefined) {
+    readSelectionInTab(tab.id, { selectionText: info.selectionText, pageUrl: info.pageUrl });
+  }
+  
+  if (info.menuItemId === ADD_LINK_TO_QUEUE_MENU_ID && info.linkUrl) {
+    handleAddToQueue({ url: info.linkUrl });
+  }
+  
+  // The side panel can only be opened, and the permission for the page's site
+  // asked for, in response to the click, before anything is awaited
+  if (info.menuItemId === READ_LINK_IN_BACKGROUND_MENU_ID && info.linkUrl) {
+    if (tab?.windowId !== undefined) {
+      chrome.sidePanel.open({ windowId: tab.windowId }).catch(() => {});
+    }
+    chrome.permissions.request({ origins: getSitePermissions([info.linkUrl]) })
+      .catch(() => false)
+      .then(() => handleReadInBackground({ url: info.linkUrl }));
+  }
+});
+
+/**
+ * Handle keyboard commands
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const targetTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  handleCommand(command, targetTab?.id);
+});
+
+/**
+ * Handle tab close - stop playback or cancel the export if its tab closes
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
   if (tabId === audioContext.tabId) {
     console.log('ElevenPage Reader: Active tab closed, stopping playback');
     handleStop();
   }
+  
+  if (tabId === exportJob.tabId) {
+    handleCancelExport();
+  }
+  
+  if (tabId === queueState.pendingTabId) {
+    clearPendingQueuePage();
+  }
 });
 
 /**
@@ -1131,8 +3995,22 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
     console.log('ElevenPage Reader: Active tab navigating, stopping playback');
     handleStop();
   }
+  
+  // Pages don't set up by themselves when auto-start is off, so a queued page is asked to
+  if (tabId === queueState.pendingTabId && changeInfo.status === 'complete') {
+    getFromStorage(STORAGE_KEYS.AUTO_START).then((autoStart) => {
+      if (autoStart === false) {
+        initializeQueuedPage(tabId);
+      }
+    });
+  }
 });
 
+/**
+ * Release exported files once they are downloaded
+ */
+chrome.downloads.onChanged.addListener(handleDownloadChanged);
+
 /**
  * Handle tab activation changes - useful for future features
  */
@@ -1150,6 +4028,8 @@ if (typeof module !== 'undefined' && module.exports) {
     MessageType,
     PlaybackStatus,
     SKIP_PREVIOUS_THRESHOLD,
+    SKIP_SENTENCE_THRESHOLD,
+    JUMP_SECONDS,
     getPlaybackState,
     updatePlaybackState,
     broadcastStateChange,
@@ -1164,16 +4044,62 @@ if (typeof module !== 'undefined' && module.exports) {
     handleJumpToParagraph,
     handleSkipNext,
     handleSkipPrevious,
+    handleSkipSentence,
+    handleSeekBy,
     handleInitialize,
+    handlePickElement,
+    handleUploadPronunciationDictionary,
+    handleClearPronunciationDictionary,
+    handleGetReadingPosition,
+    handleGetQueue,
+    handleAddToQueue,
+    handleRemoveFromQueue,
+    handleMoveInQueue,
+    handleClearQueue,
+    handleStartQueue,
+    advanceQueue,
+    handleReadInBackground,
+    handleGetTranscript,
+    handleSeek,
+    setBackgroundArticle,
+    getQueueState: () => ({ ...queueState }),
+    saveReadingPosition,
     requestAndPlayParagraph,
     handleAudioEnded,
+    handleOffscreenMessage,
     requestNextParagraph,
+    handleClearAudioCache,
+    handleGetAudioCacheStats,
+    handleGetModels,
+    handleSetModel,
+    getSpeechOptions,
+    getSpokenText,
+    getParagraphAlignment,
+    handleGetUsage,
+    handleConfirmSpending,
+    checkSpendingGuard,
+    recordCharacterUsage,
+    handleGetVoiceSettings,
+    handleSetVoiceSettings,
+    handlePreviewVoice,
+    synthesizeSpeech,
+    getErrorType,
+    ExportFormat,
+    handlePlaySelection,
+    readSelectionInTab,
+    handleTogglePlayback,
+    handleStepSpeed,
+    handleCommand,
+    handleStartExport,
+    handleCancelExport,
+    getExportJob: () => ({ ...exportJob }),
+    handleDownloadChanged,
     // Preload functions
     clearPreloadState,
     initiatePreload,
     preloadAudio,
     playPreloadedAudio,
-    getPreloadState: () => ({ ...preloadState }),
+    getPreloadState: () => ({ ...preloadState, entries: [...preloadState.entries] }),
     setAudioContextTabId: (tabId) => { audioContext.tabId = tabId; }
   };
 }
@@ -0,0 +1,253 @@
+// ElevenPage Reader - Alignment Reconciler
+// Maps alignment characters from the API onto the words on the page
+
+/**
+ * Position of a word on the page
+ * @typedef {Object} WordPosition
+ * @property {number} paragraphIndex - Paragraph index
+ * @property {number} sentenceIndex - Sentence index within the paragraph
+ * @property {number} wordIndex - Word index within the sentence
+ */
+
+/**
+ * Index from alignment characters to page words
+ * @typedef {Object} AlignmentIndex
+ * @property {WordPosition[]} words - Page words the alignment was matched against, in reading order
+ * @property {Int32Array} charToWord - For each alignment character, an index into words, or -1 between words
+ */
+
+/**
+ * Characters that must match in a row for two texts to be back in step after a difference
+ */
+const RESYNC_LENGTH = 3;
+
+/**
+ * Most characters skipped on either side when looking for the texts to get back in step
+ */
+const MAX_RESYNC_SKIP = 24;
+
+/**
+ * Typographic characters folded to the plain character the API may use instead
+ */
+const FOLDED_CHARACTERS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '…': '...'
+};
+
+/**
+ * Fold a character to the form compared when matching texts
+ * Case, accents, typographic quotes and dashes are ignored; whitespace folds to nothing
+ * @param {string} char - Character (or surrogate pair)
+ * @returns {string}
+ */
+function foldCharacter(char) {
+  if (/^\s*$/.test(char)) {
+    return '';
+  }
+  if (FOLDED_CHARACTERS[char]) {
+    return FOLDED_CHARACTERS[char];
+  }
+  return char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Fold a list of pieces into a flat list of comparable characters
+ * @param {string[]} pieces - Characters or words
+ * @returns {{folded: string[], source: number[]}} Folded characters, and the piece each came from
+ */
+function foldPieces(pieces) {
+  const folded = [];
+  const source = [];
+  pieces.forEach((piece, index) => {
+    for (const char of Array.from(piece)) {
+      for (const foldedChar of foldCharacter(char)) {
+        folded.push(foldedChar);
+        source.push(index);
+      }
+    }
+  });
+  return { folded, source };
+}
+
+/**
+ * Check if two folded texts match for a run of characters
+ * @param {string[]} a - First text
+ * @param {number} i - Start in the first text
+ * @param {string[]} b - Second text
+ * @param {number} j - Start in the second text
+ * @returns {boolean}
+ */
+function runsMatch(a, i, b, j) {
+  const length = Math.min(RESYNC_LENGTH, a.length - i, b.length - j);
+  if (length <= 0) {
+    return false;
+  }
+  for (let k = 0; k < length; k++) {
+    if (a[i + k] !== b[j + k]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find where two texts get back in step after a difference, skipping as few characters as possible
+ * @param {string[]} a - Spoken text
+ * @param {number} i - Position of the difference in the spoken text
+ * @param {string[]} b - Page text
+ * @param {number} j - Position of the difference in the page text
+ * @returns {{i: number, j: number}|null}
+ */
+function findResync(a, i, b, j) {
+  for (let skipped = 1; skipped <= MAX_RESYNC_SKIP * 2; skipped++) {
+    for (let skipA = Math.max(0, skipped - MAX_RESYNC_SKIP); skipA <= Math.min(skipped, MAX_RESYNC_SKIP); skipA++) {
+      if (runsMatch(a, i + skipA, b, j + skipped - skipA)) {
+        return { i: i + skipA, j: j + skipped - skipA };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the words of the paragraphs an alignment may cover
+ * Paragraphs are added from the first one until their text is longer than the spoken text
+ * @param {Paragraph[]} paragraphs - Parsed paragraphs
+ * @param {number} paragraphOffset - First paragraph of the alignment
+ * @param {number} spokenLength - Folded length of the spoken text
+ * @returns {{positions: WordPosition[], texts: string[]}}
+ */
+function collectWords(paragraphs, paragraphOffset, spokenLength) {
+  const positions = [];
+  const texts = [];
+  let length = 0;
+
+  for (let pIdx = paragraphOffset; pIdx < paragraphs.length; pIdx++) {
+    // One extra paragraph lets text the API added at the end find its match
+    const full = length >= spokenLength;
+    paragraphs[pIdx].sentences.forEach((sentence, sIdx) => {
+      sentence.words.forEach((word, wIdx) => {
+        positions.push({ paragraphIndex: pIdx, sentenceIndex: sIdx, wordIndex: wIdx });
+        texts.push(word.text);
+        length += word.text.length;
+      });
+    });
+    if (full) {
+      break;
+    }
+  }
+  return { positions, texts };
+}
+
+/**
+ * Match alignment characters against the words on the page
+ * The spoken text may differ from the page: whitespace, quotes and dashes are
+ * ignored, and where the texts differ (emoji, expanded numbers, text the API
+ * changed) matching skips ahead until they are back in step. Characters that
+ * don't match a page character belong to the word before them.
+ * @param {string[]} characters - Alignment characters
+ * @param {Paragraph[]} paragraphs - Parsed paragraphs
+ * @param {number} [paragraphOffset=0] - Paragraph the alignment starts at
+ * @returns {AlignmentIndex}
+ */
+function reconcileAlignment(characters, paragraphs, paragraphOffset = 0) {
+  const spoken = foldPieces(characters);
+  const { positions, texts } = collectWords(paragraphs, paragraphOffset, spoken.folded.length);
+  const page = foldPieces(texts);
+
+  const charToWord = new Int32Array(characters.length).fill(-1);
+  const matched = new Uint8Array(characters.length);
+  let i = 0;
+  let j = 0;
+
+  while (i < spoken.folded.length && j < page.folded.length) {
+    if (spoken.folded[i] !== page.folded[j]) {
+      const resync = findResync(spoken.folded, i, page.folded, j);
+      if (resync) {
+        i = resync.i;
+        j = resync.j;
+      } else {
+        // Too different to line up: treat it as a substitution and keep going
+        i++;
+        j++;
+        continue;
+      }
+    }
+
+    const char = spoken.source[i];
+    if (!matched[char]) {
+      matched[char] = 1;
+      charToWord[char] = page.source[j];
+    }
+    i++;
+    j++;
+  }
+
+  // Unmatched characters inside a word belong to the word before them
+  let previous = -1;
+  for (let c = 0; c < characters.length; c++) {
+    if (matched[c]) {
+      previous = charToWord[c];
+    } else if (foldCharacter(characters[c]) !== '') {
+      charToWord[c] = previous;
+    }
+  }
+
+  // Spoken text before the first match belongs to the first word
+  const first = charToWord.findIndex(word => word >= 0);
+  if (first > 0) {
+    for (let c = 0; c < first; c++) {
+      if (foldCharacter(characters[c]) !== '') {
+        charToWord[c] = charToWord[first];
+      }
+    }
+  }
+
+  return { words: positions, charToWord };
+}
+
+/**
+ * Find the alignment character being spoken at a time
+ * Uses binary search on the start times, which increase through the alignment
+ * @param {AlignmentData} alignmentData - Alignment data
+ * @param {number} currentTime - Audio time in seconds
+ * @returns {number} Character index, or -1 before the first character or in a pause between characters
+ */
+function findCharIndexAtTime(alignmentData, currentTime) {
+  const starts = alignmentData.character_start_times_seconds;
+  const ends = alignmentData.character_end_times_seconds;
+
+  // Last character that started at or before the current time
+  let low = 0;
+  let high = starts.length - 1;
+  let index = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (starts[mid] <= currentTime) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (index < 0) {
+    return -1;
+  }
+
+  const end = ends ? ends[index] : (index + 1 < starts.length ? starts[index + 1] : starts[index] + 0.1);
+  // Past the last character, the last one stays current
+  if (currentTime < end || index === starts.length - 1) {
+    return index;
+  }
+  return -1;
+}
+
+// Export for use in highlight manager
+export {
+  reconcileAlignment,
+  findCharIndexAtTime,
+  foldCharacter
+};
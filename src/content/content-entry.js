@@ -2,15 +2,39 @@
 // This file is bundled by esbuild into dist/content.js
 
 import {
-  parsePageContent,
   wrapWordsInSpans,
+  mapWordsToRanges,
   restoreAllContent,
+  getFullText,
+  getParagraphText,
+  getParagraphTranscript,
+  getWordCharOffset,
+  getParagraphHeadings,
+  setActiveSiteRule,
   PARAGRAPH_INDEX_ATTR
 } from './text-parser.js';
 
-import { HighlightManager } from './highlight-manager.js';
+import { HighlightManager, isCustomHighlightSupported } from './highlight-manager.js';
+import { getContentStrategy } from './content-extractor.js';
+import { createSelectionReading } from './selection-reader.js';
+import {
+  SITE_RULES_KEY,
+  resolveSiteRules,
+  matchesSitePattern,
+  getActiveSiteRule,
+  addSelectorToSiteRules
+} from './site-rules.js';
+import { ElementPicker } from './element-picker.js';
 import { injectButtons, removeButtons } from './paragraph-buttons.js';
+import { createWordClickListener } from './word-seek.js';
+import {
+  KEYBOARD_SHORTCUTS_KEY,
+  resolveShortcuts,
+  createShortcutListener
+} from './keyboard-shortcuts.js';
 import { FloatingPlayer, MessageType, PlaybackStatus } from './floating-player.js';
+import { getTextFingerprint, findResumeParagraph } from '../../lib/reading-positions.js';
+import { getAlignmentDuration } from '../../lib/playback-position.js';
 
 // ============================================================================
 // CONTENT SCRIPT STATE AND MAIN LOGIC
@@ -21,7 +45,13 @@ let contentState = {
   parsedContent: null,
   highlightManager: null,
   floatingPlayer: null,
-  currentPlaybackState: { status: PlaybackStatus.IDLE, speed: 1.0 }
+  selectionReading: null,
+  elementPicker: null,
+  siteRules: resolveSiteRules(),
+  shortcuts: resolveShortcuts(),
+  currentPlaybackState: { status: PlaybackStatus.IDLE, speed: 1.0 },
+  readingHere: false,
+  alignment: { revision: null, data: null }  // Alignment of the chunk being read, kept while it is unchanged
 };
 
 /**
@@ -43,6 +73,58 @@ async function shouldAutoStart() {
   });
 }
 
+/**
+ * Get the content extraction strategy chosen in the popup
+ * @returns {Promise<function(Document): ParsedContent>}
+ */
+async function loadContentStrategy() {
+  return new Promise((resolve) => {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get(['contentStrategy'], (result) => {
+        resolve(getContentStrategy(result.contentStrategy));
+      });
+    } else {
+      resolve(getContentStrategy());
+    }
+  });
+}
+
+/**
+ * Get the user's site rules and apply the ones matching this page
+ * @returns {Promise<void>}
+ */
+async function loadSiteRules() {
+  return new Promise((resolve) => {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get([SITE_RULES_KEY], (result) => {
+        applySiteRules(resolveSiteRules(result[SITE_RULES_KEY]));
+        resolve();
+      });
+    } else {
+      applySiteRules(resolveSiteRules());
+      resolve();
+    }
+  });
+}
+
+/**
+ * Use a rule list for this page
+ * @param {SiteRule[]} rules - All site rules
+ */
+function applySiteRules(rules) {
+  contentState.siteRules = rules;
+  setActiveSiteRule(getActiveSiteRule(rules, window.location.href));
+}
+
+/**
+ * Get the enabled rules that match this page, to tell whether an edit affects it
+ * @param {SiteRule[]} rules - All site rules
+ * @returns {string}
+ */
+function getPageRulesKey(rules) {
+  return JSON.stringify(rules.filter(rule => rule.enabled && matchesSitePattern(rule.pattern, window.location.href)));
+}
+
 async function sendMessage(message) {
   return new Promise((resolve) => {
     if (typeof chrome !== 'undefined' && chrome.runtime) {
@@ -56,10 +138,14 @@ async function sendMessage(message) {
 /**
  * Wait for content to be available on dynamically-rendered pages (SPAs like Angular, React)
  * Retries parsing with exponential backoff, or uses MutationObserver as fallback
+ * @param {function(Document): ParsedContent} extract - Content extraction strategy
+ * @param {number} [maxAttempts=5] - Parsing attempts before falling back to MutationObserver
+ * @param {number} [initialDelay=500] - Delay before the second attempt in ms
+ * @returns {Promise<ParsedContent|null>}
  */
-async function waitForContent(maxAttempts = 5, initialDelay = 500) {
+async function waitForContent(extract, maxAttempts = 5, initialDelay = 500) {
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const parsed = parsePageContent(document);
+    const parsed = extract(document);
     if (parsed && parsed.paragraphs.length > 0) {
       console.log(`ElevenPage Reader: Found content on attempt ${attempt}`);
       return parsed;
@@ -79,7 +165,7 @@ async function waitForContent(maxAttempts = 5, initialDelay = 500) {
     
     const observer = new MutationObserver(() => {
       if (resolved) return;
-      const parsed = parsePageContent(document);
+      const parsed = extract(document);
       if (parsed && parsed.paragraphs.length > 0) {
         resolved = true;
         observer.disconnect();
@@ -109,7 +195,8 @@ async function initialize() {
   }
   console.log('ElevenPage Reader: Initializing content script');
   try {
-    contentState.parsedContent = await waitForContent();
+    await loadSiteRules();
+    contentState.parsedContent = await waitForContent(await loadContentStrategy());
     if (!contentState.parsedContent || contentState.parsedContent.paragraphs.length === 0) {
       console.log('ElevenPage Reader: No readable content found on page');
       return;
@@ -123,9 +210,14 @@ async function initialize() {
       payload: { totalParagraphs } 
     });
     
+    // Highlight over ranges of the page text where the browser can paint them,
+    // so the page keeps its own nodes; wrap words in spans otherwise
+    const paintRanges = isCustomHighlightSupported();
     for (let i = 0; i < contentState.parsedContent.paragraphs.length; i++) {
       const paragraph = contentState.parsedContent.paragraphs[i];
-      wrapWordsInSpans(paragraph.element, i, paragraph.sentences);
+      if (!paintRanges || !mapWordsToRanges(paragraph.element, paragraph.sentences)) {
+        wrapWordsInSpans(paragraph.element, i, paragraph.sentences);
+      }
     }
     
     contentState.highlightManager = new HighlightManager();
@@ -133,6 +225,9 @@ async function initialize() {
     injectButtons(contentState.parsedContent.paragraphs);
     contentState.floatingPlayer = new FloatingPlayer();
     contentState.floatingPlayer.show();
+    contentState.floatingPlayer.setParagraphLengths(
+      contentState.parsedContent.paragraphs.map(paragraph => getParagraphText(paragraph).length)
+    );
     
     const response = await sendMessage({ type: MessageType.GET_STATE });
     if (response && response.success && response.state) {
@@ -140,6 +235,7 @@ async function initialize() {
       contentState.floatingPlayer.updatePlaybackState(response.state);
       if (response.state.speed) contentState.floatingPlayer.updateSpeed(response.state.speed);
     }
+    await loadResumeOffer();
     
     contentState.initialized = true;
     console.log('ElevenPage Reader: Content script initialized successfully');
@@ -148,6 +244,37 @@ async function initialize() {
   }
 }
 
+/**
+ * Offer to resume where reading stopped on this page in an earlier session
+ * The saved paragraph is looked up by its text, so the offer survives
+ * paragraphs being added or removed above it
+ * @returns {Promise<void>}
+ */
+async function loadResumeOffer() {
+  if (!contentState.floatingPlayer || !contentState.parsedContent) return;
+  
+  const response = await sendMessage({ type: MessageType.GET_READING_POSITION });
+  const paragraphs = contentState.parsedContent.paragraphs;
+  const resume = findResumeParagraph(
+    paragraphs.map(paragraph => getTextFingerprint(getParagraphText(paragraph))),
+    response.position || null
+  );
+  
+  // Reading from the top needs no offer
+  if (!resume || (resume.paragraphIndex === 0 && resume.currentTime === 0)) {
+    contentState.floatingPlayer.setResumeOffer(null);
+    return;
+  }
+  
+  const paragraph = paragraphs[resume.paragraphIndex];
+  contentState.floatingPlayer.setResumeOffer({
+    paragraphIndex: resume.paragraphIndex,
+    text: getParagraphText(paragraph),
+    block: paragraph.block,
+    startTime: resume.currentTime
+  });
+}
+
 /**
  * Clean up all content script resources
  * Called on page navigation or unload
@@ -161,6 +288,9 @@ function cleanup() {
     contentState.highlightManager = null;
   }
   
+  // Put back any selection that was being read
+  endSelectionReading();
+  
   // Remove paragraph buttons
   removeButtons();
   
@@ -179,21 +309,102 @@ function cleanup() {
   // Reset state
   contentState.initialized = false;
   contentState.currentPlaybackState = { status: PlaybackStatus.IDLE, speed: 1.0 };
+  contentState.readingHere = false;
+}
+
+/**
+ * Get the alignment sent with a highlight update
+ * Every update carries the alignment of the chunk being read; while its
+ * revision stays the same, the copy from an earlier update is returned so the
+ * highlight manager can reuse its word index
+ * @param {Object} message - Highlight update message
+ * @returns {Object|null} Alignment data
+ */
+function getUpdateAlignment(message) {
+  const { alignment, alignmentRevision } = message;
+  if (alignmentRevision === undefined || alignmentRevision !== contentState.alignment.revision) {
+    contentState.alignment = { revision: alignmentRevision ?? null, data: alignment || null };
+  }
+  return contentState.alignment.data;
 }
 
 function handleHighlightUpdate(message) {
+  const { currentTime, paragraphIndex, paragraphProgress, selection } = message;
+  const alignment = getUpdateAlignment(message);
+  
+  if (contentState.floatingPlayer && typeof currentTime === 'number') {
+    contentState.floatingPlayer.updateTime(currentTime, getAlignmentDuration(alignment), paragraphProgress);
+  }
+  
+  if (selection) {
+    const highlightManager = contentState.selectionReading?.highlightManager;
+    if (highlightManager && alignment && typeof currentTime === 'number') {
+      highlightManager.updateFromTimestamp(currentTime, alignment, 0);
+    }
+    return;
+  }
+  
   if (!contentState.highlightManager || !contentState.parsedContent) return;
-  const { currentTime, alignment, paragraphIndex } = message;
+  // Only the page being read gets highlight updates
+  contentState.readingHere = true;
   if (alignment && typeof currentTime === 'number') {
     contentState.highlightManager.updateFromTimestamp(currentTime, alignment, paragraphIndex || 0);
   }
 }
 
+/**
+ * Restore the page after reading a selection
+ */
+function endSelectionReading() {
+  if (contentState.selectionReading) {
+    contentState.selectionReading.restore();
+    contentState.selectionReading = null;
+  }
+}
+
+/**
+ * Handle READ_SELECTION message from service worker
+ * Reads the selected text as a temporary paragraph, separate from the page paragraphs
+ * @returns {Promise<Object>} Response with success, or error
+ */
+async function handleReadSelection() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !selection.toString().trim()) {
+    return { success: false, error: 'No text selected' };
+  }
+  
+  endSelectionReading();
+  
+  const reading = createSelectionReading(selection.getRangeAt(0), selection.toString());
+  if (!reading) {
+    return { success: false, error: 'No text selected' };
+  }
+  
+  // The selected nodes may have been moved into the highlight wrapper
+  selection.removeAllRanges();
+  contentState.selectionReading = reading;
+  
+  if (!contentState.floatingPlayer) {
+    contentState.floatingPlayer = new FloatingPlayer();
+  }
+  contentState.floatingPlayer.show();
+  
+  const response = await sendMessage({
+    type: MessageType.PLAY_SELECTION,
+    payload: { text: reading.text }
+  });
+  
+  if (!response.success) {
+    endSelectionReading();
+  }
+  return response;
+}
+
 /**
  * Handle GET_NEXT_PARAGRAPH message from service worker
- * Returns the text content and index of the requested paragraph
+ * Returns the text content, index and block description of the requested paragraph
  * @param {Object} message - Message containing paragraphIndex
- * @returns {Object} Response with success, text, paragraphIndex, or error
+ * @returns {Object} Response with success, text, paragraphIndex, block, or error
  */
 function handleGetNextParagraph(message) {
   const { paragraphIndex } = message;
@@ -219,7 +430,77 @@ function handleGetNextParagraph(message) {
     return { success: false, error: 'Paragraph has no text content' };
   }
   
-  return { success: true, text, paragraphIndex };
+  return { success: true, text, paragraphIndex, block: paragraph.block };
+}
+
+/**
+ * Handle GET_REMAINING_TEXT_LENGTH message from service worker
+ * Measures the text from a paragraph to the end of the page, used by the spending guard
+ * @param {Object} message - Message containing paragraphIndex
+ * @returns {Object} Response with success and length, or error
+ */
+function handleGetRemainingTextLength(message) {
+  const { paragraphIndex } = message;
+  
+  if (!contentState.parsedContent || !contentState.parsedContent.paragraphs) {
+    return { success: false, error: 'No parsed content available' };
+  }
+  
+  if (typeof paragraphIndex !== 'number' || paragraphIndex < 0) {
+    return { success: false, error: 'Invalid paragraph index' };
+  }
+  
+  const remaining = { paragraphs: contentState.parsedContent.paragraphs.slice(paragraphIndex) };
+  return { success: true, length: getFullText(remaining).length };
+}
+
+/**
+ * Handle GET_EXPORT_CONTENT message from service worker
+ * Returns every paragraph with its sentences and the heading it belongs to,
+ * for chaptered audio and subtitle exports
+ * @returns {Object} Response with success, title and paragraphs, or error
+ */
+function handleGetExportContent() {
+  if (!contentState.parsedContent || !contentState.parsedContent.paragraphs) {
+    return { success: false, error: 'No parsed content available' };
+  }
+  
+  const headings = getParagraphHeadings(contentState.parsedContent, document);
+  const paragraphs = contentState.parsedContent.paragraphs.map((paragraph, index) => ({
+    text: getParagraphText(paragraph),
+    sentences: paragraph.sentences.map(sentence => sentence.text),
+    heading: headings[index]
+  }));
+  
+  return { success: true, title: document.title, paragraphs };
+}
+
+/**
+ * Handle GET_TRANSCRIPT message from service worker
+ * Returns every paragraph with the offsets of its words, for the side panel
+ * @returns {Object} Response with success, title, url and paragraphs, or error
+ */
+function handleGetTranscript() {
+  if (!contentState.parsedContent || !contentState.parsedContent.paragraphs) {
+    return { success: false, error: 'No parsed content available' };
+  }
+  
+  return {
+    success: true,
+    title: document.title,
+    url: location.href,
+    paragraphs: contentState.parsedContent.paragraphs.map(getParagraphTranscript)
+  };
+}
+
+/**
+ * Handle EXPORT_PROGRESS message from service worker
+ * @param {Object} message - Message containing the export progress
+ */
+function handleExportProgress(message) {
+  if (contentState.floatingPlayer) {
+    contentState.floatingPlayer.updateExportProgress(message.progress || null);
+  }
 }
 
 function handlePlaybackStateChange(message) {
@@ -227,6 +508,7 @@ function handlePlaybackStateChange(message) {
   if (!playbackState) return;
   
   // Update local state
+  const previousStatus = contentState.currentPlaybackState.status;
   contentState.currentPlaybackState = playbackState;
   
   // Update floating player UI on state change
@@ -237,14 +519,58 @@ function handlePlaybackStateChange(message) {
     }
   }
   
-  // Clear highlights when playback stops
-  if (playbackState.status === PlaybackStatus.IDLE && contentState.highlightManager) {
-    contentState.highlightManager.clearHighlights();
+  // Clear highlights when playback stops; a restarted service worker numbers
+  // its alignments from the start again
+  if (playbackState.status === PlaybackStatus.IDLE) {
+    contentState.readingHere = false;
+    contentState.alignment = { revision: null, data: null };
+    contentState.highlightManager?.clearHighlights();
+  }
+  
+  // Stopping saved a new position; offer that one from now on
+  if (playbackState.status === PlaybackStatus.IDLE && previousStatus !== PlaybackStatus.IDLE &&
+      contentState.initialized) {
+    loadResumeOffer();
+  }
+  
+  // Put the selection back once the service worker has moved on from reading it
+  // (the stop that precedes reading a selection arrives before it starts)
+  const reading = contentState.selectionReading;
+  if (reading) {
+    if (playbackState.readingSelection) {
+      reading.started = true;
+    } else if (reading.started) {
+      endSelectionReading();
+    }
   }
   
   console.log('ElevenPage Reader: State synchronized -', playbackState.status);
 }
 
+/**
+ * Handle PICK_ELEMENT message from the popup
+ * The clicked element's selector is added to this site's rule, as content to
+ * leave out, or with Shift held as the only content to read
+ */
+function handlePickElement() {
+  if (!contentState.elementPicker) {
+    contentState.elementPicker = new ElementPicker();
+  }
+  const picker = contentState.elementPicker;
+  
+  picker.start((selector, field) => {
+    chrome.storage.local.get([SITE_RULES_KEY], (result) => {
+      const rules = addSelectorToSiteRules(
+        resolveSiteRules(result[SITE_RULES_KEY]), window.location.hostname, field, selector);
+      chrome.storage.local.set({ [SITE_RULES_KEY]: rules }, () => {
+        picker.notify(field === 'include'
+          ? `Only reading ${selector} on ${window.location.hostname}`
+          : `No longer reading ${selector} on ${window.location.hostname}`);
+      });
+    });
+  });
+}
+
 function setupMessageListener() {
   if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -255,7 +581,11 @@ function setupMessageListener() {
             if (!contentState.initialized) {
               await initialize();
             }
-            sendResponse({ success: true, initialized: contentState.initialized });
+            sendResponse({
+              success: true,
+              initialized: contentState.initialized,
+              totalParagraphs: contentState.parsedContent ? contentState.parsedContent.paragraphs.length : 0
+            });
           })();
           return true; // Keep channel open for async response
         case MessageType.HIGHLIGHT_UPDATE:
@@ -270,12 +600,32 @@ function setupMessageListener() {
           const response = handleGetNextParagraph(message);
           sendResponse(response);
           break;
+        case MessageType.GET_REMAINING_TEXT_LENGTH:
+          sendResponse(handleGetRemainingTextLength(message));
+          break;
+        case MessageType.READ_SELECTION:
+          handleReadSelection().then(sendResponse);
+          return true; // Keep channel open for async response
+        case MessageType.GET_EXPORT_CONTENT:
+          sendResponse(handleGetExportContent());
+          break;
+        case MessageType.GET_TRANSCRIPT:
+          sendResponse(handleGetTranscript());
+          break;
+        case MessageType.EXPORT_PROGRESS:
+          handleExportProgress(message);
+          sendResponse({ received: true });
+          break;
         case MessageType.SHOW_PLAYER:
           if (contentState.floatingPlayer) {
             contentState.floatingPlayer.show();
           }
           sendResponse({ success: true });
           break;
+        case MessageType.PICK_ELEMENT:
+          handlePickElement();
+          sendResponse({ success: true });
+          break;
         default:
           sendResponse({ received: true });
       }
@@ -284,6 +634,86 @@ function setupMessageListener() {
   }
 }
 
+/**
+ * Setup in-page keyboard shortcuts
+ * Shortcuts only act once the page has been set up for reading, and never
+ * while typing in a form field
+ */
+function setupShortcutListener() {
+  if (typeof chrome !== 'undefined' && chrome.storage) {
+    chrome.storage.local.get([KEYBOARD_SHORTCUTS_KEY], (result) => {
+      contentState.shortcuts = resolveShortcuts(result[KEYBOARD_SHORTCUTS_KEY]);
+    });
+    
+    // Pick up shortcuts rebound on the settings page
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[KEYBOARD_SHORTCUTS_KEY]) {
+        contentState.shortcuts = resolveShortcuts(changes[KEYBOARD_SHORTCUTS_KEY].newValue);
+      }
+    });
+  }
+  
+  const listener = createShortcutListener(
+    () => (contentState.initialized ? contentState.shortcuts : {}),
+    (command) => sendMessage({ type: MessageType.RUN_COMMAND, payload: { command } })
+  );
+  document.addEventListener('keydown', listener);
+}
+
+/**
+ * Setup click-to-seek on the words of the page
+ * Clicks are caught before the page's own handlers, so Alt+click on a link
+ * seeks instead of following it
+ */
+function setupWordClickListener() {
+  const listener = createWordClickListener(
+    () => (contentState.initialized ? contentState.parsedContent : null),
+    () => contentState.readingHere &&
+      (contentState.currentPlaybackState.status === PlaybackStatus.PLAYING ||
+       contentState.currentPlaybackState.status === PlaybackStatus.PAUSED),
+    ({ paragraphIndex, sentenceIndex, wordIndex }) => {
+      const paragraph = contentState.parsedContent.paragraphs[paragraphIndex];
+      sendMessage({
+        type: MessageType.SEEK,
+        payload: {
+          paragraphIndex,
+          charOffset: getWordCharOffset(paragraph, sentenceIndex, wordIndex),
+          text: getParagraphText(paragraph),
+          block: paragraph.block
+        }
+      });
+    }
+  );
+  document.addEventListener('click', listener, true);
+}
+
+/**
+ * Follow site rule edits from the settings page and the element picker
+ * A page that is set up but not being read is parsed again with the new rules
+ */
+function setupSiteRulesListener() {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+  
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[SITE_RULES_KEY]) {
+      return;
+    }
+    
+    const previousKey = getPageRulesKey(contentState.siteRules);
+    applySiteRules(resolveSiteRules(changes[SITE_RULES_KEY].newValue));
+    if (getPageRulesKey(contentState.siteRules) === previousKey) {
+      return;
+    }
+    
+    if (contentState.initialized && contentState.currentPlaybackState.status === PlaybackStatus.IDLE) {
+      cleanup();
+      initialize();
+    }
+  });
+}
+
 function setupVisibilityListener() {
   document.addEventListener('visibilitychange', () => {
     // Optionally pause when tab becomes hidden
@@ -335,6 +765,9 @@ async function conditionalInitialize() {
 
 // Initialize
 setupMessageListener();
+setupShortcutListener();
+setupWordClickListener();
+setupSiteRulesListener();
 setupVisibilityListener();
 setupUnloadListener();
 
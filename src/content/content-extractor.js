@@ -0,0 +1,380 @@
+// ElevenPage Reader - Content Extractor
+// Finds the main article on a page by scoring candidate containers, Readability-style
+
+import {
+  parsePageContent,
+  parseBlockSentences,
+  getBlockInfo,
+  getActiveSiteRule,
+  isSkippedBlockText,
+  shouldExcludeElement
+} from './text-parser.js';
+
+/**
+ * Available content extraction strategies
+ * A strategy takes a document and returns ParsedContent
+ */
+const ContentStrategy = {
+  READABILITY: 'readability',
+  SELECTORS: 'selectors'
+};
+
+/**
+ * Strategy used unless the user picks another one in the popup
+ */
+const DEFAULT_CONTENT_STRATEGY = ContentStrategy.READABILITY;
+
+/**
+ * Elements read aloud as one paragraph each
+ */
+const READABLE_BLOCK_SELECTOR = 'p, li, blockquote, figcaption, h1, h2, h3, h4, h5, h6, pre, tr, div';
+
+/**
+ * Elements whose text scores the containers around them
+ */
+const SCORED_BLOCK_SELECTOR = 'p, pre, td, blockquote, li, figcaption, div';
+
+/**
+ * Block-level elements; a readable block containing one of these is read through its children instead
+ */
+const BLOCK_CHILD_SELECTOR = 'p, li, blockquote, figcaption, h1, h2, h3, h4, h5, h6, div, ul, ol, dl, table, pre, section, article, figure, aside, header, footer, nav, form';
+
+/**
+ * Containers that mark the main content of a page
+ */
+const SEMANTIC_ROOT_SELECTOR = 'article, main, [role="main"], [itemprop="articleBody"]';
+
+/**
+ * Class/id patterns of page furniture (comment threads, banners, related links)
+ */
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|agegate|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+
+/**
+ * Class/id patterns that keep an otherwise unlikely element in the running
+ */
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+
+/**
+ * Class/id patterns that raise a container's score
+ */
+const POSITIVE_PATTERN = /article|blog|body|content|entry|hentry|h-entry|main|page|post|story|text/i;
+
+/**
+ * Class/id patterns that lower a container's score
+ */
+const NEGATIVE_PATTERN = /-ad-|banner|combx|comment|com-|consent|contact|cookie|foot|footnote|gdpr|hidden|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+/**
+ * Minimum text length for a block to score its containers
+ */
+const MIN_SCORED_TEXT_LENGTH = 25;
+
+/**
+ * Minimum text length for a div without block children to be read as a paragraph
+ */
+const MIN_DIV_TEXT_LENGTH = 25;
+
+/**
+ * Link density above which a list item or div is treated as navigation
+ */
+const MAX_BLOCK_LINK_DENSITY = 0.5;
+
+/**
+ * Number of ancestor levels a block's score is shared with
+ */
+const SCORE_ANCESTOR_LEVELS = 3;
+
+/**
+ * Get an element's whitespace-normalized text, without the clone-and-filter cost of getTextContent
+ * @param {Element} element - Element to read
+ * @returns {string}
+ */
+function getInnerText(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the share of an element's text that sits inside links
+ * @param {Element} element - Element to measure
+ * @returns {number} Between 0 and 1
+ */
+function getLinkDensity(element) {
+  const textLength = getInnerText(element).length;
+  if (textLength === 0) {
+    return 0;
+  }
+
+  let linkLength = 0;
+  for (const link of element.querySelectorAll('a')) {
+    linkLength += getInnerText(link).length;
+  }
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Get the class/id string used by the heuristics
+ * @param {Element} element - Element to describe
+ * @returns {string}
+ */
+function getMatchString(element) {
+  const className = typeof element.className === 'string' ? element.className : '';
+  return `${className} ${element.id || ''}`;
+}
+
+/**
+ * Score an element's class and id
+ * @param {Element} element - Element to score
+ * @returns {number} +25 per positive match, -25 per negative match
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  for (const value of [typeof element.className === 'string' ? element.className : '', element.id || '']) {
+    if (!value) continue;
+    if (NEGATIVE_PATTERN.test(value)) weight -= 25;
+    if (POSITIVE_PATTERN.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Check if an element's class or id marks it as page furniture
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isUnlikelyCandidate(element) {
+  if (element.matches(SEMANTIC_ROOT_SELECTOR) || element.tagName === 'BODY') {
+    return false;
+  }
+  const matchString = getMatchString(element);
+  return UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString);
+}
+
+/**
+ * Check if an element or any ancestor up to root is page furniture or hidden
+ * @param {Element} element - Element to check
+ * @param {Element} root - Article root
+ * @returns {boolean}
+ */
+function isInUnlikelyContainer(element, root) {
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    if (isUnlikelyCandidate(node) || node.hidden || node.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check if a block contains other blocks (and so is read through them)
+ * @param {Element} element - Block element
+ * @returns {boolean}
+ */
+function hasBlockChildren(element) {
+  return element.querySelector(BLOCK_CHILD_SELECTOR) !== null;
+}
+
+/**
+ * Get the starting score of a container from its tag, class and id
+ * @param {Element} element - Container element
+ * @returns {number}
+ */
+function getInitialScore(element) {
+  let score = getClassWeight(element);
+
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      score += 10;
+      break;
+    case 'DIV':
+    case 'SECTION':
+      score += 5;
+      break;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3;
+      break;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+    case 'FORM':
+      score -= 3;
+      break;
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      score -= 5;
+      break;
+  }
+
+  return score;
+}
+
+/**
+ * Find the element that holds the page's main content
+ * Blocks of text score their parent, grandparent and great-grandparent (more
+ * text and commas score higher); scores are then discounted by link density
+ * and the highest-scoring container wins. A surrounding article/main element
+ * is preferred so the title and subheadings outside the text column are kept.
+ * @param {Document} [doc=document] - Document to search
+ * @returns {Element|null} Article root, or null if the page has no scorable text
+ */
+function findArticleRoot(doc = document) {
+  const body = doc.body;
+  if (!body) {
+    return null;
+  }
+
+  const scores = new Map();
+
+  for (const block of body.querySelectorAll(SCORED_BLOCK_SELECTOR)) {
+    if (block.tagName === 'DIV' && hasBlockChildren(block)) {
+      continue;
+    }
+    if (shouldExcludeElement(block) || isInUnlikelyContainer(block, body)) {
+      continue;
+    }
+
+    const text = getInnerText(block);
+    if (text.length < MIN_SCORED_TEXT_LENGTH) {
+      continue;
+    }
+
+    // One point per block, one per comma and up to three for length
+    const commas = text.split(',').length - 1;
+    const blockScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = block.parentElement;
+    for (let level = 0; level < SCORE_ANCESTOR_LEVELS && ancestor && ancestor !== doc.documentElement; level++) {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, getInitialScore(ancestor));
+      }
+      const divider = level === 0 ? 1 : level * 2;
+      scores.set(ancestor, scores.get(ancestor) + blockScore / divider);
+      ancestor = ancestor.parentElement;
+    }
+  }
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - getLinkDensity(element));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const semanticRoot = best.closest(SEMANTIC_ROOT_SELECTOR);
+  return semanticRoot && semanticRoot !== body ? semanticRoot : best;
+}
+
+/**
+ * Check if a block under the article root should be read
+ * @param {Element} element - Candidate block
+ * @param {Element} root - Article root
+ * @returns {boolean}
+ */
+function isReadableBlock(element, root) {
+  if (hasBlockChildren(element)) {
+    return false;
+  }
+  if (shouldExcludeElement(element) || isInUnlikelyContainer(element, root)) {
+    return false;
+  }
+
+  // Link lists, link tables and link-only divs are navigation, not content
+  if (element.tagName === 'LI' || element.tagName === 'TR' || element.tagName === 'DIV') {
+    if (getLinkDensity(element) > MAX_BLOCK_LINK_DENSITY) {
+      return false;
+    }
+  }
+  if (element.tagName === 'DIV' && getInnerText(element).length < MIN_DIV_TEXT_LENGTH) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Extract the main content of a page
+ * Picks the article root with findArticleRoot, then reads its paragraphs,
+ * list items, blockquotes, figcaptions, headings, code blocks, table rows and
+ * text-only divs in DOM order. Falls back to the selector strategy when no
+ * article is found, and when the site rules say which blocks to read.
+ * @param {Document} [doc=document] - Document to parse
+ * @returns {ParsedContent} Parsed content with paragraphs
+ */
+function extractMainContent(doc = document) {
+  const siteRule = getActiveSiteRule();
+  if (siteRule && siteRule.include.length > 0) {
+    return parsePageContent(doc);
+  }
+
+  const root = findArticleRoot(doc);
+  if (!root) {
+    return parsePageContent(doc);
+  }
+
+  const paragraphs = [];
+  for (const element of root.querySelectorAll(READABLE_BLOCK_SELECTOR)) {
+    if (!isReadableBlock(element, root)) {
+      continue;
+    }
+
+    const sentences = parseBlockSentences(element);
+    if (sentences.length === 0 || isSkippedBlockText(sentences.map(s => s.text).join(' '))) {
+      continue;
+    }
+
+    paragraphs.push({
+      element,
+      sentences,
+      originalHTML: element.innerHTML,
+      block: getBlockInfo(element)
+    });
+  }
+
+  return paragraphs.length > 0 ? { paragraphs } : parsePageContent(doc);
+}
+
+/**
+ * Extraction function for each strategy
+ */
+const CONTENT_STRATEGIES = {
+  [ContentStrategy.READABILITY]: extractMainContent,
+  [ContentStrategy.SELECTORS]: parsePageContent
+};
+
+/**
+ * Get the extraction function for a strategy name
+ * @param {string} [name] - Strategy name, defaults to DEFAULT_CONTENT_STRATEGY
+ * @returns {function(Document): ParsedContent}
+ */
+function getContentStrategy(name) {
+  return CONTENT_STRATEGIES[name] || CONTENT_STRATEGIES[DEFAULT_CONTENT_STRATEGY];
+}
+
+// Export for use in content script
+export {
+  ContentStrategy,
+  DEFAULT_CONTENT_STRATEGY,
+  findArticleRoot,
+  extractMainContent,
+  getContentStrategy,
+  getLinkDensity,
+  getClassWeight
+};
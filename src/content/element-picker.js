@@ -0,0 +1,266 @@
+// ElevenPage Reader - Element Picker
+// Lets the user click an element on the page to add it to the site rules
+
+/**
+ * CSS class of the outline drawn around the element under the pointer
+ */
+const PICKER_TARGET_CLASS = 'elevenlabs-picker-target';
+
+/**
+ * CSS class of the picker's instruction bar
+ */
+const PICKER_BAR_CLASS = 'elevenlabs-picker-bar';
+
+/**
+ * Classes added by the extension, never used in picked selectors
+ */
+const OWN_CLASS_PREFIX = 'elevenlabs-';
+
+/**
+ * Ancestor levels a selector may climb to find an id or class
+ */
+const MAX_SELECTOR_DEPTH = 3;
+
+/**
+ * Escape an identifier for use in a CSS selector
+ * @param {string} value - Class name or id
+ * @returns {string}
+ */
+function escapeIdentifier(value) {
+  if (typeof CSS !== 'undefined' && CSS.escape) {
+    return CSS.escape(value);
+  }
+  return value.replace(/[^a-zA-Z0-9_-]/g, '\\$&').replace(/^(\d)/, '\\3$1 ');
+}
+
+/**
+ * Describe one element as a selector step: its id, or its tag and classes
+ * @param {Element} element - Element to describe
+ * @returns {{step: string, unique: boolean}} Step, and whether it names a single element by id
+ */
+function getSelectorStep(element) {
+  if (element.id && !/\d{3,}/.test(element.id)) {
+    return { step: `#${escapeIdentifier(element.id)}`, unique: true };
+  }
+
+  const classes = Array.from(element.classList)
+    .filter(name => !name.startsWith(OWN_CLASS_PREFIX))
+    // Generated class names (hashes, counters) change between page loads
+    .filter(name => !/\d{3,}/.test(name));
+
+  return {
+    step: element.tagName.toLowerCase() + classes.map(name => `.${escapeIdentifier(name)}`).join(''),
+    unique: false
+  };
+}
+
+/**
+ * Check if an element was added by the extension (word spans, paragraph buttons, the player)
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isOwnElement(element) {
+  return Array.from(element.classList)
+    .some(name => name.startsWith(OWN_CLASS_PREFIX) && name !== PICKER_TARGET_CLASS);
+}
+
+/**
+ * Get the page element to pick for a pointer target, skipping the extension's own elements
+ * @param {EventTarget|null} target - Element under the pointer
+ * @returns {Element|null}
+ */
+function getPickableElement(target) {
+  let element = target && target.tagName ? target : null;
+  while (element && isOwnElement(element)) {
+    element = element.parentElement;
+  }
+  return element;
+}
+
+/**
+ * Build a selector for a picked element
+ * Prefers ids and class names, so the selector also matches similar blocks on
+ * other pages of the site; a bare tag climbs to the nearest ancestor with an
+ * id or class to stay specific
+ * @param {Element} element - Picked element
+ * @returns {string}
+ */
+function getElementSelector(element) {
+  const steps = [];
+  let node = element;
+
+  for (let depth = 0; node && node.tagName && depth < MAX_SELECTOR_DEPTH; depth++) {
+    if (node.tagName === 'BODY' || node.tagName === 'HTML') {
+      break;
+    }
+    const { step, unique } = getSelectorStep(node);
+    steps.unshift(step);
+    if (unique || step.includes('.')) {
+      break;
+    }
+    node = node.parentElement;
+  }
+
+  return steps.join(' > ') || element.tagName.toLowerCase();
+}
+
+/**
+ * ElementPicker - Highlights elements under the pointer and reports the clicked one
+ */
+class ElementPicker {
+  /**
+   * @param {Document} [doc=document] - Document to pick from
+   */
+  constructor(doc = document) {
+    this.doc = doc;
+    this.target = null;
+    this.bar = null;
+    this.onPick = null;
+    this.onMouseOver = this.onMouseOver.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Whether the picker is waiting for a click
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.onPick !== null;
+  }
+
+  /**
+   * Start picking
+   * @param {function(string, 'include'|'exclude'): void} onPick - Called with the selector and the list to add it to
+   */
+  start(onPick) {
+    if (this.isActive()) {
+      return;
+    }
+    this.hideBar();
+    this.onPick = onPick;
+    this.showBar('Click the part of the page to leave out. Shift+click reads only blocks like it. Esc cancels.');
+    this.doc.addEventListener('mouseover', this.onMouseOver, true);
+    this.doc.addEventListener('click', this.onClick, true);
+    this.doc.addEventListener('keydown', this.onKeyDown, true);
+  }
+
+  /**
+   * Stop picking and remove the outline and instructions
+   */
+  stop() {
+    this.doc.removeEventListener('mouseover', this.onMouseOver, true);
+    this.doc.removeEventListener('click', this.onClick, true);
+    this.doc.removeEventListener('keydown', this.onKeyDown, true);
+    this.setTarget(null);
+    this.hideBar();
+    this.onPick = null;
+  }
+
+  /**
+   * Briefly show a message in the bar, after picking
+   * @param {string} text - Message
+   * @param {number} [duration=3000] - Time shown in ms
+   */
+  notify(text, duration = 3000) {
+    if (this.isActive()) {
+      return;
+    }
+    this.hideBar();
+    this.showBar(text);
+    const bar = this.bar;
+    setTimeout(() => {
+      if (this.bar === bar) {
+        this.hideBar();
+      }
+    }, duration);
+  }
+
+  /**
+   * Show the instruction bar at the top of the page
+   * @param {string} text - Instructions
+   */
+  showBar(text) {
+    this.bar = this.doc.createElement('div');
+    this.bar.className = PICKER_BAR_CLASS;
+    this.bar.setAttribute('role', 'status');
+    this.bar.textContent = text;
+    this.doc.body.appendChild(this.bar);
+  }
+
+  /**
+   * Remove the bar
+   */
+  hideBar() {
+    if (this.bar) {
+      this.bar.remove();
+      this.bar = null;
+    }
+  }
+
+  /**
+   * Move the outline to an element
+   * @param {Element|null} element - Element under the pointer
+   */
+  setTarget(element) {
+    if (this.target) {
+      this.target.classList.remove(PICKER_TARGET_CLASS);
+    }
+    this.target = element;
+    if (element) {
+      element.classList.add(PICKER_TARGET_CLASS);
+      if (this.bar) {
+        this.bar.dataset.selector = getElementSelector(element);
+      }
+    }
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  onMouseOver(event) {
+    const element = getPickableElement(event.target);
+    if (!element || element === this.doc.body) {
+      return;
+    }
+    this.setTarget(element);
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  onClick(event) {
+    const element = getPickableElement(event.target);
+    if (!element) {
+      return;
+    }
+
+    // The click picks the element instead of following links or pressing buttons
+    event.preventDefault();
+    event.stopPropagation();
+
+    const onPick = this.onPick;
+    const selector = getElementSelector(element);
+    this.stop();
+    onPick(selector, event.shiftKey ? 'include' : 'exclude');
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stop();
+    }
+  }
+}
+
+// Export for use in content script
+export {
+  ElementPicker,
+  getElementSelector,
+  PICKER_TARGET_CLASS,
+  PICKER_BAR_CLASS
+};
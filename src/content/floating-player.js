@@ -1,6 +1,12 @@
 // ElevenPage Reader - Floating Player
 // Injects and manages the floating control overlay
 
+import {
+  DEFAULT_CHARACTERS_PER_SECOND,
+  estimateRemainingSeconds,
+  formatDuration
+} from '../../lib/reading-progress.js';
+
 /**
  * Message types for communication with service worker
  */
@@ -14,11 +20,25 @@ const MessageType = {
   PLAYBACK_STATE_CHANGE: 'playbackStateChange',
   SKIP_NEXT: 'skipNext',
   SKIP_PREVIOUS: 'skipPrevious',
+  JUMP_TO_PARAGRAPH: 'jumpToParagraph',
+  SEEK: 'seek',
   HIGHLIGHT_UPDATE: 'highlightUpdate',
   SET_TOTAL_PARAGRAPHS: 'setTotalParagraphs',
   GET_NEXT_PARAGRAPH: 'getNextParagraph',
+  GET_REMAINING_TEXT_LENGTH: 'getRemainingTextLength',
+  CONFIRM_SPENDING: 'confirmSpending',
+  READ_SELECTION: 'readSelection',
+  PLAY_SELECTION: 'playSelection',
+  RUN_COMMAND: 'runCommand',
+  START_EXPORT: 'startExport',
+  CANCEL_EXPORT: 'cancelExport',
+  GET_EXPORT_CONTENT: 'getExportContent',
+  EXPORT_PROGRESS: 'exportProgress',
   SHOW_PLAYER: 'showPlayer',
-  INITIALIZE: 'initialize'
+  INITIALIZE: 'initialize',
+  PICK_ELEMENT: 'pickElement',
+  GET_READING_POSITION: 'getReadingPosition',
+  GET_TRANSCRIPT: 'getTranscript'
 };
 
 /**
@@ -32,11 +52,44 @@ const PlaybackStatus = {
   ERROR: 'error'
 };
 
+/**
+ * Export job status enum
+ */
+const ExportStatus = {
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  ERROR: 'error'
+};
+
+/**
+ * Export formats offered in the player
+ */
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'mp3', label: 'MP3 audiobook' },
+  { value: 'srt', label: 'SRT subtitles' },
+  { value: 'vtt', label: 'WebVTT subtitles' }
+];
+
+/**
+ * Short status texts for ElevenLabs API error types
+ */
+const ERROR_STATUS_TEXTS = {
+  INVALID_API_KEY: 'Error: Invalid API key - update it in the extension popup',
+  RATE_LIMITED: 'Error: Rate limited - wait a moment and try again',
+  NETWORK_ERROR: 'Error: Network problem - check your connection'
+};
+
 /**
  * Speed options for the speed control
  */
 const SPEED_OPTIONS = [0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0];
 
+/**
+ * Steps of the seek slider across a paragraph's audio
+ */
+const SEEK_STEPS = 1000;
+
 /**
  * FloatingPlayer class manages the floating control overlay
  */
@@ -49,9 +102,29 @@ class FloatingPlayer {
     this.stopButton = null;
     this.speedSelect = null;
     this.statusText = null;
+    this.progressContainer = null;
+    this.seekSlider = null;
+    this.elapsedText = null;
+    this.remainingText = null;
+    this.articleProgress = null;
+    this.articleBuffer = null;
+    this.articleFill = null;
+    this.articleText = null;
+    this.spendingPrompt = null;
+    this.spendingPromptText = null;
+    this.resumeButton = null;
+    this.resumeOffer = null;
+    this.exportFormatSelect = null;
+    this.exportButton = null;
+    this.exportCancelButton = null;
+    this.exportConfirmButton = null;
+    this.exportStatusText = null;
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
     this.position = { x: 20, y: 20 };
+    this.timing = null;          // {currentTime, duration} of the audio being read
+    this.paragraphLengths = [];  // Characters in each paragraph of the page, for the time left
+    this.isSeeking = false;      // Whether the seek slider is being dragged
     this.currentState = {
       status: PlaybackStatus.IDLE,
       speed: 1.0
@@ -66,6 +139,14 @@ class FloatingPlayer {
     this.onSpeedChange = this.onSpeedChange.bind(this);
     this.onSkipPreviousClick = this.onSkipPreviousClick.bind(this);
     this.onSkipNextClick = this.onSkipNextClick.bind(this);
+    this.onConfirmSpendingClick = this.onConfirmSpendingClick.bind(this);
+    this.onDeclineSpendingClick = this.onDeclineSpendingClick.bind(this);
+    this.onResumeClick = this.onResumeClick.bind(this);
+    this.onExportClick = this.onExportClick.bind(this);
+    this.onCancelExportClick = this.onCancelExportClick.bind(this);
+    this.onConfirmExportClick = this.onConfirmExportClick.bind(this);
+    this.onSeekInput = this.onSeekInput.bind(this);
+    this.onSeekChange = this.onSeekChange.bind(this);
   }
 
   /**
@@ -164,6 +245,134 @@ class FloatingPlayer {
     this.statusText.textContent = 'Ready';
     container.appendChild(this.statusText);
     
+    // Progress through the paragraph and the page (hidden while nothing is read)
+    this.progressContainer = document.createElement('div');
+    this.progressContainer.className = 'elevenlabs-fp-progress';
+    this.progressContainer.style.display = 'none';
+    
+    const seekRow = document.createElement('div');
+    seekRow.className = 'elevenlabs-fp-seek-row';
+    
+    this.elapsedText = document.createElement('span');
+    this.elapsedText.className = 'elevenlabs-fp-time';
+    seekRow.appendChild(this.elapsedText);
+    
+    this.seekSlider = document.createElement('input');
+    this.seekSlider.type = 'range';
+    this.seekSlider.className = 'elevenlabs-fp-seek';
+    this.seekSlider.min = '0';
+    this.seekSlider.max = String(SEEK_STEPS);
+    this.seekSlider.value = '0';
+    this.seekSlider.title = 'Seek in paragraph';
+    this.seekSlider.addEventListener('input', this.onSeekInput);
+    this.seekSlider.addEventListener('change', this.onSeekChange);
+    seekRow.appendChild(this.seekSlider);
+    
+    this.remainingText = document.createElement('span');
+    this.remainingText.className = 'elevenlabs-fp-time';
+    seekRow.appendChild(this.remainingText);
+    
+    this.progressContainer.appendChild(seekRow);
+    
+    this.articleProgress = document.createElement('div');
+    this.articleProgress.className = 'elevenlabs-fp-article';
+    
+    const articleBar = document.createElement('div');
+    articleBar.className = 'elevenlabs-fp-article-bar';
+    this.articleBuffer = document.createElement('div');
+    this.articleBuffer.className = 'elevenlabs-fp-article-buffer';
+    articleBar.appendChild(this.articleBuffer);
+    this.articleFill = document.createElement('div');
+    this.articleFill.className = 'elevenlabs-fp-article-fill';
+    articleBar.appendChild(this.articleFill);
+    this.articleProgress.appendChild(articleBar);
+    
+    this.articleText = document.createElement('div');
+    this.articleText.className = 'elevenlabs-fp-article-text';
+    this.articleProgress.appendChild(this.articleText);
+    
+    this.progressContainer.appendChild(this.articleProgress);
+    container.appendChild(this.progressContainer);
+    
+    // Spending guard confirmation (hidden until the service worker asks)
+    this.spendingPrompt = document.createElement('div');
+    this.spendingPrompt.className = 'elevenlabs-fp-confirm';
+    this.spendingPrompt.style.display = 'none';
+    
+    this.spendingPromptText = document.createElement('div');
+    this.spendingPromptText.className = 'elevenlabs-fp-confirm-text';
+    this.spendingPrompt.appendChild(this.spendingPromptText);
+    
+    const confirmActions = document.createElement('div');
+    confirmActions.className = 'elevenlabs-fp-confirm-actions';
+    
+    const continueButton = document.createElement('button');
+    continueButton.className = 'elevenlabs-fp-confirm-btn elevenlabs-fp-confirm-continue';
+    continueButton.textContent = 'Keep reading';
+    continueButton.addEventListener('click', this.onConfirmSpendingClick);
+    confirmActions.appendChild(continueButton);
+    
+    const stopButton = document.createElement('button');
+    stopButton.className = 'elevenlabs-fp-confirm-btn elevenlabs-fp-confirm-stop';
+    stopButton.textContent = 'Stop here';
+    stopButton.addEventListener('click', this.onDeclineSpendingClick);
+    confirmActions.appendChild(stopButton);
+    
+    this.spendingPrompt.appendChild(confirmActions);
+    container.appendChild(this.spendingPrompt);
+    
+    // Resume offer for a page read in an earlier session (hidden until offered)
+    this.resumeButton = document.createElement('button');
+    this.resumeButton.className = 'elevenlabs-fp-resume';
+    this.resumeButton.style.display = 'none';
+    this.resumeButton.addEventListener('click', this.onResumeClick);
+    container.appendChild(this.resumeButton);
+    
+    // Export controls
+    const exportRow = document.createElement('div');
+    exportRow.className = 'elevenlabs-fp-export';
+    
+    this.exportFormatSelect = document.createElement('select');
+    this.exportFormatSelect.className = 'elevenlabs-fp-export-format';
+    this.exportFormatSelect.title = 'Export format';
+    
+    EXPORT_FORMAT_OPTIONS.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.exportFormatSelect.appendChild(option);
+    });
+    
+    exportRow.appendChild(this.exportFormatSelect);
+    
+    this.exportButton = document.createElement('button');
+    this.exportButton.className = 'elevenlabs-fp-export-btn';
+    this.exportButton.textContent = 'Export';
+    this.exportButton.title = 'Download this page as an audiobook with chapters or as subtitles';
+    this.exportButton.addEventListener('click', this.onExportClick);
+    exportRow.appendChild(this.exportButton);
+    
+    this.exportStatusText = document.createElement('span');
+    this.exportStatusText.className = 'elevenlabs-fp-export-status';
+    exportRow.appendChild(this.exportStatusText);
+    
+    // Shown when the export is over the spending guard threshold
+    this.exportConfirmButton = document.createElement('button');
+    this.exportConfirmButton.className = 'elevenlabs-fp-export-confirm';
+    this.exportConfirmButton.textContent = 'Export anyway';
+    this.exportConfirmButton.style.display = 'none';
+    this.exportConfirmButton.addEventListener('click', this.onConfirmExportClick);
+    exportRow.appendChild(this.exportConfirmButton);
+    
+    this.exportCancelButton = document.createElement('button');
+    this.exportCancelButton.className = 'elevenlabs-fp-export-cancel';
+    this.exportCancelButton.textContent = 'Cancel';
+    this.exportCancelButton.style.display = 'none';
+    this.exportCancelButton.addEventListener('click', this.onCancelExportClick);
+    exportRow.appendChild(this.exportCancelButton);
+    
+    container.appendChild(exportRow);
+    
     return container;
   }
 
@@ -266,6 +475,23 @@ class FloatingPlayer {
       this.stopButton = null;
       this.speedSelect = null;
       this.statusText = null;
+      this.progressContainer = null;
+      this.seekSlider = null;
+      this.elapsedText = null;
+      this.remainingText = null;
+      this.articleProgress = null;
+      this.articleBuffer = null;
+      this.articleFill = null;
+      this.articleText = null;
+      this.isSeeking = false;
+      this.spendingPrompt = null;
+      this.spendingPromptText = null;
+      this.resumeButton = null;
+      this.exportFormatSelect = null;
+      this.exportButton = null;
+      this.exportCancelButton = null;
+      this.exportConfirmButton = null;
+      this.exportStatusText = null;
     }
   }
 
@@ -402,6 +628,162 @@ class FloatingPlayer {
     await this.sendMessage({ type: MessageType.SKIP_NEXT });
   }
 
+  /**
+   * Handle "Keep reading" in the spending confirmation
+   */
+  async onConfirmSpendingClick() {
+    await this.sendMessage({ type: MessageType.CONFIRM_SPENDING, payload: { confirmed: true } });
+  }
+
+  /**
+   * Handle "Stop here" in the spending confirmation
+   */
+  async onDeclineSpendingClick() {
+    await this.sendMessage({ type: MessageType.CONFIRM_SPENDING, payload: { confirmed: false } });
+  }
+
+  /**
+   * Show or hide the spending confirmation
+   * @param {{remainingCharacters: number, threshold: number}|null} confirmation - Pending confirmation
+   */
+  updateSpendingPrompt(confirmation) {
+    if (!this.spendingPrompt) return;
+    
+    if (confirmation) {
+      const characters = confirmation.remainingCharacters.toLocaleString();
+      this.spendingPromptText.textContent =
+        `The rest of this page is about ${characters} characters. Keep reading?`;
+      this.spendingPrompt.style.display = 'block';
+    } else {
+      this.spendingPrompt.style.display = 'none';
+    }
+  }
+
+  /**
+   * Offer to resume reading where an earlier session left off
+   * @param {{paragraphIndex: number, text: string, block?: Object, startTime: number}|null} offer - Paragraph to resume at, or null to withdraw the offer
+   */
+  setResumeOffer(offer) {
+    this.resumeOffer = offer;
+    this.updateResumeButton();
+  }
+
+  /**
+   * Show the resume offer while nothing is being read
+   */
+  updateResumeButton() {
+    if (!this.resumeButton) return;
+    
+    const offer = this.resumeOffer;
+    if (offer && this.currentState.status === PlaybackStatus.IDLE) {
+      this.resumeButton.textContent = `Resume from paragraph ${offer.paragraphIndex + 1}`;
+      this.resumeButton.style.display = 'block';
+    } else {
+      this.resumeButton.style.display = 'none';
+    }
+  }
+
+  /**
+   * Handle resume button click
+   */
+  async onResumeClick() {
+    const offer = this.resumeOffer;
+    if (!offer) return;
+    
+    this.setResumeOffer(null);
+    await this.sendMessage({
+      type: MessageType.JUMP_TO_PARAGRAPH,
+      payload: {
+        paragraphIndex: offer.paragraphIndex,
+        text: offer.text,
+        block: offer.block,
+        startTime: offer.startTime
+      }
+    });
+  }
+
+  /**
+   * Handle export button click
+   */
+  async onExportClick() {
+    await this.startExport({});
+  }
+
+  /**
+   * Handle "Export anyway" after the spending guard asked to confirm
+   */
+  async onConfirmExportClick() {
+    await this.startExport({ confirmed: true });
+  }
+
+  /**
+   * Ask the service worker to export the page in the selected format
+   * @param {{confirmed?: boolean}} options - Whether the export's cost was accepted
+   */
+  async startExport(options) {
+    this.updateExportProgress({ status: ExportStatus.RUNNING, completed: 0, total: 0 });
+    const format = this.exportFormatSelect ? this.exportFormatSelect.value : 'mp3';
+    const response = await this.sendMessage({ type: MessageType.START_EXPORT, payload: { format, ...options } });
+    if (response.spendingConfirmation) {
+      this.showExportConfirmation(response.spendingConfirmation);
+    } else if (response.success === false) {
+      this.updateExportProgress({ status: ExportStatus.ERROR, error: response.error });
+    }
+  }
+
+  /**
+   * Ask to confirm an export over the spending guard threshold
+   * @param {{remainingCharacters: number, threshold: number}} confirmation - Characters the export would use
+   */
+  showExportConfirmation(confirmation) {
+    if (!this.exportStatusText) return;
+    
+    this.updateExportProgress(null);
+    const characters = confirmation.remainingCharacters.toLocaleString();
+    this.exportStatusText.textContent = `This page is about ${characters} characters.`;
+    this.exportConfirmButton.style.display = 'inline-block';
+  }
+
+  /**
+   * Handle export cancel button click
+   */
+  async onCancelExportClick() {
+    await this.sendMessage({ type: MessageType.CANCEL_EXPORT });
+  }
+
+  /**
+   * Show the progress of an export
+   * @param {{status: string, completed?: number, total?: number, error?: string}|null} progress - Export progress
+   */
+  updateExportProgress(progress) {
+    if (!this.exportStatusText) return;
+    
+    const running = progress?.status === ExportStatus.RUNNING;
+    this.exportButton.disabled = running;
+    this.exportFormatSelect.disabled = running;
+    this.exportCancelButton.style.display = running ? 'inline-block' : 'none';
+    this.exportConfirmButton.style.display = 'none';
+    
+    switch (progress?.status) {
+      case ExportStatus.RUNNING:
+        this.exportStatusText.textContent = progress.total
+          ? `Exporting ${progress.completed}/${progress.total}...`
+          : 'Preparing export...';
+        break;
+      case ExportStatus.DONE:
+        this.exportStatusText.textContent = 'Export downloaded';
+        break;
+      case ExportStatus.CANCELLED:
+        this.exportStatusText.textContent = 'Export cancelled';
+        break;
+      case ExportStatus.ERROR:
+        this.exportStatusText.textContent = `Export failed: ${progress.error || 'Unknown error'}`;
+        break;
+      default:
+        this.exportStatusText.textContent = '';
+    }
+  }
+
   /**
    * Send message to service worker
    * @param {Object} message
@@ -437,8 +819,10 @@ class FloatingPlayer {
     this.currentState = state;
     
     // Determine if skip buttons should be disabled
+    // (a selection is read on its own, outside the page's paragraphs)
     const skipButtonsDisabled = state.status === PlaybackStatus.IDLE || 
-                                 state.status === PlaybackStatus.LOADING;
+                                 state.status === PlaybackStatus.LOADING ||
+                                 state.readingSelection === true;
     
     // Update skip previous button
     if (this.skipPreviousButton) {
@@ -480,18 +864,128 @@ class FloatingPlayer {
           this.statusText.textContent = 'Loading...';
           break;
         case PlaybackStatus.PLAYING:
-          this.statusText.textContent = 'Playing';
+          this.statusText.textContent = state.readingSelection ? 'Playing selection' : 'Playing';
           break;
         case PlaybackStatus.PAUSED:
           this.statusText.textContent = 'Paused';
           break;
         case PlaybackStatus.ERROR:
-          this.statusText.textContent = `Error: ${state.error || 'Unknown error'}`;
+          this.statusText.textContent = ERROR_STATUS_TEXTS[state.errorType] ||
+            `Error: ${state.error || 'Unknown error'}`;
           break;
         default:
           this.statusText.textContent = 'Ready';
       }
     }
+    
+    // A new paragraph starts from the beginning; nothing is left to show once reading ends
+    if (state.status === PlaybackStatus.IDLE || state.status === PlaybackStatus.ERROR) {
+      this.timing = null;
+    } else if (state.status === PlaybackStatus.LOADING) {
+      this.timing = { currentTime: 0, duration: 0 };
+    }
+    
+    this.updateSpendingPrompt(state.spendingConfirmation || null);
+    this.updateResumeButton();
+    this.updateProgress();
+  }
+
+  /**
+   * Set the length of each paragraph of the page, to estimate the time left
+   * @param {number[]} lengths - Characters in each paragraph
+   */
+  setParagraphLengths(lengths) {
+    this.paragraphLengths = lengths;
+    this.updateProgress();
+  }
+
+  /**
+   * Update the position in the audio being read
+   * @param {number} currentTime - Audio time in seconds
+   * @param {number} duration - Length of the audio known so far in seconds
+   * @param {number} [paragraphProgress] - Fraction of the current paragraph read, when the audio holds several
+   */
+  updateTime(currentTime, duration, paragraphProgress) {
+    this.timing = { currentTime, duration, paragraphProgress };
+    this.updateProgress();
+  }
+
+  /**
+   * Handle dragging the seek slider: preview the time without seeking yet
+   */
+  onSeekInput() {
+    if (!this.timing || !this.seekSlider) return;
+    
+    this.isSeeking = true;
+    this.elapsedText.textContent = formatDuration(this.seekSlider.value / SEEK_STEPS * this.timing.duration);
+  }
+
+  /**
+   * Handle releasing the seek slider
+   */
+  async onSeekChange() {
+    this.isSeeking = false;
+    if (!this.timing || !this.seekSlider) return;
+    
+    const time = this.seekSlider.value / SEEK_STEPS * this.timing.duration;
+    this.updateTime(time, this.timing.duration);
+    await this.sendMessage({ type: MessageType.SEEK, payload: { time } });
+  }
+
+  /**
+   * Show how far reading is through the paragraph and through the page
+   */
+  updateProgress() {
+    if (!this.progressContainer) return;
+    
+    const timing = this.timing;
+    if (!timing) {
+      this.progressContainer.style.display = 'none';
+      return;
+    }
+    this.progressContainer.style.display = 'block';
+    
+    const { currentTime, duration, paragraphProgress } = timing;
+    const audioFraction = duration > 0 ? Math.min(1, currentTime / duration) : 0;
+    this.seekSlider.disabled = !(duration > 0) || this.currentState.status === PlaybackStatus.LOADING;
+    if (!this.isSeeking) {
+      this.seekSlider.value = String(Math.round(audioFraction * SEEK_STEPS));
+      this.elapsedText.textContent = formatDuration(currentTime);
+    }
+    this.remainingText.textContent = duration > 0 ? `-${formatDuration(duration - currentTime)}` : '';
+    
+    // A selection is read on its own, outside the page's paragraphs
+    const { readingSelection, currentParagraphIndex = 0, totalParagraphs = 0 } = this.currentState;
+    if (readingSelection || !(totalParagraphs > 0)) {
+      this.articleProgress.style.display = 'none';
+      return;
+    }
+    this.articleProgress.style.display = 'block';
+    
+    // Audio holding several paragraphs says how far through the current one reading is
+    const paragraphFraction = typeof paragraphProgress === 'number' ? paragraphProgress : audioFraction;
+    const articleFraction = Math.min(1, (currentParagraphIndex + paragraphFraction) / totalParagraphs);
+    this.articleFill.style.width = `${(articleFraction * 100).toFixed(1)}%`;
+    
+    // Audio already synthesized ahead shows behind the fill, like a video's buffered range
+    const { bufferedParagraphs } = this.currentState;
+    const bufferedFraction = typeof bufferedParagraphs === 'number'
+      ? Math.max(articleFraction, Math.min(1, bufferedParagraphs / totalParagraphs))
+      : articleFraction;
+    this.articleBuffer.style.width = `${(bufferedFraction * 100).toFixed(1)}%`;
+    
+    let text = `Paragraph ${currentParagraphIndex + 1} of ${totalParagraphs}`;
+    if (currentParagraphIndex < this.paragraphLengths.length) {
+      const seconds = estimateRemainingSeconds(
+        this.paragraphLengths,
+        currentParagraphIndex,
+        paragraphFraction,
+        this.currentState.charactersPerSecond || DEFAULT_CHARACTERS_PER_SECOND,
+        this.currentState.speed || 1
+      );
+      text += ` · about ${formatDuration(seconds)} left`;
+    }
+    this.articleText.textContent = text;
   }
 
   /**
@@ -503,8 +997,9 @@ class FloatingPlayer {
     if (this.speedSelect) {
       this.speedSelect.value = speed.toString();
     }
+    this.updateProgress();
   }
 }
 
 // Export for use in content script
-export { FloatingPlayer, MessageType, PlaybackStatus, SPEED_OPTIONS };
+export { FloatingPlayer, MessageType, PlaybackStatus, ExportStatus, SPEED_OPTIONS };
@@ -8,6 +8,8 @@ import {
   PARAGRAPH_INDEX_ATTR
 } from './text-parser.js';
 
+import { reconcileAlignment, findCharIndexAtTime } from './alignment-reconciler.js';
+
 /**
  * CSS class for sentence highlight
  */
@@ -18,6 +20,36 @@ const SENTENCE_HIGHLIGHT_CLASS = 'elevenlabs-sentence-highlight';
  */
 const WORD_HIGHLIGHT_CLASS = 'elevenlabs-word-highlight';
 
+/**
+ * Name of the sentence highlight in CSS.highlights, styled with ::highlight(elevenlabs-sentence)
+ */
+const SENTENCE_HIGHLIGHT_NAME = 'elevenlabs-sentence';
+
+/**
+ * Name of the word highlight in CSS.highlights, styled with ::highlight(elevenlabs-word)
+ */
+const WORD_HIGHLIGHT_NAME = 'elevenlabs-word';
+
+/**
+ * Checks if the browser can paint highlights over ranges (CSS Custom Highlight API)
+ * @returns {boolean}
+ */
+function isCustomHighlightSupported() {
+  return typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof Highlight === 'function';
+}
+
+/**
+ * Paints a range with a named highlight, replacing what it painted before
+ * @param {string} name - Highlight name
+ * @param {Range} range - Range to paint
+ * @param {number} priority - Highlights with higher priority paint over others
+ */
+function paintRange(name, range, priority) {
+  const highlight = new Highlight(range);
+  highlight.priority = priority;
+  CSS.highlights.set(name, highlight);
+}
+
 /**
  * Highlight Manager class
  * Manages sentence and word highlighting during audio playback
@@ -33,6 +65,12 @@ class HighlightManager {
     /** @type {HTMLElement|null} */
     this.currentWordElement = null;
     
+    /** @type {Range|null} Sentence painted with the Custom Highlight API */
+    this.currentSentenceRange = null;
+    
+    /** @type {Range|null} Word painted with the Custom Highlight API */
+    this.currentWordRange = null;
+    
     /** @type {number} */
     this.currentParagraphIndex = -1;
     
@@ -41,6 +79,15 @@ class HighlightManager {
     
     /** @type {number} */
     this.currentWordIndex = -1;
+    
+    /** @type {AlignmentIndex|null} Char-to-word index of the current alignment */
+    this.alignmentIndex = null;
+    
+    /** @type {AlignmentData|null} Alignment the index was built for */
+    this.indexedAlignment = null;
+    
+    /** @type {number} Paragraph offset the index was built for */
+    this.indexedParagraphOffset = -1;
   }
 
   /**
@@ -49,6 +96,9 @@ class HighlightManager {
    */
   setParsedContent(parsedContent) {
     this.parsedContent = parsedContent;
+    this.alignmentIndex = null;
+    this.indexedAlignment = null;
+    this.indexedParagraphOffset = -1;
   }
 
   /**
@@ -60,8 +110,22 @@ class HighlightManager {
     // Remove previous sentence highlight
     if (this.currentSentenceElement) {
       this.currentSentenceElement.classList.remove(SENTENCE_HIGHLIGHT_CLASS);
+      this.currentSentenceElement = null;
     }
 
+    // Paragraphs mapped to ranges are painted without touching the page
+    const range = this._findSentenceRange(paragraphIndex, sentenceIndex);
+    if (range) {
+      paintRange(SENTENCE_HIGHLIGHT_NAME, range, 0);
+      this.currentSentenceRange = range;
+      this.currentParagraphIndex = paragraphIndex;
+      this.currentSentenceIndex = sentenceIndex;
+      this._scrollIntoViewIfNeeded(range.startContainer.parentElement);
+      return;
+    }
+    this._clearPaintedHighlight(SENTENCE_HIGHLIGHT_NAME);
+    this.currentSentenceRange = null;
+
     // Find the sentence element
     const sentenceElement = this._findSentenceElement(paragraphIndex, sentenceIndex);
     
@@ -86,8 +150,23 @@ class HighlightManager {
     // Remove previous word highlight
     if (this.currentWordElement) {
       this.currentWordElement.classList.remove(WORD_HIGHLIGHT_CLASS);
+      this.currentWordElement = null;
     }
 
+    const range = this._findWordRange(paragraphIndex, sentenceIndex, wordIndex);
+    if (range) {
+      paintRange(WORD_HIGHLIGHT_NAME, range, 1);
+      this.currentWordRange = range;
+      this.currentWordIndex = wordIndex;
+      if (paragraphIndex !== this.currentParagraphIndex ||
+          sentenceIndex !== this.currentSentenceIndex) {
+        this.highlightSentence(paragraphIndex, sentenceIndex);
+      }
+      return;
+    }
+    this._clearPaintedHighlight(WORD_HIGHLIGHT_NAME);
+    this.currentWordRange = null;
+
     // Find the word element
     const wordElement = this._findWordElement(paragraphIndex, sentenceIndex, wordIndex);
     
@@ -120,6 +199,12 @@ class HighlightManager {
       this.currentWordElement = null;
     }
 
+    // Remove highlights painted over ranges
+    this._clearPaintedHighlight(SENTENCE_HIGHLIGHT_NAME);
+    this._clearPaintedHighlight(WORD_HIGHLIGHT_NAME);
+    this.currentSentenceRange = null;
+    this.currentWordRange = null;
+
     // Also clear any stray highlights (in case of state mismatch)
     const allSentenceHighlights = document.querySelectorAll(`.${SENTENCE_HIGHLIGHT_CLASS}`);
     allSentenceHighlights.forEach(el => el.classList.remove(SENTENCE_HIGHLIGHT_CLASS));
@@ -165,82 +250,75 @@ class HighlightManager {
       return null;
     }
 
-    const { characters, character_start_times_seconds, character_end_times_seconds } = alignmentData;
-    
-    // Find the character index at the current time
-    let charIndex = -1;
-    for (let i = 0; i < character_start_times_seconds.length; i++) {
-      const startTime = character_start_times_seconds[i];
-      const endTime = character_end_times_seconds ? character_end_times_seconds[i] : 
-                      (i + 1 < character_start_times_seconds.length ? 
-                       character_start_times_seconds[i + 1] : startTime + 0.1);
-      
-      if (currentTime >= startTime && currentTime < endTime) {
-        charIndex = i;
-        break;
-      }
-    }
-
+    const charIndex = findCharIndexAtTime(alignmentData, currentTime);
     if (charIndex < 0) {
-      // If past all characters, use the last one
-      if (currentTime >= character_start_times_seconds[character_start_times_seconds.length - 1]) {
-        charIndex = characters.length - 1;
-      } else {
-        return null;
-      }
+      return null;
     }
 
     // Map character index to word position
-    return this._mapCharIndexToWordPosition(charIndex, characters, paragraphOffset);
+    return this._mapCharIndexToWordPosition(charIndex, alignmentData, paragraphOffset);
   }
 
   /**
    * Maps a character index to paragraph/sentence/word position
+   * The char-to-word index is built once per alignment object and reused
+   * while the same alignment is passed in; a new paragraph, or more characters
+   * while streaming, comes as a new alignment object
    * @param {number} charIndex - Character index in the alignment data
-   * @param {string[]} characters - Array of characters from alignment data
+   * @param {AlignmentData} alignmentData - Alignment data from ElevenLabs
    * @param {number} paragraphOffset - Starting paragraph index
    * @returns {{paragraphIndex: number, sentenceIndex: number, wordIndex: number}|null}
    * @private
    */
-  _mapCharIndexToWordPosition(charIndex, characters, paragraphOffset) {
+  _mapCharIndexToWordPosition(charIndex, alignmentData, paragraphOffset) {
     if (!this.parsedContent || !this.parsedContent.paragraphs) {
       return null;
     }
 
-    // Build the text from characters up to charIndex to find position
-    const textUpToChar = characters.slice(0, charIndex + 1).join('');
-    
-    let globalCharCount = 0;
-    
-    for (let pIdx = paragraphOffset; pIdx < this.parsedContent.paragraphs.length; pIdx++) {
-      const paragraph = this.parsedContent.paragraphs[pIdx];
-      
-      for (let sIdx = 0; sIdx < paragraph.sentences.length; sIdx++) {
-        const sentence = paragraph.sentences[sIdx];
-        
-        for (let wIdx = 0; wIdx < sentence.words.length; wIdx++) {
-          const word = sentence.words[wIdx];
-          const wordEnd = globalCharCount + word.text.length;
-          
-          // Check if charIndex falls within this word
-          if (charIndex >= globalCharCount && charIndex < wordEnd) {
-            return {
-              paragraphIndex: pIdx,
-              sentenceIndex: sIdx,
-              wordIndex: wIdx
-            };
-          }
-          
-          // Add word length plus space
-          globalCharCount = wordEnd + 1;
-        }
-      }
-      
-      // Add paragraph separator
-      globalCharCount += 1;
+    if (this.indexedAlignment !== alignmentData || this.indexedParagraphOffset !== paragraphOffset) {
+      this.alignmentIndex = reconcileAlignment(alignmentData.characters, this.parsedContent.paragraphs, paragraphOffset);
+      this.indexedAlignment = alignmentData;
+      this.indexedParagraphOffset = paragraphOffset;
+    }
+
+    const wordSlot = this.alignmentIndex.charToWord[charIndex];
+    return wordSlot >= 0 ? { ...this.alignmentIndex.words[wordSlot] } : null;
+  }
+
+  /**
+   * Removes a highlight painted with the Custom Highlight API
+   * @param {string} name - Highlight name
+   * @private
+   */
+  _clearPaintedHighlight(name) {
+    if (isCustomHighlightSupported()) {
+      CSS.highlights.delete(name);
     }
+  }
 
-    return null;
+  /**
+   * Finds the range of a sentence, for paragraphs highlighted without spans
+   * @param {number} paragraphIndex - Paragraph index
+   * @param {number} sentenceIndex - Sentence index
+   * @returns {Range|null}
+   * @private
+   */
+  _findSentenceRange(paragraphIndex, sentenceIndex) {
+    const sentence = this.parsedContent?.paragraphs[paragraphIndex]?.sentences[sentenceIndex];
+    return sentence?.range && isCustomHighlightSupported() ? sentence.range : null;
+  }
+
+  /**
+   * Finds the range of a word, for paragraphs highlighted without spans
+   * @param {number} paragraphIndex - Paragraph index
+   * @param {number} sentenceIndex - Sentence index
+   * @param {number} wordIndex - Word index
+   * @returns {Range|null}
+   * @private
+   */
+  _findWordRange(paragraphIndex, sentenceIndex, wordIndex) {
+    const word = this.parsedContent?.paragraphs[paragraphIndex]?.sentences[sentenceIndex]?.words[wordIndex];
+    return word?.range && isCustomHighlightSupported() ? word.range : null;
   }
 
   /**
@@ -332,6 +410,9 @@ class HighlightManager {
 // Export for use in other modules
 export {
   HighlightManager,
+  isCustomHighlightSupported,
   SENTENCE_HIGHLIGHT_CLASS,
-  WORD_HIGHLIGHT_CLASS
+  WORD_HIGHLIGHT_CLASS,
+  SENTENCE_HIGHLIGHT_NAME,
+  WORD_HIGHLIGHT_NAME
 };
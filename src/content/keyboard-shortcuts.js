@@ -0,0 +1,262 @@
+// ElevenPage Reader - Keyboard Shortcuts
+// In-page shortcuts for the playback commands, rebindable from the settings page
+
+/**
+ * Playback commands, named like the manifest's commands so the service worker
+ * handles in-page and browser-wide shortcuts the same way
+ */
+const ShortcutCommand = {
+  TOGGLE_PLAYBACK: 'toggle-playback',
+  STOP: 'stop-playback',
+  SKIP_NEXT: 'skip-next',
+  SKIP_PREVIOUS: 'skip-previous',
+  SKIP_SENTENCE_NEXT: 'skip-sentence-next',
+  SKIP_SENTENCE_PREVIOUS: 'skip-sentence-previous',
+  REWIND: 'rewind',
+  FORWARD: 'fast-forward',
+  SPEED_UP: 'speed-up',
+  SPEED_DOWN: 'speed-down'
+};
+
+/**
+ * Labels shown on the settings page, in display order
+ */
+const SHORTCUT_LABELS = {
+  [ShortcutCommand.TOGGLE_PLAYBACK]: 'Play / pause',
+  [ShortcutCommand.STOP]: 'Stop',
+  [ShortcutCommand.SKIP_NEXT]: 'Next paragraph',
+  [ShortcutCommand.SKIP_PREVIOUS]: 'Previous paragraph',
+  [ShortcutCommand.SKIP_SENTENCE_NEXT]: 'Next sentence',
+  [ShortcutCommand.SKIP_SENTENCE_PREVIOUS]: 'Previous sentence',
+  [ShortcutCommand.REWIND]: 'Back 10 seconds',
+  [ShortcutCommand.FORWARD]: 'Forward 10 seconds',
+  [ShortcutCommand.SPEED_UP]: 'Speed up',
+  [ShortcutCommand.SPEED_DOWN]: 'Slow down'
+};
+
+/**
+ * Default in-page shortcuts
+ * None of them is a suggested key of the manifest's commands, which already
+ * work on every page; one key bound to both would run its command twice
+ */
+const DEFAULT_SHORTCUTS = {
+  [ShortcutCommand.TOGGLE_PLAYBACK]: 'Alt+Shift+K',
+  [ShortcutCommand.STOP]: 'Alt+Shift+S',
+  [ShortcutCommand.SKIP_NEXT]: 'Alt+Shift+PageDown',
+  [ShortcutCommand.SKIP_PREVIOUS]: 'Alt+Shift+PageUp',
+  [ShortcutCommand.SKIP_SENTENCE_NEXT]: 'Alt+Shift+O',
+  [ShortcutCommand.SKIP_SENTENCE_PREVIOUS]: 'Alt+Shift+U',
+  [ShortcutCommand.REWIND]: 'Alt+Shift+J',
+  [ShortcutCommand.FORWARD]: 'Alt+Shift+L',
+  [ShortcutCommand.SPEED_UP]: 'Alt+Shift+ArrowUp',
+  [ShortcutCommand.SPEED_DOWN]: 'Alt+Shift+ArrowDown'
+};
+
+/**
+ * Modifiers in browser command shortcuts, as chrome.commands names them on
+ * each platform, by the name getShortcutFromEvent gives them
+ */
+const COMMAND_MODIFIERS = {
+  Ctrl: 'Ctrl',
+  MacCtrl: 'Ctrl',
+  '⌃': 'Ctrl',
+  Alt: 'Alt',
+  Option: 'Alt',
+  '⌥': 'Alt',
+  Shift: 'Shift',
+  '⇧': 'Shift',
+  Command: 'Meta',
+  Search: 'Meta',
+  '⌘': 'Meta'
+};
+
+/**
+ * Keys named differently in browser command shortcuts
+ */
+const COMMAND_KEYS = {
+  Up: 'ArrowUp',
+  Down: 'ArrowDown',
+  Left: 'ArrowLeft',
+  Right: 'ArrowRight',
+  Comma: ',',
+  Period: '.'
+};
+
+/**
+ * Storage key for the user's in-page shortcuts (mirrors STORAGE_KEYS in lib/storage.js)
+ */
+const KEYBOARD_SHORTCUTS_KEY = 'keyboardShortcuts';
+
+/**
+ * Keys that only modify other keys
+ */
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+
+/**
+ * Input types that don't take typed text
+ */
+const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'];
+
+/**
+ * Describe a key press as a shortcut string like "Alt+Shift+K"
+ * Letters and digits come from the physical key, so Alt and Shift combinations
+ * don't turn into special characters on some keyboard layouts
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string|null} Shortcut, or null for a lone modifier key
+ */
+function getShortcutFromEvent(event) {
+  if (!event.key || MODIFIER_KEYS.includes(event.key)) {
+    return null;
+  }
+
+  let key = event.key;
+  if (/^Key[A-Z]$/.test(event.code || '')) {
+    key = event.code.slice(3);
+  } else if (/^Digit[0-9]$/.test(event.code || '')) {
+    key = event.code.slice(5);
+  } else if (key === ' ') {
+    key = 'Space';
+  } else if (key.length === 1) {
+    key = key.toUpperCase();
+  }
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(key);
+
+  return parts.join('+');
+}
+
+/**
+ * Check if an element takes typed text, where shortcuts must not interfere
+ * @param {EventTarget|null} target - Focused element
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  if (!target || target.nodeType !== 1) {
+    return false;
+  }
+
+  const tagName = target.tagName;
+  if (tagName === 'TEXTAREA' || tagName === 'SELECT') {
+    return true;
+  }
+  if (tagName === 'INPUT') {
+    return !NON_TEXT_INPUT_TYPES.includes((target.type || '').toLowerCase());
+  }
+  return target.isContentEditable === true ||
+    (typeof target.closest === 'function' && target.closest('[contenteditable=""], [contenteditable="true"]') !== null);
+}
+
+/**
+ * Merge saved shortcuts over the defaults
+ * An empty string disables a shortcut
+ * @param {Object<string, string>|undefined} saved - Shortcuts from storage
+ * @returns {Object<string, string>}
+ */
+function resolveShortcuts(saved) {
+  const shortcuts = { ...DEFAULT_SHORTCUTS };
+  if (saved && typeof saved === 'object') {
+    Object.keys(DEFAULT_SHORTCUTS).forEach(command => {
+      if (typeof saved[command] === 'string') {
+        shortcuts[command] = saved[command];
+      }
+    });
+  }
+  return shortcuts;
+}
+
+/**
+ * Find the command bound to a shortcut
+ * @param {Object<string, string>} shortcuts - Command to shortcut map
+ * @param {string|null} shortcut - Shortcut from getShortcutFromEvent
+ * @returns {string|null} Command name, or null if none is bound
+ */
+function findShortcutCommand(shortcuts, shortcut) {
+  if (!shortcut) {
+    return null;
+  }
+  const match = Object.entries(shortcuts).find(([, bound]) => bound === shortcut);
+  return match ? match[0] : null;
+}
+
+/**
+ * Describe a browser command shortcut like getShortcutFromEvent does
+ * @param {string} [commandShortcut] - Shortcut from chrome.commands, e.g. "Alt+Shift+Left", or "⌥⇧P" on macOS
+ * @returns {string|null} Shortcut like "Alt+Shift+ArrowLeft", or null for none
+ */
+function getShortcutFromCommand(commandShortcut) {
+  if (!commandShortcut) {
+    return null;
+  }
+
+  // macOS shortcuts are modifier symbols followed by the key, without "+"
+  const parts = commandShortcut.includes('+')
+    ? commandShortcut.split('+')
+    : commandShortcut.match(/[⌃⌥⇧⌘]|[^⌃⌥⇧⌘]+/g);
+  const key = parts.pop();
+  const modifiers = parts.map(part => COMMAND_MODIFIERS[part]);
+  return [
+    ...['Ctrl', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.includes(modifier)),
+    COMMAND_KEYS[key] || key
+  ].join('+');
+}
+
+/**
+ * Find the browser-wide command also bound to an in-page shortcut
+ * The browser runs the command on its own, so the shortcut would run it twice
+ * @param {Array<{name: string, description?: string, shortcut?: string}>} commands - Commands from chrome.commands.getAll()
+ * @param {string|null} shortcut - In-page shortcut
+ * @returns {{name: string, description?: string, shortcut?: string}|null}
+ */
+function findBrowserCommand(commands, shortcut) {
+  if (!shortcut) {
+    return null;
+  }
+  return commands.find(command => getShortcutFromCommand(command.shortcut) === shortcut) || null;
+}
+
+/**
+ * Create a keydown listener that runs bound commands
+ * @param {function(): Object<string, string>} getShortcuts - Returns the current shortcuts
+ * @param {function(string): void} onCommand - Called with the command to run
+ * @returns {function(KeyboardEvent): void}
+ */
+function createShortcutListener(getShortcuts, onCommand) {
+  return (event) => {
+    if (event.defaultPrevented || event.repeat || event.isComposing) {
+      return;
+    }
+
+    // Leave typing alone
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (isEditableTarget(target) || isEditableTarget(event.target)) {
+      return;
+    }
+
+    const command = findShortcutCommand(getShortcuts(), getShortcutFromEvent(event));
+    if (command) {
+      event.preventDefault();
+      event.stopPropagation();
+      onCommand(command);
+    }
+  };
+}
+
+// Export for use in content script and settings page
+export {
+  ShortcutCommand,
+  SHORTCUT_LABELS,
+  DEFAULT_SHORTCUTS,
+  KEYBOARD_SHORTCUTS_KEY,
+  getShortcutFromEvent,
+  isEditableTarget,
+  resolveShortcuts,
+  findShortcutCommand,
+  getShortcutFromCommand,
+  findBrowserCommand,
+  createShortcutListener
+};
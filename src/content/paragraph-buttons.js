@@ -11,6 +11,12 @@ const BUTTON_CLASS = 'elevenlabs-paragraph-button';
  */
 const WRAPPER_CLASS = 'elevenlabs-paragraph-wrapper';
 
+/**
+ * CSS class for list items and table rows that hold their own button
+ * (wrapping them in a div would break the list or table)
+ */
+const HOST_CLASS = 'elevenlabs-paragraph-host';
+
 /**
  * Data attribute for paragraph index
  */
@@ -29,6 +35,7 @@ const MessageType = {
  */
 let injectedButtons = [];
 let injectedWrappers = [];
+let injectedHosts = [];
 
 /**
  * Reference to paragraphs data for click handlers
@@ -90,7 +97,8 @@ async function handleButtonClick(event) {
       type: MessageType.JUMP_TO_PARAGRAPH,
       payload: {
         paragraphIndex,
-        text
+        text,
+        block: paragraph.block
       }
     });
     
@@ -129,6 +137,24 @@ function injectButtons(paragraphs) {
     
     const element = paragraph.element;
     
+    if (element.tagName === 'LI' || element.tagName === 'TR') {
+      // Put the button inside the item, or the row's first cell
+      const container = element.tagName === 'TR' ? element.cells[0] : element;
+      if (!container) {
+        continue;
+      }
+      
+      const button = createButton(i);
+      button.addEventListener('click', handleButtonClick);
+      container.insertBefore(button, container.firstChild);
+      element.classList.add(HOST_CLASS);
+      
+      buttons.push(button);
+      injectedButtons.push(button);
+      injectedHosts.push(element);
+      continue;
+    }
+    
     // Create wrapper to position button relative to paragraph
     const wrapper = document.createElement('div');
     wrapper.className = WRAPPER_CLASS;
@@ -174,9 +200,15 @@ function removeButtons() {
     }
   }
   
+  // Unmark list items and table rows
+  for (const host of injectedHosts) {
+    host.classList.remove(HOST_CLASS);
+  }
+  
   // Clear references
   injectedButtons = [];
   injectedWrappers = [];
+  injectedHosts = [];
   paragraphsData = null;
 }
 
@@ -204,5 +236,6 @@ export {
   getButtons,
   BUTTON_CLASS,
   WRAPPER_CLASS,
+  HOST_CLASS,
   PARAGRAPH_INDEX_ATTR
 };
@@ -0,0 +1,122 @@
+// ElevenPage Reader - Selection Reader
+// Builds a temporary paragraph from selected text so it can be read and highlighted
+
+import {
+  parseSentences,
+  wrapWordsInSpans,
+  WORD_SPAN_CLASS
+} from './text-parser.js';
+
+import { HighlightManager } from './highlight-manager.js';
+
+/**
+ * CSS class for the element wrapping the selection while it is read
+ */
+const SELECTION_WRAPPER_CLASS = 'elevenlabs-selection';
+
+/**
+ * Paragraph index used for the selection's word spans
+ * Keeps their IDs apart from the page paragraphs' numeric indices
+ */
+const SELECTION_PARAGRAPH_INDEX = 'selection';
+
+/**
+ * Selection being read
+ * @typedef {Object} SelectionReading
+ * @property {Paragraph} paragraph - Temporary paragraph built from the selection
+ * @property {string} text - Text sent for speech synthesis
+ * @property {HighlightManager|null} highlightManager - Highlights the selection, null if it couldn't be wrapped
+ * @property {boolean} started - Whether the service worker has started reading it
+ * @property {function(): void} restore - Puts the selected nodes back as they were
+ */
+
+/**
+ * Get the word span containing a node, if any
+ * @param {Node} node - Range boundary node
+ * @returns {HTMLElement|null}
+ */
+function getEnclosingWord(node) {
+  const element = node.nodeType === 1 ? node : node.parentElement;
+  return element ? element.closest(`.${WORD_SPAN_CLASS}`) : null;
+}
+
+/**
+ * Collapse whitespace the way paragraph text is normalized for reading
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Create a temporary paragraph from a selected range
+ * The selection is wrapped in word spans for highlighting when it lies within
+ * one element; selections that cross element boundaries (e.g. table cells) are
+ * read without highlighting so the page structure isn't changed
+ * @param {Range} range - Selected range
+ * @param {string} [renderedText] - Selection text as the browser renders it (Selection.toString()),
+ *   which keeps the breaks between table cells and blocks; read when the selection can't be wrapped
+ * @returns {SelectionReading|null} Null if the selection has no text
+ */
+function createSelectionReading(range, renderedText) {
+  const working = range.cloneRange();
+
+  // Don't split words of paragraphs that are already wrapped for highlighting
+  const startWord = getEnclosingWord(working.startContainer);
+  if (startWord) working.setStartBefore(startWord);
+  const endWord = getEnclosingWord(working.endContainer);
+  if (endWord) working.setEndAfter(endWord);
+
+  const normalized = normalizeText(working.toString());
+  if (!normalized) {
+    return null;
+  }
+
+  const paragraph = { element: null, sentences: parseSentences(normalized), originalHTML: null };
+  let originalNodes = [];
+
+  const wrapper = working.startContainer.ownerDocument.createElement('span');
+  wrapper.className = SELECTION_WRAPPER_CLASS;
+
+  try {
+    working.surroundContents(wrapper);
+    originalNodes = Array.from(wrapper.childNodes);
+    wrapWordsInSpans(wrapper, SELECTION_PARAGRAPH_INDEX, paragraph.sentences);
+    paragraph.element = wrapper;
+  } catch (e) {
+    // Selection crosses element boundaries - read it without highlighting
+    if (renderedText && normalizeText(renderedText)) {
+      paragraph.sentences = parseSentences(normalizeText(renderedText));
+    }
+  }
+
+  let highlightManager = null;
+  if (paragraph.element) {
+    highlightManager = new HighlightManager();
+    highlightManager.setParsedContent({ paragraphs: [paragraph] });
+  }
+
+  return {
+    paragraph,
+    text: paragraph.sentences.map(s => s.text).join(' '),
+    highlightManager,
+    started: false,
+    restore() {
+      if (highlightManager) {
+        highlightManager.clearHighlights();
+      }
+      if (paragraph.element && paragraph.element.parentNode) {
+        paragraph.element.replaceWith(...originalNodes);
+      }
+      paragraph.element = null;
+    }
+  };
+}
+
+// Export for use in content script
+export {
+  createSelectionReading,
+  SELECTION_WRAPPER_CLASS,
+  SELECTION_PARAGRAPH_INDEX
+};
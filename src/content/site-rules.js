@@ -0,0 +1,360 @@
+// ElevenPage Reader - Site Rules
+// Per-site extraction rules: what to read, what to leave out and how to clean up the text
+
+/**
+ * Site rule structure
+ * @typedef {Object} SiteRule
+ * @property {string} id - Unique rule ID
+ * @property {string} pattern - Hostname ("docs.example.com", "*.example.com") or URL pattern with * wildcards
+ * @property {boolean} enabled - Whether the rule is applied
+ * @property {string[]} include - Selectors of the blocks to read; the default selectors are used when empty
+ * @property {string[]} exclude - Selectors of elements never read, as whole blocks or inside one
+ * @property {string[]} skip - Regular expressions; blocks whose text matches one are skipped
+ * @property {Replacement[]} replacements - Text replacements applied before reading
+ */
+
+/**
+ * Text replacement structure
+ * @typedef {Object} Replacement
+ * @property {string} find - Text to find, or a regular expression source when regex is set
+ * @property {string} replace - Replacement text
+ * @property {boolean} [regex] - Whether find is a regular expression
+ * @property {string} [flags] - Regular expression flags
+ */
+
+/**
+ * Rule set that applies to one page, merged from every matching rule
+ * @typedef {Object} ActiveSiteRule
+ * @property {string[]} include
+ * @property {string[]} exclude
+ * @property {RegExp[]} skip
+ * @property {Array<{pattern: RegExp, replace: string}>} replacements
+ */
+
+/**
+ * Storage key for the site rules (mirrors STORAGE_KEYS in lib/storage.js)
+ */
+const SITE_RULES_KEY = 'siteRules';
+
+/**
+ * Version written to exported rule files
+ */
+const SITE_RULES_FORMAT_VERSION = 1;
+
+/**
+ * Rules used until the user edits the rule list
+ */
+const DEFAULT_SITE_RULES = [
+  {
+    id: 'gemini',
+    pattern: 'gemini.google.com',
+    enabled: true,
+    include: [],
+    exclude: ['sup.superscript'], // Footnote markers
+    skip: [],
+    replacements: []
+  }
+];
+
+/**
+ * Separator between the two sides of a replacement line in the editor
+ */
+const REPLACEMENT_SEPARATOR = ' => ';
+
+/**
+ * Create an empty rule for a pattern
+ * @param {string} [pattern=''] - Hostname or URL pattern
+ * @returns {SiteRule}
+ */
+function createSiteRule(pattern = '') {
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    pattern,
+    enabled: true,
+    include: [],
+    exclude: [],
+    skip: [],
+    replacements: []
+  };
+}
+
+/**
+ * Keep the non-empty strings of a value
+ * @param {*} value - Value that should be a list of strings
+ * @returns {string[]}
+ */
+function toStringList(value) {
+  return Array.isArray(value)
+    ? value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * Validate a rule loaded from storage or an imported file
+ * @param {*} rule - Rule to validate
+ * @returns {SiteRule|null} Cleaned-up rule, or null if it has no pattern
+ */
+function normalizeSiteRule(rule) {
+  if (!rule || typeof rule !== 'object' || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+    return null;
+  }
+
+  const replacements = Array.isArray(rule.replacements)
+    ? rule.replacements
+      .filter(item => item && typeof item.find === 'string' && item.find !== '')
+      .map(item => ({
+        find: item.find,
+        replace: typeof item.replace === 'string' ? item.replace : '',
+        ...(item.regex ? { regex: true, flags: typeof item.flags === 'string' ? item.flags : '' } : {})
+      }))
+    : [];
+
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : createSiteRule().id,
+    pattern: rule.pattern.trim(),
+    enabled: rule.enabled !== false,
+    include: toStringList(rule.include),
+    exclude: toStringList(rule.exclude),
+    skip: toStringList(rule.skip),
+    replacements
+  };
+}
+
+/**
+ * Get the rule list from storage, falling back to the built-in rules
+ * @param {*} saved - Value stored under SITE_RULES_KEY
+ * @returns {SiteRule[]}
+ */
+function resolveSiteRules(saved) {
+  if (!Array.isArray(saved)) {
+    return DEFAULT_SITE_RULES.map(rule => ({ ...rule }));
+  }
+  return saved.map(normalizeSiteRule).filter(Boolean);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a rule pattern matches a page URL
+ * A pattern without a slash matches the hostname, and "*.example.com" also
+ * matches example.com itself; a pattern with a slash matches the whole URL,
+ * with * standing for any run of characters
+ * @param {string} pattern - Rule pattern
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function matchesSitePattern(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const trimmed = pattern.trim().toLowerCase();
+  if (!trimmed) {
+    return false;
+  }
+
+  if (!trimmed.includes('/')) {
+    const hostname = parsed.hostname.toLowerCase();
+    if (trimmed.startsWith('*.')) {
+      const domain = trimmed.slice(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === trimmed;
+  }
+
+  // "https://example.com/docs" also matches the same URL with a trailing slash
+  const source = trimmed.replace(/\/$/, '').split('*').map(escapeRegExp).join('.*');
+  const href = `${parsed.origin}${parsed.pathname}${parsed.search}`.toLowerCase();
+  return new RegExp(`^${source}/?$`).test(href);
+}
+
+/**
+ * Compile a regular expression, ignoring invalid ones
+ * @param {string} source - Pattern source
+ * @param {string} [flags=''] - Flags
+ * @returns {RegExp|null}
+ */
+function compileRegExp(source, flags = '') {
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Merge the enabled rules that match a page into one rule set
+ * @param {SiteRule[]} rules - All rules
+ * @param {string} url - Page URL
+ * @returns {ActiveSiteRule|null} Null when no rule matches
+ */
+function getActiveSiteRule(rules, url) {
+  const matching = rules.filter(rule => rule.enabled && matchesSitePattern(rule.pattern, url));
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const active = { include: [], exclude: [], skip: [], replacements: [] };
+  for (const rule of matching) {
+    active.include.push(...rule.include);
+    active.exclude.push(...rule.exclude);
+    active.skip.push(...rule.skip.map(source => compileRegExp(source, 'i')).filter(Boolean));
+    for (const { find, replace, regex, flags } of rule.replacements) {
+      if (regex) {
+        const pattern = compileRegExp(find, flags.includes('g') ? flags : `${flags}g`);
+        if (pattern) {
+          active.replacements.push({ pattern, replace });
+        }
+      } else {
+        // Plain replacements are taken literally, "$" included
+        active.replacements.push({ pattern: new RegExp(escapeRegExp(find), 'g'), replace: replace.replace(/\$/g, '$$$$') });
+      }
+    }
+  }
+  return active;
+}
+
+/**
+ * Apply a rule set's text replacements
+ * @param {string} text - Text to clean up
+ * @param {ActiveSiteRule|null} rule - Active rule set
+ * @returns {string}
+ */
+function applyReplacements(text, rule) {
+  if (!rule || rule.replacements.length === 0) {
+    return text;
+  }
+  return rule.replacements.reduce((result, { pattern, replace }) => result.replace(pattern, replace), text);
+}
+
+/**
+ * Check if a block's text matches one of a rule set's skip patterns
+ * @param {string} text - Block text
+ * @param {ActiveSiteRule|null} rule - Active rule set
+ * @returns {boolean}
+ */
+function isSkippedText(text, rule) {
+  return Boolean(rule) && rule.skip.some(pattern => pattern.test(text));
+}
+
+/**
+ * Describe replacements as editor lines: "find => replace", or "/find/flags => replace"
+ * @param {Replacement[]} replacements - Replacements
+ * @returns {string}
+ */
+function formatReplacementLines(replacements) {
+  return replacements
+    .map(({ find, replace, regex, flags }) => `${regex ? `/${find}/${flags || ''}` : find}${REPLACEMENT_SEPARATOR}${replace}`)
+    .join('\n');
+}
+
+/**
+ * Read replacements from editor lines written by formatReplacementLines
+ * Lines without a separator are ignored
+ * @param {string} text - Editor text
+ * @returns {Replacement[]}
+ */
+function parseReplacementLines(text) {
+  const replacements = [];
+  for (const line of text.split('\n')) {
+    const separator = line.indexOf(REPLACEMENT_SEPARATOR);
+    if (separator <= 0) {
+      continue;
+    }
+    const find = line.slice(0, separator);
+    const replace = line.slice(separator + REPLACEMENT_SEPARATOR.length);
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(find);
+    replacements.push(regex ? { find: regex[1], replace, regex: true, flags: regex[2] } : { find, replace });
+  }
+  return replacements;
+}
+
+/**
+ * Add a selector to the include or exclude list of the rule for a hostname,
+ * creating the rule if there isn't one
+ * @param {SiteRule[]} rules - All rules
+ * @param {string} hostname - Page hostname
+ * @param {'include'|'exclude'} field - List to add to
+ * @param {string} selector - CSS selector
+ * @returns {SiteRule[]} New rule list
+ */
+function addSelectorToSiteRules(rules, hostname, field, selector) {
+  const index = rules.findIndex(rule => rule.pattern.toLowerCase() === hostname.toLowerCase());
+  const rule = index >= 0 ? rules[index] : createSiteRule(hostname);
+  const updated = rule[field].includes(selector) ? rule : { ...rule, [field]: [...rule[field], selector] };
+
+  return index >= 0
+    ? rules.map((existing, i) => (i === index ? updated : existing))
+    : [...rules, updated];
+}
+
+/**
+ * Build the JSON file for exported rules
+ * @param {SiteRule[]} rules - Rules to export
+ * @returns {string}
+ */
+function exportSiteRules(rules) {
+  return JSON.stringify({ version: SITE_RULES_FORMAT_VERSION, rules }, null, 2);
+}
+
+/**
+ * Read rules from an exported JSON file
+ * Accepts the exported object or a bare array of rules
+ * @param {string} json - File contents
+ * @returns {SiteRule[]}
+ * @throws {Error} If the file isn't a rule export
+ */
+function importSiteRules(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const rules = Array.isArray(data) ? data : data && data.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('The file does not contain site rules');
+  }
+  return rules.map(normalizeSiteRule).filter(Boolean);
+}
+
+/**
+ * Merge imported rules into a rule list; imported rules replace rules with the same ID
+ * @param {SiteRule[]} rules - Current rules
+ * @param {SiteRule[]} imported - Imported rules
+ * @returns {SiteRule[]}
+ */
+function mergeSiteRules(rules, imported) {
+  const importedIds = new Set(imported.map(rule => rule.id));
+  return [...rules.filter(rule => !importedIds.has(rule.id)), ...imported];
+}
+
+// Export for use in content script and settings page
+export {
+  SITE_RULES_KEY,
+  DEFAULT_SITE_RULES,
+  createSiteRule,
+  normalizeSiteRule,
+  resolveSiteRules,
+  matchesSitePattern,
+  getActiveSiteRule,
+  applyReplacements,
+  isSkippedText,
+  formatReplacementLines,
+  parseReplacementLines,
+  addSelectorToSiteRules,
+  exportSiteRules,
+  importSiteRules,
+  mergeSiteRules
+};
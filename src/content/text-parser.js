@@ -1,6 +1,8 @@
 // ElevenPage Reader - Text Parser
 // Extracts and prepares text content for TTS and highlighting
 
+import { applyReplacements, isSkippedText } from './site-rules.js';
+
 /**
  * CSS class prefix for wrapped word spans
  */
@@ -38,6 +40,18 @@ const PROCESSED_ATTR = 'data-elevenlabs-processed';
  * @property {HTMLElement} element - The paragraph DOM element
  * @property {Sentence[]} sentences - Array of sentences in the paragraph
  * @property {string} originalHTML - Original HTML content for restoration
+ * @property {Block} [block] - What kind of block the paragraph is, for spoken cues
+ */
+
+/**
+ * Block structure
+ * @typedef {Object} Block
+ * @property {string} type - One of BlockType
+ * @property {number} [level] - Heading level (1-6)
+ * @property {number} [ordinal] - Position of a list item or table row, starting at 1
+ * @property {number} [total] - Number of items in the list or data rows in the table
+ * @property {boolean} [header] - Whether a table row is the header row
+ * @property {string[]} [headers] - Column headers of a table row's table
  */
 
 /**
@@ -47,6 +61,8 @@ const PROCESSED_ATTR = 'data-elevenlabs-processed';
  * @property {Word[]} words - Array of words in the sentence
  * @property {number} startIndex - Character start index in paragraph
  * @property {number} endIndex - Character end index in paragraph
+ * @property {number} [cellIndex] - Cell the sentence comes from, for table rows
+ * @property {Range} [range] - Range over the page text, when the paragraph is highlighted without spans
  */
 
 /**
@@ -54,6 +70,7 @@ const PROCESSED_ATTR = 'data-elevenlabs-processed';
  * @typedef {Object} Word
  * @property {string} text - The word text
  * @property {HTMLSpanElement|null} spanElement - The span element wrapping the word
+ * @property {Range} [range] - Range over the page text, when the paragraph is highlighted without spans
  * @property {number} charStartIndex - Character start index in sentence
  * @property {number} charEndIndex - Character end index in sentence
  */
@@ -71,6 +88,18 @@ const PARAGRAPH_SELECTORS = [
   'p'
 ];
 
+/**
+ * Kinds of blocks a paragraph can be
+ */
+const BlockType = {
+  PARAGRAPH: 'paragraph',
+  HEADING: 'heading',
+  LIST_ITEM: 'listItem',
+  TABLE_ROW: 'tableRow',
+  CODE: 'code',
+  QUOTE: 'quote'
+};
+
 /**
  * Elements to exclude from parsing
  */
@@ -90,6 +119,37 @@ const EXCLUDED_SELECTORS = [
   '.ad'
 ];
 
+/**
+ * Site rule set for the current page, set by the content script from the user's site rules
+ * @type {import('./site-rules.js').ActiveSiteRule|null}
+ */
+let activeSiteRule = null;
+
+/**
+ * Set the site rule set consulted when parsing
+ * @param {import('./site-rules.js').ActiveSiteRule|null} rule - Rule set for the page, or null for none
+ */
+function setActiveSiteRule(rule) {
+  activeSiteRule = rule || null;
+}
+
+/**
+ * Get the site rule set consulted when parsing
+ * @returns {import('./site-rules.js').ActiveSiteRule|null}
+ */
+function getActiveSiteRule() {
+  return activeSiteRule;
+}
+
+/**
+ * Checks if a block's text matches a skip pattern of the active site rules
+ * @param {string} text - Block text
+ * @returns {boolean}
+ */
+function isSkippedBlockText(text) {
+  return isSkippedText(text, activeSiteRule);
+}
+
 /**
  * Splits text into sentences using common sentence-ending punctuation
  * @param {string} text - Text to split into sentences
@@ -138,8 +198,9 @@ function shouldExcludeElement(element) {
     return true;
   }
   
-  // Check if element matches any excluded selector
-  for (const selector of EXCLUDED_SELECTORS) {
+  // Check if element matches any excluded selector, built-in or from the site rules
+  const siteExcluded = activeSiteRule ? activeSiteRule.exclude : [];
+  for (const selector of [...EXCLUDED_SELECTORS, ...siteExcluded]) {
     try {
       if (element.matches(selector) || element.closest(selector)) {
         return true;
@@ -152,9 +213,28 @@ function shouldExcludeElement(element) {
   return false;
 }
 
+/**
+ * Gets the selectors of elements inside a paragraph that are not read aloud:
+ * - aria-hidden="true" (KaTeX math visual duplicates, icons, etc.)
+ * - .cdk-visually-hidden (Angular CDK screen reader only text)
+ * - .sr-only, .visually-hidden (common screen reader only classes)
+ * - site rule exclusions (footnote markers in Gemini, ...)
+ * @returns {string[]}
+ */
+function getUnreadSelectors() {
+  return [
+    '[aria-hidden="true"]',
+    '.cdk-visually-hidden',
+    '.sr-only',
+    '.visually-hidden',
+    ...(activeSiteRule ? activeSiteRule.exclude : [])
+  ];
+}
+
 /**
  * Gets the text content of an element, normalized
- * Filters out aria-hidden elements (like KaTeX math duplicates) and visually hidden elements
+ * Filters out aria-hidden elements (like KaTeX math duplicates), visually hidden elements
+ * and elements excluded by the site rules, then applies the site rules' text replacements
  * @param {HTMLElement} element - Element to get text from
  * @returns {string} Normalized text content
  */
@@ -166,41 +246,36 @@ function getTextContent(element) {
   // Clone the element to avoid modifying the original DOM
   const clone = element.cloneNode(true);
   
-  // Remove elements that should not be read aloud:
-  // - aria-hidden="true" (KaTeX math visual duplicates, icons, etc.)
-  // - .cdk-visually-hidden (Angular CDK screen reader only text)
-  // - .sr-only, .visually-hidden (common screen reader only classes)
-  const hiddenSelectors = [
-    '[aria-hidden="true"]',
-    '.cdk-visually-hidden',
-    '.sr-only',
-    '.visually-hidden',
-    'sup.superscript' // Footnote markers in Gemini
-  ];
-  
-  for (const selector of hiddenSelectors) {
-    const hiddenElements = clone.querySelectorAll(selector);
-    for (const hidden of hiddenElements) {
-      hidden.remove();
+  for (const selector of getUnreadSelectors()) {
+    try {
+      const hiddenElements = clone.querySelectorAll(selector);
+      for (const hidden of hiddenElements) {
+        hidden.remove();
+      }
+    } catch (e) {
+      // Invalid selector, skip
     }
   }
   
   const text = clone.textContent || '';
-  // Normalize whitespace
-  return text.replace(/\s+/g, ' ').trim();
+  // Normalize whitespace, before and after the site rules' replacements
+  return applyReplacements(text.replace(/\s+/g, ' ').trim(), activeSiteRule).replace(/\s+/g, ' ').trim();
 }
 
 /**
  * Parses page content and extracts paragraphs
+ * The active site rules' include selectors replace the default selectors, and
+ * blocks matching their skip patterns are left out
  * @param {Document} [doc=document] - Document to parse (defaults to current document)
  * @returns {ParsedContent} Parsed content with paragraphs
  */
 function parsePageContent(doc = document) {
   const paragraphs = [];
   const seenElements = new Set();
+  const siteSelectors = activeSiteRule && activeSiteRule.include.length > 0 ? activeSiteRule.include : null;
   
   // Try each selector in order of specificity
-  for (const selector of PARAGRAPH_SELECTORS) {
+  for (const selector of siteSelectors || PARAGRAPH_SELECTORS) {
     try {
       const elements = doc.querySelectorAll(selector);
       
@@ -216,19 +291,25 @@ function parsePageContent(doc = document) {
         
         const text = getTextContent(element);
         
-        // Skip empty paragraphs
-        if (!text) {
+        // Skip empty paragraphs and text the site rules skip
+        if (!text || isSkippedBlockText(text)) {
+          continue;
+        }
+        
+        // Site selectors can overlap; each block is read once
+        if (siteSelectors && paragraphs.some(p => p.element.contains(element) || element.contains(p.element))) {
           continue;
         }
         
         seenElements.add(element);
         
-        const sentences = parseSentences(text);
+        const sentences = element.tagName === 'TR' ? parseBlockSentences(element) : parseSentences(text);
         
         paragraphs.push({
           element,
           sentences,
-          originalHTML: element.innerHTML
+          originalHTML: element.innerHTML,
+          block: getBlockInfo(element)
         });
       }
     } catch (e) {
@@ -237,6 +318,12 @@ function parsePageContent(doc = document) {
     }
   }
   
+  // Blocks picked by several site selectors are read in page order
+  if (siteSelectors) {
+    paragraphs.sort((a, b) =>
+      a.element.compareDocumentPosition(b.element) & a.element.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  }
+  
   return { paragraphs };
 }
 
@@ -269,6 +356,108 @@ function parseSentences(text) {
   return sentences;
 }
 
+/**
+ * Parses the text of a block into sentences
+ * Table rows are parsed cell by cell so sentences never span two cells
+ * @param {HTMLElement} element - Block element
+ * @returns {Sentence[]} Array of sentence structures, empty if the block has no text
+ */
+function parseBlockSentences(element) {
+  if (element.tagName !== 'TR') {
+    return parseSentences(getTextContent(element));
+  }
+  
+  const sentences = [];
+  let offset = 0;
+  Array.from(element.cells).forEach((cell, cellIndex) => {
+    const text = getTextContent(cell);
+    if (!text) {
+      return;
+    }
+    for (const sentence of parseSentences(text)) {
+      sentences.push({
+        ...sentence,
+        startIndex: sentence.startIndex + offset,
+        endIndex: sentence.endIndex + offset,
+        cellIndex
+      });
+    }
+    // Cells are joined with a single space
+    offset += text.length + 1;
+  });
+  return sentences;
+}
+
+/**
+ * Gets the rows of a table that hold data, not column headers
+ * @param {HTMLTableElement} table - Table element
+ * @returns {HTMLTableRowElement[]}
+ */
+function getDataRows(table) {
+  return Array.from(table.rows).filter(row => !isHeaderRow(row));
+}
+
+/**
+ * Checks if a table row is a header row (in thead, or made only of th cells)
+ * @param {HTMLTableRowElement} row - Table row
+ * @returns {boolean}
+ */
+function isHeaderRow(row) {
+  if (row.parentElement && row.parentElement.tagName === 'THEAD') {
+    return true;
+  }
+  const cells = Array.from(row.cells);
+  return cells.length > 0 && cells.every(cell => cell.tagName === 'TH');
+}
+
+/**
+ * Describes what kind of block an element is
+ * @param {HTMLElement} element - Paragraph element
+ * @returns {Block}
+ */
+function getBlockInfo(element) {
+  const tagName = element.tagName;
+  
+  if (/^H[1-6]$/.test(tagName)) {
+    return { type: BlockType.HEADING, level: Number(tagName[1]) };
+  }
+  
+  if (tagName === 'LI') {
+    const items = element.parentElement
+      ? Array.from(element.parentElement.children).filter(child => child.tagName === 'LI')
+      : [element];
+    return { type: BlockType.LIST_ITEM, ordinal: items.indexOf(element) + 1, total: items.length };
+  }
+  
+  if (tagName === 'TR') {
+    const table = element.closest('table');
+    if (!table || isHeaderRow(element)) {
+      return { type: BlockType.TABLE_ROW, header: true };
+    }
+    const rows = getDataRows(table);
+    const headerRow = Array.from(table.rows).find(isHeaderRow);
+    const headers = headerRow
+      ? Array.from(headerRow.cells).map(cell => getTextContent(cell)).filter(Boolean)
+      : [];
+    return {
+      type: BlockType.TABLE_ROW,
+      ordinal: rows.indexOf(element) + 1,
+      total: rows.length,
+      headers
+    };
+  }
+  
+  if (tagName === 'PRE' || element.closest('pre')) {
+    return { type: BlockType.CODE };
+  }
+  
+  if (tagName === 'BLOCKQUOTE' || element.closest('blockquote')) {
+    return { type: BlockType.QUOTE };
+  }
+  
+  return { type: BlockType.PARAGRAPH };
+}
+
 /**
  * Parses text into word structures
  * @param {string} text - Text to parse
@@ -299,7 +488,7 @@ function parseWords(text) {
 /**
  * Wraps words in a paragraph element with span elements for highlighting
  * @param {HTMLElement} element - Paragraph element to process
- * @param {number} paragraphIndex - Index of the paragraph
+ * @param {number|string} paragraphIndex - Index of the paragraph (or a name for temporary paragraphs)
  * @param {Sentence[]} sentences - Parsed sentences for the paragraph
  * @returns {Word[]} Array of words with their span elements
  */
@@ -313,10 +502,17 @@ function wrapWordsInSpans(element, paragraphIndex, sentences) {
   element.setAttribute(PARAGRAPH_INDEX_ATTR, String(paragraphIndex));
   
   const allWords = [];
-  let html = '';
+  
+  // Table rows keep their cells: each cell gets the sentences parsed from it
+  const isTableRow = element.tagName === 'TR';
+  const htmlByCell = new Map();
   
   for (let sentenceIndex = 0; sentenceIndex < sentences.length; sentenceIndex++) {
     const sentence = sentences[sentenceIndex];
+    const cellIndex = isTableRow ? sentence.cellIndex : 0;
+    
+    // Add space between sentences
+    let html = htmlByCell.has(cellIndex) ? htmlByCell.get(cellIndex) + ' ' : '';
     
     // Wrap sentence in a span
     html += `<span class="elevenlabs-sentence" ${SENTENCE_INDEX_ATTR}="${sentenceIndex}">`;
@@ -337,15 +533,20 @@ function wrapWordsInSpans(element, paragraphIndex, sentences) {
     }
     
     html += '</span>';
-    
-    // Add space between sentences
-    if (sentenceIndex < sentences.length - 1) {
-      html += ' ';
-    }
+    htmlByCell.set(cellIndex, html);
   }
   
   // Replace element content
-  element.innerHTML = html;
+  if (isTableRow) {
+    htmlByCell.forEach((html, cellIndex) => {
+      const cell = element.cells[cellIndex];
+      if (cell) {
+        cell.innerHTML = html;
+      }
+    });
+  } else {
+    element.innerHTML = htmlByCell.get(0) || '';
+  }
   
   // Update word references to actual span elements
   for (let sentenceIndex = 0; sentenceIndex < sentences.length; sentenceIndex++) {
@@ -361,6 +562,103 @@ function wrapWordsInSpans(element, paragraphIndex, sentences) {
   return allWords;
 }
 
+/**
+ * Most characters of page text that may be passed over between two words when
+ * mapping words to ranges
+ */
+const MAX_SKIPPED_TEXT = 3;
+
+/**
+ * Checks if a text node is inside an element that is not read aloud
+ * @param {Text} node - Text node
+ * @param {HTMLElement} root - Paragraph element
+ * @param {string[]} selectors - Selectors from getUnreadSelectors
+ * @returns {boolean}
+ */
+function isUnreadText(node, root, selectors) {
+  for (let element = node.parentElement; element && element !== root; element = element.parentElement) {
+    for (const selector of selectors) {
+      try {
+        if (element.matches(selector)) {
+          return true;
+        }
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds each word of a paragraph in its text nodes and gives it a Range,
+ * leaving the page untouched (links, inline code, listeners and nodes owned
+ * by frameworks stay as they are)
+ * Fails when a word can't be found in order, for example after a site rule
+ * replaced its text; the paragraph is then wrapped in spans instead
+ * @param {HTMLElement} element - Paragraph element
+ * @param {Sentence[]} sentences - Parsed sentences for the paragraph
+ * @returns {boolean} Whether every word got a range
+ */
+function mapWordsToRanges(element, sentences) {
+  if (!element || !sentences || sentences.length === 0) {
+    return false;
+  }
+  
+  const doc = element.ownerDocument;
+  const selectors = getUnreadSelectors();
+  
+  // Page text, with the text node and offset of each character
+  const walker = doc.createTreeWalker(element, doc.defaultView.NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  const offsets = [];
+  let text = '';
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (isUnreadText(node, element, selectors)) {
+      continue;
+    }
+    for (let i = 0; i < node.data.length; i++) {
+      nodes.push(node);
+      offsets.push(i);
+    }
+    text += node.data;
+  }
+  
+  const ranges = [];
+  let cursor = 0;
+  for (const sentence of sentences) {
+    const wordRanges = [];
+    for (const word of sentence.words) {
+      const start = text.indexOf(word.text, cursor);
+      // Sentence splitting can drop stray punctuation, but not whole words
+      if (start < 0 || text.slice(cursor, start).trim().length > MAX_SKIPPED_TEXT) {
+        return false;
+      }
+      const end = start + word.text.length;
+      const range = doc.createRange();
+      range.setStart(nodes[start], offsets[start]);
+      range.setEnd(nodes[end - 1], offsets[end - 1] + 1);
+      wordRanges.push(range);
+      cursor = end;
+    }
+    ranges.push(wordRanges);
+  }
+  
+  sentences.forEach((sentence, sentenceIndex) => {
+    const wordRanges = ranges[sentenceIndex];
+    sentence.words.forEach((word, wordIndex) => {
+      word.range = wordRanges[wordIndex];
+    });
+    if (wordRanges.length > 0) {
+      const range = doc.createRange();
+      range.setStart(wordRanges[0].startContainer, wordRanges[0].startOffset);
+      range.setEnd(wordRanges[wordRanges.length - 1].endContainer, wordRanges[wordRanges.length - 1].endOffset);
+      sentence.range = range;
+    }
+  });
+  return true;
+}
+
 /**
  * Escapes HTML special characters
  * @param {string} text - Text to escape
@@ -390,6 +688,17 @@ function restoreOriginalContent(paragraph) {
     return;
   }
   
+  // Paragraphs highlighted with ranges were never changed
+  for (const sentence of paragraph.sentences) {
+    delete sentence.range;
+    for (const word of sentence.words) {
+      delete word.range;
+    }
+  }
+  if (!paragraph.element.hasAttribute(PROCESSED_ATTR)) {
+    return;
+  }
+  
   paragraph.element.innerHTML = paragraph.originalHTML;
   paragraph.element.removeAttribute(PROCESSED_ATTR);
   paragraph.element.removeAttribute(PARAGRAPH_INDEX_ATTR);
@@ -444,18 +753,105 @@ function getParagraphText(paragraph) {
   return paragraph.sentences.map(s => s.text).join(' ');
 }
 
+/**
+ * Gets the offset of a word in its paragraph's text, as getParagraphText joins it
+ * @param {Paragraph} paragraph - Paragraph the word belongs to
+ * @param {number} sentenceIndex - Sentence index within the paragraph
+ * @param {number} wordIndex - Word index within the sentence
+ * @returns {number} Character offset, or -1 if there is no such word
+ */
+function getWordCharOffset(paragraph, sentenceIndex, wordIndex) {
+  const sentences = paragraph && paragraph.sentences ? paragraph.sentences : [];
+  const word = sentences[sentenceIndex]?.words[wordIndex];
+  if (!word) {
+    return -1;
+  }
+  
+  let offset = 0;
+  for (let i = 0; i < sentenceIndex; i++) {
+    offset += sentences[i].text.length + 1;
+  }
+  return offset + word.charStartIndex;
+}
+
+/**
+ * Gets a paragraph as plain data for a transcript, with each word's offset in
+ * the paragraph text so highlights and seeks can refer to it
+ * @param {Paragraph} paragraph - Paragraph to describe
+ * @returns {{text: string, block: Object, sentences: Array<{words: Array<{text: string, start: number}>}>}}
+ */
+function getParagraphTranscript(paragraph) {
+  return {
+    text: getParagraphText(paragraph),
+    block: paragraph.block,
+    sentences: paragraph.sentences.map((sentence, sentenceIndex) => ({
+      words: sentence.words.map((word, wordIndex) => ({
+        text: word.text,
+        start: getWordCharOffset(paragraph, sentenceIndex, wordIndex)
+      }))
+    }))
+  };
+}
+
+/**
+ * Heading elements used to split exports into chapters
+ */
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+/**
+ * Gets the nearest heading before each paragraph in document order
+ * @param {ParsedContent} parsedContent - Parsed content
+ * @param {Document} doc - Document the paragraphs belong to
+ * @returns {Array<string|null>} Heading text for each paragraph, null before the first heading
+ */
+function getParagraphHeadings(parsedContent, doc = document) {
+  if (!parsedContent || !parsedContent.paragraphs) {
+    return [];
+  }
+  
+  const headings = Array.from(doc.querySelectorAll(HEADING_SELECTOR))
+    .filter(heading => !shouldExcludeElement(heading))
+    .map(heading => ({ element: heading, text: getTextContent(heading) }))
+    .filter(heading => heading.text);
+  
+  return parsedContent.paragraphs.map(paragraph => {
+    let nearest = null;
+    for (const heading of headings) {
+      // A heading read as a paragraph starts its own chapter
+      const position = heading.element.compareDocumentPosition(paragraph.element);
+      if (heading.element !== paragraph.element && !(position & heading.element.DOCUMENT_POSITION_FOLLOWING)) {
+        break;
+      }
+      nearest = heading.text;
+    }
+    return nearest;
+  });
+}
+
 // Export for use in other modules
 export {
   parsePageContent,
   wrapWordsInSpans,
+  mapWordsToRanges,
   restoreOriginalContent,
   restoreAllContent,
   getFullText,
   getParagraphText,
+  getWordCharOffset,
+  getParagraphTranscript,
+  getParagraphHeadings,
+  getBlockInfo,
+  setActiveSiteRule,
+  getActiveSiteRule,
+  isSkippedBlockText,
   splitIntoSentences,
+  parseSentences,
+  parseBlockSentences,
   splitIntoWords,
   getTextContent,
+  shouldExcludeElement,
   escapeHtml,
+  BlockType,
   WORD_SPAN_CLASS,
   WORD_INDEX_ATTR,
   SENTENCE_INDEX_ATTR,
@@ -0,0 +1,152 @@
+// ElevenPage Reader - Word Seek
+// Finds the word clicked on the page, so reading can seek to it
+
+import {
+  WORD_SPAN_CLASS,
+  WORD_INDEX_ATTR,
+  SENTENCE_INDEX_ATTR,
+  PARAGRAPH_INDEX_ATTR
+} from './text-parser.js';
+
+/**
+ * Elements whose clicks belong to the page unless Alt is held
+ */
+const INTERACTIVE_SELECTOR = [
+  'a[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'label',
+  'summary',
+  '[role="button"]',
+  '[role="link"]',
+  '[contenteditable=""]',
+  '[contenteditable="true"]'
+].join(', ');
+
+/**
+ * Position of a word in the parsed content
+ * @typedef {Object} WordPosition
+ * @property {number} paragraphIndex - Paragraph index
+ * @property {number} sentenceIndex - Sentence index within the paragraph
+ * @property {number} wordIndex - Word index within the sentence
+ */
+
+/**
+ * Get the text position under a point
+ * @param {Document} doc - Document to look in
+ * @param {number} x - Client X coordinate
+ * @param {number} y - Client Y coordinate
+ * @returns {{node: Node, offset: number}|null}
+ */
+function getCaretAtPoint(doc, x, y) {
+  if (typeof doc.caretPositionFromPoint === 'function') {
+    const position = doc.caretPositionFromPoint(x, y);
+    return position ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+  if (typeof doc.caretRangeFromPoint === 'function') {
+    const range = doc.caretRangeFromPoint(x, y);
+    return range ? { node: range.startContainer, offset: range.startOffset } : null;
+  }
+  return null;
+}
+
+/**
+ * Find the word a click landed on
+ * Words wrapped in spans carry their indices; words highlighted over the page
+ * text are found from the text position under the pointer
+ * @param {ParsedContent} parsedContent - Parsed page content
+ * @param {MouseEvent} event - Click event
+ * @returns {WordPosition|null} Null when the click wasn't on a word being read
+ */
+function findWordAtEvent(parsedContent, event) {
+  if (!parsedContent || !parsedContent.paragraphs) {
+    return null;
+  }
+  const { paragraphs } = parsedContent;
+
+  const span = event.target && typeof event.target.closest === 'function'
+    ? event.target.closest(`.${WORD_SPAN_CLASS}`)
+    : null;
+  if (span) {
+    const position = {
+      paragraphIndex: Number(span.getAttribute(PARAGRAPH_INDEX_ATTR)),
+      sentenceIndex: Number(span.getAttribute(SENTENCE_INDEX_ATTR)),
+      wordIndex: Number(span.getAttribute(WORD_INDEX_ATTR))
+    };
+    // Selections are wrapped with a name instead of a paragraph index
+    const word = paragraphs[position.paragraphIndex]?.sentences[position.sentenceIndex]?.words[position.wordIndex];
+    return word ? position : null;
+  }
+
+  const doc = event.target?.ownerDocument || (typeof document !== 'undefined' ? document : null);
+  const caret = doc ? getCaretAtPoint(doc, event.clientX, event.clientY) : null;
+  if (!caret) {
+    return null;
+  }
+
+  for (let paragraphIndex = 0; paragraphIndex < paragraphs.length; paragraphIndex++) {
+    const paragraph = paragraphs[paragraphIndex];
+    if (!paragraph.element || !paragraph.element.contains(caret.node)) {
+      continue;
+    }
+    for (let sentenceIndex = 0; sentenceIndex < paragraph.sentences.length; sentenceIndex++) {
+      const { words } = paragraph.sentences[sentenceIndex];
+      for (let wordIndex = 0; wordIndex < words.length; wordIndex++) {
+        const { range } = words[wordIndex];
+        if (range && range.isPointInRange(caret.node, caret.offset)) {
+          return { paragraphIndex, sentenceIndex, wordIndex };
+        }
+      }
+    }
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Create a click listener that seeks to the clicked word
+ * Alt+click seeks from any word, even inside a link. A plain click seeks
+ * only while the page is being read, and leaves links, form fields and text
+ * selection to the page.
+ * @param {function(): ParsedContent|null} getParsedContent - Returns the parsed content, or null when the page isn't set up
+ * @param {function(): boolean} isReading - Returns whether the page is being read
+ * @param {function(WordPosition): void} onWord - Called with the clicked word
+ * @returns {function(MouseEvent): void}
+ */
+function createWordClickListener(getParsedContent, isReading, onWord) {
+  return (event) => {
+    if (event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) {
+      return;
+    }
+
+    if (!event.altKey) {
+      const target = event.target;
+      const selection = target?.ownerDocument?.getSelection?.();
+      if (!isReading() ||
+          (target && typeof target.closest === 'function' && target.closest(INTERACTIVE_SELECTOR)) ||
+          (selection && !selection.isCollapsed)) {
+        return;
+      }
+    }
+
+    const position = findWordAtEvent(getParsedContent(), event);
+    if (!position) {
+      return;
+    }
+
+    if (event.altKey) {
+      // Alt+click would otherwise download a clicked link
+      event.preventDefault();
+      event.stopPropagation();
+    }
+    onWord(position);
+  };
+}
+
+// Export for use in content script
+export {
+  findWordAtEvent,
+  createWordClickListener
+};
@@ -0,0 +1,718 @@
+// ElevenPage Reader - Settings Page
+// Rebinds in-page keyboard shortcuts, lists the browser-wide commands and edits
+// site rules and the pronunciation lexicon
+
+import {
+  SHORTCUT_LABELS,
+  DEFAULT_SHORTCUTS,
+  KEYBOARD_SHORTCUTS_KEY,
+  getShortcutFromEvent,
+  resolveShortcuts,
+  findBrowserCommand
+} from '../content/keyboard-shortcuts.js';
+
+import {
+  SITE_RULES_KEY,
+  createSiteRule,
+  resolveSiteRules,
+  normalizeSiteRule,
+  formatReplacementLines,
+  parseReplacementLines,
+  exportSiteRules,
+  importSiteRules,
+  mergeSiteRules
+} from '../content/site-rules.js';
+
+import { resolveLexicon } from '../../lib/pronunciation.js';
+
+/**
+ * Chrome's page for changing extension command shortcuts
+ */
+const BROWSER_SHORTCUTS_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Name of the file site rules are exported to
+ */
+const SITE_RULES_FILE_NAME = 'elevenpage-site-rules.json';
+
+/**
+ * Storage keys of the pronunciation lexicon and uploaded dictionary (mirrors STORAGE_KEYS in lib/storage.js)
+ */
+const PRONUNCIATION_LEXICON_KEY = 'pronunciationLexicon';
+const PRONUNCIATION_DICTIONARY_KEY = 'pronunciationDictionary';
+
+/**
+ * Message types sent to the service worker (mirrors MessageType in the service worker)
+ */
+const MessageType = {
+  UPLOAD_PRONUNCIATION_DICTIONARY: 'uploadPronunciationDictionary',
+  CLEAR_PRONUNCIATION_DICTIONARY: 'clearPronunciationDictionary'
+};
+
+/**
+ * Editable lists of a site rule, with their labels
+ */
+const SITE_RULE_FIELDS = [
+  { field: 'include', label: 'Read only (CSS selectors, one per line)' },
+  { field: 'exclude', label: 'Never read (CSS selectors, one per line)' },
+  { field: 'skip', label: 'Skip blocks matching (regular expressions, one per line)' },
+  { field: 'replacements', label: 'Replace (find => replace, /regex/flags => replace)' }
+];
+
+/**
+ * Get the name of a browser command to show
+ * @param {{name: string, description?: string}} command - Command from chrome.commands
+ * @returns {string}
+ */
+function getCommandLabel(command) {
+  return command.description || command.name;
+}
+
+/**
+ * OptionsController - Manages the settings page
+ */
+class OptionsController {
+  constructor() {
+    this.elements = {};
+    this.shortcuts = resolveShortcuts();
+    this.browserCommands = [];
+    this.siteRules = resolveSiteRules();
+    this.lexicon = resolveLexicon();
+    this.dictionary = null;
+    this.recordingCommand = null;
+    this.onRecordKeydown = this.onRecordKeydown.bind(this);
+  }
+
+  /**
+   * Initialize the settings page
+   */
+  async init() {
+    this.cacheElements();
+    this.bindEvents();
+    await this.loadShortcuts();
+    await this.loadBrowserCommands();
+    await this.loadSiteRules();
+    await this.loadPronunciation();
+  }
+
+  /**
+   * Cache DOM element references
+   */
+  cacheElements() {
+    this.elements = {
+      shortcutRows: document.getElementById('shortcut-rows'),
+      resetShortcutsBtn: document.getElementById('reset-shortcuts-btn'),
+      shortcutStatus: document.getElementById('shortcut-status'),
+      commandRows: document.getElementById('command-rows'),
+      openBrowserShortcutsBtn: document.getElementById('open-browser-shortcuts-btn'),
+      siteRuleList: document.getElementById('site-rule-list'),
+      addSiteRuleBtn: document.getElementById('add-site-rule-btn'),
+      exportSiteRulesBtn: document.getElementById('export-site-rules-btn'),
+      importSiteRulesBtn: document.getElementById('import-site-rules-btn'),
+      importSiteRulesInput: document.getElementById('import-site-rules-input'),
+      siteRulesStatus: document.getElementById('site-rules-status'),
+      pronunciationGlobal: document.getElementById('pronunciation-global'),
+      pronunciationDomainList: document.getElementById('pronunciation-domain-list'),
+      addPronunciationDomainBtn: document.getElementById('add-pronunciation-domain-btn'),
+      uploadPronunciationBtn: document.getElementById('upload-pronunciation-btn'),
+      clearPronunciationBtn: document.getElementById('clear-pronunciation-btn'),
+      pronunciationDictionaryInfo: document.getElementById('pronunciation-dictionary-info'),
+      pronunciationStatus: document.getElementById('pronunciation-status')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.resetShortcutsBtn.addEventListener('click', () => this.resetShortcuts());
+    this.elements.openBrowserShortcutsBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: BROWSER_SHORTCUTS_URL });
+    });
+
+    this.elements.addSiteRuleBtn.addEventListener('click', () => this.addSiteRule());
+    this.elements.exportSiteRulesBtn.addEventListener('click', () => this.exportRules());
+    this.elements.importSiteRulesBtn.addEventListener('click', () => this.elements.importSiteRulesInput.click());
+    this.elements.importSiteRulesInput.addEventListener('change', () => this.importRules());
+
+    this.elements.pronunciationGlobal.addEventListener('change', () => {
+      this.saveLexicon({ ...this.lexicon, global: parseReplacementLines(this.elements.pronunciationGlobal.value) });
+    });
+    this.elements.addPronunciationDomainBtn.addEventListener('click', () => this.addPronunciationDomain());
+    this.elements.uploadPronunciationBtn.addEventListener('click', () => this.uploadDictionary());
+    this.elements.clearPronunciationBtn.addEventListener('click', () => this.clearDictionary());
+
+    // Pick up selectors added with the element picker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[SITE_RULES_KEY] &&
+          JSON.stringify(changes[SITE_RULES_KEY].newValue) !== JSON.stringify(this.siteRules)) {
+        this.siteRules = resolveSiteRules(changes[SITE_RULES_KEY].newValue);
+        this.renderSiteRules();
+      }
+    });
+  }
+
+  /**
+   * Load the saved in-page shortcuts
+   */
+  async loadShortcuts() {
+    try {
+      const result = await chrome.storage.local.get([KEYBOARD_SHORTCUTS_KEY]);
+      this.shortcuts = resolveShortcuts(result[KEYBOARD_SHORTCUTS_KEY]);
+    } catch (error) {
+      console.error('Error loading shortcuts:', error);
+    }
+    this.renderShortcuts();
+  }
+
+  /**
+   * Save the in-page shortcuts
+   * Open pages pick up the change through storage.onChanged
+   */
+  async saveShortcuts() {
+    await chrome.storage.local.set({ [KEYBOARD_SHORTCUTS_KEY]: this.shortcuts });
+  }
+
+  /**
+   * Render one row per in-page shortcut
+   */
+  renderShortcuts() {
+    const rows = this.elements.shortcutRows;
+    rows.textContent = '';
+
+    Object.entries(SHORTCUT_LABELS).forEach(([command, label]) => {
+      const row = document.createElement('tr');
+
+      const labelCell = document.createElement('td');
+      labelCell.textContent = label;
+      row.appendChild(labelCell);
+
+      const keyCell = document.createElement('td');
+      const key = document.createElement('kbd');
+      const recording = this.recordingCommand === command;
+      const browserCommand = findBrowserCommand(this.browserCommands, this.shortcuts[command]);
+      key.className = 'shortcut-key' + (recording ? ' recording' : '') + (this.shortcuts[command] ? '' : ' unset') +
+        (browserCommand ? ' clash' : '');
+      key.textContent = recording ? 'Press keys...' : (this.shortcuts[command] || 'Not set');
+      if (browserCommand) {
+        key.title = `Also the browser shortcut for ${getCommandLabel(browserCommand)}`;
+      }
+      keyCell.appendChild(key);
+      row.appendChild(keyCell);
+
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'shortcut-actions';
+
+      const changeBtn = document.createElement('button');
+      changeBtn.className = 'btn btn-secondary';
+      changeBtn.textContent = 'Change';
+      changeBtn.addEventListener('click', () => this.startRecording(command));
+      actionsCell.appendChild(changeBtn);
+
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn btn-secondary';
+      clearBtn.textContent = 'Clear';
+      clearBtn.disabled = !this.shortcuts[command];
+      clearBtn.addEventListener('click', () => this.setShortcut(command, ''));
+      actionsCell.appendChild(clearBtn);
+
+      row.appendChild(actionsCell);
+      rows.appendChild(row);
+    });
+  }
+
+  /**
+   * Wait for the next key combination for a command
+   * @param {string} command - Command being rebound
+   */
+  startRecording(command) {
+    this.recordingCommand = command;
+    document.addEventListener('keydown', this.onRecordKeydown, true);
+    this.renderShortcuts();
+  }
+
+  /**
+   * Stop waiting for a key combination
+   */
+  stopRecording() {
+    this.recordingCommand = null;
+    document.removeEventListener('keydown', this.onRecordKeydown, true);
+    this.renderShortcuts();
+  }
+
+  /**
+   * Record the key combination pressed while rebinding
+   * @param {KeyboardEvent} event
+   */
+  async onRecordKeydown(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.key === 'Escape') {
+      this.stopRecording();
+      return;
+    }
+
+    const shortcut = getShortcutFromEvent(event);
+    if (!shortcut) {
+      // Wait for a key to go with the modifiers
+      return;
+    }
+
+    const command = this.recordingCommand;
+    this.stopRecording();
+    await this.setShortcut(command, shortcut);
+  }
+
+  /**
+   * Bind a shortcut to a command
+   * @param {string} command - Command name
+   * @param {string} shortcut - Shortcut, or an empty string to disable it
+   */
+  async setShortcut(command, shortcut) {
+    const conflict = shortcut && Object.keys(this.shortcuts)
+      .find(other => other !== command && this.shortcuts[other] === shortcut);
+
+    if (conflict) {
+      this.showStatus(`${shortcut} is already used for ${SHORTCUT_LABELS[conflict]}`, 'error');
+      return;
+    }
+
+    // The browser runs its commands on every page, so the key would run twice
+    const browserCommand = findBrowserCommand(this.browserCommands, shortcut);
+    if (browserCommand) {
+      this.showStatus(`${shortcut} is already the browser shortcut for ${getCommandLabel(browserCommand)}`, 'error');
+      return;
+    }
+
+    this.shortcuts = { ...this.shortcuts, [command]: shortcut };
+    try {
+      await this.saveShortcuts();
+      this.showStatus(shortcut ? `${SHORTCUT_LABELS[command]}: ${shortcut}` : `${SHORTCUT_LABELS[command]} shortcut cleared`, 'success');
+    } catch (error) {
+      this.showStatus('Failed to save shortcuts', 'error');
+    }
+    this.renderShortcuts();
+  }
+
+  /**
+   * Restore the default in-page shortcuts
+   */
+  async resetShortcuts() {
+    this.shortcuts = { ...DEFAULT_SHORTCUTS };
+    try {
+      await this.saveShortcuts();
+      this.showStatus('Shortcuts reset to defaults', 'success');
+    } catch (error) {
+      this.showStatus('Failed to save shortcuts', 'error');
+    }
+    this.renderShortcuts();
+  }
+
+  /**
+   * List the browser-wide commands with their current shortcuts
+   */
+  async loadBrowserCommands() {
+    const rows = this.elements.commandRows;
+    rows.textContent = '';
+
+    try {
+      const commands = await chrome.commands.getAll();
+      this.browserCommands = commands;
+      commands.filter(command => command.description).forEach(command => {
+        const row = document.createElement('tr');
+
+        const labelCell = document.createElement('td');
+        labelCell.textContent = command.description;
+        row.appendChild(labelCell);
+
+        const keyCell = document.createElement('td');
+        const key = document.createElement('kbd');
+        key.className = 'shortcut-key' + (command.shortcut ? '' : ' unset');
+        key.textContent = command.shortcut || 'Not set';
+        keyCell.appendChild(key);
+        row.appendChild(keyCell);
+
+        rows.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error loading browser shortcuts:', error);
+    }
+
+    // A browser shortcut changed on Chrome's page can take the key of an in-page one
+    const clash = Object.keys(SHORTCUT_LABELS)
+      .map(command => ({ command, browserCommand: findBrowserCommand(this.browserCommands, this.shortcuts[command]) }))
+      .find(({ browserCommand }) => browserCommand);
+    if (clash) {
+      const { command, browserCommand } = clash;
+      this.showStatus(`${this.shortcuts[command]} for ${SHORTCUT_LABELS[command]} is also the browser shortcut for ${getCommandLabel(browserCommand)}; change one of them`, 'error');
+    }
+    this.renderShortcuts();
+  }
+
+  /**
+   * Load the site rules
+   */
+  async loadSiteRules() {
+    try {
+      const result = await chrome.storage.local.get([SITE_RULES_KEY]);
+      this.siteRules = resolveSiteRules(result[SITE_RULES_KEY]);
+    } catch (error) {
+      console.error('Error loading site rules:', error);
+    }
+    this.renderSiteRules();
+  }
+
+  /**
+   * Save the site rules
+   * Open pages pick up the change through storage.onChanged
+   */
+  async saveSiteRules() {
+    try {
+      await chrome.storage.local.set({ [SITE_RULES_KEY]: this.siteRules });
+    } catch (error) {
+      this.showStatus('Failed to save site rules', 'error', this.elements.siteRulesStatus);
+    }
+  }
+
+  /**
+   * Render one editor per site rule
+   */
+  renderSiteRules() {
+    const list = this.elements.siteRuleList;
+    list.textContent = '';
+
+    if (this.siteRules.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'site-rules-empty';
+      empty.textContent = 'No site rules yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.siteRules.forEach(rule => list.appendChild(this.createSiteRuleEditor(rule)));
+  }
+
+  /**
+   * Build the editor for a site rule
+   * @param {SiteRule} rule - Rule to edit
+   * @returns {HTMLElement}
+   */
+  createSiteRuleEditor(rule) {
+    const editor = document.createElement('div');
+    editor.className = 'site-rule' + (rule.enabled ? '' : ' disabled');
+
+    const header = document.createElement('div');
+    header.className = 'site-rule-header';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Apply this rule';
+    enabled.addEventListener('change', () => this.updateSiteRule(rule.id, { enabled: enabled.checked }));
+    header.appendChild(enabled);
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'site-rule-pattern';
+    pattern.value = rule.pattern;
+    pattern.placeholder = 'docs.example.com';
+    pattern.setAttribute('aria-label', 'Site pattern');
+    pattern.addEventListener('change', () => {
+      if (pattern.value.trim()) {
+        this.updateSiteRule(rule.id, { pattern: pattern.value.trim() });
+      } else {
+        pattern.value = rule.pattern;
+        this.showStatus('Enter a hostname or URL pattern', 'error', this.elements.siteRulesStatus);
+      }
+    });
+    header.appendChild(pattern);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => this.deleteSiteRule(rule.id));
+    header.appendChild(deleteBtn);
+
+    editor.appendChild(header);
+
+    const fields = document.createElement('div');
+    fields.className = 'site-rule-fields';
+
+    SITE_RULE_FIELDS.forEach(({ field, label }) => {
+      const fieldLabel = document.createElement('label');
+      fieldLabel.textContent = label;
+
+      const textarea = document.createElement('textarea');
+      textarea.spellcheck = false;
+      textarea.value = field === 'replacements'
+        ? formatReplacementLines(rule.replacements)
+        : rule[field].join('\n');
+      textarea.addEventListener('change', () => {
+        const value = field === 'replacements'
+          ? parseReplacementLines(textarea.value)
+          : textarea.value.split('\n');
+        this.updateSiteRule(rule.id, { [field]: value });
+      });
+
+      fieldLabel.appendChild(textarea);
+      fields.appendChild(fieldLabel);
+    });
+
+    editor.appendChild(fields);
+    return editor;
+  }
+
+  /**
+   * Add a rule and focus its pattern for editing
+   */
+  async addSiteRule() {
+    this.siteRules = [...this.siteRules, createSiteRule('example.com')];
+    await this.saveSiteRules();
+    this.renderSiteRules();
+
+    const patterns = this.elements.siteRuleList.querySelectorAll('.site-rule-pattern');
+    const pattern = patterns[patterns.length - 1];
+    pattern.focus();
+    pattern.select();
+  }
+
+  /**
+   * Change part of a site rule
+   * @param {string} id - Rule ID
+   * @param {Object} changes - Changed rule fields
+   */
+  async updateSiteRule(id, changes) {
+    this.siteRules = this.siteRules.map(rule =>
+      (rule.id === id ? normalizeSiteRule({ ...rule, ...changes }) || rule : rule));
+    await this.saveSiteRules();
+    this.renderSiteRules();
+  }
+
+  /**
+   * Delete a site rule
+   * @param {string} id - Rule ID
+   */
+  async deleteSiteRule(id) {
+    this.siteRules = this.siteRules.filter(rule => rule.id !== id);
+    await this.saveSiteRules();
+    this.renderSiteRules();
+  }
+
+  /**
+   * Download the site rules as a JSON file
+   */
+  exportRules() {
+    const blob = new Blob([exportSiteRules(this.siteRules)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = SITE_RULES_FILE_NAME;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Add the rules from a chosen JSON file
+   * Imported rules replace rules with the same ID
+   */
+  async importRules() {
+    const input = this.elements.importSiteRulesInput;
+    const [file] = input.files;
+    input.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const imported = importSiteRules(await file.text());
+      this.siteRules = mergeSiteRules(this.siteRules, imported);
+      await this.saveSiteRules();
+      this.renderSiteRules();
+      this.showStatus(`Imported ${imported.length} rule${imported.length === 1 ? '' : 's'}`, 'success', this.elements.siteRulesStatus);
+    } catch (error) {
+      this.showStatus(error.message, 'error', this.elements.siteRulesStatus);
+    }
+  }
+
+  /**
+   * Load the pronunciation lexicon and uploaded dictionary
+   */
+  async loadPronunciation() {
+    try {
+      const result = await chrome.storage.local.get([PRONUNCIATION_LEXICON_KEY, PRONUNCIATION_DICTIONARY_KEY]);
+      this.lexicon = resolveLexicon(result[PRONUNCIATION_LEXICON_KEY]);
+      this.dictionary = result[PRONUNCIATION_DICTIONARY_KEY] || null;
+    } catch (error) {
+      console.error('Error loading pronunciation lexicon:', error);
+    }
+    this.renderPronunciation();
+  }
+
+  /**
+   * Save the pronunciation lexicon
+   * @param {Lexicon} lexicon - New lexicon
+   */
+  async saveLexicon(lexicon) {
+    this.lexicon = resolveLexicon(lexicon);
+    try {
+      await chrome.storage.local.set({ [PRONUNCIATION_LEXICON_KEY]: this.lexicon });
+    } catch (error) {
+      this.showStatus('Failed to save pronunciations', 'error', this.elements.pronunciationStatus);
+    }
+    this.renderPronunciation();
+  }
+
+  /**
+   * Render the global list, one editor per site and the dictionary state
+   */
+  renderPronunciation() {
+    this.elements.pronunciationGlobal.value = formatReplacementLines(this.lexicon.global);
+
+    const list = this.elements.pronunciationDomainList;
+    list.textContent = '';
+    Object.keys(this.lexicon.domains).forEach(domain => list.appendChild(this.createPronunciationDomainEditor(domain)));
+
+    const uploaded = Boolean(this.dictionary?.id);
+    this.elements.clearPronunciationBtn.disabled = !uploaded;
+    this.elements.pronunciationDictionaryInfo.textContent = uploaded
+      ? `Using an uploaded dictionary of ${this.dictionary.entries.length} word${this.dictionary.entries.length === 1 ? '' : 's'}. Upload again after changing the global list.`
+      : 'No dictionary uploaded.';
+  }
+
+  /**
+   * Build the editor for a site's pronunciations
+   * @param {string} domain - Domain of the list
+   * @returns {HTMLElement}
+   */
+  createPronunciationDomainEditor(domain) {
+    const editor = document.createElement('div');
+    editor.className = 'pronunciation-domain site-rule';
+
+    const header = document.createElement('div');
+    header.className = 'site-rule-header';
+
+    const domainInput = document.createElement('input');
+    domainInput.type = 'text';
+    domainInput.className = 'site-rule-pattern';
+    domainInput.value = domain;
+    domainInput.placeholder = 'example.com';
+    domainInput.setAttribute('aria-label', 'Site domain');
+    domainInput.addEventListener('change', () => this.renamePronunciationDomain(domain, domainInput.value));
+    header.appendChild(domainInput);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => this.renamePronunciationDomain(domain, ''));
+    header.appendChild(deleteBtn);
+
+    editor.appendChild(header);
+
+    const textarea = document.createElement('textarea');
+    textarea.spellcheck = false;
+    textarea.setAttribute('aria-label', `Pronunciations on ${domain}`);
+    textarea.value = formatReplacementLines(this.lexicon.domains[domain]);
+    textarea.addEventListener('change', () => {
+      this.saveLexicon({
+        ...this.lexicon,
+        domains: { ...this.lexicon.domains, [domain]: parseReplacementLines(textarea.value) }
+      });
+    });
+    editor.appendChild(textarea);
+
+    return editor;
+  }
+
+  /**
+   * Add an empty list for a new site and focus its domain for editing
+   */
+  async addPronunciationDomain() {
+    if (!('example.com' in this.lexicon.domains)) {
+      await this.saveLexicon({ ...this.lexicon, domains: { ...this.lexicon.domains, 'example.com': [] } });
+    }
+
+    const inputs = this.elements.pronunciationDomainList.querySelectorAll('.site-rule-pattern');
+    const input = Array.from(inputs).find(element => element.value === 'example.com');
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Move a site's list to another domain, or delete it
+   * @param {string} domain - Current domain
+   * @param {string} newDomain - New domain, or an empty string to delete the list
+   */
+  async renamePronunciationDomain(domain, newDomain) {
+    const domains = {};
+    Object.entries(this.lexicon.domains).forEach(([key, entries]) => {
+      if (key !== domain) {
+        domains[key] = entries;
+      } else if (newDomain.trim()) {
+        domains[newDomain.trim()] = entries;
+      }
+    });
+    await this.saveLexicon({ ...this.lexicon, domains });
+  }
+
+  /**
+   * Upload the global words as an ElevenLabs pronunciation dictionary
+   */
+  async uploadDictionary() {
+    const button = this.elements.uploadPronunciationBtn;
+    button.disabled = true;
+    this.showStatus('Uploading...', 'info', this.elements.pronunciationStatus);
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: MessageType.UPLOAD_PRONUNCIATION_DICTIONARY });
+      if (response?.success) {
+        this.showStatus(`Uploaded ${response.entries} word${response.entries === 1 ? '' : 's'}`, 'success', this.elements.pronunciationStatus);
+      } else {
+        this.showStatus(response?.error || 'Upload failed', 'error', this.elements.pronunciationStatus);
+      }
+    } catch (error) {
+      this.showStatus('Upload failed', 'error', this.elements.pronunciationStatus);
+    }
+
+    button.disabled = false;
+    await this.loadPronunciation();
+  }
+
+  /**
+   * Stop sending the uploaded dictionary
+   */
+  async clearDictionary() {
+    try {
+      await chrome.runtime.sendMessage({ type: MessageType.CLEAR_PRONUNCIATION_DICTIONARY });
+      this.showStatus('The uploaded dictionary is no longer used', 'success', this.elements.pronunciationStatus);
+    } catch (error) {
+      this.showStatus('Failed to update settings', 'error', this.elements.pronunciationStatus);
+    }
+    await this.loadPronunciation();
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   * @param {string} type - 'success', 'error' or 'info'
+   * @param {HTMLElement} [element] - Status element, defaults to the one under the shortcuts
+   */
+  showStatus(message, type, element = this.elements.shortcutStatus) {
+    element.textContent = message;
+    element.className = 'status-message ' + type;
+    element.style.display = 'block';
+
+    // Auto-hide success messages
+    if (type === 'success') {
+      setTimeout(() => {
+        element.style.display = 'none';
+      }, 3000);
+    }
+  }
+}
+
+// Initialize settings page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const controller = new OptionsController();
+  controller.init();
+});
@@ -11,12 +11,27 @@ const MessageType = {
   SET_SPEED: 'setSpeed',
   GET_STATE: 'getState',
   GET_VOICES: 'getVoices',
+  GET_MODELS: 'getModels',
   SET_API_KEY: 'setApiKey',
   SET_VOICE: 'setVoice',
+  SET_MODEL: 'setModel',
+  GET_VOICE_SETTINGS: 'getVoiceSettings',
+  SET_VOICE_SETTINGS: 'setVoiceSettings',
+  PREVIEW_VOICE: 'previewVoice',
   PLAYBACK_STATE_CHANGE: 'playbackStateChange',
   SET_AUTO_CONTINUE: 'setAutoContinue',
   SHOW_PLAYER: 'showPlayer',
-  INITIALIZE: 'initialize'
+  INITIALIZE: 'initialize',
+  PICK_ELEMENT: 'pickElement',
+  CLEAR_AUDIO_CACHE: 'clearAudioCache',
+  GET_AUDIO_CACHE_STATS: 'getAudioCacheStats',
+  GET_USAGE: 'getUsage',
+  GET_QUEUE: 'getQueue',
+  ADD_TO_QUEUE: 'addToQueue',
+  REMOVE_FROM_QUEUE: 'removeFromQueue',
+  MOVE_IN_QUEUE: 'moveInQueue',
+  CLEAR_QUEUE: 'clearQueue',
+  START_QUEUE: 'startQueue'
 };
 
 /**
@@ -30,17 +45,78 @@ const PlaybackStatus = {
   ERROR: 'error'
 };
 
+/**
+ * ElevenLabs API error types (mirrors API_ERROR_TYPES in lib/elevenlabs-api.js)
+ */
+const ErrorType = {
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NETWORK_ERROR: 'NETWORK_ERROR'
+};
+
+/**
+ * Popup messages for error types that need a specific user action
+ */
+const ERROR_MESSAGES = {
+  [ErrorType.INVALID_API_KEY]: 'Your ElevenLabs API key was rejected. Please update it above.',
+  [ErrorType.RATE_LIMITED]: 'ElevenLabs rate limit reached. Please wait a moment and try again.',
+  [ErrorType.NETWORK_ERROR]: 'Could not reach ElevenLabs. Check your connection and try again.'
+};
+
 /**
  * Storage keys
  */
 const STORAGE_KEYS = {
   API_KEY: 'apiKey',
   SELECTED_VOICE_ID: 'selectedVoiceId',
+  SELECTED_MODEL_ID: 'selectedModelId',
   PLAYBACK_SPEED: 'playbackSpeed',
   AUTO_CONTINUE: 'autoContinue',
-  AUTO_START: 'autoStart'
+  AUTO_START: 'autoStart',
+  STREAMING_ENABLED: 'streamingEnabled',
+  SPENDING_GUARD_ENABLED: 'spendingGuardEnabled',
+  SPENDING_GUARD_THRESHOLD: 'spendingGuardThreshold',
+  BATCHING_ENABLED: 'batchingEnabled',
+  BATCH_CHARACTERS: 'batchCharacters',
+  PRELOAD_PARAGRAPHS: 'preloadParagraphs',
+  EXPORT_PARAGRAPHS_PER_CHAPTER: 'exportParagraphsPerChapter',
+  SUBTITLE_WORD_TIMINGS: 'subtitleWordTimings',
+  CONTENT_STRATEGY: 'contentStrategy',
+  SPEECH_CUES: 'speechCues',
+  READ_QUEUE_IN_BACKGROUND: 'readQueueInBackground'
 };
 
+/**
+ * Default number of remaining page characters that triggers the spending guard
+ */
+const DEFAULT_SPENDING_GUARD_THRESHOLD = 10000;
+
+/**
+ * Characters read in one request by default, and the limits of the setting
+ * (matching lib/chunk-planner.js)
+ */
+const DEFAULT_BATCH_CHARACTERS = 1000;
+const MIN_BATCH_CHARACTERS = 200;
+const MAX_BATCH_CHARACTERS = 5000;
+
+/**
+ * Paragraphs prepared ahead of reading by default, and the limits of the setting
+ * (matching lib/preload-pipeline.js)
+ */
+const DEFAULT_PRELOAD_PARAGRAPHS = 2;
+const MIN_PRELOAD_PARAGRAPHS = 1;
+const MAX_PRELOAD_PARAGRAPHS = 5;
+
+/**
+ * Default chapter length of exports from pages without headings
+ */
+const DEFAULT_EXPORT_PARAGRAPHS_PER_CHAPTER = 10;
+
+/**
+ * Default content extraction strategy (mirrors DEFAULT_CONTENT_STRATEGY in content-extractor.js)
+ */
+const DEFAULT_CONTENT_STRATEGY = 'readability';
+
 /**
  * PopupController - Manages popup UI state and interactions
  */
@@ -49,6 +125,7 @@ class PopupController {
     this.elements = {};
     this.currentState = null;
     this.apiKeyVisible = false;
+    this.queue = [];
   }
 
   /**
@@ -59,6 +136,9 @@ class PopupController {
     this.bindEvents();
     await this.loadSavedSettings();
     await this.syncState();
+    await this.loadCacheStats();
+    await this.loadUsage();
+    await this.loadQueue();
     this.setupMessageListener();
   }
 
@@ -74,6 +154,18 @@ class PopupController {
       voiceSelect: document.getElementById('voice-select'),
       refreshVoices: document.getElementById('refresh-voices'),
       voiceStatus: document.getElementById('voice-status'),
+      modelSelect: document.getElementById('model-select'),
+      modelStatus: document.getElementById('model-status'),
+      stabilitySlider: document.getElementById('stability-slider'),
+      stabilityValue: document.getElementById('stability-value'),
+      similaritySlider: document.getElementById('similarity-slider'),
+      similarityValue: document.getElementById('similarity-value'),
+      styleSlider: document.getElementById('style-slider'),
+      styleValue: document.getElementById('style-value'),
+      speakerBoostCheckbox: document.getElementById('speaker-boost-checkbox'),
+      previewVoiceBtn: document.getElementById('preview-voice-btn'),
+      resetTuningBtn: document.getElementById('reset-tuning-btn'),
+      tuningStatus: document.getElementById('tuning-status'),
       playPauseBtn: document.getElementById('play-pause-btn'),
       stopBtn: document.getElementById('stop-btn'),
       speedSelect: document.getElementById('speed-select'),
@@ -85,7 +177,33 @@ class PopupController {
       statusText: document.querySelector('.status-text'),
       autoStartCheckbox: document.getElementById('auto-start-checkbox'),
       autoContinueCheckbox: document.getElementById('auto-continue-checkbox'),
-      showPlayerBtn: document.getElementById('show-player-btn')
+      contentStrategySelect: document.getElementById('content-strategy-select'),
+      speechCueCheckboxes: document.querySelectorAll('.speech-cue-checkbox'),
+      streamingCheckbox: document.getElementById('streaming-checkbox'),
+      spendingGuardCheckbox: document.getElementById('spending-guard-checkbox'),
+      spendingGuardThreshold: document.getElementById('spending-guard-threshold'),
+      batchingCheckbox: document.getElementById('batching-checkbox'),
+      batchCharacters: document.getElementById('batch-characters'),
+      preloadParagraphs: document.getElementById('preload-paragraphs'),
+      exportChapterSize: document.getElementById('export-chapter-size'),
+      subtitleWordTimingsCheckbox: document.getElementById('subtitle-word-timings-checkbox'),
+      usageQuota: document.getElementById('usage-quota'),
+      usageToday: document.getElementById('usage-today'),
+      showPlayerBtn: document.getElementById('show-player-btn'),
+      pickElementBtn: document.getElementById('pick-element-btn'),
+      openSettingsBtn: document.getElementById('open-settings-btn'),
+      cacheUsage: document.getElementById('cache-usage'),
+      clearCacheBtn: document.getElementById('clear-cache-btn'),
+      cacheStatus: document.getElementById('cache-status'),
+      tabs: document.querySelectorAll('.popup-tab'),
+      queueCount: document.getElementById('queue-count'),
+      queueAddBtn: document.getElementById('queue-add-btn'),
+      queueStartBtn: document.getElementById('queue-start-btn'),
+      queueClearBtn: document.getElementById('queue-clear-btn'),
+      queueList: document.getElementById('queue-list'),
+      queueEmpty: document.getElementById('queue-empty'),
+      queueBackgroundCheckbox: document.getElementById('queue-background-checkbox'),
+      queueStatus: document.getElementById('queue-status')
     };
   }
 
@@ -105,6 +223,20 @@ class PopupController {
     this.elements.refreshVoices.addEventListener('click', () => this.loadVoices());
     this.elements.voiceSelect.addEventListener('change', () => this.selectVoice());
 
+    // Model events
+    this.elements.modelSelect.addEventListener('change', () => this.selectModel());
+
+    // Voice tuning events
+    this.getTuningSliders().forEach(({ slider, value }) => {
+      slider.addEventListener('input', () => {
+        value.textContent = Number(slider.value).toFixed(2);
+      });
+      slider.addEventListener('change', () => this.saveVoiceTuning());
+    });
+    this.elements.speakerBoostCheckbox.addEventListener('change', () => this.saveVoiceTuning());
+    this.elements.previewVoiceBtn.addEventListener('click', () => this.previewVoice());
+    this.elements.resetTuningBtn.addEventListener('click', () => this.resetVoiceTuning());
+
     // Playback events
     this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
     this.elements.stopBtn.addEventListener('click', () => this.stop());
@@ -116,8 +248,69 @@ class PopupController {
     // Auto-start event
     this.elements.autoStartCheckbox.addEventListener('change', () => this.toggleAutoStart());
 
+    // Content extraction strategy
+    this.elements.contentStrategySelect.addEventListener('change', () => this.saveContentStrategy());
+
+    // Spoken cues before headings, list items, table rows, code and quotes
+    this.elements.speechCueCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.saveSpeechCues());
+    });
+
+    // Streaming event
+    this.elements.streamingCheckbox.addEventListener('change', () => this.toggleStreaming());
+
+    // Spending guard events
+    this.elements.spendingGuardCheckbox.addEventListener('change', () => this.saveSpendingGuard());
+    this.elements.spendingGuardThreshold.addEventListener('change', () => this.saveSpendingGuard());
+
+    // Paragraph batching events
+    this.elements.batchingCheckbox.addEventListener('change', () => this.saveBatching());
+    this.elements.batchCharacters.addEventListener('change', () => this.saveBatching());
+
+    // Preload lookahead
+    this.elements.preloadParagraphs.addEventListener('change', () => this.savePreloadParagraphs());
+
+    // Export chapter length
+    this.elements.exportChapterSize.addEventListener('change', () => this.saveExportChapterSize());
+
+    // Subtitle word timings
+    this.elements.subtitleWordTimingsCheckbox.addEventListener('change', () => this.toggleSubtitleWordTimings());
+
     // Show player button
     this.elements.showPlayerBtn.addEventListener('click', () => this.showPlayer());
+
+    // Site rules
+    this.elements.pickElementBtn.addEventListener('click', () => this.pickElement());
+
+    // Settings page
+    this.elements.openSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // Audio cache
+    this.elements.clearCacheBtn.addEventListener('click', () => this.clearCache());
+
+    // Tabs
+    this.elements.tabs.forEach(tab => {
+      tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+    });
+
+    // Reading queue
+    this.elements.queueAddBtn.addEventListener('click', () => this.updateQueue(MessageType.ADD_TO_QUEUE, {}));
+    this.elements.queueStartBtn.addEventListener('click', () => this.startQueue());
+    this.elements.queueClearBtn.addEventListener('click', () => this.updateQueue(MessageType.CLEAR_QUEUE, {}));
+    this.elements.queueBackgroundCheckbox.addEventListener('change', () => this.toggleQueueInBackground());
+  }
+
+  /**
+   * Switch to a popup tab
+   * @param {string} panelId - ID of the tab's panel
+   */
+  showTab(panelId) {
+    this.elements.tabs.forEach(tab => {
+      const active = tab.dataset.tab === panelId;
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', String(active));
+      document.getElementById(tab.dataset.tab).hidden = !active;
+    });
   }
 
   /**
@@ -129,17 +322,34 @@ class PopupController {
         STORAGE_KEYS.API_KEY,
         STORAGE_KEYS.SELECTED_VOICE_ID,
         STORAGE_KEYS.PLAYBACK_SPEED,
-        STORAGE_KEYS.AUTO_START
+        STORAGE_KEYS.AUTO_START,
+        STORAGE_KEYS.CONTENT_STRATEGY,
+        STORAGE_KEYS.SPEECH_CUES,
+        STORAGE_KEYS.STREAMING_ENABLED,
+        STORAGE_KEYS.SPENDING_GUARD_ENABLED,
+        STORAGE_KEYS.SPENDING_GUARD_THRESHOLD,
+        STORAGE_KEYS.BATCHING_ENABLED,
+        STORAGE_KEYS.BATCH_CHARACTERS,
+        STORAGE_KEYS.PRELOAD_PARAGRAPHS,
+        STORAGE_KEYS.EXPORT_PARAGRAPHS_PER_CHAPTER,
+        STORAGE_KEYS.SUBTITLE_WORD_TIMINGS,
+        STORAGE_KEYS.READ_QUEUE_IN_BACKGROUND
       ]);
 
+      // Pre-select saved voice once voices are loaded
+      if (result[STORAGE_KEYS.SELECTED_VOICE_ID]) {
+        this.elements.voiceSelect.dataset.savedVoiceId = result[STORAGE_KEYS.SELECTED_VOICE_ID];
+      }
+
       // Load API key (masked)
       if (result[STORAGE_KEYS.API_KEY]) {
         this.elements.apiKeyInput.value = this.maskApiKey(result[STORAGE_KEYS.API_KEY]);
         this.elements.apiKeyInput.dataset.hasKey = 'true';
         this.showStatus(this.elements.apiKeyStatus, 'API key configured', 'success');
         
-        // Enable voice selection and load voices
+        // Enable voice and model selection
         await this.loadVoices();
+        await this.loadModels();
       }
 
       // Load playback speed
@@ -151,10 +361,42 @@ class PopupController {
       const autoStart = result[STORAGE_KEYS.AUTO_START];
       this.elements.autoStartCheckbox.checked = autoStart !== false;
 
-      // Pre-select saved voice after voices are loaded
-      if (result[STORAGE_KEYS.SELECTED_VOICE_ID]) {
-        this.elements.voiceSelect.dataset.savedVoiceId = result[STORAGE_KEYS.SELECTED_VOICE_ID];
-      }
+      // Load content extraction strategy
+      this.elements.contentStrategySelect.value =
+        result[STORAGE_KEYS.CONTENT_STRATEGY] || DEFAULT_CONTENT_STRATEGY;
+
+      // Load spoken cues (default off)
+      const speechCues = result[STORAGE_KEYS.SPEECH_CUES] || {};
+      this.elements.speechCueCheckboxes.forEach(checkbox => {
+        checkbox.checked = speechCues[checkbox.value] === true;
+      });
+
+      // Load where queued pages are read (default in tabs)
+      this.elements.queueBackgroundCheckbox.checked = result[STORAGE_KEYS.READ_QUEUE_IN_BACKGROUND] === true;
+
+      // Load streaming setting (default to true)
+      this.elements.streamingCheckbox.checked = result[STORAGE_KEYS.STREAMING_ENABLED] !== false;
+
+      // Load spending guard (default on)
+      this.elements.spendingGuardCheckbox.checked = result[STORAGE_KEYS.SPENDING_GUARD_ENABLED] !== false;
+      this.elements.spendingGuardThreshold.value =
+        result[STORAGE_KEYS.SPENDING_GUARD_THRESHOLD] || DEFAULT_SPENDING_GUARD_THRESHOLD;
+
+      // Load paragraph batching (default on)
+      this.elements.batchingCheckbox.checked = result[STORAGE_KEYS.BATCHING_ENABLED] !== false;
+      this.elements.batchCharacters.value =
+        result[STORAGE_KEYS.BATCH_CHARACTERS] || DEFAULT_BATCH_CHARACTERS;
+
+      // Load preload lookahead
+      this.elements.preloadParagraphs.value =
+        result[STORAGE_KEYS.PRELOAD_PARAGRAPHS] || DEFAULT_PRELOAD_PARAGRAPHS;
+
+      // Load export chapter length
+      this.elements.exportChapterSize.value =
+        result[STORAGE_KEYS.EXPORT_PARAGRAPHS_PER_CHAPTER] || DEFAULT_EXPORT_PARAGRAPHS_PER_CHAPTER;
+
+      // Load subtitle word timings (default off)
+      this.elements.subtitleWordTimingsCheckbox.checked = result[STORAGE_KEYS.SUBTITLE_WORD_TIMINGS] === true;
     } catch (error) {
       console.error('Error loading settings:', error);
     }
@@ -225,8 +467,9 @@ class PopupController {
         this.elements.toggleKeyVisibility.textContent = '👁';
         this.showStatus(this.elements.apiKeyStatus, 'API key saved successfully', 'success');
         
-        // Load voices with new key
+        // Load voices and models with new key
         await this.loadVoices();
+        await this.loadModels();
       } else {
         this.showStatus(this.elements.apiKeyStatus, response.error || 'Failed to save API key', 'error');
       }
@@ -253,8 +496,10 @@ class PopupController {
         
         // Enable playback controls
         this.updatePlaybackControls();
+        await this.loadVoiceTuning();
       } else {
-        this.showStatus(this.elements.voiceStatus, response.error || 'Failed to load voices', 'error');
+        const message = ERROR_MESSAGES[response.errorType] || response.error || 'Failed to load voices';
+        this.showStatus(this.elements.voiceStatus, message, 'error');
       }
     } catch (error) {
       this.showStatus(this.elements.voiceStatus, 'Error loading voices', 'error');
@@ -319,6 +564,7 @@ class PopupController {
       if (response.success) {
         this.showStatus(this.elements.voiceStatus, 'Voice selected', 'success');
         this.updatePlaybackControls();
+        await this.loadVoiceTuning();
       } else {
         this.showStatus(this.elements.voiceStatus, response.error || 'Failed to select voice', 'error');
       }
@@ -327,6 +573,248 @@ class PopupController {
     }
   }
 
+  /**
+   * Get the voice tuning sliders with their value labels
+   * @returns {Array<{slider: HTMLInputElement, value: HTMLElement}>}
+   */
+  getTuningSliders() {
+    return [
+      { slider: this.elements.stabilitySlider, value: this.elements.stabilityValue },
+      { slider: this.elements.similaritySlider, value: this.elements.similarityValue },
+      { slider: this.elements.styleSlider, value: this.elements.styleValue }
+    ];
+  }
+
+  /**
+   * Enable or disable the voice tuning controls
+   * @param {boolean} enabled - Whether the controls are enabled
+   */
+  setTuningEnabled(enabled) {
+    this.getTuningSliders().forEach(({ slider }) => {
+      slider.disabled = !enabled;
+    });
+    this.elements.speakerBoostCheckbox.disabled = !enabled;
+    this.elements.previewVoiceBtn.disabled = !enabled;
+    this.elements.resetTuningBtn.disabled = !enabled;
+  }
+
+  /**
+   * Load the saved (or default) settings of the selected voice into the tuning controls
+   */
+  async loadVoiceTuning() {
+    const voiceId = this.elements.voiceSelect.value;
+
+    if (!voiceId) {
+      this.setTuningEnabled(false);
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage(MessageType.GET_VOICE_SETTINGS, { voiceId });
+
+      if (response.success) {
+        this.applyVoiceTuning(response.settings);
+        this.setTuningEnabled(true);
+        this.elements.tuningStatus.style.display = 'none';
+      } else {
+        const message = ERROR_MESSAGES[response.errorType] || response.error || 'Failed to load voice settings';
+        this.showStatus(this.elements.tuningStatus, message, 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.tuningStatus, 'Error loading voice settings', 'error');
+    }
+  }
+
+  /**
+   * Show voice settings in the tuning controls
+   * @param {{stability: number, similarityBoost: number, style: number, useSpeakerBoost: boolean}} settings
+   */
+  applyVoiceTuning(settings) {
+    this.elements.stabilitySlider.value = settings.stability;
+    this.elements.similaritySlider.value = settings.similarityBoost;
+    this.elements.styleSlider.value = settings.style;
+    this.elements.speakerBoostCheckbox.checked = settings.useSpeakerBoost;
+
+    this.getTuningSliders().forEach(({ slider, value }) => {
+      value.textContent = Number(slider.value).toFixed(2);
+    });
+  }
+
+  /**
+   * Read voice settings from the tuning controls
+   * @returns {{stability: number, similarityBoost: number, style: number, useSpeakerBoost: boolean}}
+   */
+  readVoiceTuning() {
+    return {
+      stability: Number(this.elements.stabilitySlider.value),
+      similarityBoost: Number(this.elements.similaritySlider.value),
+      style: Number(this.elements.styleSlider.value),
+      useSpeakerBoost: this.elements.speakerBoostCheckbox.checked
+    };
+  }
+
+  /**
+   * Save the tuning controls as the selected voice's settings
+   */
+  async saveVoiceTuning() {
+    const voiceId = this.elements.voiceSelect.value;
+
+    if (!voiceId) return;
+
+    try {
+      const response = await this.sendMessage(MessageType.SET_VOICE_SETTINGS, {
+        voiceId,
+        settings: this.readVoiceTuning()
+      });
+
+      if (response.success) {
+        this.showStatus(this.elements.tuningStatus, 'Voice settings saved', 'success');
+      } else {
+        this.showStatus(this.elements.tuningStatus, response.error || 'Failed to save voice settings', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.tuningStatus, 'Error saving voice settings', 'error');
+    }
+  }
+
+  /**
+   * Discard the selected voice's saved settings and reload its defaults
+   */
+  async resetVoiceTuning() {
+    const voiceId = this.elements.voiceSelect.value;
+
+    if (!voiceId) return;
+
+    try {
+      const response = await this.sendMessage(MessageType.SET_VOICE_SETTINGS, { voiceId, settings: null });
+
+      if (response.success) {
+        await this.loadVoiceTuning();
+        this.showStatus(this.elements.tuningStatus, 'Voice defaults restored', 'success');
+      } else {
+        this.showStatus(this.elements.tuningStatus, response.error || 'Failed to reset voice settings', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.tuningStatus, 'Error resetting voice settings', 'error');
+    }
+  }
+
+  /**
+   * Play a short sample of the selected voice with the current tuning
+   */
+  async previewVoice() {
+    const voiceId = this.elements.voiceSelect.value;
+
+    if (!voiceId) return;
+
+    this.elements.previewVoiceBtn.disabled = true;
+    this.showStatus(this.elements.tuningStatus, 'Generating preview...', 'info');
+
+    try {
+      const response = await this.sendMessage(MessageType.PREVIEW_VOICE, {
+        voiceId,
+        settings: this.readVoiceTuning()
+      });
+
+      if (response.success) {
+        this.elements.tuningStatus.style.display = 'none';
+      } else {
+        const message = ERROR_MESSAGES[response.errorType] || response.error || 'Failed to preview voice';
+        this.showStatus(this.elements.tuningStatus, message, 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.tuningStatus, 'Error previewing voice', 'error');
+    } finally {
+      this.elements.previewVoiceBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Load models that can read the current page's language
+   */
+  async loadModels() {
+    this.elements.modelSelect.disabled = true;
+
+    try {
+      const language = await this.getPageLanguage();
+      const response = await this.sendMessage(MessageType.GET_MODELS, { language });
+
+      if (response.success && response.models) {
+        this.populateModelDropdown(response.models, response.selectedModelId);
+        this.elements.modelSelect.disabled = false;
+        this.elements.modelStatus.style.display = 'none';
+      } else {
+        const message = ERROR_MESSAGES[response.errorType] || response.error || 'Failed to load models';
+        this.showStatus(this.elements.modelStatus, message, 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.modelStatus, 'Error loading models', 'error');
+    }
+  }
+
+  /**
+   * Detect the language of the active tab
+   * @returns {Promise<string|null>} Language code, or null if it can't be detected
+   */
+  async getPageLanguage() {
+    try {
+      const language = await chrome.tabs.detectLanguage();
+      return language && language !== 'und' ? language : null;
+    } catch (error) {
+      // Restricted pages (e.g. chrome://) can't be inspected
+      return null;
+    }
+  }
+
+  /**
+   * Populate model dropdown with models
+   * @param {Array} models - Array of model objects
+   * @param {string} selectedModelId - Currently selected model ID
+   */
+  populateModelDropdown(models, selectedModelId) {
+    const select = this.elements.modelSelect;
+    select.innerHTML = '';
+
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.model_id;
+      option.textContent = model.name;
+      option.title = model.description;
+      option.selected = model.model_id === selectedModelId;
+      select.appendChild(option);
+    });
+
+    // Keep the saved model visible even if it doesn't list the page language
+    if (selectedModelId && !models.some(model => model.model_id === selectedModelId)) {
+      const option = document.createElement('option');
+      option.value = selectedModelId;
+      option.textContent = `${selectedModelId} (may not support this page's language)`;
+      option.selected = true;
+      select.insertBefore(option, select.firstChild);
+    }
+  }
+
+  /**
+   * Handle model selection
+   */
+  async selectModel() {
+    const modelId = this.elements.modelSelect.value;
+
+    if (!modelId) return;
+
+    try {
+      const response = await this.sendMessage(MessageType.SET_MODEL, { modelId });
+
+      if (response.success) {
+        this.showStatus(this.elements.modelStatus, 'Model selected', 'success');
+      } else {
+        this.showStatus(this.elements.modelStatus, response.error || 'Failed to select model', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.modelStatus, 'Error selecting model', 'error');
+    }
+  }
+
   /**
    * Toggle play/pause
    */
@@ -352,7 +840,7 @@ class PopupController {
       const response = await this.sendMessage(MessageType.PLAY, {});
       
       if (!response.success) {
-        this.showError(response.error || 'Failed to start playback');
+        this.showApiError(response, 'Failed to start playback');
       }
     } catch (error) {
       this.showError('Error starting playback');
@@ -442,6 +930,153 @@ class PopupController {
     }
   }
 
+  /**
+   * Save the content extraction strategy
+   * Takes effect the next time a page is set up for reading
+   */
+  async saveContentStrategy() {
+    const strategy = this.elements.contentStrategySelect.value;
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.CONTENT_STRATEGY]: strategy });
+    } catch (error) {
+      this.showError('Error updating content detection setting');
+    }
+  }
+
+  /**
+   * Save which block types get a spoken cue
+   * Takes effect from the next paragraph read
+   */
+  async saveSpeechCues() {
+    const speechCues = {};
+    this.elements.speechCueCheckboxes.forEach(checkbox => {
+      speechCues[checkbox.value] = checkbox.checked;
+    });
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.SPEECH_CUES]: speechCues });
+    } catch (error) {
+      this.showError('Error updating announcement setting');
+    }
+  }
+
+  /**
+   * Toggle streaming synthesis setting
+   */
+  async toggleStreaming() {
+    const streamingEnabled = this.elements.streamingCheckbox.checked;
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.STREAMING_ENABLED]: streamingEnabled });
+    } catch (error) {
+      // Revert checkbox state on error
+      this.elements.streamingCheckbox.checked = !streamingEnabled;
+      this.showError('Error updating streaming setting');
+    }
+  }
+
+  /**
+   * Save spending guard settings
+   */
+  async saveSpendingGuard() {
+    const enabled = this.elements.spendingGuardCheckbox.checked;
+    const threshold = parseInt(this.elements.spendingGuardThreshold.value, 10);
+
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      this.elements.spendingGuardThreshold.value = DEFAULT_SPENDING_GUARD_THRESHOLD;
+      this.showError('Enter a positive number of characters');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SPENDING_GUARD_ENABLED]: enabled,
+        [STORAGE_KEYS.SPENDING_GUARD_THRESHOLD]: threshold
+      });
+      this.hideError();
+    } catch (error) {
+      this.showError('Error updating spending guard');
+    }
+  }
+
+  /**
+   * Save paragraph batching settings
+   */
+  async saveBatching() {
+    const enabled = this.elements.batchingCheckbox.checked;
+    const characters = parseInt(this.elements.batchCharacters.value, 10);
+
+    if (!Number.isFinite(characters) || characters < MIN_BATCH_CHARACTERS || characters > MAX_BATCH_CHARACTERS) {
+      this.elements.batchCharacters.value = DEFAULT_BATCH_CHARACTERS;
+      this.showError(`Enter between ${MIN_BATCH_CHARACTERS} and ${MAX_BATCH_CHARACTERS} characters`);
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.BATCHING_ENABLED]: enabled,
+        [STORAGE_KEYS.BATCH_CHARACTERS]: characters
+      });
+      this.hideError();
+    } catch (error) {
+      this.showError('Error updating paragraph batching');
+    }
+  }
+
+  /**
+   * Save how many paragraphs are prepared ahead of reading
+   */
+  async savePreloadParagraphs() {
+    const paragraphs = parseInt(this.elements.preloadParagraphs.value, 10);
+
+    if (!Number.isFinite(paragraphs) || paragraphs < MIN_PRELOAD_PARAGRAPHS || paragraphs > MAX_PRELOAD_PARAGRAPHS) {
+      this.elements.preloadParagraphs.value = DEFAULT_PRELOAD_PARAGRAPHS;
+      this.showError(`Enter between ${MIN_PRELOAD_PARAGRAPHS} and ${MAX_PRELOAD_PARAGRAPHS} paragraphs`);
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.PRELOAD_PARAGRAPHS]: paragraphs });
+      this.hideError();
+    } catch (error) {
+      this.showError('Error updating preload setting');
+    }
+  }
+
+  /**
+   * Save the chapter length used for exports from pages without headings
+   */
+  async saveExportChapterSize() {
+    const size = parseInt(this.elements.exportChapterSize.value, 10);
+
+    if (!Number.isFinite(size) || size <= 0) {
+      this.elements.exportChapterSize.value = DEFAULT_EXPORT_PARAGRAPHS_PER_CHAPTER;
+      this.showError('Enter a positive number of paragraphs');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.EXPORT_PARAGRAPHS_PER_CHAPTER]: size });
+      this.hideError();
+    } catch (error) {
+      this.showError('Error updating export setting');
+    }
+  }
+
+  /**
+   * Toggle word-level karaoke timing in WebVTT exports
+   */
+  async toggleSubtitleWordTimings() {
+    try {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SUBTITLE_WORD_TIMINGS]: this.elements.subtitleWordTimingsCheckbox.checked
+      });
+    } catch (error) {
+      this.showError('Error updating export setting');
+    }
+  }
+
   /**
    * Show the floating player on the current page
    * First triggers initialization (if not already initialized), then shows the player
@@ -468,6 +1103,258 @@ class PopupController {
   }
 
 
+  /**
+   * Start the element picker on the current page
+   * The popup closes so the page can be clicked
+   */
+  async pickElement() {
+    try {
+      const response = await this.sendMessage(MessageType.PICK_ELEMENT, {});
+      
+      if (!response.success) {
+        this.showError(response.error || 'Could not pick elements on this page');
+        return;
+      }
+      
+      window.close();
+    } catch (error) {
+      this.showError('Error starting the element picker - make sure you are on a webpage');
+    }
+  }
+
+  /**
+   * Load the reading queue from the service worker
+   */
+  async loadQueue() {
+    try {
+      const response = await this.sendMessage(MessageType.GET_QUEUE, {});
+      if (response.success) {
+        this.renderQueue(response.queue);
+      }
+    } catch (error) {
+      console.error('Error loading reading queue:', error);
+    }
+  }
+
+  /**
+   * Change the reading queue and show the result
+   * @param {string} type - Queue message type
+   * @param {Object} payload - Message payload
+   */
+  async updateQueue(type, payload) {
+    try {
+      const response = await this.sendMessage(type, payload);
+      if (response.success) {
+        this.renderQueue(response.queue);
+      } else {
+        this.showStatus(this.elements.queueStatus, response.error || 'Could not change the queue', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.queueStatus, 'Error changing the queue', 'error');
+    }
+  }
+
+  /**
+   * Toggle reading queued pages in the side panel
+   */
+  async toggleQueueInBackground() {
+    const readInBackground = this.elements.queueBackgroundCheckbox.checked;
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.READ_QUEUE_IN_BACKGROUND]: readInBackground });
+    } catch (error) {
+      // Revert checkbox state on error
+      this.elements.queueBackgroundCheckbox.checked = !readInBackground;
+      this.showStatus(this.elements.queueStatus, 'Error updating queue setting', 'error');
+    }
+  }
+
+  /**
+   * Start reading the queue from its first page
+   * Pages read in the background show in the side panel, which can only be
+   * opened while handling the click
+   */
+  async startQueue() {
+    if (this.elements.queueBackgroundCheckbox.checked) {
+      const permission = this.requestQueuePermissions();
+      try {
+        const currentWindow = await chrome.windows.getCurrent();
+        await chrome.sidePanel.open({ windowId: currentWindow.id });
+      } catch (error) {
+        console.error('Error opening side panel:', error);
+      }
+
+      if (!(await permission)) {
+        this.showStatus(this.elements.queueStatus, 'Allow the queued sites to read them in the side panel', 'error');
+        return;
+      }
+    }
+
+    try {
+      const response = await this.sendMessage(MessageType.START_QUEUE, {});
+      if (response.success) {
+        await this.loadQueue();
+      } else {
+        this.showStatus(this.elements.queueStatus, response.error || 'Could not start the queue', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.queueStatus, 'Error starting the queue', 'error');
+    }
+  }
+
+  /**
+   * Ask for the permission to fetch pages from the queued sites, so they can
+   * be read without opening tabs
+   * Like opening the side panel, it has to be asked while handling the click
+   * @returns {Promise<boolean>} True if granted
+   */
+  requestQueuePermissions() {
+    const origins = [...new Set(this.queue.map(item => {
+      const { protocol, hostname } = new URL(item.url);
+      return `${protocol}//${hostname}/*`;
+    }))];
+    if (origins.length === 0) {
+      return Promise.resolve(true);
+    }
+    return chrome.permissions.request({ origins }).catch(() => false);
+  }
+
+  /**
+   * Render the queued pages with controls to reorder and remove them
+   * @param {Array<{id: string, url: string, title: string}>} queue - Queued pages
+   */
+  renderQueue(queue) {
+    this.queue = queue;
+    const list = this.elements.queueList;
+    list.innerHTML = '';
+
+    queue.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = 'queue-item';
+
+      const title = document.createElement('span');
+      title.className = 'queue-item-title';
+      title.textContent = item.title;
+      title.title = item.url;
+      row.appendChild(title);
+
+      const controls = [
+        { text: '▲', label: 'Move up', disabled: index === 0, type: MessageType.MOVE_IN_QUEUE, payload: { id: item.id, index: index - 1 } },
+        { text: '▼', label: 'Move down', disabled: index === queue.length - 1, type: MessageType.MOVE_IN_QUEUE, payload: { id: item.id, index: index + 1 } },
+        { text: '✕', label: 'Remove', disabled: false, type: MessageType.REMOVE_FROM_QUEUE, payload: { id: item.id } }
+      ];
+      controls.forEach(({ text, label, disabled, type, payload }) => {
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.textContent = text;
+        button.title = label;
+        button.disabled = disabled;
+        button.addEventListener('click', () => this.updateQueue(type, payload));
+        row.appendChild(button);
+      });
+
+      list.appendChild(row);
+    });
+
+    this.elements.queueEmpty.style.display = queue.length === 0 ? 'block' : 'none';
+    this.elements.queueStartBtn.disabled = queue.length === 0;
+    this.elements.queueClearBtn.disabled = queue.length === 0;
+    this.elements.queueCount.textContent = queue.length > 0 ? `(${queue.length})` : '';
+  }
+
+  /**
+   * Load audio cache usage from the service worker
+   */
+  async loadCacheStats() {
+    try {
+      const response = await this.sendMessage(MessageType.GET_AUDIO_CACHE_STATS, {});
+      
+      if (response.success && response.stats) {
+        const { entries, totalBytes, maxBytes } = response.stats;
+        this.elements.cacheUsage.textContent =
+          `${entries} clips, ${this.formatBytes(totalBytes)} of ${this.formatBytes(maxBytes)}`;
+      } else {
+        this.elements.cacheUsage.textContent = 'Unavailable';
+      }
+    } catch (error) {
+      this.elements.cacheUsage.textContent = 'Unavailable';
+    }
+  }
+
+  /**
+   * Load subscription quota and local character usage
+   */
+  async loadUsage() {
+    try {
+      const response = await this.sendMessage(MessageType.GET_USAGE, {});
+
+      if (!response.success) {
+        this.elements.usageQuota.textContent = 'Unavailable';
+        return;
+      }
+
+      const { subscription, usage } = response;
+
+      if (subscription && subscription.characterLimit > 0) {
+        const remaining = Math.max(0, subscription.characterLimit - subscription.characterCount);
+        let quota = `${this.formatNumber(remaining)} of ${this.formatNumber(subscription.characterLimit)} characters left`;
+        if (subscription.nextResetUnix) {
+          quota += ` (resets ${new Date(subscription.nextResetUnix * 1000).toLocaleDateString()})`;
+        }
+        this.elements.usageQuota.textContent = quota;
+      } else {
+        this.elements.usageQuota.textContent =
+          ERROR_MESSAGES[response.errorType] || response.subscriptionError || 'Quota unavailable';
+      }
+
+      const topDomains = usage.todayByDomain
+        .slice(0, 3)
+        .map(({ domain, characters }) => `${domain} ${this.formatNumber(characters)}`)
+        .join(', ');
+      this.elements.usageToday.textContent =
+        `Today: ${this.formatNumber(usage.today)} characters` + (topDomains ? ` (${topDomains})` : '');
+    } catch (error) {
+      this.elements.usageQuota.textContent = 'Unavailable';
+    }
+  }
+
+  /**
+   * Format a number with thousands separators
+   * @param {number} value - Number to format
+   * @returns {string}
+   */
+  formatNumber(value) {
+    return Number(value || 0).toLocaleString();
+  }
+
+  /**
+   * Clear all cached audio
+   */
+  async clearCache() {
+    try {
+      const response = await this.sendMessage(MessageType.CLEAR_AUDIO_CACHE, {});
+      
+      if (response.success) {
+        this.showStatus(this.elements.cacheStatus, 'Audio cache cleared', 'success');
+        await this.loadCacheStats();
+      } else {
+        this.showStatus(this.elements.cacheStatus, response.error || 'Failed to clear cache', 'error');
+      }
+    } catch (error) {
+      this.showStatus(this.elements.cacheStatus, 'Error clearing cache', 'error');
+    }
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Number of bytes
+   * @returns {string} Human-readable size
+   */
+  formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   /**
    * Sync state with service worker
    */
@@ -543,7 +1430,7 @@ class PopupController {
 
     // Show/hide error
     if (state.status === PlaybackStatus.ERROR && state.error) {
-      this.showError(state.error);
+      this.showApiError(state, state.error);
     } else {
       this.hideError();
     }
@@ -610,6 +1497,20 @@ class PopupController {
     this.elements.errorDisplay.style.display = 'block';
   }
 
+  /**
+   * Show an error from a service worker response or playback state,
+   * using a specific message when the error type calls for user action
+   * @param {{error?: string, errorType?: string}} source - Response or state carrying the error
+   * @param {string} fallback - Message used when no error text is available
+   */
+  showApiError(source, fallback) {
+    this.showError(ERROR_MESSAGES[source.errorType] || source.error || fallback);
+
+    if (source.errorType === ErrorType.INVALID_API_KEY) {
+      this.showStatus(this.elements.apiKeyStatus, 'API key rejected by ElevenLabs', 'error');
+    }
+  }
+
   /**
    * Hide error display
    */
@@ -0,0 +1,363 @@
+// ElevenPage Reader - Side Panel
+// Shows the transcript of the page being read, in a tab or in the background,
+// highlights the sentence and word being spoken, and seeks to clicked words
+
+import { reconcileAlignment, findCharIndexAtTime } from '../content/alignment-reconciler.js';
+
+/**
+ * Message types exchanged with the service worker (mirrors MessageType in the service worker)
+ */
+const MessageType = {
+  PLAY: 'play',
+  PAUSE: 'pause',
+  STOP: 'stop',
+  SEEK: 'seek',
+  GET_TRANSCRIPT: 'getTranscript',
+  HIGHLIGHT_UPDATE: 'highlightUpdate',
+  PLAYBACK_STATE_CHANGE: 'playbackStateChange',
+  TRANSCRIPT_CHANGE: 'transcriptChange'
+};
+
+/**
+ * Playback status values (mirrors PlaybackStatus in the service worker)
+ */
+const PlaybackStatus = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ERROR: 'error'
+};
+
+/**
+ * Transcript of a page
+ * @typedef {Object} Transcript
+ * @property {number|null} tabId - Tab showing the page, or null for an article read in the background
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {Array<{text: string, block: Object, sentences: Array<{words: Array<{text: string, start: number}>}>}>} paragraphs - Paragraphs with the offsets of their words
+ */
+
+/**
+ * SidePanelController - Manages the transcript of the page being read
+ */
+class SidePanelController {
+  constructor() {
+    this.elements = {};
+    this.transcript = null;
+    this.state = null;
+    this.paragraphElements = [];
+    this.sentenceElements = [];
+    this.wordElements = [];
+    this.current = { paragraph: null, sentence: null, word: null };
+    this.alignmentIndex = null;
+    this.alignmentIndexKey = null;
+  }
+
+  /**
+   * Initialize the side panel
+   */
+  async init() {
+    this.cacheElements();
+    this.bindEvents();
+    await this.loadTranscript();
+  }
+
+  /**
+   * Cache DOM element references
+   */
+  cacheElements() {
+    this.elements = {
+      title: document.getElementById('article-title'),
+      link: document.getElementById('article-link'),
+      playPauseBtn: document.getElementById('play-pause-btn'),
+      stopBtn: document.getElementById('stop-btn'),
+      status: document.getElementById('playback-status'),
+      transcript: document.getElementById('transcript'),
+      emptyState: document.getElementById('empty-state')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
+    this.elements.stopBtn.addEventListener('click', () => this.sendMessage(MessageType.STOP));
+
+    // Clicking a word reads from it; clicking elsewhere in a paragraph reads the whole paragraph
+    this.elements.transcript.addEventListener('click', (e) => {
+      const paragraph = e.target.closest('.transcript-paragraph');
+      if (!paragraph) {
+        return;
+      }
+      const word = e.target.closest('.transcript-word');
+      this.seek(Number(paragraph.dataset.index), word ? Number(word.dataset.start) : 0);
+    });
+
+    chrome.runtime.onMessage.addListener((message) => {
+      switch (message.type) {
+        case MessageType.TRANSCRIPT_CHANGE:
+          this.loadTranscript();
+          break;
+        case MessageType.PLAYBACK_STATE_CHANGE:
+          this.updateState(message.state);
+          break;
+        case MessageType.HIGHLIGHT_UPDATE:
+          // Selections aren't part of the transcript
+          if (this.transcript && !message.selection && message.tabId === this.transcript.tabId) {
+            this.highlight(message);
+          }
+          break;
+      }
+    });
+
+    // Until something is read, the transcript follows the active tab
+    chrome.tabs.onActivated.addListener(() => {
+      if (this.isIdle()) {
+        this.loadTranscript();
+      }
+    });
+  }
+
+  /**
+   * Send a message to the service worker
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message payload
+   * @returns {Promise<Object>}
+   */
+  async sendMessage(type, payload = {}) {
+    try {
+      return (await chrome.runtime.sendMessage({ type, payload })) || {};
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether nothing is being read
+   * @returns {boolean}
+   */
+  isIdle() {
+    const status = this.state?.status || PlaybackStatus.IDLE;
+    return status === PlaybackStatus.IDLE || status === PlaybackStatus.ERROR;
+  }
+
+  /**
+   * Load the transcript of the page being read, or of the active tab
+   */
+  async loadTranscript() {
+    const response = await this.sendMessage(MessageType.GET_TRANSCRIPT);
+    this.renderTranscript(response.transcript || null);
+    if (response.state) {
+      this.updateState(response.state);
+    }
+  }
+
+  /**
+   * Render a transcript, with a span for each sentence and word
+   * @param {Transcript|null} transcript - Transcript, or null for none
+   */
+  renderTranscript(transcript) {
+    this.transcript = transcript;
+    this.paragraphElements = [];
+    this.sentenceElements = [];
+    this.wordElements = [];
+    this.current = { paragraph: null, sentence: null, word: null };
+    this.alignmentIndex = null;
+    this.alignmentIndexKey = null;
+
+    const { transcript: container, title, link, emptyState } = this.elements;
+    container.textContent = '';
+    emptyState.hidden = Boolean(transcript);
+    link.hidden = !transcript;
+    title.textContent = transcript?.title || 'ElevenPage Reader';
+    if (transcript) {
+      link.href = transcript.url;
+      link.textContent = transcript.url;
+    }
+
+    (transcript?.paragraphs || []).forEach((paragraph, index) => {
+      const element = document.createElement('p');
+      element.className = 'transcript-paragraph' + (paragraph.block?.type === 'heading' ? ' heading' : '');
+      element.dataset.index = String(index);
+
+      // Text between words is kept, so the transcript reads like the page
+      const sentences = [];
+      const words = [];
+      let offset = 0;
+      paragraph.sentences.forEach(sentence => {
+        const sentenceElement = document.createElement('span');
+        sentenceElement.className = 'transcript-sentence';
+        const sentenceWords = [];
+        sentence.words.forEach(word => {
+          const gap = paragraph.text.slice(offset, word.start);
+          (sentenceWords.length > 0 ? sentenceElement : element).appendChild(document.createTextNode(gap));
+          const wordElement = document.createElement('span');
+          wordElement.className = 'transcript-word';
+          wordElement.dataset.start = String(word.start);
+          wordElement.textContent = word.text;
+          sentenceElement.appendChild(wordElement);
+          sentenceWords.push(wordElement);
+          offset = word.start + word.text.length;
+        });
+        element.appendChild(sentenceElement);
+        sentences.push(sentenceElement);
+        words.push(sentenceWords);
+      });
+
+      container.appendChild(element);
+      this.paragraphElements.push(element);
+      this.sentenceElements.push(sentences);
+      this.wordElements.push(words);
+    });
+
+    this.updateControls();
+  }
+
+  /**
+   * Show the playback state
+   * @param {Object} state - Playback state from the service worker
+   */
+  updateState(state) {
+    this.state = state;
+    const { status } = this.elements;
+    status.className = 'playback-status' + (state.status === PlaybackStatus.ERROR ? ' error' : '');
+    status.textContent = {
+      [PlaybackStatus.LOADING]: 'Loading...',
+      [PlaybackStatus.PLAYING]: 'Reading',
+      [PlaybackStatus.PAUSED]: 'Paused',
+      [PlaybackStatus.ERROR]: state.error || 'Something went wrong'
+    }[state.status] || '';
+
+    if (state.status === PlaybackStatus.IDLE) {
+      this.setCurrent('word', null);
+      this.setCurrent('sentence', null);
+      this.setCurrent('paragraph', null);
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Enable the controls that apply to the current transcript and state
+   */
+  updateControls() {
+    const status = this.state?.status || PlaybackStatus.IDLE;
+    const { playPauseBtn, stopBtn } = this.elements;
+    playPauseBtn.textContent = status === PlaybackStatus.PLAYING ? 'Pause' : 'Play';
+    playPauseBtn.disabled = !this.transcript || status === PlaybackStatus.LOADING;
+    stopBtn.disabled = !this.transcript || status === PlaybackStatus.IDLE;
+  }
+
+  /**
+   * Pause, resume, or start reading the page
+   */
+  async togglePlayPause() {
+    const status = this.state?.status || PlaybackStatus.IDLE;
+    if (status === PlaybackStatus.PLAYING) {
+      await this.sendMessage(MessageType.PAUSE);
+    } else if (status === PlaybackStatus.PAUSED) {
+      await this.sendMessage(MessageType.PLAY);
+    } else {
+      await this.seek(this.state?.currentParagraphIndex || 0, 0);
+    }
+  }
+
+  /**
+   * Read the page from a character of a paragraph
+   * @param {number} paragraphIndex - Paragraph index
+   * @param {number} charOffset - Offset in the paragraph text
+   */
+  async seek(paragraphIndex, charOffset) {
+    const paragraph = this.transcript?.paragraphs[paragraphIndex];
+    if (!paragraph) {
+      return;
+    }
+    await this.sendMessage(MessageType.SEEK, {
+      paragraphIndex,
+      charOffset,
+      text: paragraph.text,
+      block: paragraph.block,
+      tabId: this.transcript.tabId,
+      pageUrl: this.transcript.url
+    });
+  }
+
+  /**
+   * Highlight the sentence and word being spoken
+   * Spoken text can differ from the transcript, so alignment characters are
+   * matched to transcript words the same way the page highlights them. The
+   * alignment may span several paragraphs from the one it starts at.
+   * @param {Object} message - HIGHLIGHT_UPDATE message
+   */
+  highlight(message) {
+    const { paragraphIndex, alignment, currentTime, currentParagraphIndex = paragraphIndex } = message;
+    const paragraphElement = this.paragraphElements[currentParagraphIndex];
+    if (!paragraphElement) {
+      return;
+    }
+    if (this.current.paragraph !== paragraphElement) {
+      this.setCurrent('word', null);
+      this.setCurrent('sentence', null);
+      this.setCurrent('paragraph', paragraphElement);
+      paragraphElement.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    const position = this.findPosition(alignment, currentTime, paragraphIndex);
+    if (!position) {
+      return;
+    }
+    const sentenceElement = this.sentenceElements[position.paragraphIndex]?.[position.sentenceIndex];
+    if (sentenceElement && this.current.sentence !== sentenceElement) {
+      this.setCurrent('sentence', sentenceElement);
+      sentenceElement.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+    this.setCurrent('word', this.wordElements[position.paragraphIndex]?.[position.sentenceIndex]?.[position.wordIndex] || null);
+  }
+
+  /**
+   * Find the word being spoken at a time
+   * The char-to-word index is built once per alignment and reused until the
+   * alignment changes (a new paragraph, or more characters while streaming)
+   * @param {Object|null} alignment - Alignment of the paragraph text
+   * @param {number} currentTime - Audio time in seconds
+   * @param {number} paragraphIndex - Paragraph the alignment starts at
+   * @returns {{paragraphIndex: number, sentenceIndex: number, wordIndex: number}|null}
+   */
+  findPosition(alignment, currentTime, paragraphIndex) {
+    if (!alignment || !alignment.characters) {
+      return null;
+    }
+    const charIndex = findCharIndexAtTime(alignment, currentTime);
+    if (charIndex < 0) {
+      return null;
+    }
+
+    const key = `${paragraphIndex}:${alignment.characters.join('')}`;
+    if (this.alignmentIndexKey !== key) {
+      this.alignmentIndex = reconcileAlignment(alignment.characters, this.transcript.paragraphs, paragraphIndex);
+      this.alignmentIndexKey = key;
+    }
+
+    const wordSlot = this.alignmentIndex.charToWord[charIndex];
+    return wordSlot >= 0 ? this.alignmentIndex.words[wordSlot] : null;
+  }
+
+  /**
+   * Mark a paragraph, sentence or word as the one being read
+   * @param {'paragraph'|'sentence'|'word'} kind - What is being marked
+   * @param {HTMLElement|null} element - Element to mark, or null for none
+   */
+  setCurrent(kind, element) {
+    this.current[kind]?.classList.remove('current');
+    this.current[kind] = element;
+    element?.classList.add('current');
+  }
+}
+
+// Initialize side panel when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const controller = new SidePanelController();
+  controller.init();
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for article parser module
+ *
+ * Feature: background-reading
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+import { parseArticleHtml } from '../../src/background/article-parser.js';
+import { getActiveSiteRule } from '../../src/content/text-parser.js';
+
+/**
+ * Article page with a cookie banner and comments around the story
+ */
+const ARTICLE_HTML = `<!DOCTYPE html><html lang="en-GB"><head>
+  <title>Page title | Example News</title>
+  <meta property="og:title" content="Rivers are getting warmer">
+</head><body>
+  <div class="cookie-banner"><p>We use cookies to improve your experience on this site, accept them all.</p></div>
+  <article>
+    <h2>What the data shows</h2>
+    <p>Researchers measured river temperatures at two hundred sites over thirty years of records.</p>
+    <p>Most rivers warmed faster than the air around them, especially in the summer months.</p>
+  </article>
+  <section class="comments"><p>Great article, thanks for sharing this with everyone here today!</p></section>
+</body></html>`;
+
+describe('Article Parser Module - Unit Tests', () => {
+
+  beforeAll(() => {
+    global.DOMParser = new JSDOM('').window.DOMParser;
+  });
+
+  afterAll(() => {
+    delete global.DOMParser;
+  });
+
+  it('should read the article the way the content script would', () => {
+    const article = parseArticleHtml(ARTICLE_HTML, 'https://news.example.com/rivers');
+
+    expect(article.title).toBe('Rivers are getting warmer');
+    expect(article.language).toBe('en-GB');
+    expect(article.paragraphs.map(({ text, block }) => ({ text, block }))).toEqual([
+      { text: 'What the data shows', block: { type: 'heading', level: 2 } },
+      { text: 'Researchers measured river temperatures at two hundred sites over thirty years of records.', block: { type: 'paragraph' } },
+      { text: 'Most rivers warmed faster than the air around them, especially in the summer months.', block: { type: 'paragraph' } }
+    ]);
+  });
+
+  it('should give each word its offset in the paragraph text, for the transcript', () => {
+    const article = parseArticleHtml(ARTICLE_HTML, 'https://news.example.com/rivers');
+    const [heading] = article.paragraphs;
+
+    expect(heading.sentences).toEqual([{
+      words: [
+        { text: 'What', start: 0 },
+        { text: 'the', start: 5 },
+        { text: 'data', start: 9 },
+        { text: 'shows', start: 14 }
+      ]
+    }]);
+  });
+
+  it('should apply the site rules matching the page URL', () => {
+    const siteRules = [{ id: 'rule-1', pattern: 'news.example.com', enabled: true, include: [], exclude: [], skip: ['^Most rivers'], replacements: [] }];
+
+    const matching = parseArticleHtml(ARTICLE_HTML, 'https://news.example.com/rivers', { siteRules });
+    const other = parseArticleHtml(ARTICLE_HTML, 'https://other.example.org/rivers', { siteRules });
+
+    expect(matching.paragraphs).toHaveLength(2);
+    expect(other.paragraphs).toHaveLength(3);
+    expect(getActiveSiteRule()).toBeNull();
+  });
+
+  it('should read every paragraph with the selector strategy', () => {
+    const article = parseArticleHtml(ARTICLE_HTML, 'https://news.example.com/rivers', { contentStrategy: 'selectors' });
+
+    expect(article.paragraphs.map(paragraph => paragraph.text)).toEqual([
+      'Researchers measured river temperatures at two hundred sites over thirty years of records.',
+      'Most rivers warmed faster than the air around them, especially in the summer months.',
+      'We use cookies to improve your experience on this site, accept them all.'
+    ]);
+  });
+
+  it('should fall back to the page title and find nothing in empty pages', () => {
+    const article = parseArticleHtml('<html><head><title> Empty </title></head><body></body></html>', 'https://example.com/');
+
+    expect(article).toEqual({ title: 'Empty', language: null, paragraphs: [] });
+  });
+});
@@ -4,7 +4,7 @@
  * Feature: elevenlabs-reader
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 
 // Mock Chrome APIs
@@ -38,6 +38,9 @@ const chromeMock = {
     onMessage: {
       addListener: vi.fn()
     },
+    onInstalled: {
+      addListener: vi.fn()
+    },
     sendMessage: vi.fn((message) => {
       broadcastedMessages.push({ target: 'popup', ...message });
       return Promise.resolve();
@@ -46,6 +49,7 @@ const chromeMock = {
   },
   tabs: {
     query: vi.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]),
+    detectLanguage: vi.fn().mockResolvedValue('en'),
     sendMessage: vi.fn((tabId, message) => {
       broadcastedMessages.push({ target: `tab-${tabId}`, ...message });
       tabMessages.push({ tabId, message });
@@ -69,8 +73,33 @@ const chromeMock = {
       addListener: vi.fn()
     }
   },
+  permissions: {
+    contains: vi.fn().mockResolvedValue(true),
+    request: vi.fn().mockResolvedValue(true)
+  },
+  i18n: {
+    detectLanguage: vi.fn().mockResolvedValue({ isReliable: true, languages: [{ language: 'en', percentage: 100 }] })
+  },
   offscreen: {
     createDocument: vi.fn().mockResolvedValue(undefined)
+  },
+  downloads: {
+    download: vi.fn().mockResolvedValue(1),
+    onChanged: {
+      addListener: vi.fn()
+    }
+  },
+  contextMenus: {
+    create: vi.fn(),
+    removeAll: vi.fn((callback) => callback?.()),
+    onClicked: {
+      addListener: vi.fn()
+    }
+  },
+  commands: {
+    onCommand: {
+      addListener: vi.fn()
+    }
   }
 };
 
@@ -81,6 +110,19 @@ globalThis.chrome = chromeMock;
 // Import service worker module after setting up mock
 const serviceWorkerModule = await import('../../src/background/service-worker.js');
 
+/**
+ * Wait until the preload requests in flight are done, including any they start
+ * @returns {Promise<void>}
+ */
+async function preloadsSettled() {
+  const pendingRequests = () => serviceWorkerModule.getPreloadState().entries
+    .map(entry => entry.pendingRequest)
+    .filter(Boolean);
+  for (let pending = pendingRequests(); pending.length > 0; pending = pendingRequests()) {
+    await Promise.all(pending);
+  }
+}
+
 describe('Service Worker Module - Property Tests', () => {
   beforeEach(() => {
     mockStorage.clear();
@@ -765,7 +807,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify preload state was not set
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -808,7 +850,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify preload state was not set
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -903,7 +945,7 @@ describe('Service Worker Module - Property Tests', () => {
             // The key property: when preloaded audio is available for nextIndex,
             // handleAudioEnded should use it immediately without additional API calls
             // This is verified by the implementation using playPreloadedAudio
-            // when preloadState.paragraphIndex === nextIndex && preloadState.audioData exists
+            // when the first preloaded entry is at nextIndex and its audioData exists
           }
         ),
         { numRuns: 100 }
@@ -953,10 +995,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify preload state is cleared
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
-            expect(preloadState.audioData).toBeNull();
-            expect(preloadState.alignmentData).toBeNull();
-            expect(preloadState.pendingRequest).toBeNull();
+            expect(preloadState.entries).toEqual([]);
             
             // The property: after playPreloadedAudio completes,
             // preload state should be cleared to prepare for next preload
@@ -1007,7 +1046,7 @@ describe('Service Worker Module - Property Tests', () => {
             expect(currentParagraphIndex < totalParagraphs - 1).toBe(true);
             
             // The key property: when handleAudioEnded is called and
-            // preloadState.paragraphIndex === nextIndex && preloadState.pendingRequest exists,
+            // the first preloaded entry is at nextIndex and its pendingRequest exists,
             // the service worker should:
             // 1. Set status to LOADING
             // 2. Await the pending request
@@ -1459,10 +1498,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify preload state is cleared
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
-            expect(preloadState.audioData).toBeNull();
-            expect(preloadState.alignmentData).toBeNull();
-            expect(preloadState.pendingRequest).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -1496,8 +1532,7 @@ describe('Service Worker Module - Property Tests', () => {
             await serviceWorkerModule.initiatePreload(currentParagraphIndex);
             
             // Get preload state before enabling (should have data)
-            const preloadStateBefore = serviceWorkerModule.getPreloadState();
-            const hadPreload = preloadStateBefore.paragraphIndex !== null;
+            const preloadedBefore = serviceWorkerModule.getPreloadState().entries.map(entry => entry.paragraphIndex);
             
             // Enable auto-continue (should NOT clear preload)
             const result = await serviceWorkerModule.handleSetAutoContinue({ autoContinue: true });
@@ -1505,10 +1540,7 @@ describe('Service Worker Module - Property Tests', () => {
             expect(result.success).toBe(true);
             
             // Preload state should remain unchanged when enabling
-            const preloadStateAfter = serviceWorkerModule.getPreloadState();
-            if (hadPreload) {
-              expect(preloadStateAfter.paragraphIndex).toBe(preloadStateBefore.paragraphIndex);
-            }
+            expect(serviceWorkerModule.getPreloadState().entries.map(entry => entry.paragraphIndex)).toEqual(preloadedBefore);
           }
         ),
         { numRuns: 100 }
@@ -1543,10 +1575,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify preload state is cleared
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
-            expect(preloadState.audioData).toBeNull();
-            expect(preloadState.alignmentData).toBeNull();
-            expect(preloadState.pendingRequest).toBeNull();
+            expect(preloadState.entries).toEqual([]);
             
             // Verify playback state is idle
             const playbackState = serviceWorkerModule.getPlaybackState();
@@ -1602,9 +1631,7 @@ describe('Service Worker Module - Property Tests', () => {
             // Verify preload state is cleared after jump
             // (handleJumpToParagraph calls clearPreloadState before handleStop)
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
-            expect(preloadState.audioData).toBeNull();
-            expect(preloadState.alignmentData).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -1647,7 +1674,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Preload state should be cleared since we skipped past it
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -1690,7 +1717,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Preload state should be cleared since we jumped backward
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
+            expect(preloadState.entries).toEqual([]);
           }
         ),
         { numRuns: 100 }
@@ -1735,8 +1762,7 @@ describe('Service Worker Module - Property Tests', () => {
             // Simulate preload failure by not having any preloaded audio
             // (preloadState is already cleared)
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.paragraphIndex).toBeNull();
-            expect(preloadState.audioData).toBeNull();
+            expect(preloadState.entries).toEqual([]);
             
             // When handleAudioEnded is called with no preloaded audio,
             // it should fall back to requestNextParagraph (on-demand loading)
@@ -1785,7 +1811,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Verify no preload is available
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.audioData).toBeNull();
+            expect(preloadState.entries.some(entry => entry.audioData)).toBe(false);
             
             // Call handleAudioEnded - should fall back to on-demand
             await serviceWorkerModule.handleAudioEnded();
@@ -1832,7 +1858,7 @@ describe('Service Worker Module - Property Tests', () => {
             
             // Preload state should be cleared after failure
             const preloadState = serviceWorkerModule.getPreloadState();
-            expect(preloadState.audioData).toBeNull();
+            expect(preloadState.entries.some(entry => entry.audioData)).toBe(false);
             
             // The system should still be in a valid state
             const playbackState = serviceWorkerModule.getPlaybackState();
@@ -2090,8 +2116,7 @@ describe('Paragraph Skip Controls - Unit Tests for Edge Cases', () => {
       
       // Verify preload state is cleared
       const preloadState = serviceWorkerModule.getPreloadState();
-      expect(preloadState.paragraphIndex).toBeNull();
-      expect(preloadState.audioData).toBeNull();
+      expect(preloadState.entries).toEqual([]);
     });
   });
 
@@ -2245,3 +2270,2102 @@ describe('Paragraph Skip Controls - Unit Tests for Edge Cases', () => {
     });
   });
 });
+
+/**
+ * Unit tests for model selection
+ *
+ * Feature: model-selection
+ */
+describe('Model Selection - Unit Tests', () => {
+  beforeEach(() => {
+    mockStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should persist the selected model and use it for synthesis', async () => {
+    const response = await serviceWorkerModule.handleSetModel({ modelId: ' eleven_multilingual_v2 ' });
+
+    expect(response.success).toBe(true);
+    expect(mockStorage.get('selectedModelId')).toBe('eleven_multilingual_v2');
+    expect(await serviceWorkerModule.getSpeechOptions()).toEqual({ modelId: 'eleven_multilingual_v2' });
+  });
+
+  it('should fall back to the default model when none is selected', async () => {
+    const { modelId } = await serviceWorkerModule.getSpeechOptions();
+    expect(modelId).toBe('eleven_monolingual_v1');
+  });
+
+  it('should fall back to a multilingual model for a page that is not in English', async () => {
+    chromeMock.tabs.detectLanguage.mockResolvedValueOnce('de');
+
+    const { modelId } = await serviceWorkerModule.getSpeechOptions(undefined, 1);
+
+    expect(chromeMock.tabs.detectLanguage).toHaveBeenCalledWith(1);
+    expect(modelId).toBe('eleven_multilingual_v2');
+  });
+
+  it('should keep the selected model whatever the page language', async () => {
+    mockStorage.set('selectedModelId', 'eleven_turbo_v2');
+    chromeMock.tabs.detectLanguage.mockResolvedValue('de');
+
+    try {
+      const { modelId } = await serviceWorkerModule.getSpeechOptions(undefined, 1);
+      expect(modelId).toBe('eleven_turbo_v2');
+    } finally {
+      chromeMock.tabs.detectLanguage.mockResolvedValue('en');
+    }
+  });
+
+  it('should reject empty model IDs', async () => {
+    const response = await serviceWorkerModule.handleSetModel({ modelId: '  ' });
+
+    expect(response.success).toBe(false);
+    expect(mockStorage.has('selectedModelId')).toBe(false);
+  });
+
+  it('should return only models that can read the page language', async () => {
+    mockStorage.set('apiKey', 'test-key');
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify([
+        { model_id: 'eleven_monolingual_v1', can_do_text_to_speech: true, languages: [{ language_id: 'en' }] },
+        { model_id: 'eleven_multilingual_v2', can_do_text_to_speech: true, languages: [{ language_id: 'en' }, { language_id: 'de' }] },
+        { model_id: 'eleven_english_sts_v2', can_do_text_to_speech: false, languages: [{ language_id: 'de' }] }
+      ]))
+    });
+
+    try {
+      const response = await serviceWorkerModule.handleGetModels({ language: 'de-DE' });
+
+      expect(response.success).toBe(true);
+      expect(response.models.map(model => model.model_id)).toEqual(['eleven_multilingual_v2']);
+      expect(response.selectedModelId).toBe('eleven_multilingual_v2');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should report a missing API key as an invalid key error', async () => {
+    const response = await serviceWorkerModule.handleGetModels({});
+
+    expect(response.success).toBe(false);
+    expect(response.errorType).toBe('INVALID_API_KEY');
+  });
+});
+
+/**
+ * Unit tests for per-voice tuning
+ *
+ * Feature: voice-tuning
+ */
+describe('Voice Tuning - Unit Tests', () => {
+  const tuning = { stability: 0.3, similarityBoost: 0.8, style: 0.1, useSpeakerBoost: false };
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    vi.clearAllMocks();
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should save settings per voice and apply them only to that voice', async () => {
+    const response = await serviceWorkerModule.handleSetVoiceSettings({ voiceId: 'voice-a', settings: tuning });
+    expect(response.success).toBe(true);
+
+    expect(await serviceWorkerModule.getSpeechOptions('voice-a'))
+      .toEqual({ modelId: 'eleven_monolingual_v1', ...tuning });
+    expect(await serviceWorkerModule.getSpeechOptions('voice-b'))
+      .toEqual({ modelId: 'eleven_monolingual_v1' });
+
+    const saved = await serviceWorkerModule.handleGetVoiceSettings({ voiceId: 'voice-a' });
+    expect(saved).toEqual({ success: true, settings: tuning, isCustom: true });
+  });
+
+  it('should reject out-of-range settings', async () => {
+    const response = await serviceWorkerModule.handleSetVoiceSettings({
+      voiceId: 'voice-a',
+      settings: { ...tuning, stability: 1.5 }
+    });
+
+    expect(response.success).toBe(false);
+    expect(mockStorage.has('voiceSettings')).toBe(false);
+  });
+
+  it('should restore voice defaults when settings are cleared', async () => {
+    await serviceWorkerModule.handleSetVoiceSettings({ voiceId: 'voice-a', settings: tuning });
+    await serviceWorkerModule.handleSetVoiceSettings({ voiceId: 'voice-a', settings: null });
+
+    expect(mockStorage.get('voiceSettings')).toEqual({});
+  });
+
+  it('should play previews without highlighting or auto-continue', async () => {
+    mockStorage.set('apiKey', 'test-key');
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({ audio_base64: btoa('audio'), alignment: null }))
+    });
+
+    try {
+      const response = await serviceWorkerModule.handlePreviewVoice({ voiceId: 'voice-a', settings: tuning });
+      expect(response.success).toBe(true);
+
+      const body = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+      expect(body.voice_settings).toEqual({ stability: 0.3, similarity_boost: 0.8, style: 0.1, use_speaker_boost: false });
+      expect(broadcastedMessages.some(m => m.target === 'offscreen' && m.type === 'play')).toBe(true);
+
+      await serviceWorkerModule.updatePlaybackState({ totalParagraphs: 5, autoContinue: true });
+      tabMessages = [];
+      await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 1 });
+      await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'ended' });
+
+      expect(tabMessages).toEqual([]);
+      expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
+
+/**
+ * Unit tests for the usage meter and spending guard
+ *
+ * Feature: usage-meter
+ */
+describe('Usage Meter and Spending Guard - Unit Tests', () => {
+  const mockTabId = 7;
+  const defaultTabMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+
+  /**
+   * Make the content script report a remaining page length
+   * @param {number} length - Remaining characters
+   */
+  function mockRemainingTextLength(length) {
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getRemainingTextLength') {
+        tabMessages.push({ tabId, message });
+        return Promise.resolve({ success: true, length });
+      }
+      return defaultTabMessage(tabId, message);
+    });
+  }
+
+  /**
+   * Get the paragraph indices requested from the content script
+   * @returns {number[]}
+   */
+  function requestedParagraphs() {
+    return tabMessages
+      .filter(m => m.message.type === 'getNextParagraph')
+      .map(m => m.message.paragraphIndex);
+  }
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    vi.clearAllMocks();
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 5 });
+    await serviceWorkerModule.updatePlaybackState({ status: 'playing', currentParagraphIndex: 0, autoContinue: true });
+    serviceWorkerModule.setAudioContextTabId(mockTabId);
+    tabMessages = [];
+  });
+
+  afterEach(() => {
+    chromeMock.tabs.sendMessage.mockImplementation(defaultTabMessage);
+  });
+
+  it('should preload normally when the rest of the page is under the threshold', async () => {
+    mockRemainingTextLength(500);
+
+    await serviceWorkerModule.initiatePreload(0);
+
+    expect(requestedParagraphs()).toEqual([1]);
+    expect(serviceWorkerModule.getPlaybackState().spendingConfirmation).toBeNull();
+  });
+
+  it('should hold auto-continue until a long page is confirmed', async () => {
+    mockRemainingTextLength(50000);
+
+    await serviceWorkerModule.initiatePreload(0);
+
+    expect(requestedParagraphs()).toEqual([]);
+    expect(serviceWorkerModule.getPlaybackState().spendingConfirmation)
+      .toEqual({ remainingCharacters: 50000, threshold: 10000 });
+
+    // The current paragraph finishes while the prompt is open
+    await serviceWorkerModule.handleAudioEnded();
+    expect(requestedParagraphs()).toEqual([]);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(0);
+
+    const response = await serviceWorkerModule.handleConfirmSpending({ confirmed: true });
+    expect(response.success).toBe(true);
+    expect(requestedParagraphs()).toEqual([1]);
+    expect(serviceWorkerModule.getPlaybackState().spendingConfirmation).toBeNull();
+  });
+
+  it('should stop after the current paragraph when declined', async () => {
+    mockRemainingTextLength(50000);
+
+    await serviceWorkerModule.initiatePreload(0);
+    await serviceWorkerModule.handleConfirmSpending({ confirmed: false });
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(requestedParagraphs()).toEqual([]);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should keep the page length and the answer when another tab reports its paragraphs', async () => {
+    mockRemainingTextLength(50000);
+
+    await serviceWorkerModule.initiatePreload(0);
+    await serviceWorkerModule.handleConfirmSpending({ confirmed: false });
+
+    // Another page loads while this one is read
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 40, tabId: mockTabId + 1 });
+    expect(serviceWorkerModule.getPlaybackState().totalParagraphs).toBe(5);
+
+    await serviceWorkerModule.handleAudioEnded();
+    expect(requestedParagraphs()).toEqual([]);
+    expect(serviceWorkerModule.getPlaybackState().spendingConfirmation).toBeNull();
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should respect a custom threshold and the disabled setting', async () => {
+    mockRemainingTextLength(50000);
+    mockStorage.set('spendingGuardThreshold', 100000);
+    expect(await serviceWorkerModule.checkSpendingGuard(0)).toBe(true);
+
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 5 });
+    mockStorage.set('spendingGuardThreshold', 1000);
+    mockStorage.set('spendingGuardEnabled', false);
+    expect(await serviceWorkerModule.checkSpendingGuard(0)).toBe(true);
+  });
+
+  it('should record characters per domain and report them without an API key', async () => {
+    await serviceWorkerModule.recordCharacterUsage(120, 'example.com');
+    await serviceWorkerModule.recordCharacterUsage(30, 'example.com');
+
+    const response = await serviceWorkerModule.handleGetUsage();
+
+    expect(response.success).toBe(true);
+    expect(response.subscription).toBeNull();
+    expect(response.usage.today).toBe(150);
+    expect(response.usage.todayByDomain).toEqual([{ domain: 'example.com', characters: 150 }]);
+  });
+});
+
+/**
+ * Unit tests for MP3 audiobook export
+ *
+ * Feature: audio-export
+ */
+describe('Audio Export - Unit Tests', () => {
+  const mockTabId = 9;
+  const defaultTabMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+  const defaultRuntimeMessage = chromeMock.runtime.sendMessage.getMockImplementation();
+  let originalFetch;
+
+  /**
+   * Base64 of one MPEG-1 Layer III frame (128 kbps, 44.1 kHz)
+   */
+  const frame = new Uint8Array(417);
+  frame.set([0xFF, 0xFB, 0x90, 0x00]);
+  const frameBase64 = btoa(String.fromCharCode(...frame));
+
+  /**
+   * Get the export progress updates sent to the tab
+   * @returns {Array<Object>}
+   */
+  function exportProgress() {
+    return tabMessages
+      .filter(m => m.message.type === 'exportProgress')
+      .map(m => m.message.progress);
+  }
+
+  /**
+   * Get the file handed to the offscreen document to download
+   * @returns {{mimeType: string, data: string}} MIME type and decoded contents
+   */
+  function downloadedFile() {
+    const message = broadcastedMessages.find(m => m.type === 'createDownloadUrl');
+    return { mimeType: message.mimeType, data: atob(message.dataBase64) };
+  }
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    vi.clearAllMocks();
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getExportContent') {
+        return Promise.resolve({
+          success: true,
+          title: 'My Article: Part 1',
+          paragraphs: [
+            { text: 'Opening words.', sentences: ['Opening words.'], heading: null },
+            { text: 'First section. More.', sentences: ['First section.', 'More.'], heading: 'Setup' },
+            { text: 'Second section.', sentences: ['Second section.'], heading: 'Usage' }
+          ]
+        });
+      }
+      return defaultTabMessage(tabId, message);
+    });
+
+    chromeMock.runtime.sendMessage.mockImplementation((message) => {
+      defaultRuntimeMessage(message);
+      if (message.type === 'createDownloadUrl') {
+        return Promise.resolve({ url: 'blob:chrome-extension://test/export' });
+      }
+      return Promise.resolve();
+    });
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({ audio_base64: frameBase64, alignment: null }))
+    });
+  });
+
+  afterEach(() => {
+    chromeMock.tabs.sendMessage.mockImplementation(defaultTabMessage);
+    chromeMock.runtime.sendMessage.mockImplementation(defaultRuntimeMessage);
+    globalThis.fetch = originalFetch;
+  });
+
+  it('should synthesize every paragraph and download one chaptered MP3', async () => {
+    const response = await serviceWorkerModule.handleStartExport({ tabId: mockTabId, pageUrl: 'https://example.com/a' });
+    expect(response.success).toBe(true);
+
+    await serviceWorkerModule.getExportJob().promise;
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+    expect(chromeMock.downloads.download).toHaveBeenCalledTimes(1);
+
+    const { url, filename } = chromeMock.downloads.download.mock.calls[0][0];
+    expect(filename).toBe('My Article Part 1.mp3');
+    expect(url).toBe('blob:chrome-extension://test/export');
+
+    const file = downloadedFile();
+    expect(file.mimeType).toBe('audio/mpeg');
+    expect(file.data.startsWith('ID3')).toBe(true);
+
+    const progress = exportProgress();
+    expect(progress.map(p => p.completed).slice(1, 4)).toEqual([1, 2, 3]);
+    expect(progress[progress.length - 1]).toEqual({ status: 'done', completed: 3, total: 3 });
+    expect(serviceWorkerModule.getExportJob().controller).toBeNull();
+  });
+
+  it('should stop synthesizing and skip the download when cancelled', async () => {
+    globalThis.fetch.mockImplementationOnce(async () => {
+      serviceWorkerModule.handleCancelExport();
+      return {
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({ audio_base64: frameBase64, alignment: null }))
+      };
+    });
+
+    await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    await serviceWorkerModule.getExportJob().promise;
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(chromeMock.downloads.download).not.toHaveBeenCalled();
+    expect(exportProgress().pop()).toEqual({ status: 'cancelled' });
+  });
+
+  it('should run one export at a time and require an API key', async () => {
+    await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    const second = await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    expect(second.success).toBe(false);
+    await serviceWorkerModule.getExportJob().promise;
+
+    mockStorage.delete('apiKey');
+    const response = await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    expect(response).toMatchObject({ success: false, errorType: 'INVALID_API_KEY' });
+  });
+
+  it('should export WebVTT subtitles timed to the exported audio', async () => {
+    const response = await serviceWorkerModule.handleStartExport({ tabId: mockTabId, format: 'vtt' });
+    expect(response.success).toBe(true);
+    await serviceWorkerModule.getExportJob().promise;
+
+    const { filename } = chromeMock.downloads.download.mock.calls[0][0];
+    expect(filename).toBe('My Article Part 1.vtt');
+
+    const { mimeType, data: vtt } = downloadedFile();
+    expect(mimeType).toBe('text/vtt');
+    const cues = vtt.split('\n\n').slice(1);
+    expect(vtt.startsWith('WEBVTT')).toBe(true);
+    expect(cues.map(cue => cue.trim().split('\n')[1])).toEqual(['Opening words.', 'First section.', 'More.', 'Second section.']);
+    // Each paragraph is one 128 kbps frame (~26 ms), so the last cue ends at ~78 ms
+    expect(cues[3]).toContain('--> 00:00:00.078');
+  });
+
+  it('should leave out paragraphs with nothing to say and keep the subtitles aligned', async () => {
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getExportContent') {
+        return Promise.resolve({
+          success: true,
+          title: 'Gaps',
+          paragraphs: [
+            { text: 'Opening words.', sentences: ['Opening words.'], heading: null },
+            { text: '   ', sentences: [], heading: 'Setup' },
+            { text: 'Second section.', sentences: ['Second section.'], heading: 'Usage' }
+          ]
+        });
+      }
+      return defaultTabMessage(tabId, message);
+    });
+
+    await serviceWorkerModule.handleStartExport({ tabId: mockTabId, format: 'vtt' });
+    await serviceWorkerModule.getExportJob().promise;
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    const cues = downloadedFile().data.split('\n\n').slice(1);
+    expect(cues.map(cue => cue.trim().split('\n')[1])).toEqual(['Opening words.', 'Second section.']);
+    expect(exportProgress().pop()).toEqual({ status: 'done', completed: 3, total: 3 });
+  });
+
+  it('should ask before exporting a page over the spending guard threshold', async () => {
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getRemainingTextLength') {
+        return Promise.resolve({ success: true, length: 25000 });
+      }
+      if (message.type === 'getExportContent') {
+        return Promise.resolve({
+          success: true,
+          title: 'Long',
+          paragraphs: [{ text: 'Opening words.', sentences: ['Opening words.'], heading: null }]
+        });
+      }
+      return defaultTabMessage(tabId, message);
+    });
+
+    const response = await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    expect(response).toMatchObject({
+      success: false,
+      spendingConfirmation: { remainingCharacters: 25000, threshold: 10000 }
+    });
+    expect(serviceWorkerModule.getExportJob().controller).toBeNull();
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+
+    const confirmed = await serviceWorkerModule.handleStartExport({ tabId: mockTabId, confirmed: true });
+    expect(confirmed.success).toBe(true);
+    await serviceWorkerModule.getExportJob().promise;
+    expect(chromeMock.downloads.download).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the exported file once its download ends', async () => {
+    await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    await serviceWorkerModule.getExportJob().promise;
+
+    serviceWorkerModule.handleDownloadChanged({ id: 1, state: { current: 'in_progress' } });
+    expect(broadcastedMessages.some(m => m.type === 'revokeDownloadUrl')).toBe(false);
+
+    serviceWorkerModule.handleDownloadChanged({ id: 1, state: { current: 'complete' } });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({
+      target: 'offscreen',
+      type: 'revokeDownloadUrl',
+      url: 'blob:chrome-extension://test/export'
+    }));
+  });
+
+  it('should reject unknown export formats', async () => {
+    const response = await serviceWorkerModule.handleStartExport({ tabId: mockTabId, format: 'wav' });
+    expect(response.success).toBe(false);
+  });
+
+  it('should report API failures to the page', async () => {
+    globalThis.fetch.mockResolvedValue({
+      ok: false,
+      status: 401,
+      text: () => Promise.resolve(JSON.stringify({ detail: { message: 'Invalid API key' } }))
+    });
+
+    await serviceWorkerModule.handleStartExport({ tabId: mockTabId });
+    await serviceWorkerModule.getExportJob().promise;
+
+    expect(exportProgress().pop()).toMatchObject({ status: 'error', errorType: 'INVALID_API_KEY' });
+    expect(chromeMock.downloads.download).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Unit tests for reading the selection
+ *
+ * Feature: read-selection
+ */
+describe('Read Selection - Unit Tests', () => {
+  const mockTabId = 11;
+  const defaultTabMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({ audio_base64: btoa('audio'), alignment: null }))
+    });
+  });
+
+  afterEach(async () => {
+    chromeMock.tabs.sendMessage.mockImplementation(defaultTabMessage);
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should read the selection without preloading or continuing to the next paragraph', async () => {
+    await serviceWorkerModule.updatePlaybackState({ totalParagraphs: 5, autoContinue: true });
+
+    const response = await serviceWorkerModule.handlePlaySelection({ tabId: mockTabId, text: 'Selected words.' });
+    expect(response.success).toBe(true);
+    expect(serviceWorkerModule.getPlaybackState().readingSelection).toBe(true);
+    expect(tabMessages.some(m => m.message.type === 'getNextParagraph')).toBe(false);
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 0.5 });
+    const highlight = tabMessages.find(m => m.message.type === 'highlightUpdate');
+    expect(highlight.message.selection).toBe(true);
+
+    tabMessages = [];
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'ended' });
+
+    expect(tabMessages.some(m => m.message.type === 'getNextParagraph')).toBe(false);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'idle', readingSelection: false });
+  });
+
+  it('should leave the page paragraph alone while reading a selection and after it ends', async () => {
+    mockStorage.set('batchingEnabled', false);
+    await serviceWorkerModule.updatePlaybackState({ totalParagraphs: 5, autoContinue: false });
+    await serviceWorkerModule.handlePlay({ tabId: mockTabId, text: 'Page paragraph.', paragraphIndex: 3 });
+    await serviceWorkerModule.handlePause();
+
+    await serviceWorkerModule.handlePlaySelection({ tabId: mockTabId, text: 'Selected words.' });
+    expect(serviceWorkerModule.getPlaybackState())
+      .toMatchObject({ readingSelection: true, currentParagraphIndex: 3, totalParagraphs: 5 });
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'ended' });
+    expect(serviceWorkerModule.getPlaybackState())
+      .toMatchObject({ status: 'idle', readingSelection: false, currentParagraphIndex: 3, totalParagraphs: 5 });
+
+    await serviceWorkerModule.handlePlaySelection({ tabId: mockTabId, text: 'More selected words.' });
+    await serviceWorkerModule.handleStop();
+    expect(serviceWorkerModule.getPlaybackState())
+      .toMatchObject({ status: 'idle', readingSelection: false, currentParagraphIndex: 3, totalParagraphs: 5 });
+  });
+
+  it('should not skip between page paragraphs while reading a selection', async () => {
+    await serviceWorkerModule.updatePlaybackState({ totalParagraphs: 5 });
+    await serviceWorkerModule.handlePlaySelection({ tabId: mockTabId, text: 'Selected words.' });
+
+    expect((await serviceWorkerModule.handleSkipNext()).success).toBe(false);
+    expect((await serviceWorkerModule.handleSkipPrevious()).success).toBe(false);
+  });
+
+  it('should fall back to the browser selection text when the page does not answer', async () => {
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'readSelection') {
+        return Promise.reject(new Error('Could not establish connection'));
+      }
+      return defaultTabMessage(tabId, message);
+    });
+
+    const response = await serviceWorkerModule.readSelectionInTab(mockTabId, { selectionText: 'From the menu.' });
+
+    expect(response.success).toBe(true);
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).text).toBe('From the menu.');
+    expect(serviceWorkerModule.getPlaybackState().readingSelection).toBe(true);
+  });
+});
+
+/**
+ * Unit tests for keyboard commands
+ *
+ * Feature: keyboard-shortcuts
+ */
+describe('Keyboard Commands - Unit Tests', () => {
+  const mockTabId = 12;
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({ audio_base64: btoa('audio'), alignment: null }))
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should start reading the tab, then pause and resume with the same command', async () => {
+    await serviceWorkerModule.updatePlaybackState({ totalParagraphs: 3 });
+
+    const start = await serviceWorkerModule.handleCommand('toggle-playback', mockTabId);
+    expect(start.success).toBe(true);
+    expect(tabMessages.find(m => m.message.type === 'getNextParagraph'))
+      .toEqual({ tabId: mockTabId, message: { type: 'getNextParagraph', paragraphIndex: 0 } });
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('playing');
+
+    await serviceWorkerModule.handleCommand('toggle-playback', mockTabId);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('paused');
+
+    await serviceWorkerModule.handleCommand('toggle-playback', mockTabId);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('playing');
+
+    await serviceWorkerModule.handleCommand('stop-playback', mockTabId);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should step the speed through the player speed options', async () => {
+    await serviceWorkerModule.handleSetSpeed({ speed: 1.0 });
+
+    await serviceWorkerModule.handleCommand('speed-up');
+    expect(serviceWorkerModule.getPlaybackState().speed).toBe(1.25);
+    await serviceWorkerModule.handleCommand('speed-down');
+    await serviceWorkerModule.handleCommand('speed-down');
+    expect(serviceWorkerModule.getPlaybackState().speed).toBe(0.75);
+
+    await serviceWorkerModule.handleSetSpeed({ speed: 3.0 });
+    const response = await serviceWorkerModule.handleCommand('speed-up');
+    expect(response.success).toBe(false);
+    expect(serviceWorkerModule.getPlaybackState().speed).toBe(3.0);
+  });
+
+  it('should reject unknown commands', async () => {
+    const response = await serviceWorkerModule.handleCommand('rewind');
+    expect(response.success).toBe(false);
+  });
+});
+
+/**
+ * Unit tests for spoken structure cues
+ *
+ * Feature: structure-announcements
+ */
+describe('Structure Announcements - Unit Tests', () => {
+  const mockTabId = 13;
+  const cue = 'Item 2 of 3. ';
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+
+    const spokenText = `${cue}Milk.`;
+    const characters = spokenText.split('');
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({
+        audio_base64: btoa('audio'),
+        alignment: {
+          characters,
+          character_start_times_seconds: characters.map((_, i) => i * 0.1),
+          character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+        }
+      }))
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should announce enabled block types and highlight only the paragraph text', async () => {
+    mockStorage.set('speechCues', { listItem: true });
+
+    const response = await serviceWorkerModule.handlePlay({
+      tabId: mockTabId,
+      text: 'Milk.',
+      paragraphIndex: 0,
+      block: { type: 'listItem', ordinal: 2, total: 3 }
+    });
+    expect(response.success).toBe(true);
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).text).toBe(`${cue}Milk.`);
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 1.4 });
+    const highlight = tabMessages.find(m => m.message.type === 'highlightUpdate');
+    expect(highlight.message.alignment.characters.join('')).toBe('Milk.');
+    expect(highlight.message.alignment.character_start_times_seconds[0]).toBeCloseTo(cue.length * 0.1, 6);
+  });
+
+  it('should read the text as-is when the cue is turned off', async () => {
+    await serviceWorkerModule.handlePlay({
+      tabId: mockTabId,
+      text: 'Milk.',
+      paragraphIndex: 0,
+      block: { type: 'listItem', ordinal: 2, total: 3 }
+    });
+
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).text).toBe('Milk.');
+  });
+});
+
+/**
+ * Unit tests for the site rules element picker
+ *
+ * Feature: site-rules
+ */
+describe('Site Rules Picker - Unit Tests', () => {
+
+  beforeEach(() => {
+    tabMessages = [];
+  });
+
+  it('should start the element picker in the active tab', async () => {
+    const response = await serviceWorkerModule.handlePickElement();
+
+    expect(response.success).toBe(true);
+    expect(tabMessages).toContainEqual(expect.objectContaining({ message: { type: 'pickElement' } }));
+  });
+});
+
+/**
+ * Unit tests for the pronunciation lexicon
+ *
+ * Feature: pronunciation
+ */
+describe('Pronunciation - Unit Tests', () => {
+  const mockTabId = 14;
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    mockStorage.set('pronunciationLexicon', {
+      global: [{ find: 'SQL', replace: 'sequel' }],
+      domains: { 'example.com': [{ find: 'k8s', replace: 'kubernetes' }] }
+    });
+
+    // Align whatever text was requested, 0.1s per character
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const body = JSON.parse(request.body);
+      if (url.endsWith('/pronunciation-dictionaries/add-from-rules')) {
+        return Promise.resolve({ ok: true, text: () => Promise.resolve(JSON.stringify({ id: 'dict-1', version_id: 'v1' })) });
+      }
+      const characters = body.text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should send the spoken form and highlight the page text', async () => {
+    mockStorage.set('speechCues', { heading: true });
+
+    const response = await serviceWorkerModule.handlePlay({
+      tabId: mockTabId,
+      text: 'Run SQL on k8s.',
+      paragraphIndex: 0,
+      pageUrl: 'https://docs.example.com/guide',
+      block: { type: 'heading', level: 2 }
+    });
+    expect(response.success).toBe(true);
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).text).toBe('Heading level 2. Run sequel on kubernetes.');
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 2 });
+    const highlight = tabMessages.find(m => m.message.type === 'highlightUpdate');
+    expect(highlight.message.alignment.characters.join('')).toBe('Run SQL on k8s.');
+  });
+
+  it('should apply site lists only on their domain', async () => {
+    const spoken = await serviceWorkerModule.getSpokenText('Run SQL on k8s.', undefined, 'https://other.org/');
+
+    expect(spoken.text).toBe('Run sequel on k8s.');
+    expect(spoken.textMap.text).toBe('Run SQL on k8s.');
+  });
+
+  it('should upload global words and leave them to the dictionary', async () => {
+    const response = await serviceWorkerModule.handleUploadPronunciationDictionary();
+    expect(response).toMatchObject({ success: true, id: 'dict-1', versionId: 'v1', entries: 1 });
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).rules)
+      .toEqual([{ type: 'alias', string_to_replace: 'SQL', alias: 'sequel' }]);
+
+    await serviceWorkerModule.handlePlay({ tabId: mockTabId, text: 'Run SQL.', paragraphIndex: 0 });
+    const body = JSON.parse(globalThis.fetch.mock.calls[1][1].body);
+    expect(body.text).toBe('Run SQL.');
+    expect(body.pronunciation_dictionary_locators).toEqual([{ pronunciation_dictionary_id: 'dict-1', version_id: 'v1' }]);
+
+    await serviceWorkerModule.handleClearPronunciationDictionary();
+    expect((await serviceWorkerModule.getSpokenText('Run SQL.')).text).toBe('Run sequel.');
+  });
+});
+
+/**
+ * Unit tests for resuming the reading position across sessions
+ *
+ * Feature: resume-position
+ */
+describe('Resume Position - Unit Tests', () => {
+  const mockTabId = 15;
+  const pageUrl = 'https://example.com/article?utm_source=feed#comments';
+  const canonicalUrl = 'https://example.com/article';
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    mockStorage.set('autoContinue', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: false });
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 3 });
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const characters = JSON.parse(request.body).text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  /**
+   * Start reading a paragraph and move the audio to a time
+   */
+  async function playAt(paragraphIndex, text, currentTime) {
+    await serviceWorkerModule.handlePlay({ tabId: mockTabId, text, paragraphIndex, pageUrl });
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime });
+  }
+
+  it('should save the paragraph, sentence and audio offset when pausing', async () => {
+    await playAt(1, 'First sentence. Second sentence here.', 2.0);
+    await serviceWorkerModule.handlePause();
+
+    const position = mockStorage.get('readingPositions')[canonicalUrl];
+    expect(position).toMatchObject({ paragraphIndex: 1, sentenceIndex: 1, currentTime: 2.0 });
+    expect(position.fingerprint).toEqual(expect.any(String));
+
+    const response = await serviceWorkerModule.handleGetReadingPosition({ pageUrl: 'https://example.com/article#top' });
+    expect(response.position).toEqual(position);
+  });
+
+  it('should save the position when stopping or closing the tab', async () => {
+    await playAt(2, 'Closing words.', 0.5);
+    await serviceWorkerModule.handleStop();
+
+    expect(mockStorage.get('readingPositions')[canonicalUrl]).toMatchObject({ paragraphIndex: 2, currentTime: 0.5 });
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should not save while idle or reading a selection', async () => {
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handlePlaySelection({ tabId: mockTabId, text: 'Selected words.', pageUrl });
+    await serviceWorkerModule.handlePause();
+
+    expect(mockStorage.get('readingPositions')).toBeUndefined();
+  });
+
+  it('should resume after a paragraph that ended, and forget a finished page', async () => {
+    await playAt(1, 'Middle paragraph.', 1.0);
+    await serviceWorkerModule.handleAudioEnded();
+    expect(mockStorage.get('readingPositions')[canonicalUrl])
+      .toMatchObject({ paragraphIndex: 2, currentTime: 0, fingerprint: null });
+
+    await playAt(2, 'Last paragraph.', 1.0);
+    await serviceWorkerModule.handleAudioEnded();
+    expect(mockStorage.get('readingPositions')[canonicalUrl]).toBeUndefined();
+  });
+
+  it('should start the audio at the saved offset when resuming', async () => {
+    const response = await serviceWorkerModule.handleJumpToParagraph({
+      tabId: mockTabId,
+      text: 'Resumed paragraph.',
+      paragraphIndex: 1,
+      pageUrl,
+      startTime: 1.5
+    });
+
+    expect(response.success).toBe(true);
+    const play = broadcastedMessages.find(m => m.target === 'offscreen' && m.type === 'play');
+    expect(play.startTime).toBe(1.5);
+  });
+});
+
+/**
+ * Unit tests for the reading queue
+ *
+ * Feature: reading-queue
+ */
+describe('Reading Queue - Unit Tests', () => {
+  const readingTabId = 16;
+  const queuedTabId = 17;
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handleClearQueue();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: true });
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 2 });
+
+    chromeMock.tabs.create = vi.fn().mockResolvedValue({ id: queuedTabId });
+    chromeMock.tabs.update = vi.fn().mockResolvedValue({});
+    chromeMock.tabs.get = vi.fn().mockResolvedValue({ id: queuedTabId, url: 'https://example.com/second' });
+    chromeMock.tabs.query.mockResolvedValue([{ id: readingTabId, url: 'https://example.com/first' }]);
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({ audio_base64: btoa('audio'), alignment: null }))
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    chromeMock.tabs.query.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should add, reorder and remove pages', async () => {
+    await serviceWorkerModule.handleAddToQueue({ url: 'https://example.com/a', title: 'A' });
+    await serviceWorkerModule.handleAddToQueue({ url: 'https://example.com/b', title: 'B' });
+    let response = await serviceWorkerModule.handleAddToQueue({ url: 'https://example.com/a#comments', title: 'A again' });
+    expect(response.queue.map(item => item.title)).toEqual(['A', 'B']);
+
+    response = await serviceWorkerModule.handleMoveInQueue({ id: response.queue[1].id, index: 0 });
+    expect(response.queue.map(item => item.title)).toEqual(['B', 'A']);
+
+    response = await serviceWorkerModule.handleRemoveFromQueue({ id: response.queue[0].id });
+    expect(response.queue.map(item => item.title)).toEqual(['A']);
+    expect((await serviceWorkerModule.handleGetQueue()).queue).toEqual(response.queue);
+  });
+
+  it('should queue the active tab when no URL is given', async () => {
+    chromeMock.tabs.query.mockResolvedValueOnce([{ id: readingTabId, url: 'https://example.com/first', title: 'First' }]);
+
+    const response = await serviceWorkerModule.handleAddToQueue();
+
+    expect(response.queue).toEqual([expect.objectContaining({ url: 'https://example.com/first', title: 'First' })]);
+  });
+
+  it('should open the next page at the end of a page and read it once its paragraphs are known', async () => {
+    await serviceWorkerModule.handleAddToQueue({ url: 'https://example.com/second', title: 'Second' });
+    await serviceWorkerModule.handlePlay({ tabId: readingTabId, text: 'Last paragraph.', paragraphIndex: 1, pageUrl: 'https://example.com/first' });
+
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(chromeMock.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/second', active: true });
+    expect(serviceWorkerModule.getQueueState().pendingTabId).toBe(queuedTabId);
+    expect((await serviceWorkerModule.handleGetQueue()).queue).toEqual([]);
+
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 3, tabId: queuedTabId });
+
+    await vi.waitFor(() => {
+      expect(serviceWorkerModule.getPlaybackState().status).toBe('playing');
+    });
+    expect(tabMessages).toContainEqual({ tabId: queuedTabId, message: { type: 'getNextParagraph', paragraphIndex: 0 } });
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(0);
+    expect(serviceWorkerModule.getQueueState().pendingTabId).toBeNull();
+  });
+
+  it('should switch to a tab that already shows the queued page', async () => {
+    await serviceWorkerModule.handleAddToQueue({ url: 'https://example.com/second', title: 'Second' });
+    chromeMock.tabs.query.mockResolvedValue([{ id: queuedTabId, url: 'https://example.com/second#intro' }]);
+    chromeMock.tabs.sendMessage.mockImplementationOnce((tabId, message) => {
+      tabMessages.push({ tabId, message });
+      return Promise.resolve({ success: true, initialized: true, totalParagraphs: 4 });
+    });
+
+    const response = await serviceWorkerModule.handleStartQueue();
+
+    expect(response.success).toBe(true);
+    expect(chromeMock.tabs.create).not.toHaveBeenCalled();
+    expect(chromeMock.tabs.update).toHaveBeenCalledWith(queuedTabId, { active: true });
+    await vi.waitFor(() => {
+      expect(serviceWorkerModule.getPlaybackState().status).toBe('playing');
+    });
+    expect(serviceWorkerModule.getPlaybackState().totalParagraphs).toBe(4);
+  });
+
+  it('should stop at the end of a page when the queue is empty', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: readingTabId, text: 'Last paragraph.', paragraphIndex: 1, pageUrl: 'https://example.com/first' });
+
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(chromeMock.tabs.create).not.toHaveBeenCalled();
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+    expect((await serviceWorkerModule.handleStartQueue()).success).toBe(false);
+  });
+});
+
+/**
+ * Unit tests for reading pages in the background
+ *
+ * Feature: background-reading
+ */
+describe('Background Reading - Unit Tests', () => {
+  const articleUrl = 'https://example.com/later';
+  const missingUrl = 'https://example.com/missing';
+  const article = {
+    title: 'Read me later',
+    paragraphs: [
+      { text: 'First paragraph.', block: { type: 'paragraph' } },
+      { text: 'Second paragraph.', block: { type: 'paragraph' } },
+      { text: 'Third paragraph.', block: { type: 'paragraph' } }
+    ]
+  };
+  let originalFetch;
+  let originalSendMessage;
+  let parseRequests;
+
+  /**
+   * Bodies of the speech requests sent to the API
+   */
+  function speechRequests() {
+    return globalThis.fetch.mock.calls
+      .filter(([url]) => url !== articleUrl && url !== missingUrl)
+      .map(([, request]) => JSON.parse(request.body));
+  }
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    tabMessages = [];
+    broadcastedMessages = [];
+    parseRequests = [];
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    mockStorage.set('siteRules', [{ pattern: 'example.com' }]);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: true });
+
+    originalSendMessage = chromeMock.runtime.sendMessage.getMockImplementation();
+    chromeMock.runtime.sendMessage.mockImplementation((message) => {
+      if (message.type === 'parseArticle') {
+        parseRequests.push(message);
+        return Promise.resolve({ success: true, ...article });
+      }
+      return originalSendMessage(message);
+    });
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      if (url === articleUrl) {
+        return Promise.resolve({ ok: true, url, text: () => Promise.resolve('<html><body><p>Page</p></body></html>') });
+      }
+      if (url === missingUrl) {
+        return Promise.resolve({ ok: false, status: 404 });
+      }
+      const characters = JSON.parse(request.body).text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    chromeMock.runtime.sendMessage.mockImplementation(originalSendMessage);
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.setBackgroundArticle(null);
+  });
+
+  it('should fetch, parse and read a page without a tab', async () => {
+    const response = await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    expect(response.success).toBe(true);
+    expect(parseRequests).toEqual([expect.objectContaining({
+      target: 'offscreen',
+      url: articleUrl,
+      html: '<html><body><p>Page</p></body></html>',
+      siteRules: [{ pattern: 'example.com' }]
+    })]);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 0, totalParagraphs: 3 });
+    expect((await serviceWorkerModule.handleGetTranscript()).transcript).toEqual({ url: articleUrl, ...article, language: 'en', tabId: null });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ type: 'transcriptChange' }));
+  });
+
+  it('should continue with the parsed paragraphs instead of asking a tab', async () => {
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 1 });
+    expect(tabMessages.filter(({ message }) => message.type === 'getNextParagraph')).toEqual([]);
+  });
+
+  it('should send highlight updates to the side panel', async () => {
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+    broadcastedMessages = [];
+    tabMessages = [];
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 0.5 });
+
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({
+      type: 'highlightUpdate',
+      paragraphIndex: 0,
+      tabId: null,
+      alignment: expect.objectContaining({ characters: 'First paragraph.'.split('') })
+    }));
+    expect(tabMessages).toEqual([]);
+  });
+
+  it('should read a page in another language with a multilingual model', async () => {
+    chromeMock.runtime.sendMessage.mockImplementation((message) => message.type === 'parseArticle'
+      ? Promise.resolve({ success: true, ...article, language: 'fr-FR' })
+      : originalSendMessage(message));
+
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    expect(speechRequests()[0].model_id).toBe('eleven_multilingual_v2');
+    expect((await serviceWorkerModule.handleGetTranscript()).transcript.language).toBe('fr-FR');
+  });
+
+  it('should detect the language from the text of a page that does not declare one', async () => {
+    chromeMock.i18n.detectLanguage.mockResolvedValueOnce({ isReliable: true, languages: [{ language: 'de', percentage: 98 }] });
+
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    expect(chromeMock.i18n.detectLanguage).toHaveBeenCalledWith('First paragraph.\n\nSecond paragraph.\n\nThird paragraph.');
+    expect(speechRequests()[0].model_id).toBe('eleven_multilingual_v2');
+  });
+
+  it('should keep the English model for English pages', async () => {
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    expect(speechRequests()[0].model_id).toBe('eleven_monolingual_v1');
+  });
+
+  it('should keep the article length while other pages load', async () => {
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 40, tabId: 2 });
+
+    expect(serviceWorkerModule.getPlaybackState().totalParagraphs).toBe(3);
+  });
+
+  it('should stop reading in the background once a page is read in a tab', async () => {
+    await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+    await serviceWorkerModule.handleStop();
+
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Tab paragraph.', paragraphIndex: 0 });
+
+    await serviceWorkerModule.handleGetTranscript();
+
+    expect(tabMessages).toContainEqual({ tabId: 1, message: { type: 'getTranscript' } });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ type: 'transcriptChange' }));
+  });
+
+  it('should only fetch pages from sites the extension may read', async () => {
+    chromeMock.permissions.contains.mockResolvedValueOnce(false);
+
+    const response = await serviceWorkerModule.handleReadInBackground({ url: articleUrl });
+
+    expect(response.success).toBe(false);
+    expect(chromeMock.permissions.contains).toHaveBeenLastCalledWith({ origins: ['https://example.com/*'] });
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should report pages that cannot be loaded', async () => {
+    const response = await serviceWorkerModule.handleReadInBackground({ url: missingUrl });
+
+    expect(response.success).toBe(false);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'error', error: 'Could not load the page (HTTP 404)' });
+    expect((await serviceWorkerModule.handleReadInBackground({ url: 'chrome://settings/' })).success).toBe(false);
+  });
+
+  it('should read queued pages in the background when asked to', async () => {
+    mockStorage.set('readQueueInBackground', true);
+    chromeMock.tabs.create = vi.fn();
+    await serviceWorkerModule.handleAddToQueue({ url: articleUrl, title: 'Queued title' });
+
+    const response = await serviceWorkerModule.handleStartQueue();
+
+    expect(response.success).toBe(true);
+    expect(chromeMock.tabs.create).not.toHaveBeenCalled();
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('playing');
+    expect((await serviceWorkerModule.handleGetTranscript()).transcript.title).toBe('Queued title');
+  });
+});
+
+/**
+ * Unit tests for the side panel transcript and seeking
+ *
+ * Feature: side-panel-transcript
+ */
+describe('Side Panel Transcript - Unit Tests', () => {
+  const tabTranscript = {
+    title: 'Tab page',
+    url: 'https://example.com/tab',
+    paragraphs: [{
+      text: 'Tab paragraph.',
+      block: { type: 'paragraph' },
+      sentences: [{ words: [{ text: 'Tab', start: 0 }, { text: 'paragraph.', start: 4 }] }]
+    }]
+  };
+  let originalFetch;
+  let originalTabsSendMessage;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    tabMessages = [];
+    broadcastedMessages = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+
+    originalTabsSendMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getTranscript') {
+        tabMessages.push({ tabId, message });
+        return Promise.resolve({ success: true, ...tabTranscript });
+      }
+      return originalTabsSendMessage(tabId, message);
+    });
+
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const characters = JSON.parse(request.body).text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    chromeMock.tabs.sendMessage.mockImplementation(originalTabsSendMessage);
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.setBackgroundArticle(null);
+  });
+
+  it('should seek within the paragraph being read', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Hello there friend.', paragraphIndex: 0 });
+    broadcastedMessages = [];
+    tabMessages = [];
+
+    const response = await serviceWorkerModule.handleSeek({ paragraphIndex: 0, charOffset: 6, tabId: 1 });
+
+    expect(response.success).toBe(true);
+    expect(response.currentTime).toBeCloseTo(0.6);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 0 });
+    expect(broadcastedMessages.filter(m => m.target === 'offscreen').map(m => m.type)).toEqual(['seek']);
+    expect(tabMessages).toContainEqual({ tabId: 1, message: expect.objectContaining({ type: 'highlightUpdate', currentTime: response.currentTime }) });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ type: 'highlightUpdate', tabId: 1, currentTime: response.currentTime }));
+  });
+
+  it('should read another paragraph and then seek in it', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Hello there friend.', paragraphIndex: 0 });
+    broadcastedMessages = [];
+
+    const response = await serviceWorkerModule.handleSeek({ paragraphIndex: 2, charOffset: 6, text: 'Later paragraph here.', tabId: 1 });
+
+    expect(response.success).toBe(true);
+    expect(response.currentTime).toBeCloseTo(0.6);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 2 });
+    const offscreen = broadcastedMessages.filter(m => m.target === 'offscreen').map(m => m.type);
+    expect(offscreen.indexOf('seek')).toBeGreaterThan(offscreen.indexOf('play'));
+  });
+
+  it('should seek in the article read in the background', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Hello there friend.', paragraphIndex: 0 });
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.setBackgroundArticle({
+      url: 'https://example.com/later',
+      title: 'Later',
+      paragraphs: [{ text: 'First one.', block: { type: 'paragraph' } }, { text: 'Second one.', block: { type: 'paragraph' } }]
+    });
+    tabMessages = [];
+
+    const response = await serviceWorkerModule.handleSeek({ paragraphIndex: 1, charOffset: 7, text: 'Second one.', tabId: null });
+
+    expect(response.success).toBe(true);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 1, totalParagraphs: 2 });
+    expect(tabMessages.filter(({ message }) => message.type === 'highlightUpdate')).toEqual([]);
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ type: 'highlightUpdate', tabId: null, paragraphIndex: 1 }));
+  });
+
+  it('should refuse to seek without a page to read', async () => {
+    expect((await serviceWorkerModule.handleSeek({ paragraphIndex: -1, tabId: 1 })).success).toBe(false);
+    expect((await serviceWorkerModule.handleSeek({ paragraphIndex: 0, text: 'Text.', tabId: null })).success).toBe(false);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('idle');
+  });
+
+  it('should show the transcript of the tab being read', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 2, text: 'Tab paragraph.', paragraphIndex: 0 });
+
+    const response = await serviceWorkerModule.handleGetTranscript();
+
+    expect(response.transcript).toEqual({ tabId: 2, ...tabTranscript });
+    expect(response.state.status).toBe('playing');
+  });
+
+  it('should show the active tab when nothing is being read', async () => {
+    const response = await serviceWorkerModule.handleGetTranscript();
+
+    expect(chromeMock.tabs.query).toHaveBeenCalledWith({ active: true, lastFocusedWindow: true });
+    expect(response.transcript.tabId).toBe(1);
+  });
+
+  it('should tell the side panel when reading moves to another tab', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'First tab.', paragraphIndex: 0 });
+    await serviceWorkerModule.handleStop();
+    broadcastedMessages = [];
+
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'First tab again.', paragraphIndex: 1 });
+    expect(broadcastedMessages.filter(m => m.type === 'transcriptChange')).toEqual([]);
+
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handlePlay({ tabId: 2, text: 'Second tab.', paragraphIndex: 0 });
+    expect(broadcastedMessages.filter(m => m.type === 'transcriptChange')).toHaveLength(1);
+  });
+});
+
+/**
+ * Unit tests for the floating player's seek bar and time left
+ *
+ * Feature: floating-player-progress
+ */
+describe('Floating Player Progress - Unit Tests', () => {
+  let originalFetch;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    broadcastedMessages = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+
+    // Each character is spoken for a tenth of a second
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const characters = JSON.parse(request.body).text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should seek to a time in the audio being read, clamped to it', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Hello there.', paragraphIndex: 0 });
+    broadcastedMessages = [];
+
+    const response = await serviceWorkerModule.handleSeek({ time: 0.5 });
+    expect(response).toEqual({ success: true, currentTime: 0.5 });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ target: 'offscreen', type: 'seek', time: 0.5 }));
+
+    expect((await serviceWorkerModule.handleSeek({ time: 99 })).currentTime).toBeCloseTo(1.2);
+    expect((await serviceWorkerModule.handleSeek({ time: -3 })).currentTime).toBe(0);
+  });
+
+  it('should seek in a selection being read', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Selected words.', selection: true });
+
+    const response = await serviceWorkerModule.handleSeek({ time: 0.4 });
+
+    expect(response).toEqual({ success: true, currentTime: 0.4 });
+    expect(serviceWorkerModule.getPlaybackState().readingSelection).toBe(true);
+  });
+
+  it('should not seek to a time while nothing is read', async () => {
+    const response = await serviceWorkerModule.handleSeek({ time: 1 });
+
+    expect(response).toEqual({ success: false, error: 'Nothing to seek in' });
+  });
+
+  it('should learn the speaking rate of the voice from finished paragraphs', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Hello there.', paragraphIndex: 0 });
+    expect(serviceWorkerModule.getPlaybackState().charactersPerSecond).toBe(15);
+
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(mockStorage.get('speechRates')['voice-a'].characters).toBe(12);
+    expect(mockStorage.get('speechRates')['voice-a'].seconds).toBeCloseTo(1.2);
+
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Another one.', paragraphIndex: 1 });
+    expect(serviceWorkerModule.getPlaybackState().charactersPerSecond).toBeCloseTo(10);
+  });
+});
+
+/**
+ * Unit tests for skipping sentences and jumping back or forward in time
+ *
+ * Feature: sentence-skip
+ */
+describe('Sentence Skip and Time Jumps - Unit Tests', () => {
+  // "Sentence one. " is 14 characters, so the second sentence starts at 1.4s
+  const pageText = 'Sentence one. Sentence two.';
+  let originalFetch;
+  let originalTabsSendMessage;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    tabMessages = [];
+    broadcastedMessages = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    mockStorage.set('autoContinue', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: false });
+
+    originalTabsSendMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getNextParagraph') {
+        tabMessages.push({ tabId, message });
+        return Promise.resolve({ success: true, text: pageText, paragraphIndex: message.paragraphIndex });
+      }
+      return originalTabsSendMessage(tabId, message);
+    });
+
+    // Each character is spoken for a tenth of a second
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const characters = JSON.parse(request.body).text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 3 });
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    chromeMock.tabs.sendMessage.mockImplementation(originalTabsSendMessage);
+    await serviceWorkerModule.handleStop();
+  });
+
+  /**
+   * Read a paragraph of the page from a time
+   * @param {number} paragraphIndex - Paragraph index
+   * @param {number} time - Audio time in seconds
+   */
+  async function readAt(paragraphIndex, time) {
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: pageText, paragraphIndex });
+    await serviceWorkerModule.handleSeek({ time });
+    broadcastedMessages = [];
+    tabMessages = [];
+  }
+
+  it('should skip to the next sentence of the paragraph', async () => {
+    await readAt(1, 0.3);
+
+    const response = await serviceWorkerModule.handleSkipSentence(1);
+
+    expect(response.success).toBe(true);
+    expect(response.currentTime).toBeCloseTo(1.4);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 1 });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ target: 'offscreen', type: 'seek' }));
+  });
+
+  it('should restart a sentence well under way, and go back one otherwise', async () => {
+    await readAt(1, 2.6);
+    expect((await serviceWorkerModule.handleSkipSentence(-1)).currentTime).toBeCloseTo(1.4);
+
+    await serviceWorkerModule.handleSeek({ time: 1.4 + serviceWorkerModule.SKIP_SENTENCE_THRESHOLD / 2 });
+    expect((await serviceWorkerModule.handleSkipSentence(-1)).currentTime).toBe(0);
+  });
+
+  it('should read the next paragraph after the last sentence', async () => {
+    await readAt(1, 2);
+
+    const response = await serviceWorkerModule.handleSkipSentence(1);
+
+    expect(response.success).toBe(true);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 2 });
+    expect(tabMessages).toContainEqual({ tabId: 1, message: expect.objectContaining({ type: 'getNextParagraph', paragraphIndex: 2 }) });
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({ target: 'offscreen', type: 'play' }));
+  });
+
+  it('should read the last sentence of the previous paragraph before the first', async () => {
+    await readAt(1, 0.2);
+
+    const response = await serviceWorkerModule.handleSkipSentence(-1);
+
+    expect(response.success).toBe(true);
+    expect(response.currentTime).toBeCloseTo(1.4);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 0 });
+  });
+
+  it('should jump back and forward within the paragraph', async () => {
+    await readAt(1, 1.5);
+
+    expect((await serviceWorkerModule.handleSeekBy({ seconds: -1 })).currentTime).toBeCloseTo(0.5);
+    expect((await serviceWorkerModule.handleSeekBy({ seconds: 2 })).currentTime).toBeCloseTo(2.5);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(1);
+  });
+
+  it('should jump back into the end of the previous paragraph', async () => {
+    await readAt(1, 0.5);
+
+    const response = await serviceWorkerModule.handleSeekBy({ seconds: -1 });
+
+    // The previous paragraph is 2.7s long
+    expect(response.currentTime).toBeCloseTo(2.2);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(0);
+  });
+
+  it('should jump forward into the start of the next paragraph', async () => {
+    await readAt(1, 2.5);
+
+    const response = await serviceWorkerModule.handleSeekBy({ seconds: 1 });
+
+    expect(response.success).toBe(true);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(2);
+    const play = broadcastedMessages.find(m => m.target === 'offscreen' && m.type === 'play');
+    expect(play.startTime).toBeCloseTo(0.8);
+  });
+
+  it('should stay within the first paragraph, the last paragraph and selections', async () => {
+    await readAt(0, 0.5);
+    expect(await serviceWorkerModule.handleSeekBy({ seconds: -10 })).toEqual({ success: true, currentTime: 0 });
+
+    await readAt(2, 2);
+    expect((await serviceWorkerModule.handleSeekBy({ seconds: 10 })).currentTime).toBeCloseTo(2.7);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(2);
+
+    await serviceWorkerModule.handleStop();
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: pageText, selection: true });
+    expect(await serviceWorkerModule.handleSkipSentence(-1)).toEqual({ success: true, currentTime: 0 });
+    expect(tabMessages.some(m => m.message.type === 'getNextParagraph')).toBe(false);
+  });
+
+  it('should run the jumps as keyboard commands', async () => {
+    await readAt(1, 1.5);
+
+    const response = await serviceWorkerModule.handleCommand('rewind');
+
+    // Ten seconds back is past the start, into the end of the previous paragraph
+    expect(response.currentTime).toBe(0);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(0);
+  });
+
+  it('should not skip while nothing is read', async () => {
+    expect(await serviceWorkerModule.handleSkipSentence(1)).toEqual({ success: false, error: 'Nothing to seek in' });
+    expect(await serviceWorkerModule.handleSeekBy({ seconds: 10 })).toEqual({ success: false, error: 'Nothing to seek in' });
+    expect(await serviceWorkerModule.handleSeekBy({})).toEqual({ success: false, error: 'Invalid jump' });
+  });
+});
+
+/**
+ * Unit tests for reading consecutive paragraphs in one request
+ *
+ * Feature: cross-paragraph-batching
+ */
+describe('Paragraph Batching - Unit Tests', () => {
+  const pageUrl = 'https://example.com/batched';
+  const long = Array.from('abcdefghijklmnopqrst', letter => `Sentence ${letter} is read here.`).join(' ');
+  const defaultTabMessage = chromeMock.tabs.sendMessage.getMockImplementation();
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    broadcastedMessages = [];
+    tabMessages = [];
+    requests = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchCharacters', 200);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: true });
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 20 });
+
+    // Each character is spoken for a tenth of a second
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const body = JSON.parse(request.body);
+      requests.push(body);
+      const characters = body.text.split('');
+      return Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          audio_base64: btoa('audio'),
+          alignment: {
+            characters,
+            character_start_times_seconds: characters.map((_, i) => i * 0.1),
+            character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+          }
+        }))
+      });
+    });
+  });
+
+  afterEach(async () => {
+    await preloadsSettled();
+    globalThis.fetch = originalFetch;
+    chromeMock.tabs.sendMessage.mockImplementation(defaultTabMessage);
+    await serviceWorkerModule.handleStop();
+  });
+
+  /**
+   * Paragraph texts the mocked page answers with
+   */
+  function paragraphs(from, to) {
+    return Array.from({ length: to - from + 1 }, (_, i) => `Paragraph ${from + i} text`);
+  }
+
+  it('should read short paragraphs in one request with the text around them', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+
+    // Twelve 16-character paragraphs fill the 200-character budget
+    expect(requests[0]).toMatchObject({
+      text: paragraphs(5, 16).join('\n\n'),
+      previous_text: 'Paragraph 4 text',
+      next_text: 'Paragraph 17 text'
+    });
+    expect(serviceWorkerModule.getPreloadState().entries[0]).toMatchObject({ paragraphIndex: 17, charStart: 0 });
+  });
+
+  it('should highlight across the paragraphs of a chunk and follow reading into them', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+    broadcastedMessages = [];
+
+    // The second paragraph starts 18 characters in, after the first and the pause between them
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 1.9 });
+
+    const update = broadcastedMessages.find(message => message.target === 'tab-1' && message.type === 'highlightUpdate');
+    expect(update).toMatchObject({ paragraphIndex: 5, currentParagraphIndex: 6 });
+    expect(update.alignment.characters.join('')).toBe(paragraphs(5, 16).join(''));
+    expect(update.paragraphProgress).toBeCloseTo(0.1 / 1.6);
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(6);
+
+    await serviceWorkerModule.handlePause();
+    expect(mockStorage.get('readingPositions')[pageUrl]).toMatchObject({ paragraphIndex: 6, sentenceIndex: 0 });
+    expect(mockStorage.get('readingPositions')[pageUrl].currentTime).toBeCloseTo(0.1);
+  });
+
+  it('should send the same alignment revision until the chunk changes', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+    broadcastedMessages = [];
+
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 0.5 });
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 1.0 });
+    await serviceWorkerModule.handleAudioEnded();
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 0.5 });
+
+    const updates = broadcastedMessages.filter(message => message.target === 'tab-1' && message.type === 'highlightUpdate');
+    expect(updates).toHaveLength(3);
+    expect(updates[1].alignmentRevision).toBe(updates[0].alignmentRevision);
+    expect(updates[2].alignmentRevision).not.toBe(updates[0].alignmentRevision);
+    expect(updates[2].paragraphIndex).toBe(17);
+  });
+
+  it('should skip to paragraphs of the chunk by seeking, and go on after its last paragraph', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+    const loaded = requests.length;
+
+    const response = await serviceWorkerModule.handleSkipNext();
+
+    expect(response).toEqual({ success: true, currentTime: expect.closeTo(1.8) });
+    expect(serviceWorkerModule.getPlaybackState().currentParagraphIndex).toBe(6);
+    expect(requests).toHaveLength(loaded);
+
+    await serviceWorkerModule.handleAudioEnded();
+
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 17 });
+  });
+
+  it('should read a paragraph over the budget in parts split at sentences', async () => {
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 2 });
+    chromeMock.tabs.sendMessage.mockImplementation((tabId, message) => {
+      if (message.type === 'getNextParagraph' && message.paragraphIndex === 0) {
+        return Promise.resolve({ success: true, text: long, paragraphIndex: 0 });
+      }
+      return defaultTabMessage(tabId, message);
+    });
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: long, paragraphIndex: 0, pageUrl });
+    await preloadsSettled();
+
+    const [first, second] = requests;
+    expect(first.text.length).toBeLessThanOrEqual(200);
+    expect(first.text).toBe(long.slice(0, first.text.length));
+    expect(first.text).toMatch(/\. $/);
+    expect(long.slice(first.text.length)).toMatch(new RegExp(`^${first.next_text}`));
+    // The rest is preloaded to follow on from the first part
+    expect(second.text).toBe(long.slice(first.text.length, first.text.length + second.text.length));
+    expect(first.text.trim().endsWith(second.previous_text)).toBe(true);
+
+    await serviceWorkerModule.handleAudioEnded();
+    broadcastedMessages = [];
+    await serviceWorkerModule.handleOffscreenMessage({ target: 'service-worker', type: 'timeUpdate', currentTime: 0.5 });
+
+    const update = broadcastedMessages.find(message => message.target === 'tab-1' && message.type === 'highlightUpdate');
+    expect(update).toMatchObject({ paragraphIndex: 0, currentParagraphIndex: 0 });
+    expect(update.alignment.characters.join('')).toBe(long.slice(0, first.text.length + second.text.length));
+    expect(update.paragraphProgress).toBeGreaterThan(first.text.length / long.length);
+  });
+
+  it('should read one paragraph at a time when batching or auto-continue is off', async () => {
+    mockStorage.set('batchingEnabled', false);
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+    expect(requests[0]).toEqual(expect.objectContaining({ text: 'Paragraph 5 text' }));
+    expect(requests[0]).not.toHaveProperty('previous_text');
+
+    await preloadsSettled();
+    await serviceWorkerModule.handleStop();
+    mockStorage.set('batchingEnabled', true);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: false });
+    requests = [];
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 5 text', paragraphIndex: 5, pageUrl });
+    expect(requests.map(request => request.text)).toEqual(['Paragraph 5 text']);
+  });
+});
+
+/**
+ * Unit tests for the preload pipeline
+ *
+ * Feature: preload-pipeline
+ */
+describe('Preload Pipeline - Unit Tests', () => {
+  const pageUrl = 'https://example.com/pipeline';
+  let originalFetch;
+  let requests;
+  let answer;
+
+  /**
+   * Successful speech response, each character spoken for a tenth of a second
+   */
+  function spoken(text) {
+    const characters = text.split('');
+    return {
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({
+        audio_base64: btoa('audio'),
+        alignment: {
+          characters,
+          character_start_times_seconds: characters.map((_, i) => i * 0.1),
+          character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Paragraph indices of the preloaded chunks, in reading order
+   */
+  function preloadedParagraphs() {
+    return serviceWorkerModule.getPreloadState().entries.map(entry => entry.paragraphIndex);
+  }
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    broadcastedMessages = [];
+    requests = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('batchingEnabled', false);
+    mockStorage.set('preloadParagraphs', 3);
+    mockStorage.set('spendingGuardEnabled', false);
+    mockStorage.set('streamingEnabled', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: true });
+    await serviceWorkerModule.handleSetTotalParagraphs({ totalParagraphs: 10 });
+
+    answer = text => Promise.resolve(spoken(text));
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockImplementation((url, request) => {
+      const text = JSON.parse(request.body).text;
+      requests.push(text);
+      return answer(text);
+    });
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await preloadsSettled();
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should keep the configured number of paragraphs ahead and report them as buffered', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+    await preloadsSettled();
+
+    expect(requests).toEqual(['Paragraph 0 text', 'Paragraph 1 text', 'Paragraph 2 text', 'Paragraph 3 text']);
+    expect(preloadedParagraphs()).toEqual([1, 2, 3]);
+    expect(serviceWorkerModule.getPlaybackState().bufferedParagraphs).toBe(4);
+    expect(broadcastedMessages).toContainEqual(expect.objectContaining({
+      target: 'tab-1',
+      type: 'playbackStateChange',
+      state: expect.objectContaining({ bufferedParagraphs: 4 })
+    }));
+  });
+
+  it('should send no more than two preload requests at a time', async () => {
+    const held = [];
+    answer = text => text === 'Paragraph 0 text'
+      ? Promise.resolve(spoken(text))
+      : new Promise(resolve => held.push(() => resolve(spoken(text))));
+
+    const playing = serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+    await vi.waitFor(() => expect(requests).toHaveLength(3));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(requests).toEqual(['Paragraph 0 text', 'Paragraph 1 text', 'Paragraph 2 text']);
+    expect(preloadedParagraphs()).toEqual([1, 2, 3]);
+
+    // The third paragraph starts once one of the first two is done
+    held.shift()();
+    await vi.waitFor(() => expect(requests).toHaveLength(4));
+    expect(requests[3]).toBe('Paragraph 3 text');
+
+    held.forEach(release => release());
+    await playing;
+    await preloadsSettled();
+    expect(serviceWorkerModule.getPreloadState().entries.every(entry => entry.audioData)).toBe(true);
+  });
+
+  it('should keep the paragraphs already preloaded when skipping to the next one', async () => {
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+    await preloadsSettled();
+    requests = [];
+
+    const response = await serviceWorkerModule.handleSkipNext();
+    await preloadsSettled();
+
+    expect(response.success).toBe(true);
+    expect(serviceWorkerModule.getPlaybackState()).toMatchObject({ status: 'playing', currentParagraphIndex: 1, bufferedParagraphs: 5 });
+    // Only the paragraph now three ahead is requested
+    expect(requests).toEqual(['Paragraph 4 text']);
+    expect(preloadedParagraphs()).toEqual([2, 3, 4]);
+  });
+
+  it('should hold preloads back for as long as a rate limit asks', async () => {
+    vi.useFakeTimers({ now: 0, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    let limited = true;
+    answer = text => Promise.resolve(text !== 'Paragraph 0 text' && limited
+      ? { ok: false, status: 429, headers: new Headers({ 'Retry-After': '5' }), text: () => Promise.resolve('{}') }
+      : spoken(text));
+
+    await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+    await preloadsSettled();
+
+    // The two requests in flight were rate limited and nothing more was sent
+    expect(requests).toEqual(['Paragraph 0 text', 'Paragraph 1 text', 'Paragraph 2 text']);
+    expect(preloadedParagraphs()).toEqual([1, 2, 3]);
+    expect(serviceWorkerModule.getPreloadState().backoffUntil).toBe(5000);
+    expect(serviceWorkerModule.getPlaybackState().bufferedParagraphs).toBe(1);
+
+    limited = false;
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(serviceWorkerModule.getPreloadState().entries.some(entry => entry.pendingRequest)).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(serviceWorkerModule.getPreloadState().entries.some(entry => entry.pendingRequest)).toBe(true);
+
+    await preloadsSettled();
+    expect(requests.slice(3)).toEqual(['Paragraph 1 text', 'Paragraph 2 text', 'Paragraph 3 text']);
+    expect(serviceWorkerModule.getPlaybackState().bufferedParagraphs).toBe(4);
+  });
+});
+
+/**
+ * Unit tests for streamed playback
+ *
+ * Feature: streaming-playback
+ */
+describe('Streaming Playback - Unit Tests', () => {
+  const pageUrl = 'https://example.com/streamed';
+  let originalFetch;
+
+  /**
+   * Stream response that sends the audio of some characters, then fails
+   */
+  function failingStream(characters, error) {
+    const chunk = JSON.stringify({
+      audio_base64: btoa('audio'),
+      alignment: {
+        characters: characters.split(''),
+        character_start_times_seconds: characters.split('').map((_, i) => i * 0.1),
+        character_end_times_seconds: characters.split('').map((_, i) => (i + 1) * 0.1)
+      }
+    });
+    let sent = false;
+    return {
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: () => {
+            if (sent) {
+              return Promise.reject(error);
+            }
+            sent = true;
+            return Promise.resolve({ done: false, value: new TextEncoder().encode(`${chunk}\n`) });
+          }
+        })
+      }
+    };
+  }
+
+  /**
+   * Types of the messages sent to the offscreen document
+   */
+  function offscreenMessages() {
+    return broadcastedMessages.filter(message => message.target === 'offscreen').map(message => message.type);
+  }
+
+  beforeEach(async () => {
+    mockStorage.clear();
+    await serviceWorkerModule.handleStop();
+    broadcastedMessages = [];
+    mockStorage.set('apiKey', 'test-key');
+    mockStorage.set('selectedVoiceId', 'voice-a');
+    mockStorage.set('spendingGuardEnabled', false);
+    await serviceWorkerModule.handleSetAutoContinue({ autoContinue: false });
+    originalFetch = globalThis.fetch;
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    await serviceWorkerModule.handleStop();
+  });
+
+  it('should stop the offscreen stream and count what was streamed when the stream fails', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue(failingStream('Paragraph', new TypeError('Failed to fetch')));
+
+    const response = await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+
+    expect(response).toMatchObject({ success: false, errorType: 'NETWORK_ERROR' });
+    expect(offscreenMessages()).toEqual(['streamStart', 'streamChunk', 'stop']);
+    expect(serviceWorkerModule.getPlaybackState().status).toBe('error');
+    expect((await serviceWorkerModule.handleGetUsage()).usage.todayByDomain)
+      .toEqual([{ domain: 'example.com', characters: 9 }]);
+  });
+
+  it('should count nothing when the stream is refused', async () => {
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: new Headers(),
+      text: () => Promise.resolve('{}')
+    });
+
+    const response = await serviceWorkerModule.handlePlay({ tabId: 1, text: 'Paragraph 0 text', paragraphIndex: 0, pageUrl });
+
+    expect(response.success).toBe(false);
+    expect(offscreenMessages()).toEqual(['streamStart', 'stop']);
+    expect((await serviceWorkerModule.handleGetUsage()).usage.today).toBe(0);
+  });
+});
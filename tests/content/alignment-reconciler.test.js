@@ -0,0 +1,257 @@
+/**
+ * Property-based tests for alignment reconciler module
+ *
+ * Feature: alignment-reconciler
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+
+import {
+  reconcileAlignment,
+  findCharIndexAtTime
+} from '../../src/content/alignment-reconciler.js';
+
+import { HighlightManager } from '../../src/content/highlight-manager.js';
+
+import {
+  parsePageContent,
+  wrapWordsInSpans
+} from '../../src/content/text-parser.js';
+
+/**
+ * Build parsed paragraphs from sentences of words
+ * @param {string[][][]} paragraphs - Words of each sentence of each paragraph
+ * @returns {Array}
+ */
+function createParagraphs(paragraphs) {
+  return paragraphs.map(sentences => ({
+    sentences: sentences.map(words => ({ words: words.map(text => ({ text })) }))
+  }));
+}
+
+/**
+ * List every word with its position, in reading order
+ * @param {Array} paragraphs - Parsed paragraphs
+ * @returns {Array<{text: string, position: Object}>}
+ */
+function listWords(paragraphs) {
+  const words = [];
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    paragraph.sentences.forEach((sentence, sentenceIndex) => {
+      sentence.words.forEach((word, wordIndex) => {
+        words.push({ text: word.text, position: { paragraphIndex, sentenceIndex, wordIndex } });
+      });
+    });
+  });
+  return words;
+}
+
+/**
+ * Spell out spoken text from words, recording the word each character belongs to
+ * @param {Array<{text: string}>} words - Words in reading order
+ * @param {function(string): string} [speak] - Changes a word the way the API might
+ * @param {string} [separator=' '] - Text between words
+ * @returns {{characters: string[], owners: number[]}}
+ */
+function spell(words, speak = text => text, separator = ' ') {
+  const characters = [];
+  const owners = [];
+  words.forEach((word, index) => {
+    if (index > 0) {
+      Array.from(separator).forEach(char => {
+        characters.push(char);
+        owners.push(-1);
+      });
+    }
+    Array.from(speak(word.text)).forEach(char => {
+      characters.push(char);
+      owners.push(index);
+    });
+  });
+  return { characters, owners };
+}
+
+/**
+ * Word arbitrary with letters, digits, apostrophes and quotes
+ */
+const wordArbitrary = fc.stringMatching(/^[A-Za-z0-9]{1,3}(['’][a-z]{1,2})?[.,!?”]?$/);
+
+/**
+ * Paragraphs arbitrary: 1-3 paragraphs of 1-3 sentences of 1-6 words
+ */
+const paragraphsArbitrary = fc.array(
+  fc.array(fc.array(wordArbitrary, { minLength: 1, maxLength: 6 }), { minLength: 1, maxLength: 3 }),
+  { minLength: 1, maxLength: 3 }
+).map(createParagraphs);
+
+describe('Alignment Reconciler Module - Property Tests', () => {
+
+  /**
+   * Property 1: Exact Text Maps Every Character To Its Word
+   * For any page words spoken exactly, joined by single spaces, every
+   * character maps to the word it came from and spaces map to no word.
+   */
+  describe('Property 1: Exact Text Maps Every Character To Its Word', () => {
+
+    it('should map each character to its own word', () => {
+      fc.assert(
+        fc.property(paragraphsArbitrary, (paragraphs) => {
+          const words = listWords(paragraphs);
+          const { characters, owners } = spell(words);
+          const index = reconcileAlignment(characters, paragraphs, 0);
+
+          owners.forEach((owner, c) => {
+            const slot = index.charToWord[c];
+            if (owner < 0) {
+              expect(slot).toBe(-1);
+            } else {
+              expect(index.words[slot]).toEqual(words[owner].position);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should start at the paragraph offset', () => {
+      const paragraphs = createParagraphs([[['First', 'one.']], [['Second', 'one.']]]);
+      const index = reconcileAlignment('Second one.'.split(''), paragraphs, 1);
+
+      expect(index.words[index.charToWord[0]]).toEqual({ paragraphIndex: 1, sentenceIndex: 0, wordIndex: 0 });
+    });
+  });
+
+  /**
+   * Property 2: Spoken Text Differences Don't Drift The Highlight
+   * For any page words, spoken text with different quotes and case, runs of
+   * whitespace and dropped emoji still maps each word's characters to it.
+   */
+  describe('Property 2: Spoken Text Differences Don\'t Drift The Highlight', () => {
+
+    it('should ignore quotes, case and whitespace', () => {
+      fc.assert(
+        fc.property(paragraphsArbitrary, fc.constantFrom(' ', '  ', '\n', ' \n '), (paragraphs, separator) => {
+          const words = listWords(paragraphs);
+          const speak = text => text.replace(/’/g, "'").replace(/”/g, '"').toUpperCase();
+          const { characters, owners } = spell(words, speak, separator);
+          const index = reconcileAlignment(characters, paragraphs, 0);
+
+          owners.forEach((owner, c) => {
+            if (owner >= 0) {
+              expect(index.words[index.charToWord[c]]).toEqual(words[owner].position);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should stay in step when the page has emoji the voice skips', () => {
+      const paragraphs = createParagraphs([[['Launch', 'day', '🚀🚀', 'went', 'well', '🎉', 'for', 'everyone.']]]);
+      const words = listWords(paragraphs).filter(word => !/\p{Extended_Pictographic}/u.test(word.text));
+      const { characters, owners } = spell(words);
+      const index = reconcileAlignment(characters, paragraphs, 0);
+
+      owners.forEach((owner, c) => {
+        if (owner >= 0) {
+          expect(index.words[index.charToWord[c]]).toEqual(words[owner].position);
+        }
+      });
+    });
+
+    it('should give text the voice added to the word before it', () => {
+      const paragraphs = createParagraphs([[['It', 'costs', '$5', 'today.']]]);
+      const characters = 'It costs five dollars today.'.split('');
+      const index = reconcileAlignment(characters, paragraphs, 0);
+      const wordAt = text => index.words[index.charToWord[characters.join('').indexOf(text)]].wordIndex;
+
+      expect(wordAt('costs')).toBe(1);
+      expect(wordAt('today')).toBe(3);
+      expect([1, 2]).toContain(wordAt('dollars'));
+    });
+  });
+
+  /**
+   * Property 3: Binary Search Finds The Character Being Spoken
+   * For any increasing timings and time, the found character is the one whose
+   * span contains the time, the last one past the end, or none in a pause.
+   */
+  describe('Property 3: Binary Search Finds The Character Being Spoken', () => {
+
+    it('should match a linear scan of the timings', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({ gap: fc.integer({ min: 0, max: 3 }), length: fc.integer({ min: 0, max: 5 }) }), { minLength: 1, maxLength: 40 }),
+          fc.integer({ min: -2, max: 400 }),
+          (spans, tenths) => {
+            const starts = [];
+            const ends = [];
+            let time = 0;
+            spans.forEach(({ gap, length }) => {
+              time += gap;
+              starts.push(time / 10);
+              time += length;
+              ends.push(time / 10);
+            });
+            const currentTime = tenths / 10;
+
+            let expected = -1;
+            for (let i = 0; i < starts.length; i++) {
+              if (currentTime >= starts[i] && currentTime < ends[i]) {
+                expected = i;
+              }
+            }
+            if (expected < 0 && currentTime >= starts[starts.length - 1]) {
+              expected = starts.length - 1;
+            }
+
+            const alignment = { characters: starts.map(() => 'a'), character_start_times_seconds: starts, character_end_times_seconds: ends };
+            const found = findCharIndexAtTime(alignment, currentTime);
+            if (expected < 0) {
+              expect(found).toBe(-1);
+            } else {
+              // Characters may share a start time; the found one must contain the time too
+              expect(found).toBeGreaterThanOrEqual(0);
+              expect(currentTime >= starts[found] && (currentTime < ends[found] || found === starts.length - 1)).toBe(true);
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('Highlight Manager', () => {
+
+    afterEach(() => {
+      delete global.document;
+      delete global.window;
+    });
+
+    it('should highlight the spoken word when the API changed the text', () => {
+      const dom = new JSDOM('<!DOCTYPE html><html><body><main><p>“Hello,” she said — twice.   Then   left.</p></main></body></html>');
+      global.document = dom.window.document;
+      global.window = dom.window;
+
+      const parsedContent = parsePageContent(dom.window.document);
+      parsedContent.paragraphs.forEach((paragraph, index) => wrapWordsInSpans(paragraph.element, index, paragraph.sentences));
+      const highlightManager = new HighlightManager();
+      highlightManager.setParsedContent(parsedContent);
+
+      const characters = '"Hello," she said - twice. Then left.'.split('');
+      const alignment = {
+        characters,
+        character_start_times_seconds: characters.map((_, i) => i * 0.1),
+        character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+      };
+
+      highlightManager.updateFromTimestamp(characters.join('').indexOf('left') * 0.1 + 0.05, alignment, 0);
+      expect(highlightManager.currentWordElement.textContent).toBe('left.');
+
+      highlightManager.updateFromTimestamp(characters.join('').indexOf('twice') * 0.1 + 0.05, alignment, 0);
+      expect(highlightManager.currentWordElement.textContent).toBe('twice.');
+    });
+  });
+});
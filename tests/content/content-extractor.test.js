@@ -0,0 +1,170 @@
+/**
+ * Property-based tests for content extractor module
+ *
+ * Feature: content-extraction
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+
+import {
+  ContentStrategy,
+  findArticleRoot,
+  extractMainContent,
+  getContentStrategy,
+  getLinkDensity
+} from '../../src/content/content-extractor.js';
+
+import {
+  parsePageContent,
+  getParagraphText,
+  getParagraphHeadings,
+  escapeHtml
+} from '../../src/content/text-parser.js';
+
+/**
+ * Helper to create a document from body HTML
+ * @param {string} bodyHtml - Body contents
+ * @returns {Document}
+ */
+function createDocument(bodyHtml) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${bodyHtml}</body></html>`).window.document;
+}
+
+/**
+ * Get the text of every extracted paragraph
+ * @param {ParsedContent} parsed - Parsed content
+ * @returns {string[]}
+ */
+function paragraphTexts(parsed) {
+  return parsed.paragraphs.map(getParagraphText);
+}
+
+/**
+ * Arbitrary for article sentences long enough to score
+ */
+const sentenceArbitrary = fc.array(fc.stringMatching(/^[a-z]{2,8}$/), { minLength: 6, maxLength: 14 })
+  .map(words => `${words.join(' ')}, ${words.slice(0, 3).join(' ')}.`);
+
+describe('Content Extractor Module - Property Tests', () => {
+
+  /**
+   * Property 1: Article Text Without Page Furniture
+   * For any article surrounded by a cookie banner, comment thread and related
+   * links, only the article's blocks are extracted, in document order.
+   */
+  describe('Property 1: Article Text Without Page Furniture', () => {
+
+    it('should read the article and skip banners, comments and related links', () => {
+      fc.assert(
+        fc.property(
+          fc.array(sentenceArbitrary, { minLength: 2, maxLength: 8 }),
+          fc.array(sentenceArbitrary, { minLength: 1, maxLength: 4 }),
+          (articleTexts, commentTexts) => {
+            const doc = createDocument(`
+              <div class="cookie-banner"><p>We use cookies to improve your experience, please accept them.</p></div>
+              <div id="page">
+                <div class="post-content">
+                  ${articleTexts.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+                </div>
+                <div class="comments">
+                  ${commentTexts.map(text => `<div class="comment"><p>${escapeHtml(text)}</p></div>`).join('')}
+                </div>
+                <ul class="related-articles">
+                  <li><a href="/a">Another article about something else entirely</a></li>
+                  <li><a href="/b">Yet another article that you might enjoy</a></li>
+                </ul>
+              </div>
+            `);
+
+            expect(paragraphTexts(extractMainContent(doc))).toEqual(articleTexts);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Blocks Are Read Once In DOM Order
+   * For any mix of block types, each readable block is extracted once, in
+   * document order, and no extracted element contains another.
+   */
+  describe('Property 2: Blocks Are Read Once In DOM Order', () => {
+
+    it('should collect paragraphs, list items, quotes, captions and headings in order', () => {
+      const blockArbitrary = fc.tuple(
+        fc.constantFrom('p', 'li', 'blockquote', 'quoted-p', 'figcaption', 'h2', 'div'),
+        sentenceArbitrary
+      );
+
+      fc.assert(
+        fc.property(fc.array(blockArbitrary, { minLength: 1, maxLength: 12 }), (blocks) => {
+          const html = blocks.map(([type, text]) => {
+            const safe = escapeHtml(text);
+            switch (type) {
+              case 'li': return `<ul><li>${safe}</li></ul>`;
+              case 'quoted-p': return `<blockquote><p>${safe}</p></blockquote>`;
+              case 'figcaption': return `<figure><figcaption>${safe}</figcaption></figure>`;
+              default: return `<${type}>${safe}</${type}>`;
+            }
+          }).join('');
+          const doc = createDocument(`<article>${html}<p>${escapeHtml(blocks[0][1])}</p></article>`);
+
+          const parsed = extractMainContent(doc);
+
+          expect(paragraphTexts(parsed)).toEqual([...blocks.map(([, text]) => text), blocks[0][1]]);
+          parsed.paragraphs.forEach(({ element }) => {
+            parsed.paragraphs.forEach(({ element: other }) => {
+              expect(element !== other && element.contains(other)).toBe(false);
+            });
+          });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  describe('Article root', () => {
+
+    it('should prefer the surrounding article element so the title is kept', () => {
+      const doc = createDocument(`
+        <nav><a href="/">Home</a></nav>
+        <article>
+          <h1>The title</h1>
+          <div class="body">
+            <p>First paragraph of the story, with enough words to count.</p>
+            <p>Second paragraph of the story, with enough words to count.</p>
+          </div>
+        </article>
+      `);
+
+      expect(findArticleRoot(doc).tagName).toBe('ARTICLE');
+      const parsed = extractMainContent(doc);
+      expect(paragraphTexts(parsed)[0]).toBe('The title');
+      expect(getParagraphHeadings(parsed, doc)).toEqual(['The title', 'The title', 'The title']);
+    });
+
+    it('should fall back to paragraph selectors when nothing scores', () => {
+      const doc = createDocument('<p>Short.</p><p>Tiny.</p>');
+
+      expect(findArticleRoot(doc)).toBeNull();
+      expect(paragraphTexts(extractMainContent(doc))).toEqual(paragraphTexts(parsePageContent(doc)));
+    });
+
+    it('should measure the share of text inside links', () => {
+      const doc = createDocument('<div id="d">plain <a href="#">link</a></div>');
+      expect(getLinkDensity(doc.getElementById('d'))).toBeCloseTo(4 / 10, 6);
+    });
+  });
+
+  describe('Strategies', () => {
+
+    it('should look up strategies by name and default to readability', () => {
+      expect(getContentStrategy(ContentStrategy.SELECTORS)).toBe(parsePageContent);
+      expect(getContentStrategy(ContentStrategy.READABILITY)).toBe(extractMainContent);
+      expect(getContentStrategy(undefined)).toBe(extractMainContent);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for element picker module
+ *
+ * Feature: site-rules
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+import {
+  ElementPicker,
+  getElementSelector,
+  PICKER_TARGET_CLASS,
+  PICKER_BAR_CLASS
+} from '../../src/content/element-picker.js';
+
+describe('Element Picker Module', () => {
+  const { document } = new JSDOM(`<!DOCTYPE html><body>
+    <div id="sidebar"><p id="in-sidebar-p">Aside.</p></div>
+    <section class="newsletter signup jsx-2841"><p>Join.</p></section>
+    <article><div><p class="elevenlabs-paragraph-host"><span class="elevenlabs-word">Word</span></p></div></article>
+    <main><div class="body"><div><p>Text.</p></div></div></main>
+  </body>`).window;
+
+  it('should prefer ids and class names without generated classes', () => {
+    expect(getElementSelector(document.getElementById('sidebar'))).toBe('#sidebar');
+    expect(getElementSelector(document.querySelector('.newsletter'))).toBe('section.newsletter.signup');
+    expect(getElementSelector(document.querySelector('.newsletter p'))).toBe('section.newsletter.signup > p');
+  });
+
+  it('should climb a limited number of levels from bare tags', () => {
+    expect(getElementSelector(document.querySelector('.body p'))).toBe('div.body > div > p');
+    expect(getElementSelector(document.querySelector('article p'))).toBe('article > div > p');
+  });
+
+  it('should pick the page element under the extension\'s own spans', () => {
+    const picker = new ElementPicker(document);
+    const onPick = vi.fn();
+    picker.start(onPick);
+
+    expect(document.querySelector(`.${PICKER_BAR_CLASS}`)).not.toBeNull();
+
+    const word = document.querySelector('.elevenlabs-word');
+    picker.onMouseOver({ target: word });
+    expect(document.querySelector('article > div').classList.contains(PICKER_TARGET_CLASS)).toBe(true);
+
+    const event = { target: word, shiftKey: true, preventDefault: vi.fn(), stopPropagation: vi.fn() };
+    picker.onClick(event);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(onPick).toHaveBeenCalledWith('article > div', 'include');
+    expect(picker.isActive()).toBe(false);
+    expect(document.querySelector(`.${PICKER_TARGET_CLASS}`)).toBeNull();
+    expect(document.querySelector(`.${PICKER_BAR_CLASS}`)).toBeNull();
+  });
+});
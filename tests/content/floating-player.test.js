@@ -318,4 +318,206 @@ describe('FloatingPlayer - Button Creation and Ordering', () => {
       expect(player.skipNextButton.disabled).toBe(false);
     });
   });
+
+  describe('Error Status Text', () => {
+
+    it('should explain an invalid API key error', () => {
+      player.show();
+
+      player.updatePlaybackState({ status: 'error', error: 'Unauthorized', errorType: 'INVALID_API_KEY' });
+
+      expect(player.statusText.textContent).toContain('Invalid API key');
+    });
+
+    it('should explain a rate limit error', () => {
+      player.show();
+
+      player.updatePlaybackState({ status: 'error', error: 'Too many requests', errorType: 'RATE_LIMITED' });
+
+      expect(player.statusText.textContent).toContain('Rate limited');
+    });
+
+    it('should fall back to the error message for other error types', () => {
+      player.show();
+
+      player.updatePlaybackState({ status: 'error', error: 'Server error', errorType: 'GENERATION_FAILED' });
+
+      expect(player.statusText.textContent).toBe('Error: Server error');
+    });
+  });
+
+  describe('Spending Confirmation', () => {
+
+    it('should show the prompt while a confirmation is pending', () => {
+      player.show();
+
+      player.updatePlaybackState({
+        status: 'playing',
+        spendingConfirmation: { remainingCharacters: 25000, threshold: 10000 }
+      });
+
+      expect(player.spendingPrompt.style.display).toBe('block');
+      expect(player.spendingPromptText.textContent).toContain('Keep reading?');
+
+      player.updatePlaybackState({ status: 'playing', spendingConfirmation: null });
+      expect(player.spendingPrompt.style.display).toBe('none');
+    });
+
+    it('should send the user\'s answer to the service worker', async () => {
+      player.show();
+
+      player.container.querySelector('.elevenlabs-fp-confirm-continue').click();
+      player.container.querySelector('.elevenlabs-fp-confirm-stop').click();
+
+      const answers = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.type === 'confirmSpending')
+        .map(message => message.payload.confirmed);
+      expect(answers).toEqual([true, false]);
+    });
+  });
+
+  describe('Export Progress', () => {
+
+    it('should show progress and a cancel button while exporting', () => {
+      player.show();
+
+      player.updateExportProgress({ status: 'running', completed: 3, total: 20 });
+      expect(player.exportStatusText.textContent).toBe('Exporting 3/20...');
+      expect(player.exportButton.disabled).toBe(true);
+      expect(player.exportCancelButton.style.display).not.toBe('none');
+
+      player.updateExportProgress({ status: 'done', completed: 20, total: 20 });
+      expect(player.exportStatusText.textContent).toBe('Export downloaded');
+      expect(player.exportButton.disabled).toBe(false);
+      expect(player.exportCancelButton.style.display).toBe('none');
+    });
+
+    it('should start and cancel exports through the service worker', async () => {
+      player.show();
+
+      player.exportFormatSelect.value = 'srt';
+      await player.onExportClick();
+      player.container.querySelector('.elevenlabs-fp-export-cancel').click();
+
+      const messages = chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+      expect(messages.find(m => m.type === 'startExport').payload).toEqual({ format: 'srt' });
+      expect(messages.some(m => m.type === 'cancelExport')).toBe(true);
+    });
+
+    it('should ask to confirm an export over the spending guard threshold', async () => {
+      player.show();
+      chrome.runtime.sendMessage.mockImplementationOnce((message, callback) => callback({
+        success: false,
+        spendingConfirmation: { remainingCharacters: 25000, threshold: 10000 }
+      }));
+
+      await player.onExportClick();
+      expect(player.exportStatusText.textContent).toBe(`This page is about ${(25000).toLocaleString()} characters.`);
+      expect(player.exportConfirmButton.style.display).not.toBe('none');
+      expect(player.exportButton.disabled).toBe(false);
+
+      await player.onConfirmExportClick();
+      const starts = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.type === 'startExport');
+      expect(starts.map(message => message.payload.confirmed)).toEqual([undefined, true]);
+      expect(player.exportConfirmButton.style.display).toBe('none');
+    });
+  });
+
+  describe('Resume Offer', () => {
+
+    it('should offer the saved paragraph while nothing is being read', () => {
+      player.show();
+      player.setResumeOffer({ paragraphIndex: 13, text: 'Saved text.', startTime: 4.2 });
+
+      expect(player.resumeButton.textContent).toBe('Resume from paragraph 14');
+      expect(player.resumeButton.style.display).toBe('block');
+
+      player.updatePlaybackState({ status: 'playing' });
+      expect(player.resumeButton.style.display).toBe('none');
+    });
+
+    it('should jump to the saved paragraph and offset', async () => {
+      player.show();
+      player.setResumeOffer({ paragraphIndex: 13, text: 'Saved text.', startTime: 4.2 });
+
+      await player.onResumeClick();
+
+      const jump = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .find(message => message.type === 'jumpToParagraph');
+      expect(jump.payload).toEqual({ paragraphIndex: 13, text: 'Saved text.', block: undefined, startTime: 4.2 });
+      expect(player.resumeButton.style.display).toBe('none');
+    });
+  });
+
+  describe('Seek Bar and Page Progress', () => {
+
+    it('should show the time in the paragraph and the time left on the page', () => {
+      player.show();
+      player.setParagraphLengths([300, 300, 300, 300]);
+      player.updatePlaybackState({ status: 'playing', currentParagraphIndex: 1, totalParagraphs: 4, speed: 1, charactersPerSecond: 15 });
+
+      player.updateTime(10, 20);
+
+      expect(player.progressContainer.style.display).toBe('block');
+      expect(player.elapsedText.textContent).toBe('0:10');
+      expect(player.remainingText.textContent).toBe('-0:10');
+      expect(player.seekSlider.value).toBe('500');
+      expect(player.articleFill.style.width).toBe('37.5%');
+      // Half of paragraph 2 and two more paragraphs: 750 characters at 15 per second
+      expect(player.articleText.textContent).toBe('Paragraph 2 of 4 · about 0:50 left');
+
+      player.updateSpeed(2);
+      expect(player.articleText.textContent).toBe('Paragraph 2 of 4 · about 0:25 left');
+    });
+
+    it('should seek to the time the slider is released at', async () => {
+      player.show();
+      player.updatePlaybackState({ status: 'playing', currentParagraphIndex: 0, totalParagraphs: 1 });
+      player.updateTime(1, 8);
+
+      player.seekSlider.value = '250';
+      player.onSeekInput();
+      // Time updates while dragging don't move the slider
+      player.updateTime(1.5, 8);
+      expect(player.seekSlider.value).toBe('250');
+      expect(player.elapsedText.textContent).toBe('0:02');
+
+      await player.onSeekChange();
+
+      const seek = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .find(message => message.type === 'seek');
+      expect(seek.payload).toEqual({ time: 2 });
+      expect(player.isSeeking).toBe(false);
+    });
+
+    it('should show the audio ready ahead behind the page progress', () => {
+      player.show();
+      player.updatePlaybackState({ status: 'playing', currentParagraphIndex: 1, totalParagraphs: 4, bufferedParagraphs: 3.5 });
+      player.updateTime(1, 4);
+
+      expect(player.articleFill.style.width).toBe('31.3%');
+      expect(player.articleBuffer.style.width).toBe('87.5%');
+
+      // Nothing ready ahead yet
+      player.updatePlaybackState({ status: 'playing', currentParagraphIndex: 1, totalParagraphs: 4, bufferedParagraphs: null });
+      expect(player.articleBuffer.style.width).toBe('31.3%');
+    });
+
+    it('should hide page progress for selections and all progress when idle', () => {
+      player.show();
+      player.updatePlaybackState({ status: 'playing', readingSelection: true, totalParagraphs: 5 });
+      player.updateTime(1, 4);
+
+      expect(player.progressContainer.style.display).toBe('block');
+      expect(player.articleProgress.style.display).toBe('none');
+
+      player.updatePlaybackState({ status: 'idle' });
+      expect(player.progressContainer.style.display).toBe('none');
+    });
+  });
 });
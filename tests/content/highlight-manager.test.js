@@ -12,13 +12,16 @@ import { JSDOM } from 'jsdom';
 import {
   HighlightManager,
   SENTENCE_HIGHLIGHT_CLASS,
-  WORD_HIGHLIGHT_CLASS
+  WORD_HIGHLIGHT_CLASS,
+  SENTENCE_HIGHLIGHT_NAME,
+  WORD_HIGHLIGHT_NAME
 } from '../../src/content/highlight-manager.js';
 
 // Import text parser for creating test content
 import {
   parsePageContent,
   wrapWordsInSpans,
+  mapWordsToRanges,
   escapeHtml
 } from '../../src/content/text-parser.js';
 
@@ -542,4 +545,89 @@ describe('Highlight Manager Module - Property Tests', () => {
       );
     });
   });
+
+  describe('Alignment Index Reuse', () => {
+
+    it('should build the word index once per alignment and paragraph offset', () => {
+      const { highlightManager } = setupTestEnvironment(['First words here.', 'Second words here.']);
+      const characters = 'First words here.'.split('');
+      const createAlignment = () => ({
+        characters: [...characters],
+        character_start_times_seconds: characters.map((_, i) => i * 0.1),
+        character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+      });
+      const alignment = createAlignment();
+
+      highlightManager.updateFromTimestamp(0.2, alignment, 0);
+      const index = highlightManager.alignmentIndex;
+      highlightManager.updateFromTimestamp(0.8, alignment, 0);
+      expect(highlightManager.alignmentIndex).toBe(index);
+      expect(highlightManager.getCurrentState()).toMatchObject({ paragraphIndex: 0, wordIndex: 1 });
+
+      highlightManager.updateFromTimestamp(0.8, alignment, 1);
+      expect(highlightManager.alignmentIndex).not.toBe(index);
+
+      const rebuilt = highlightManager.alignmentIndex;
+      highlightManager.updateFromTimestamp(0.8, createAlignment(), 1);
+      expect(highlightManager.alignmentIndex).not.toBe(rebuilt);
+    });
+  });
+
+  /**
+   * Property 8: Range Highlights Paint Without Changing The Page
+   * For any word of a paragraph mapped to ranges, highlighting it paints its
+   * range and its sentence's range, and the paragraph HTML stays the same.
+   */
+  describe('Property 8: Range Highlights Paint Without Changing The Page', () => {
+
+    beforeEach(() => {
+      global.CSS = { highlights: new Map() };
+      global.Highlight = class {
+        constructor(...ranges) {
+          this.ranges = ranges;
+          this.priority = 0;
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete global.CSS;
+      delete global.Highlight;
+    });
+
+    it('should paint the word and sentence ranges', () => {
+      fc.assert(
+        fc.property(
+          multipleSentencesArbitrary,
+          fc.nat(),
+          fc.nat(),
+          (paragraphText, sentenceIndexRaw, wordIndexRaw) => {
+            const { dom, document } = createDocument([paragraphText]);
+            global.document = document;
+            global.window = dom.window;
+            const parsedContent = parsePageContent(document);
+            const paragraph = parsedContent.paragraphs[0];
+            expect(mapWordsToRanges(paragraph.element, paragraph.sentences)).toBe(true);
+
+            const highlightManager = new HighlightManager();
+            highlightManager.setParsedContent(parsedContent);
+            const sentenceIndex = sentenceIndexRaw % paragraph.sentences.length;
+            const sentence = paragraph.sentences[sentenceIndex];
+            const wordIndex = wordIndexRaw % sentence.words.length;
+
+            highlightManager.highlightWord(0, sentenceIndex, wordIndex);
+
+            expect(CSS.highlights.get(WORD_HIGHLIGHT_NAME).ranges[0].toString()).toBe(sentence.words[wordIndex].text);
+            expect(CSS.highlights.get(SENTENCE_HIGHLIGHT_NAME).ranges[0]).toBe(sentence.range);
+            expect(highlightManager.getCurrentState()).toEqual({ paragraphIndex: 0, sentenceIndex, wordIndex });
+            expect(paragraph.element.innerHTML).toBe(paragraph.originalHTML);
+
+            highlightManager.clearHighlights();
+            expect(CSS.highlights.size).toBe(0);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
 });
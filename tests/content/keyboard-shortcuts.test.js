@@ -0,0 +1,178 @@
+/**
+ * Property-based tests for keyboard shortcuts module
+ *
+ * Feature: keyboard-shortcuts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+import { readFileSync } from 'fs';
+
+import {
+  ShortcutCommand,
+  DEFAULT_SHORTCUTS,
+  getShortcutFromEvent,
+  isEditableTarget,
+  resolveShortcuts,
+  findShortcutCommand,
+  getShortcutFromCommand,
+  findBrowserCommand,
+  createShortcutListener
+} from '../../src/content/keyboard-shortcuts.js';
+
+/**
+ * Build a minimal keydown event
+ * @param {Object} init - Event fields
+ * @returns {Object}
+ */
+function createKeyEvent(init) {
+  return {
+    key: '',
+    code: '',
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+    repeat: false,
+    isComposing: false,
+    defaultPrevented: false,
+    target: null,
+    preventDefault: vi.fn(),
+    stopPropagation: vi.fn(),
+    ...init
+  };
+}
+
+describe('Keyboard Shortcuts Module - Property Tests', () => {
+
+  /**
+   * Property 1: Shortcuts Name Modifiers Then Key
+   * For any modifiers and letter, the shortcut lists the pressed modifiers in a
+   * fixed order followed by the physical key, whatever character it produced.
+   */
+  describe('Property 1: Shortcuts Name Modifiers Then Key', () => {
+
+    it('should describe key presses by modifiers and physical key', () => {
+      fc.assert(
+        fc.property(
+          fc.boolean(), fc.boolean(), fc.boolean(), fc.boolean(),
+          fc.constantFrom(...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'),
+          fc.string({ minLength: 1, maxLength: 1 }),
+          (ctrlKey, altKey, shiftKey, metaKey, letter, produced) => {
+            const shortcut = getShortcutFromEvent(createKeyEvent({
+              key: produced, code: `Key${letter}`, ctrlKey, altKey, shiftKey, metaKey
+            }));
+
+            const expected = [
+              ctrlKey && 'Ctrl', altKey && 'Alt', shiftKey && 'Shift', metaKey && 'Meta', letter
+            ].filter(Boolean).join('+');
+            expect(shortcut).toBe(expected);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should ignore lone modifier keys and name special keys', () => {
+      expect(getShortcutFromEvent(createKeyEvent({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }))).toBeNull();
+      expect(getShortcutFromEvent(createKeyEvent({ key: 'PageDown', code: 'PageDown', altKey: true, shiftKey: true })))
+        .toBe(DEFAULT_SHORTCUTS[ShortcutCommand.SKIP_NEXT]);
+      expect(getShortcutFromEvent(createKeyEvent({ key: ' ', code: 'Space' }))).toBe('Space');
+    });
+  });
+
+  /**
+   * Property 2: Saved Shortcuts Override Defaults
+   * For any saved shortcuts, known commands take the saved value and every
+   * other command keeps its default.
+   */
+  describe('Property 2: Saved Shortcuts Override Defaults', () => {
+
+    it('should merge saved shortcuts over the defaults', () => {
+      fc.assert(
+        fc.property(
+          fc.dictionary(fc.constantFrom(...Object.keys(DEFAULT_SHORTCUTS), 'unknown'), fc.string({ maxLength: 12 })),
+          (saved) => {
+            const shortcuts = resolveShortcuts(saved);
+
+            expect(Object.keys(shortcuts).sort()).toEqual(Object.keys(DEFAULT_SHORTCUTS).sort());
+            Object.keys(DEFAULT_SHORTCUTS).forEach(command => {
+              expect(shortcuts[command]).toBe(command in saved ? saved[command] : DEFAULT_SHORTCUTS[command]);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not match cleared shortcuts', () => {
+      const shortcuts = resolveShortcuts({ [ShortcutCommand.STOP]: '' });
+      expect(findShortcutCommand(shortcuts, 'Alt+Shift+S')).toBeNull();
+      expect(findShortcutCommand(shortcuts, 'Alt+Shift+K')).toBe(ShortcutCommand.TOGGLE_PLAYBACK);
+    });
+
+    it('should not default to a key the browser already runs the command for', () => {
+      const { commands } = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+      const browserCommands = Object.entries(commands)
+        .map(([name, command]) => ({ name, shortcut: command.suggested_key?.default }));
+
+      Object.values(DEFAULT_SHORTCUTS).forEach(shortcut => {
+        expect(findBrowserCommand(browserCommands, shortcut)).toBeNull();
+      });
+    });
+  });
+
+  describe('Browser Shortcuts', () => {
+
+    it('should describe browser shortcuts the way key presses are described', () => {
+      expect(getShortcutFromCommand('Alt+Shift+P')).toBe('Alt+Shift+P');
+      expect(getShortcutFromCommand('Shift+Ctrl+Left')).toBe('Ctrl+Shift+ArrowLeft');
+      expect(getShortcutFromCommand('Ctrl+Comma')).toBe('Ctrl+,');
+      expect(getShortcutFromCommand('⌥⇧P')).toBe('Alt+Shift+P');
+      expect(getShortcutFromCommand('⇧⌘Down')).toBe('Shift+Meta+ArrowDown');
+      expect(getShortcutFromCommand('')).toBeNull();
+    });
+
+    it('should find the browser command an in-page shortcut would also run', () => {
+      const commands = [
+        { name: 'read-selection', description: 'Read the selected text', shortcut: 'Alt+Shift+R' },
+        { name: 'stop-playback', description: 'Stop', shortcut: '' }
+      ];
+      const event = createKeyEvent({ key: 'R', code: 'KeyR', altKey: true, shiftKey: true });
+
+      expect(findBrowserCommand(commands, getShortcutFromEvent(event))).toBe(commands[0]);
+      expect(findBrowserCommand(commands, 'Alt+Shift+S')).toBeNull();
+      expect(findBrowserCommand(commands, '')).toBeNull();
+    });
+  });
+
+  describe('Typing in form fields', () => {
+    const { document } = new JSDOM(`<!DOCTYPE html><body>
+      <input id="text"><input id="checkbox" type="checkbox"><textarea id="area"></textarea>
+      <div contenteditable="true"><span id="rich">Text</span></div><p id="plain">Text</p>
+    </body>`).window;
+
+    it('should treat text fields and editable content as typing targets', () => {
+      expect(isEditableTarget(document.getElementById('text'))).toBe(true);
+      expect(isEditableTarget(document.getElementById('area'))).toBe(true);
+      expect(isEditableTarget(document.getElementById('rich'))).toBe(true);
+      expect(isEditableTarget(document.getElementById('checkbox'))).toBe(false);
+      expect(isEditableTarget(document.getElementById('plain'))).toBe(false);
+    });
+
+    it('should run bound commands only outside form fields', () => {
+      const onCommand = vi.fn();
+      const listener = createShortcutListener(() => DEFAULT_SHORTCUTS, onCommand);
+      const press = (target) => createKeyEvent({ key: '˚', code: 'KeyK', altKey: true, shiftKey: true, target });
+
+      listener(press(document.getElementById('text')));
+      expect(onCommand).not.toHaveBeenCalled();
+
+      const event = press(document.getElementById('plain'));
+      listener(event);
+      expect(onCommand).toHaveBeenCalledWith(ShortcutCommand.TOGGLE_PLAYBACK);
+      expect(event.preventDefault).toHaveBeenCalled();
+    });
+  });
+});
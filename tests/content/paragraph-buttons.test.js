@@ -17,12 +17,15 @@ import {
   getButtons,
   BUTTON_CLASS,
   WRAPPER_CLASS,
+  HOST_CLASS,
   PARAGRAPH_INDEX_ATTR
 } from '../../src/content/paragraph-buttons.js';
 
 // Import text parser for creating paragraph structures
 import {
   parsePageContent,
+  parseBlockSentences,
+  getBlockInfo,
   escapeHtml
 } from '../../src/content/text-parser.js';
 
@@ -348,4 +351,36 @@ describe('Paragraph Buttons Module - Property Tests', () => {
       );
     });
   });
+
+  describe('List items and table rows', () => {
+
+    it('should place buttons inside list items and rows instead of wrapping them', () => {
+      const dom = new JSDOM(`<!DOCTYPE html><body>
+        <ul><li>First item.</li></ul>
+        <table><tr><td>Cell one.</td><td>Cell two.</td></tr></table>
+      </body>`);
+      const doc = dom.window.document;
+      setupGlobals(doc);
+
+      const paragraphs = ['li', 'tr'].map(selector => {
+        const element = doc.querySelector(selector);
+        return {
+          element,
+          sentences: parseBlockSentences(element),
+          originalHTML: element.innerHTML,
+          block: getBlockInfo(element)
+        };
+      });
+      injectButtons(paragraphs);
+
+      expect(getButtonCount()).toBe(2);
+      expect(doc.querySelectorAll(`.${WRAPPER_CLASS}`).length).toBe(0);
+      expect(doc.querySelector('ul > li').classList.contains(HOST_CLASS)).toBe(true);
+      expect(doc.querySelector('tr').cells[0].querySelector(`.${BUTTON_CLASS}`)).not.toBeNull();
+
+      removeButtons();
+      expect(getButtonCount()).toBe(0);
+      expect(doc.querySelectorAll(`.${HOST_CLASS}`).length).toBe(0);
+    });
+  });
 });
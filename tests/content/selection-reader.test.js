@@ -0,0 +1,131 @@
+/**
+ * Property-based tests for selection reader module
+ *
+ * Feature: read-selection
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+
+import {
+  createSelectionReading,
+  SELECTION_WRAPPER_CLASS
+} from '../../src/content/selection-reader.js';
+
+import {
+  wrapWordsInSpans,
+  parseSentences,
+  WORD_SPAN_CLASS
+} from '../../src/content/text-parser.js';
+
+/**
+ * Helper to create a DOM document from body HTML
+ * @param {string} bodyHtml - Body contents
+ * @returns {{dom: JSDOM, document: Document}}
+ */
+function createDocument(bodyHtml) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${bodyHtml}</body></html>`);
+  return { dom, document: dom.window.document };
+}
+
+/**
+ * Arbitrary for words of letters
+ */
+const wordsArbitrary = fc.array(fc.stringMatching(/^[a-z]{1,8}$/), { minLength: 3, maxLength: 12 });
+
+describe('Selection Reader Module - Property Tests', () => {
+  let dom;
+
+  afterEach(() => {
+    delete global.document;
+    delete global.window;
+  });
+
+  /**
+   * Property 1: Selection Restores Exactly
+   * For any selection within one text node, reading wraps exactly the selected
+   * text and restoring puts the page back as it was.
+   */
+  describe('Property 1: Selection Restores Exactly', () => {
+
+    it('should wrap the selected words and restore the original markup', () => {
+      fc.assert(
+        fc.property(wordsArbitrary, fc.nat(), fc.nat(), (words, a, b) => {
+          const text = words.join(' ');
+          ({ dom } = createDocument(`<p id="target">${text}</p>`));
+          const document = dom.window.document;
+          global.document = document;
+          global.window = dom.window;
+
+          const target = document.getElementById('target');
+          const before = target.innerHTML;
+          const start = a % text.length;
+          const end = start + 1 + (b % (text.length - start));
+
+          const range = document.createRange();
+          range.setStart(target.firstChild, start);
+          range.setEnd(target.firstChild, end);
+          const selected = range.toString().replace(/\s+/g, ' ').trim();
+
+          const reading = createSelectionReading(range);
+          if (!selected) {
+            expect(reading).toBeNull();
+            return;
+          }
+
+          expect(reading.text).toBe(parseSentences(selected).map(s => s.text).join(' '));
+          expect(reading.highlightManager).not.toBeNull();
+          expect(target.querySelector(`.${SELECTION_WRAPPER_CLASS}`).textContent.replace(/\s+/g, ' ').trim()).toBe(selected);
+
+          reading.restore();
+          expect(target.innerHTML).toBe(before);
+          expect(target.querySelector(`.${SELECTION_WRAPPER_CLASS}`)).toBeNull();
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Selections the page structure limits', () => {
+
+    it('should read selections across elements without changing the page', () => {
+      ({ dom } = createDocument('<table><tr><td id="a">First cell</td><td id="b">Second cell</td></tr></table>'));
+      const document = dom.window.document;
+      global.document = document;
+      global.window = dom.window;
+
+      const before = document.body.innerHTML;
+      const range = document.createRange();
+      range.setStart(document.getElementById('a').firstChild, 6);
+      range.setEnd(document.getElementById('b').firstChild, 6);
+
+      const reading = createSelectionReading(range, 'cell\tSecond');
+
+      expect(reading.text).toBe('cell Second');
+      expect(reading.highlightManager).toBeNull();
+      expect(document.body.innerHTML).toBe(before);
+    });
+
+    it('should extend selections to whole words of wrapped paragraphs', () => {
+      ({ dom } = createDocument('<p id="target">Hello brave new world.</p>'));
+      const document = dom.window.document;
+      global.document = document;
+      global.window = dom.window;
+
+      const target = document.getElementById('target');
+      wrapWordsInSpans(target, 0, parseSentences(target.textContent));
+      const words = target.querySelectorAll(`.${WORD_SPAN_CLASS}`);
+
+      const range = document.createRange();
+      range.setStart(words[1].firstChild, 2);
+      range.setEnd(words[2].firstChild, 1);
+
+      const reading = createSelectionReading(range);
+
+      expect(reading.text).toBe('brave new');
+      reading.restore();
+      expect(target.querySelectorAll(`.${WORD_SPAN_CLASS}`).length).toBe(words.length);
+    });
+  });
+});
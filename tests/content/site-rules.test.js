@@ -0,0 +1,207 @@
+/**
+ * Property-based tests for site rules module
+ *
+ * Feature: site-rules
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+
+import {
+  DEFAULT_SITE_RULES,
+  createSiteRule,
+  resolveSiteRules,
+  matchesSitePattern,
+  getActiveSiteRule,
+  formatReplacementLines,
+  parseReplacementLines,
+  addSelectorToSiteRules,
+  exportSiteRules,
+  importSiteRules
+} from '../../src/content/site-rules.js';
+
+import {
+  parsePageContent,
+  getParagraphText,
+  setActiveSiteRule
+} from '../../src/content/text-parser.js';
+
+import { extractMainContent } from '../../src/content/content-extractor.js';
+
+/**
+ * Arbitrary for hostname labels
+ */
+const labelArbitrary = fc.stringMatching(/^[a-z][a-z0-9]{0,8}$/);
+
+/**
+ * Helper to create a document from body HTML
+ * @param {string} bodyHtml - Body contents
+ * @returns {Document}
+ */
+function createDocument(bodyHtml) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${bodyHtml}</body></html>`).window.document;
+}
+
+/**
+ * Build the active rule set for one rule on https://docs.example.com/
+ * @param {Object} fields - Rule fields
+ * @returns {ActiveSiteRule}
+ */
+function activeRule(fields) {
+  return getActiveSiteRule([{ ...createSiteRule('docs.example.com'), ...fields }], 'https://docs.example.com/guide');
+}
+
+describe('Site Rules Module - Property Tests', () => {
+
+  afterEach(() => {
+    setActiveSiteRule(null);
+  });
+
+  /**
+   * Property 1: Hostname Patterns Match The Site And Its Subdomains
+   * For any hostname, a plain pattern matches only that hostname and a
+   * "*." pattern also matches every subdomain, whatever the path.
+   */
+  describe('Property 1: Hostname Patterns Match The Site And Its Subdomains', () => {
+
+    it('should match hostnames exactly and wildcard patterns by domain', () => {
+      fc.assert(
+        fc.property(labelArbitrary, labelArbitrary, labelArbitrary, fc.webPath(), (sub, name, other, path) => {
+          const domain = `${name}.com`;
+          const url = `https://${sub}.${domain}${path}`;
+
+          expect(matchesSitePattern(`${sub}.${domain}`, url)).toBe(true);
+          expect(matchesSitePattern(`*.${domain}`, url)).toBe(true);
+          expect(matchesSitePattern(`*.${domain}`, `https://${domain}/`)).toBe(true);
+          expect(matchesSitePattern(domain, url)).toBe(false);
+          expect(matchesSitePattern(`*.${other}x.com`, url)).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should match URL patterns with wildcards', () => {
+      expect(matchesSitePattern('https://example.com/blog/*', 'https://example.com/blog/2024/post?id=1')).toBe(true);
+      expect(matchesSitePattern('https://example.com/blog/*', 'https://example.com/shop/item')).toBe(false);
+      expect(matchesSitePattern('https://example.com/docs', 'https://example.com/docs/')).toBe(true);
+      expect(matchesSitePattern('example.com', 'not a url')).toBe(false);
+    });
+  });
+
+  /**
+   * Property 2: Rules Survive Editing And Export
+   * For any replacements, formatting them for the editor and reading them back
+   * gives the same replacements; any rule list survives export and import.
+   */
+  describe('Property 2: Rules Survive Editing And Export', () => {
+
+    const replacementArbitrary = fc.oneof(
+      fc.record({
+        find: fc.stringMatching(/^[^\n/][^\n]{0,10}$/).filter(find => !find.includes(' => ')),
+        replace: fc.stringMatching(/^[^\n]{0,10}$/)
+      }),
+      fc.record({
+        find: fc.stringMatching(/^[a-z\\d+]{1,8}$/),
+        replace: fc.stringMatching(/^[^\n]{0,10}$/),
+        regex: fc.constant(true),
+        flags: fc.constantFrom('', 'i', 'gi')
+      })
+    );
+
+    it('should read back the replacement lines it writes', () => {
+      fc.assert(
+        fc.property(fc.array(replacementArbitrary, { maxLength: 6 }), (replacements) => {
+          expect(parseReplacementLines(formatReplacementLines(replacements))).toEqual(replacements);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should import the rules it exports', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({
+            pattern: labelArbitrary.map(label => `${label}.org`),
+            include: fc.array(fc.constantFrom('article p', '.post', 'main li')),
+            exclude: fc.array(fc.constantFrom('.ad', 'sup', 'aside')),
+            skip: fc.array(fc.constantFrom('^Advertisement$', 'cookies')),
+            replacements: fc.array(replacementArbitrary, { maxLength: 3 })
+          }), { maxLength: 5 }),
+          (fields) => {
+            const rules = fields.map(rule => ({ ...createSiteRule(), ...rule }));
+            expect(importSiteRules(exportSiteRules(rules))).toEqual(rules);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should reject files that are not rule exports', () => {
+      expect(() => importSiteRules('not json')).toThrow('not valid JSON');
+      expect(() => importSiteRules('{"version": 1}')).toThrow('does not contain site rules');
+    });
+  });
+
+  describe('Rule list', () => {
+
+    it('should use the built-in rules until the user saves a list', () => {
+      expect(resolveSiteRules(undefined)).toEqual(DEFAULT_SITE_RULES);
+      expect(resolveSiteRules([])).toEqual([]);
+      expect(resolveSiteRules([{ pattern: '' }, { pattern: 'a.com', include: ['p', 3] }]))
+        .toEqual([expect.objectContaining({ pattern: 'a.com', include: ['p'] })]);
+    });
+
+    it('should add picked selectors to the rule for the hostname once', () => {
+      let rules = addSelectorToSiteRules([], 'news.example.com', 'exclude', '.newsletter');
+      rules = addSelectorToSiteRules(rules, 'news.example.com', 'exclude', '.newsletter');
+      rules = addSelectorToSiteRules(rules, 'news.example.com', 'include', 'article p');
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0]).toMatchObject({ pattern: 'news.example.com', include: ['article p'], exclude: ['.newsletter'] });
+    });
+  });
+
+  describe('Parsing with site rules', () => {
+
+    it('should read only included blocks, in page order, once each', () => {
+      const doc = createDocument(`
+        <div class="note">First note.</div>
+        <p>Plain paragraph.</p>
+        <h2 class="title">Heading</h2>
+        <div class="note">Second note. <span class="note">Nested.</span></div>
+      `);
+      setActiveSiteRule(activeRule({ include: ['div.note', '.title'] }));
+
+      expect(parsePageContent(doc).paragraphs.map(getParagraphText))
+        .toEqual(['First note.', 'Heading', 'Second note. Nested.']);
+      expect(extractMainContent(doc).paragraphs.map(getParagraphText))
+        .toEqual(['First note.', 'Heading', 'Second note. Nested.']);
+    });
+
+    it('should leave out excluded elements and skipped blocks and apply replacements', () => {
+      const doc = createDocument(`
+        <main>
+          <p>Results were good<sup class="ref">[1]</sup> overall.</p>
+          <p class="promo">Subscribe to our newsletter.</p>
+          <p>Advertisement</p>
+          <p>Read the API docs.</p>
+        </main>
+      `);
+      setActiveSiteRule(activeRule({
+        exclude: ['sup.ref', '.promo'],
+        skip: ['^advertisement$'],
+        replacements: [{ find: 'API', replace: 'A P I' }, { find: '\\bdocs\\b', replace: 'documentation', regex: true, flags: '' }]
+      }));
+
+      expect(parsePageContent(doc).paragraphs.map(getParagraphText))
+        .toEqual(['Results were good overall.', 'Read the A P I documentation.']);
+    });
+
+    it('should not apply rules for other sites', () => {
+      const rules = [{ ...createSiteRule('other.example.com'), exclude: ['p'] }];
+      expect(getActiveSiteRule(rules, 'https://docs.example.com/')).toBeNull();
+      expect(getActiveSiteRule([{ ...rules[0], enabled: false }], 'https://other.example.com/')).toBeNull();
+    });
+  });
+});
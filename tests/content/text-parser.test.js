@@ -12,10 +12,18 @@ import { JSDOM } from 'jsdom';
 import {
   parsePageContent,
   wrapWordsInSpans,
+  mapWordsToRanges,
   restoreOriginalContent,
   splitIntoSentences,
   splitIntoWords,
   getTextContent,
+  getParagraphHeadings,
+  getParagraphText,
+  getParagraphTranscript,
+  getBlockInfo,
+  parseBlockSentences,
+  setActiveSiteRule,
+  BlockType,
   escapeHtml
 } from '../../src/content/text-parser.js';
 
@@ -317,4 +325,162 @@ describe('Text Parser Module - Property Tests', () => {
       );
     });
   });
+
+  describe('getParagraphHeadings', () => {
+
+    it('should give each paragraph the nearest heading before it', () => {
+      const dom = new JSDOM(`
+        <main>
+          <p>Before any heading.</p>
+          <h1>Title</h1>
+          <p>Under the title.</p>
+          <section><h2>Setup</h2><div><p>Nested under setup.</p></div></section>
+          <nav><h2>Menu</h2></nav>
+          <p>Still setup.</p>
+        </main>
+      `);
+      const doc = dom.window.document;
+
+      expect(getParagraphHeadings(parsePageContent(doc), doc))
+        .toEqual([null, 'Title', 'Setup', 'Setup']);
+    });
+  });
+
+  describe('Block structure', () => {
+
+    it('should describe headings, list items, table rows, code and quotes', () => {
+      const dom = new JSDOM(`
+        <h3 id="h">Title</h3>
+        <ul><li>One</li><li id="li">Two</li><li>Three</li></ul>
+        <table>
+          <thead><tr id="head"><th>Name</th><th>Age</th></tr></thead>
+          <tbody><tr><td>Ann</td><td>30</td></tr><tr id="row"><td>Bob</td><td>41</td></tr></tbody>
+        </table>
+        <pre id="pre">let x = 1;</pre>
+        <blockquote><p id="quoted">Quoted.</p></blockquote>
+        <p id="p">Plain.</p>
+      `);
+      const doc = dom.window.document;
+      const block = (id) => getBlockInfo(doc.getElementById(id));
+
+      expect(block('h')).toEqual({ type: BlockType.HEADING, level: 3 });
+      expect(block('li')).toEqual({ type: BlockType.LIST_ITEM, ordinal: 2, total: 3 });
+      expect(block('head')).toEqual({ type: BlockType.TABLE_ROW, header: true });
+      expect(block('row')).toEqual({ type: BlockType.TABLE_ROW, ordinal: 2, total: 2, headers: ['Name', 'Age'] });
+      expect(block('pre')).toEqual({ type: BlockType.CODE });
+      expect(block('quoted')).toEqual({ type: BlockType.QUOTE });
+      expect(block('p')).toEqual({ type: BlockType.PARAGRAPH });
+    });
+
+    it('should wrap table rows cell by cell without losing the cells', () => {
+      const dom = new JSDOM('<table><tr id="row"><td>First cell.</td><td></td><td>Last one. Really.</td></tr></table>');
+      const row = dom.window.document.getElementById('row');
+
+      const sentences = parseBlockSentences(row);
+      expect(sentences.map(s => s.cellIndex)).toEqual([0, 2, 2]);
+      expect(sentences.map(s => s.text).join(' ')).toBe('First cell. Last one. Really.');
+
+      wrapWordsInSpans(row, 0, sentences);
+
+      expect(row.cells.length).toBe(3);
+      expect(row.cells[0].textContent).toBe('First cell.');
+      expect(row.cells[1].textContent).toBe('');
+      expect(row.cells[2].textContent).toBe('Last one. Really.');
+    });
+  });
+
+  /**
+   * Property 5: Word Ranges Leave The Page Untouched
+   * For any paragraph, mapping words to ranges keeps its HTML as it was and
+   * gives each word a range over exactly its text.
+   */
+  describe('Property 5: Word Ranges Leave The Page Untouched', () => {
+
+    it('should give each word a range over its text without changing the HTML', () => {
+      const wordArbitrary = fc.stringMatching(/^[A-Za-z0-9]{1,8}[,.!?]?$/);
+      const markupArbitrary = fc.array(
+        fc.tuple(wordArbitrary, fc.constantFrom('', 'a', 'em', 'code')),
+        { minLength: 1, maxLength: 12 }
+      ).map(words => words
+        .map(([word, tag]) => (tag ? `<${tag}>${escapeHtml(word)}</${tag}>` : escapeHtml(word)))
+        .join(' '));
+
+      fc.assert(
+        fc.property(markupArbitrary, (markup) => {
+          const doc = new JSDOM(`<!DOCTYPE html><html><body><main><p>${markup}</p></main></body></html>`).window.document;
+          const parsed = parsePageContent(doc);
+          if (parsed.paragraphs.length === 0) {
+            return;
+          }
+          const paragraph = parsed.paragraphs[0];
+
+          expect(mapWordsToRanges(paragraph.element, paragraph.sentences)).toBe(true);
+          expect(paragraph.element.innerHTML).toBe(paragraph.originalHTML);
+          for (const sentence of paragraph.sentences) {
+            expect(sentence.range.toString().replace(/\s+/g, ' ')).toBe(sentence.text);
+            for (const word of sentence.words) {
+              expect(word.range.toString()).toBe(word.text);
+            }
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should skip text that is not read and keep page nodes and listeners', () => {
+      const dom = new JSDOM('<p id="p">Open <a href="/x">the <code>docs</code></a><span aria-hidden="true">icon</span> now.</p>');
+      const element = dom.window.document.getElementById('p');
+      const link = element.querySelector('a');
+      const sentences = parseBlockSentences(element);
+
+      expect(mapWordsToRanges(element, sentences)).toBe(true);
+      expect(sentences[0].words.map(word => word.range.toString())).toEqual(['Open', 'the', 'docs', 'now.']);
+      expect(element.querySelector('a')).toBe(link);
+
+      restoreOriginalContent({ element, sentences, originalHTML: element.innerHTML });
+      expect(element.querySelector('a')).toBe(link);
+      expect(sentences[0].words[0].range).toBeUndefined();
+    });
+
+    it('should fail when a site rule changed the text, so the paragraph gets spans', () => {
+      setActiveSiteRule({ include: [], exclude: [], skip: [], replacements: [{ pattern: /docs/g, replace: 'documentation' }] });
+      try {
+        const dom = new JSDOM('<p id="p">Read the API docs.</p>');
+        const element = dom.window.document.getElementById('p');
+        expect(mapWordsToRanges(element, parseBlockSentences(element))).toBe(false);
+      } finally {
+        setActiveSiteRule(null);
+      }
+    });
+  });
+
+  /**
+   * Property 6: Transcript Words Point Into The Paragraph Text
+   * For any paragraph, each transcript word's offset is where the word
+   * appears in the paragraph text that is read aloud.
+   */
+  describe('Property 6: Transcript Words Point Into The Paragraph Text', () => {
+
+    it('should find every word at its offset', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.stringMatching(/^[A-Za-z,]{1,8}( [A-Za-z,']{1,8}){0,5}[.!?]$/), { minLength: 1, maxLength: 4 }),
+          (sentences) => {
+            const doc = createDocument([sentences.join('  ')]);
+            const [paragraph] = parsePageContent(doc).paragraphs;
+            const transcript = getParagraphTranscript(paragraph);
+
+            expect(transcript.text).toBe(getParagraphText(paragraph));
+            transcript.sentences.forEach((sentence, sentenceIndex) => {
+              sentence.words.forEach((word, wordIndex) => {
+                expect(word.text).toBe(paragraph.sentences[sentenceIndex].words[wordIndex].text);
+                expect(transcript.text.slice(word.start, word.start + word.text.length)).toBe(word.text);
+              });
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
 });
@@ -0,0 +1,180 @@
+/**
+ * Property-based tests for word seek module
+ *
+ * Feature: word-seek
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { JSDOM } from 'jsdom';
+
+import {
+  findWordAtEvent,
+  createWordClickListener
+} from '../../src/content/word-seek.js';
+
+import {
+  parsePageContent,
+  wrapWordsInSpans,
+  mapWordsToRanges,
+  escapeHtml
+} from '../../src/content/text-parser.js';
+
+/**
+ * Parse a page of paragraphs
+ * @param {string} body - Body HTML
+ * @param {boolean} [wrap=true] - Wrap words in spans; map them to ranges otherwise
+ * @returns {{doc: Document, parsedContent: Object}}
+ */
+function createPage(body, wrap = true) {
+  const doc = new JSDOM(`<!DOCTYPE html><html><body><main>${body}</main></body></html>`).window.document;
+  const parsedContent = parsePageContent(doc);
+  parsedContent.paragraphs.forEach((paragraph, index) => {
+    if (wrap) {
+      wrapWordsInSpans(paragraph.element, index, paragraph.sentences);
+    } else {
+      mapWordsToRanges(paragraph.element, paragraph.sentences);
+    }
+  });
+  return { doc, parsedContent };
+}
+
+/**
+ * Build a minimal click event
+ * @param {Object} init - Event fields
+ * @returns {Object}
+ */
+function createClickEvent(init) {
+  return {
+    button: 0,
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+    defaultPrevented: false,
+    clientX: 0,
+    clientY: 0,
+    target: null,
+    preventDefault: vi.fn(),
+    stopPropagation: vi.fn(),
+    ...init
+  };
+}
+
+/**
+ * Paragraph texts: sentences of short words
+ */
+const paragraphsArbitrary = fc.array(
+  fc.array(fc.stringMatching(/^[A-Za-z]{1,6}( [A-Za-z]{1,6}){0,4}\.$/), { minLength: 1, maxLength: 3 })
+    .map(sentences => sentences.join(' ')),
+  { minLength: 1, maxLength: 4 }
+);
+
+describe('Word Seek Module - Property Tests', () => {
+
+  /**
+   * Property 1: Clicked Words Are Found Where They Are Read
+   * For any page, clicking a word wrapped in a span, or a point inside a word
+   * highlighted over the page text, finds that word's position.
+   */
+  describe('Property 1: Clicked Words Are Found Where They Are Read', () => {
+
+    it('should find words wrapped in spans by their indices', () => {
+      fc.assert(
+        fc.property(paragraphsArbitrary, fc.nat(), (texts, pick) => {
+          const { doc, parsedContent } = createPage(texts.map(text => `<p>${escapeHtml(text)}</p>`).join(''));
+          const spans = Array.from(doc.querySelectorAll('.elevenlabs-word'));
+          const span = spans[pick % spans.length];
+
+          const position = findWordAtEvent(parsedContent, createClickEvent({ target: span }));
+
+          const { paragraphIndex, sentenceIndex, wordIndex } = position;
+          expect(parsedContent.paragraphs[paragraphIndex].sentences[sentenceIndex].words[wordIndex].spanElement).toBe(span);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should find words highlighted over the page text from the point clicked', () => {
+      const { doc, parsedContent } = createPage('<p>Intro text here.</p><p>Read <a href="/x">the docs</a> now.</p>', false);
+      const link = doc.querySelector('a');
+      const docsText = link.firstChild;
+      doc.caretRangeFromPoint = () => {
+        const range = doc.createRange();
+        range.setStart(docsText, 'the docs'.indexOf('docs') + 2);
+        return range;
+      };
+
+      const position = findWordAtEvent(parsedContent, createClickEvent({ target: link }));
+
+      expect(position).toEqual({ paragraphIndex: 1, sentenceIndex: 0, wordIndex: 2 });
+    });
+
+    it('should ignore clicks outside the words being read', () => {
+      const { doc, parsedContent } = createPage('<p>Only paragraph.</p><aside id="other">Aside</aside>', false);
+      const other = doc.getElementById('other');
+      doc.caretRangeFromPoint = () => {
+        const range = doc.createRange();
+        range.setStart(other.firstChild, 1);
+        return range;
+      };
+
+      expect(findWordAtEvent(parsedContent, createClickEvent({ target: other }))).toBeNull();
+      expect(findWordAtEvent(null, createClickEvent({ target: other }))).toBeNull();
+    });
+  });
+
+  describe('Click Listener', () => {
+
+    it('should seek on plain clicks only while the page is being read', () => {
+      const { doc, parsedContent } = createPage('<p>First words here.</p>');
+      const onWord = vi.fn();
+      let reading = false;
+      const listener = createWordClickListener(() => parsedContent, () => reading, onWord);
+      const target = doc.querySelectorAll('.elevenlabs-word')[1];
+
+      listener(createClickEvent({ target }));
+      expect(onWord).not.toHaveBeenCalled();
+
+      reading = true;
+      const event = createClickEvent({ target });
+      listener(event);
+      expect(onWord).toHaveBeenCalledWith({ paragraphIndex: 0, sentenceIndex: 0, wordIndex: 1 });
+      expect(event.preventDefault).not.toHaveBeenCalled();
+    });
+
+    it('should leave links to the page unless Alt is held', () => {
+      const { doc, parsedContent } = createPage('<p>Read the docs now.</p>');
+      const onWord = vi.fn();
+      const listener = createWordClickListener(() => parsedContent, () => true, onWord);
+      const target = doc.querySelectorAll('.elevenlabs-word')[2];
+      // Wrapping replaces the paragraph's markup, so put the word back inside a link
+      const link = doc.createElement('a');
+      link.href = '/x';
+      target.parentNode.insertBefore(link, target);
+      link.appendChild(target);
+
+      listener(createClickEvent({ target }));
+      expect(onWord).not.toHaveBeenCalled();
+
+      const altClick = createClickEvent({ target, altKey: true });
+      listener(altClick);
+      expect(onWord).toHaveBeenCalledWith({ paragraphIndex: 0, sentenceIndex: 0, wordIndex: 2 });
+      expect(altClick.preventDefault).toHaveBeenCalled();
+    });
+
+    it('should ignore clicks that open links or extend selections', () => {
+      const { doc, parsedContent } = createPage('<p>First words here.</p>');
+      const onWord = vi.fn();
+      const listener = createWordClickListener(() => parsedContent, () => true, onWord);
+      const target = doc.querySelector('.elevenlabs-word');
+
+      listener(createClickEvent({ target, ctrlKey: true, altKey: true }));
+      listener(createClickEvent({ target, shiftKey: true }));
+      listener(createClickEvent({ target, button: 1 }));
+      listener(createClickEvent({ target, defaultPrevented: true }));
+
+      expect(onWord).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Property-based tests for audio cache module
+ *
+ * Feature: audio-cache
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  isAudioCacheAvailable,
+  createCacheKey,
+  selectEntriesToEvict,
+  getCachedAudio,
+  putCachedAudio,
+  getAudioCacheStats,
+  DEFAULT_MAX_CACHE_BYTES
+} = await import('../../lib/audio-cache.js');
+
+/**
+ * Synthesis parameter arbitrary
+ */
+const paramsArbitrary = fc.record({
+  text: fc.string({ minLength: 1, maxLength: 200 }),
+  voiceId: fc.string({ minLength: 1, maxLength: 30 }),
+  modelId: fc.constantFrom('eleven_monolingual_v1', 'eleven_multilingual_v2', 'eleven_turbo_v2_5'),
+  voiceSettings: fc.record({
+    stability: fc.double({ min: 0, max: 1, noNaN: true }),
+    similarity_boost: fc.double({ min: 0, max: 1, noNaN: true })
+  })
+});
+
+/**
+ * Cache metadata arbitrary with unique keys
+ */
+const entriesArbitrary = fc.uniqueArray(
+  fc.record({
+    key: fc.hexaString({ minLength: 8, maxLength: 8 }),
+    size: fc.nat({ max: 1000 }),
+    lastAccessed: fc.nat({ max: 1000000 })
+  }),
+  { selector: entry => entry.key, maxLength: 50 }
+);
+
+describe('Audio Cache Module - Property Tests', () => {
+
+  /**
+   * Property 1: Cache Keys Are Content-Addressed
+   * For any synthesis parameters, the cache key is a stable hash that only
+   * depends on text, voice, model and voice settings.
+   */
+  describe('Property 1: Cache Keys Are Content-Addressed', () => {
+
+    it('should produce the same key for the same parameters', async () => {
+      await fc.assert(
+        fc.asyncProperty(paramsArbitrary, async (params) => {
+          const first = await createCacheKey(params);
+          const second = await createCacheKey({ ...params, voiceSettings: { ...params.voiceSettings } });
+
+          expect(first).toBe(second);
+          expect(first).toMatch(/^[0-9a-f]{64}$/);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not depend on voice settings key order', async () => {
+      await fc.assert(
+        fc.asyncProperty(paramsArbitrary, async (params) => {
+          const { stability, similarity_boost } = params.voiceSettings;
+          const reordered = { similarity_boost, stability };
+
+          expect(await createCacheKey({ ...params, voiceSettings: reordered }))
+            .toBe(await createCacheKey(params));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should produce different keys when the text or voice differs', async () => {
+      await fc.assert(
+        fc.asyncProperty(paramsArbitrary, fc.string({ minLength: 1, maxLength: 20 }), async (params, suffix) => {
+          const original = await createCacheKey(params);
+
+          expect(await createCacheKey({ ...params, text: params.text + suffix })).not.toBe(original);
+          expect(await createCacheKey({ ...params, voiceId: params.voiceId + suffix })).not.toBe(original);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only change keys when a pronunciation dictionary is used', async () => {
+      await fc.assert(
+        fc.asyncProperty(paramsArbitrary, async (params) => {
+          const original = await createCacheKey(params);
+
+          expect(await createCacheKey({ ...params, pronunciationDictionaries: [] })).toBe(original);
+          expect(await createCacheKey({ ...params, pronunciationDictionaries: [{ id: 'dict', versionId: 'v1' }] }))
+            .not.toBe(original);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should only change keys when surrounding text is sent', async () => {
+      await fc.assert(
+        fc.asyncProperty(paramsArbitrary, fc.string({ minLength: 1, maxLength: 50 }), async (params, context) => {
+          const original = await createCacheKey(params);
+
+          expect(await createCacheKey({ ...params, previousText: '', nextText: '' })).toBe(original);
+          expect(await createCacheKey({ ...params, previousText: context })).not.toBe(original);
+          expect(await createCacheKey({ ...params, nextText: context }))
+            .not.toBe(await createCacheKey({ ...params, previousText: context }));
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: LRU Eviction Respects Size Cap
+   * For any set of cache entries, evicting the selected keys brings the total
+   * size within the cap, and no evicted entry was used more recently than a kept one.
+   */
+  describe('Property 2: LRU Eviction Respects Size Cap', () => {
+
+    it('should bring total size within the cap', () => {
+      fc.assert(
+        fc.property(entriesArbitrary, fc.nat({ max: 20000 }), (entries, maxBytes) => {
+          const evicted = new Set(selectEntriesToEvict(entries, maxBytes));
+          const remaining = entries.filter(entry => !evicted.has(entry.key));
+          const remainingBytes = remaining.reduce((sum, entry) => sum + entry.size, 0);
+
+          expect(remainingBytes).toBeLessThanOrEqual(maxBytes);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should evict least recently accessed entries first', () => {
+      fc.assert(
+        fc.property(entriesArbitrary, fc.nat({ max: 20000 }), (entries, maxBytes) => {
+          const evicted = new Set(selectEntriesToEvict(entries, maxBytes));
+          const kept = entries.filter(entry => !evicted.has(entry.key));
+          const removed = entries.filter(entry => evicted.has(entry.key));
+
+          for (const removedEntry of removed) {
+            for (const keptEntry of kept) {
+              expect(removedEntry.lastAccessed).toBeLessThanOrEqual(keptEntry.lastAccessed);
+            }
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should evict nothing when the cache is within the cap', () => {
+      fc.assert(
+        fc.property(entriesArbitrary, (entries) => {
+          const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+          expect(selectEntriesToEvict(entries, totalBytes)).toEqual([]);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Without IndexedDB', () => {
+
+    it('should report the cache as unavailable and miss on every read', async () => {
+      expect(isAudioCacheAvailable()).toBe(false);
+
+      await putCachedAudio('key', { audio: new ArrayBuffer(8), alignment: {} });
+      expect(await getCachedAudio('key')).toBeNull();
+    });
+
+    it('should report empty stats', async () => {
+      const stats = await getAudioCacheStats();
+      expect(stats).toEqual({ entries: 0, totalBytes: 0, maxBytes: DEFAULT_MAX_CACHE_BYTES });
+    });
+  });
+});
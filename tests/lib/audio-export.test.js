@@ -0,0 +1,267 @@
+/**
+ * Property-based tests for audio export module
+ *
+ * Feature: audio-export
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  MAX_CHAPTERS,
+  extractMp3Frames,
+  planChapters,
+  buildChapterTag,
+  createAudiobook,
+  getExportFileName
+} = await import('../../lib/audio-export.js');
+
+/**
+ * MPEG-1 Layer III, 128 kbps, 44.1 kHz, no padding, stereo
+ */
+const FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x00];
+const FRAME_LENGTH = 417;
+const FRAME_DURATION = 1152 / 44100;
+
+/**
+ * Build fake MP3 audio made of silent frames
+ * @param {number} frameCount - Number of frames
+ * @param {Object} [options] - Extra data around the frames
+ * @param {boolean} [options.id3] - Prepend an ID3v2 tag
+ * @param {boolean} [options.xing] - Prepend a Xing header frame
+ * @returns {Uint8Array}
+ */
+function createMp3(frameCount, { id3 = false, xing = false } = {}) {
+  const frame = new Uint8Array(FRAME_LENGTH);
+  frame.set(FRAME_HEADER);
+
+  const parts = [];
+  if (id3) {
+    parts.push(new Uint8Array([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 5, 1, 2, 3, 4, 5]));
+  }
+  if (xing) {
+    const info = frame.slice();
+    info.set([0x58, 0x69, 0x6E, 0x67], 4 + 32);
+    parts.push(info);
+  }
+  for (let i = 0; i < frameCount; i++) {
+    parts.push(frame);
+  }
+
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+/**
+ * Read the frames of an ID3v2.3 tag
+ * @param {Uint8Array} bytes - Data starting with the tag
+ * @returns {{size: number, frames: Array<{id: string, body: Uint8Array}>}}
+ */
+function readTag(bytes) {
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  return { size, frames: readFrames(bytes.subarray(10, 10 + size)) };
+}
+
+/**
+ * Read consecutive ID3v2.3 frames
+ * @param {Uint8Array} bytes - Frame data
+ * @returns {Array<{id: string, body: Uint8Array}>}
+ */
+function readFrames(bytes) {
+  const frames = [];
+  let offset = 0;
+  while (offset + 10 <= bytes.length) {
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset + 4, 4);
+    const length = view.getUint32(0);
+    frames.push({ id, body: bytes.subarray(offset + 10, offset + 10 + length) });
+    offset += 10 + length;
+  }
+  return frames;
+}
+
+/**
+ * Decode a UTF-16 TIT2 frame body
+ * @param {Uint8Array} body - Frame body
+ * @returns {string}
+ */
+function decodeTitle(body) {
+  let text = '';
+  for (let i = 3; i + 1 < body.length; i += 2) {
+    text += String.fromCharCode(body[i] | (body[i + 1] << 8));
+  }
+  return text;
+}
+
+/**
+ * Parse a CHAP frame body
+ * @param {Uint8Array} body - Frame body
+ * @returns {{elementId: string, startMs: number, endMs: number, title: string}}
+ */
+function readChapter(body) {
+  const idEnd = body.indexOf(0);
+  const view = new DataView(body.buffer, body.byteOffset + idEnd + 1, 16);
+  const [title] = readFrames(body.subarray(idEnd + 17));
+  return {
+    elementId: String.fromCharCode(...body.subarray(0, idEnd)),
+    startMs: view.getUint32(0),
+    endMs: view.getUint32(4),
+    title: decodeTitle(title.body)
+  };
+}
+
+describe('Audio Export Module - Property Tests', () => {
+
+  /**
+   * Property 1: Chapters Cover Every Paragraph Once
+   * For any heading layout, chapters are contiguous, in order and cover all paragraphs.
+   */
+  describe('Property 1: Chapters Cover Every Paragraph Once', () => {
+
+    it('should produce contiguous chapters from the first to the last paragraph', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.option(fc.constantFrom('Intro', 'Setup', 'Usage'), { nil: null }), { maxLength: 60 }),
+          fc.integer({ min: 1, max: 20 }),
+          (headings, perChapter) => {
+            const chapters = planChapters(headings, perChapter);
+
+            if (headings.length === 0) {
+              expect(chapters).toEqual([]);
+              return;
+            }
+
+            expect(chapters[0].startParagraph).toBe(0);
+            expect(chapters[chapters.length - 1].endParagraph).toBe(headings.length - 1);
+            chapters.forEach((chapter, index) => {
+              expect(chapter.endParagraph).toBeGreaterThanOrEqual(chapter.startParagraph);
+              if (index > 0) {
+                expect(chapter.startParagraph).toBe(chapters[index - 1].endParagraph + 1);
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should start a chapter every N paragraphs when the page has no headings', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 100 }), fc.integer({ min: 1, max: 20 }), (total, perChapter) => {
+          const chapters = planChapters(new Array(total).fill(null), perChapter);
+
+          expect(chapters.length).toBe(Math.ceil(total / perChapter));
+          chapters.forEach((chapter, index) => {
+            expect(chapter.title).toBe(`Part ${index + 1}`);
+            expect(chapter.startParagraph).toBe(index * perChapter);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should never plan more chapters than the table of contents can hold', () => {
+      const headings = Array.from({ length: 600 }, (_, i) => `Heading ${i}`);
+      expect(planChapters(headings, 1).length).toBeLessThanOrEqual(MAX_CHAPTERS);
+    });
+  });
+
+  /**
+   * Property 2: Combined Audio Keeps Every Frame
+   * For any set of paragraph files, the audiobook contains every audio frame
+   * and chapter times follow the paragraph durations.
+   */
+  describe('Property 2: Combined Audio Keeps Every Frame', () => {
+
+    it('should strip tags and info frames but keep audio frames', () => {
+      const { data, duration } = extractMp3Frames(createMp3(3, { id3: true, xing: true }).buffer);
+
+      expect(data.length).toBe(3 * FRAME_LENGTH);
+      expect(Array.from(data.subarray(0, 4))).toEqual(FRAME_HEADER);
+      expect(duration).toBeCloseTo(3 * FRAME_DURATION, 6);
+    });
+
+    it('should time chapters by the duration of their paragraphs', () => {
+      fc.assert(
+        fc.property(fc.array(fc.integer({ min: 1, max: 20 }), { minLength: 1, maxLength: 12 }), (frameCounts) => {
+          const segments = frameCounts.map(count => createMp3(count, { id3: true }).buffer);
+          const chapters = planChapters(new Array(frameCounts.length).fill(null), 2);
+
+          const { audio, chapters: timed } = createAudiobook({ title: 'Book', segments, chapters });
+          const { size } = readTag(audio);
+          const totalFrames = frameCounts.reduce((sum, n) => sum + n, 0);
+
+          expect(audio.length - 10 - size).toBe(totalFrames * FRAME_LENGTH);
+          expect(timed[0].startMs).toBe(0);
+          expect(timed[timed.length - 1].endMs).toBeCloseTo(totalFrames * FRAME_DURATION * 1000, 3);
+          timed.forEach((chapter, index) => {
+            const framesBefore = frameCounts.slice(0, chapters[index].startParagraph).reduce((sum, n) => sum + n, 0);
+            expect(chapter.startMs).toBeCloseTo(framesBefore * FRAME_DURATION * 1000, 3);
+          });
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 3: Chapter Tag Round Trip
+   * For any chapters, the ID3 tag lists each chapter in the table of contents
+   * with its title and times.
+   */
+  describe('Property 3: Chapter Tag Round Trip', () => {
+
+    it('should write a table of contents and a CHAP frame per chapter', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({
+            title: fc.string({ minLength: 1, maxLength: 30 }),
+            durationMs: fc.integer({ min: 1, max: 600000 })
+          }), { minLength: 1, maxLength: 20 }),
+          (entries) => {
+            let start = 0;
+            const chapters = entries.map(({ title, durationMs }) => {
+              const chapter = { title, startMs: start, endMs: start + durationMs };
+              start += durationMs;
+              return chapter;
+            });
+
+            const tag = buildChapterTag({ title: 'Book', chapters });
+            const { size, frames } = readTag(tag);
+
+            expect(String.fromCharCode(...tag.subarray(0, 3))).toBe('ID3');
+            expect(tag[3]).toBe(3);
+            expect(size).toBe(tag.length - 10);
+            expect(decodeTitle(frames.find(f => f.id === 'TIT2').body)).toBe('Book');
+
+            const toc = frames.find(f => f.id === 'CTOC').body;
+            expect(toc[4]).toBe(0x03);
+            expect(toc[5]).toBe(chapters.length);
+
+            const written = frames.filter(f => f.id === 'CHAP').map(f => readChapter(f.body));
+            expect(written).toEqual(chapters.map((chapter, index) => ({
+              elementId: `chp${index}`,
+              startMs: chapter.startMs,
+              endMs: chapter.endMs,
+              title: chapter.title
+            })));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('getExportFileName', () => {
+
+    it('should remove characters that are not allowed in file names', () => {
+      expect(getExportFileName('What is "AI"? A/B guide: part 1', 'mp3')).toBe('What is AI AB guide part 1.mp3');
+      expect(getExportFileName('  ...  ', 'srt')).toBe('ElevenPage Reader export.srt');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Property-based tests for chunk planner module
+ *
+ * Feature: cross-paragraph-batching
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  DEFAULT_CHUNK_CHARACTERS,
+  MIN_CHUNK_CHARACTERS,
+  MAX_CHUNK_CHARACTERS,
+  CONTEXT_CHARACTERS,
+  resolveChunkCharacters,
+  splitAtSentences,
+  planChunk,
+  getPreviousContext,
+  getNextContext
+} = await import('../../lib/chunk-planner.js');
+
+/**
+ * Paragraph texts: sentences of short words
+ */
+const paragraphArbitrary = fc.array(
+  fc.stringMatching(/^[A-Za-z]{1,8}( [A-Za-z]{1,8}){0,8}[.!?]$/),
+  { minLength: 1, maxLength: 8 }
+).map(sentences => sentences.join(' '));
+
+describe('Chunk Planner Module - Property Tests', () => {
+
+  /**
+   * Property 1: Long Paragraphs Split at Sentence Boundaries
+   * For any paragraph, the parts cover its text in order, each starts at a
+   * sentence, and only single sentences go over the budget.
+   */
+  describe('Property 1: Long Paragraphs Split at Sentence Boundaries', () => {
+
+    it('should cover the text with parts starting at sentences', () => {
+      fc.assert(
+        fc.property(paragraphArbitrary, fc.integer({ min: 20, max: 200 }), (text, budget) => {
+          const parts = splitAtSentences(text, budget);
+
+          expect(parts[0].start).toBe(0);
+          expect(parts[parts.length - 1].end).toBe(text.length);
+          parts.forEach((part, i) => {
+            if (i > 0) {
+              expect(part.start).toBe(parts[i - 1].end);
+              expect(text.slice(0, part.start)).toMatch(/[.!?]\s+$/);
+            }
+            const sentences = text.slice(part.start, part.end).trim().split(/(?<=[.!?])\s+/);
+            if (sentences.length > 1) {
+              expect(part.end - part.start).toBeLessThanOrEqual(budget);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should start splitting at an offset', () => {
+      const text = 'One two. Three four. Five six.';
+
+      expect(splitAtSentences(text, 12, 9)).toEqual([
+        { start: 9, end: 21 },
+        { start: 21, end: 30 }
+      ]);
+    });
+  });
+
+  /**
+   * Property 2: Chunks Fill the Budget with Whole Paragraphs
+   * For any paragraphs, a chunk starts where reading is, adds whole
+   * paragraphs in order while they fit, and reads a paragraph over the budget
+   * one part at a time.
+   */
+  describe('Property 2: Chunks Fill the Budget with Whole Paragraphs', () => {
+
+    it('should add whole paragraphs in order while they fit', () => {
+      fc.assert(
+        fc.property(fc.array(paragraphArbitrary, { minLength: 1, maxLength: 10 }), fc.integer({ min: 20, max: 400 }), (texts, budget) => {
+          const parts = planChunk(texts, budget);
+
+          parts.forEach((part, i) => expect(part.index).toBe(i));
+          const length = parts.reduce((sum, part) => sum + part.end - part.start, 0);
+          if (parts.length > 1) {
+            expect(length).toBeLessThanOrEqual(budget);
+            parts.forEach((part, i) => expect(part).toEqual({ index: i, start: 0, end: texts[i].length }));
+          }
+          if (parts[0].end === texts[0].length && parts.length < texts.length) {
+            expect(length + texts[parts.length].length).toBeGreaterThan(budget);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should read a paragraph over the budget one part at a time', () => {
+      const long = 'First sentence here. Second sentence here. Third one.';
+
+      const first = planChunk([long, 'Next.'], 25);
+      expect(first).toEqual([{ index: 0, start: 0, end: 21 }]);
+
+      const second = planChunk([long, 'Next.'], 25, first[0].end);
+      expect(second).toEqual([{ index: 0, start: 21, end: 43 }]);
+
+      const last = planChunk([long, 'Next.'], 25, second[0].end);
+      expect(last).toEqual([
+        { index: 0, start: 43, end: long.length },
+        { index: 1, start: 0, end: 5 }
+      ]);
+    });
+  });
+
+  describe('Budget and Context', () => {
+
+    it('should keep saved budgets within the limits', () => {
+      expect(resolveChunkCharacters(undefined)).toBe(DEFAULT_CHUNK_CHARACTERS);
+      expect(resolveChunkCharacters('abc')).toBe(DEFAULT_CHUNK_CHARACTERS);
+      expect(resolveChunkCharacters(10)).toBe(MIN_CHUNK_CHARACTERS);
+      expect(resolveChunkCharacters(99999)).toBe(MAX_CHUNK_CHARACTERS);
+      expect(resolveChunkCharacters('1500')).toBe(1500);
+    });
+
+    it('should send whole words of the text around a chunk', () => {
+      const words = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+
+      const previous = getPreviousContext(words);
+      const next = getNextContext(words);
+
+      expect(previous.length).toBeLessThanOrEqual(CONTEXT_CHARACTERS);
+      expect(words.endsWith(previous)).toBe(true);
+      expect(previous).toMatch(/^word\d+ /);
+      expect(next.length).toBeLessThanOrEqual(CONTEXT_CHARACTERS);
+      expect(words.startsWith(next)).toBe(true);
+      expect(words.charAt(next.length)).toBe(' ');
+      expect(getPreviousContext('  Short text. ')).toBe('Short text.');
+      expect(getNextContext(null)).toBe('');
+    });
+  });
+});
@@ -13,7 +13,19 @@ const {
   ElevenLabsAPIError, 
   isValidApiKeyFormat,
   textToSpeech,
-  getVoices
+  textToSpeechStream,
+  getVoices,
+  getModels,
+  getSubscription,
+  getVoiceSettings,
+  filterModelsForLanguage,
+  getDefaultModelId,
+  DEFAULT_MODEL_ID,
+  MULTILINGUAL_MODEL_ID,
+  buildVoiceSettings,
+  parseVoiceSettings,
+  createEmptyAlignment,
+  mergeAlignmentChunk
 } = await import('../../lib/elevenlabs-api.js');
 
 describe('ElevenLabs API Module - Property Tests', () => {
@@ -206,3 +218,480 @@ describe('ElevenLabs API Module - Property Tests', () => {
     });
   });
 });
+
+/**
+ * Property-based tests for streaming synthesis
+ * 
+ * Feature: streaming-synthesis
+ */
+describe('ElevenLabs API Module - Streaming Property Tests', () => {
+  /**
+   * Alignment chunk arbitrary with monotonically increasing times starting at zero
+   */
+  const alignmentChunkArbitrary = fc.array(fc.double({ min: 0.01, max: 0.5, noNaN: true }), { minLength: 1, maxLength: 20 })
+    .map(durations => {
+      let time = 0;
+      const starts = [];
+      const ends = [];
+      for (const duration of durations) {
+        starts.push(time);
+        time += duration;
+        ends.push(time);
+      }
+      return {
+        characters: durations.map(() => 'a'),
+        character_start_times_seconds: starts,
+        character_end_times_seconds: ends
+      };
+    });
+
+  /**
+   * Property 1: Merged Alignment Timeline Is Continuous
+   * For any sequence of alignment chunks whose timestamps restart at zero,
+   * merging them produces one non-decreasing timeline containing every character.
+   */
+  describe('Property 1: Merged Alignment Timeline Is Continuous', () => {
+    
+    it('should keep all characters and non-decreasing start times', () => {
+      fc.assert(
+        fc.property(
+          fc.array(alignmentChunkArbitrary, { minLength: 1, maxLength: 10 }),
+          (chunks) => {
+            const merged = createEmptyAlignment();
+            chunks.forEach(chunk => mergeAlignmentChunk(merged, chunk));
+            
+            const totalCharacters = chunks.reduce((sum, chunk) => sum + chunk.characters.length, 0);
+            expect(merged.characters.length).toBe(totalCharacters);
+            expect(merged.character_start_times_seconds.length).toBe(totalCharacters);
+            
+            for (let i = 1; i < merged.character_start_times_seconds.length; i++) {
+              expect(merged.character_start_times_seconds[i])
+                .toBeGreaterThanOrEqual(merged.character_start_times_seconds[i - 1]);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not shift chunks that already continue the timeline', () => {
+      const merged = createEmptyAlignment();
+      mergeAlignmentChunk(merged, {
+        characters: ['a', 'b'],
+        character_start_times_seconds: [0, 0.1],
+        character_end_times_seconds: [0.1, 0.2]
+      });
+      mergeAlignmentChunk(merged, {
+        characters: ['c'],
+        character_start_times_seconds: [0.2],
+        character_end_times_seconds: [0.3]
+      });
+      
+      expect(merged.character_start_times_seconds).toEqual([0, 0.1, 0.2]);
+      expect(merged.character_end_times_seconds).toEqual([0.1, 0.2, 0.3]);
+    });
+
+    it('should ignore empty or missing chunks', () => {
+      const merged = createEmptyAlignment();
+      mergeAlignmentChunk(merged, null);
+      mergeAlignmentChunk(merged, { characters: [] });
+      
+      expect(merged).toEqual(createEmptyAlignment());
+    });
+  });
+
+  /**
+   * Property 2: Streamed Chunks Reassemble Into Full Audio
+   * For any split of the response body into network reads, every JSON line is
+   * delivered exactly once and the returned audio is the concatenation of all chunks.
+   */
+  describe('Property 2: Streamed Chunks Reassemble Into Full Audio', () => {
+    
+    it('should deliver each line once regardless of network read boundaries', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.uint8Array({ minLength: 1, maxLength: 30 }), { minLength: 1, maxLength: 8 }),
+          fc.nat({ max: 50 }).map(n => n + 1),
+          async (audioChunks, readSize) => {
+            const body = audioChunks.map(bytes => JSON.stringify({
+              audio_base64: Buffer.from(bytes).toString('base64'),
+              alignment: null
+            })).join('\n') + '\n';
+            const encoded = new TextEncoder().encode(body);
+            
+            const stream = new ReadableStream({
+              start(controller) {
+                for (let i = 0; i < encoded.length; i += readSize) {
+                  controller.enqueue(encoded.slice(i, i + readSize));
+                }
+                controller.close();
+              }
+            });
+            
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, body: stream });
+            
+            try {
+              const received = [];
+              const result = await textToSpeechStream(
+                'key', 'text', 'voice', async (chunk) => { received.push(chunk.audioBase64); }
+              );
+              
+              expect(received.length).toBe(audioChunks.length);
+              
+              const expected = Buffer.concat(audioChunks.map(bytes => Buffer.from(bytes)));
+              expect(Buffer.from(new Uint8Array(result.audio)).equals(expected)).toBe(true);
+            } finally {
+              globalThis.fetch = originalFetch;
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 3: Errors Keep Their Category
+   * For any HTTP error status and any request path (buffered or streamed),
+   * the client throws an ElevenLabsAPIError with the matching type, and
+   * aborted requests are re-thrown unchanged.
+   */
+  describe('Property 3: Errors Keep Their Category', () => {
+    const statusTypes = [
+      [401, API_ERROR_TYPES.INVALID_API_KEY],
+      [429, API_ERROR_TYPES.RATE_LIMITED],
+      [404, API_ERROR_TYPES.INVALID_VOICE],
+      [500, API_ERROR_TYPES.GENERATION_FAILED]
+    ];
+
+    it('should map HTTP status codes to error types for both endpoints', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...statusTypes),
+          fc.boolean(),
+          async ([status, expectedType], streamed) => {
+            const originalFetch = globalThis.fetch;
+            globalThis.fetch = vi.fn().mockResolvedValue({
+              ok: false,
+              status,
+              text: () => Promise.resolve('{}')
+            });
+
+            try {
+              const request = streamed
+                ? textToSpeechStream('key', 'text', 'voice', async () => {})
+                : textToSpeech('key', 'text', 'voice');
+              await expect(request).rejects.toMatchObject({ type: expectedType, statusCode: status });
+            } finally {
+              globalThis.fetch = originalFetch;
+            }
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    it('should re-throw aborted requests without wrapping them', async () => {
+      const abortError = new DOMException('The operation was aborted.', 'AbortError');
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn().mockRejectedValue(abortError);
+
+      try {
+        await expect(textToSpeech('key', 'text', 'voice')).rejects.toBe(abortError);
+        await expect(textToSpeechStream('key', 'text', 'voice', async () => {})).rejects.toBe(abortError);
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    it('should report how long a rate-limited response asks to wait', async () => {
+      const originalFetch = globalThis.fetch;
+      const rateLimited = (retryAfter) => ({
+        ok: false,
+        status: 429,
+        headers: new Headers(retryAfter === undefined ? {} : { 'Retry-After': retryAfter }),
+        text: () => Promise.resolve('{}')
+      });
+
+      try {
+        globalThis.fetch = vi.fn().mockResolvedValue(rateLimited('7'));
+        await expect(textToSpeech('key', 'text', 'voice')).rejects.toMatchObject({ retryAfter: 7 });
+
+        globalThis.fetch = vi.fn().mockResolvedValue(rateLimited(new Date(Date.now() + 30000).toUTCString()));
+        const error = await textToSpeech('key', 'text', 'voice').catch(e => e);
+        expect(error.retryAfter).toBeGreaterThan(28);
+        expect(error.retryAfter).toBeLessThanOrEqual(30);
+
+        globalThis.fetch = vi.fn().mockResolvedValue(rateLimited());
+        await expect(textToSpeechStream('key', 'text', 'voice', async () => {})).rejects.toMatchObject({ retryAfter: null });
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    it('should send requests to a configured base URL', async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({ voices: [] }))
+      });
+
+      try {
+        await getVoices('key', { baseUrl: 'https://proxy.example.com/v1' });
+        expect(globalThis.fetch.mock.calls[0][0]).toBe('https://proxy.example.com/v1/voices');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    it('should only send the surrounding text when there is some', async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({ audio_base64: '', alignment: null }))
+      });
+
+      try {
+        await textToSpeech('key', 'Middle.', 'voice', { previousText: 'Before.', nextText: 'After.' });
+        await textToSpeech('key', 'Middle.', 'voice', { previousText: '' });
+        const [withContext, without] = globalThis.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+
+        expect(withContext.previous_text).toBe('Before.');
+        expect(withContext.next_text).toBe('After.');
+        expect(without).not.toHaveProperty('previous_text');
+        expect(without).not.toHaveProperty('next_text');
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+  });
+});
+
+/**
+ * Property-based tests for model selection
+ *
+ * Feature: model-selection
+ */
+describe('ElevenLabs API Module - Model Selection Property Tests', () => {
+
+  const languageIdArbitrary = fc.constantFrom('en', 'de', 'fr', 'es', 'pt', 'ja', 'zh');
+
+  const modelArbitrary = fc.record({
+    model_id: fc.string({ minLength: 1, maxLength: 30 }),
+    name: fc.string({ minLength: 1, maxLength: 30 }),
+    description: fc.string({ maxLength: 50 }),
+    can_do_text_to_speech: fc.boolean(),
+    languages: fc.uniqueArray(languageIdArbitrary, { maxLength: 5 })
+      .map(ids => ids.map(id => ({ language_id: id, name: id })))
+  });
+
+  /**
+   * Property 1: Filtered Models Can Read The Page
+   * For any model list and page language, every returned model can do
+   * text-to-speech, and lists the page language whenever any model does.
+   */
+  describe('Property 1: Filtered Models Can Read The Page', () => {
+
+    it('should only return text-to-speech models', () => {
+      fc.assert(
+        fc.property(fc.array(modelArbitrary, { maxLength: 10 }), fc.option(languageIdArbitrary), (models, language) => {
+          const filtered = filterModelsForLanguage(models, language);
+
+          expect(filtered.every(model => model.can_do_text_to_speech)).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should hide models that do not list the page language when some model does', () => {
+      fc.assert(
+        fc.property(fc.array(modelArbitrary, { maxLength: 10 }), languageIdArbitrary, fc.constantFrom('', '-US', '_BR'), (models, language, region) => {
+          const filtered = filterModelsForLanguage(models, language + region);
+          const supportsLanguage = model => model.languages.some(entry => entry.language_id === language);
+          const anySupport = models.some(model => model.can_do_text_to_speech && supportsLanguage(model));
+
+          if (anySupport) {
+            expect(filtered.length).toBeGreaterThan(0);
+            expect(filtered.every(supportsLanguage)).toBe(true);
+          } else {
+            expect(filtered).toEqual(models.filter(model => model.can_do_text_to_speech));
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep every text-to-speech model when the language is unknown', () => {
+      fc.assert(
+        fc.property(fc.array(modelArbitrary, { maxLength: 10 }), fc.constantFrom(undefined, null, '', 'und'), (models, language) => {
+          expect(filterModelsForLanguage(models, language))
+            .toEqual(models.filter(model => model.can_do_text_to_speech));
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Default Model Can Read The Page
+   * For any page language, the default model is the English one only for
+   * English or an unknown language, and a multilingual one otherwise.
+   */
+  describe('Property 2: Default Model Can Read The Page', () => {
+
+    it('should default to a multilingual model for pages that are not in English', () => {
+      fc.assert(
+        fc.property(languageIdArbitrary, fc.constantFrom('', '-US', '_BR'), (language, region) => {
+          expect(getDefaultModelId(language + region))
+            .toBe(language === 'en' ? DEFAULT_MODEL_ID : MULTILINGUAL_MODEL_ID);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should keep the English default when the language is unknown', () => {
+      for (const language of [undefined, null, '', 'und']) {
+        expect(getDefaultModelId(language)).toBe(DEFAULT_MODEL_ID);
+      }
+    });
+  });
+
+  describe('getModels', () => {
+
+    it('should fetch and normalize the model list', async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify([
+          { model_id: 'eleven_multilingual_v2', name: 'Multilingual v2', can_do_text_to_speech: true, languages: [{ language_id: 'de', name: 'German' }] },
+          { model_id: 'eleven_english_sts_v2', can_do_text_to_speech: false }
+        ]))
+      });
+
+      try {
+        const models = await getModels('key');
+
+        expect(globalThis.fetch.mock.calls[0][0]).toBe('https://api.elevenlabs.io/v1/models');
+        expect(models).toEqual([
+          { model_id: 'eleven_multilingual_v2', name: 'Multilingual v2', description: '', can_do_text_to_speech: true, languages: [{ language_id: 'de', name: 'German' }] },
+          { model_id: 'eleven_english_sts_v2', name: 'eleven_english_sts_v2', description: '', can_do_text_to_speech: false, languages: [] }
+        ]);
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    it('should reject empty API keys', async () => {
+      await expect(getModels('')).rejects.toMatchObject({ type: API_ERROR_TYPES.INVALID_API_KEY });
+    });
+  });
+});
+
+/**
+ * Property-based tests for voice settings
+ *
+ * Feature: voice-tuning
+ */
+describe('ElevenLabs API Module - Voice Settings Property Tests', () => {
+
+  const unitArbitrary = fc.double({ min: 0, max: 1, noNaN: true });
+
+  const tuningArbitrary = fc.record({
+    stability: unitArbitrary,
+    similarityBoost: unitArbitrary,
+    style: unitArbitrary,
+    useSpeakerBoost: fc.boolean()
+  });
+
+  /**
+   * Property 1: Voice Settings Round-Trip
+   * For any tuning values, building the request body and parsing it back
+   * yields the same values.
+   */
+  describe('Property 1: Voice Settings Round-Trip', () => {
+
+    it('should parse built voice settings back to the same tuning', () => {
+      fc.assert(
+        fc.property(tuningArbitrary, (tuning) => {
+          expect(parseVoiceSettings(buildVoiceSettings(tuning))).toEqual(tuning);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only send style and speaker boost when they are set', () => {
+      expect(buildVoiceSettings({})).toEqual({ stability: 0.5, similarity_boost: 0.75 });
+    });
+  });
+
+  describe('getVoiceSettings', () => {
+
+    it('should fetch a voice\'s default settings', async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          stability: 0.3,
+          similarity_boost: 0.9,
+          style: 0.2,
+          use_speaker_boost: false
+        }))
+      });
+
+      try {
+        const settings = await getVoiceSettings('key', 'voice/1');
+
+        expect(globalThis.fetch.mock.calls[0][0]).toBe('https://api.elevenlabs.io/v1/voices/voice%2F1/settings');
+        expect(settings).toEqual({ stability: 0.3, similarityBoost: 0.9, style: 0.2, useSpeakerBoost: false });
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    it('should reject empty voice IDs', async () => {
+      await expect(getVoiceSettings('key', ' ')).rejects.toMatchObject({ type: API_ERROR_TYPES.INVALID_VOICE });
+    });
+  });
+});
+
+describe('ElevenLabs API Module - Subscription', () => {
+
+  it('should fetch the character quota', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve(JSON.stringify({
+        tier: 'creator',
+        character_count: 1200,
+        character_limit: 100000,
+        next_character_count_reset_unix: 1767225600
+      }))
+    });
+
+    try {
+      const subscription = await getSubscription('key');
+
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://api.elevenlabs.io/v1/user/subscription');
+      expect(subscription).toEqual({
+        tier: 'creator',
+        characterCount: 1200,
+        characterLimit: 100000,
+        nextResetUnix: 1767225600
+      });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should report rejected keys as invalid', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = vi.fn().mockResolvedValue({ ok: false, status: 401, text: () => Promise.resolve('') });
+
+    try {
+      await expect(getSubscription('key')).rejects.toMatchObject({ type: API_ERROR_TYPES.INVALID_API_KEY });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Property-based tests for playback position module
+ *
+ * Feature: side-panel-transcript
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const { getCharacterStartTime, getAlignmentDuration, getSentenceStartTimes } = await import('../../lib/playback-position.js');
+
+/**
+ * Build an alignment that speaks each character for a tenth of a second
+ * @param {string} text - Spoken text
+ * @returns {Object}
+ */
+function createAlignment(text) {
+  const characters = text.split('');
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i / 10),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) / 10)
+  };
+}
+
+/**
+ * Paragraph texts: lowercase words separated by runs of spaces
+ */
+const textArbitrary = fc.array(fc.stringMatching(/^[a-z]{1,6}$/), { minLength: 1, maxLength: 10 })
+  .chain(words => fc.array(fc.constantFrom(' ', '  ', ' \n'), { minLength: words.length - 1, maxLength: words.length - 1 })
+    .map(gaps => words.map((word, i) => word + (gaps[i] || '')).join('')));
+
+describe('Playback Position Module - Property Tests', () => {
+
+  /**
+   * Property 1: Seeking Lands On A Spoken Character
+   * For any text and offset, the time found is the start of the character at
+   * the offset, or of the next word when the offset is on whitespace.
+   */
+  describe('Property 1: Seeking Lands On A Spoken Character', () => {
+
+    it('should find the start of the word at or after the offset', () => {
+      fc.assert(
+        fc.property(textArbitrary, fc.nat(), (text, pick) => {
+          const charIndex = pick % text.length;
+          const time = getCharacterStartTime(createAlignment(text), charIndex);
+          const found = Math.round(time * 10);
+
+          expect(found).toBeGreaterThanOrEqual(charIndex);
+          expect(text[found]).toMatch(/\S/);
+          expect(text.slice(charIndex, found)).toMatch(/^\s*$/);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should clamp offsets outside the text', () => {
+      const alignment = createAlignment('Hello there.');
+
+      expect(getCharacterStartTime(alignment, -5)).toBe(0);
+      expect(getCharacterStartTime(alignment, 100)).toBeCloseTo(1.1);
+    });
+
+    it('should start at the beginning without alignment', () => {
+      expect(getCharacterStartTime(null, 4)).toBe(0);
+      expect(getCharacterStartTime({ characters: [] }, 4)).toBe(0);
+    });
+  });
+
+  /**
+   * Property 2: Sentences Start Where The Text Parser Splits Them
+   * For any paragraph of sentences, there is one start time per sentence, at
+   * the sentence's first character, in order.
+   */
+  describe('Property 2: Sentences Start Where The Text Parser Splits Them', () => {
+
+    it('should find the start of every sentence', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.stringMatching(/^[A-Z][a-z]{0,5}( [a-z]{1,5}){0,3}[.!?]$/), { minLength: 1, maxLength: 6 }),
+          fc.constantFrom(' ', '  ', '\n'),
+          (sentences, gap) => {
+            const text = sentences.join(gap);
+            const times = getSentenceStartTimes(createAlignment(text));
+
+            expect(times).toHaveLength(sentences.length);
+            let offset = 0;
+            sentences.forEach((sentence, i) => {
+              expect(Math.round(times[i] * 10)).toBe(offset);
+              offset += sentence.length + gap.length;
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should start at the beginning without alignment', () => {
+      expect(getSentenceStartTimes(null)).toEqual([0]);
+      expect(getSentenceStartTimes(createAlignment('  Spoken after a pause.'))).toEqual([0.2]);
+    });
+  });
+
+  describe('Alignment Duration', () => {
+
+    it('should end when the last character ends', () => {
+      expect(getAlignmentDuration(createAlignment('Hello there.'))).toBeCloseTo(1.2);
+      expect(getAlignmentDuration(null)).toBe(0);
+      expect(getAlignmentDuration({ characters: [], character_end_times_seconds: [] })).toBe(0);
+    });
+  });
+});
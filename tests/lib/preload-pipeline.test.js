@@ -0,0 +1,150 @@
+/**
+ * Property-based tests for preload pipeline module
+ *
+ * Feature: preload-pipeline
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  DEFAULT_PRELOAD_PARAGRAPHS,
+  MIN_PRELOAD_PARAGRAPHS,
+  MAX_PRELOAD_PARAGRAPHS,
+  PRELOAD_BACKOFF_MS,
+  MAX_PRELOAD_BACKOFF_MS,
+  resolvePreloadParagraphs,
+  comparePositions,
+  getChunkEnd,
+  getBufferedParagraphs,
+  getPreloadBackoffMs
+} = await import('../../lib/preload-pipeline.js');
+
+/**
+ * Segment reading a whole paragraph, or the part of it up to charEnd
+ */
+function segment(paragraphIndex, charEnd = 100, paragraphLength = 100) {
+  return { paragraphIndex, charStart: 0, charEnd, paragraphLength };
+}
+
+/**
+ * Chunks of whole paragraphs following each other from a paragraph:
+ * [first, sizes] where each size is the paragraphs in one chunk
+ */
+const chunksArbitrary = fc.tuple(
+  fc.nat({ max: 20 }),
+  fc.array(fc.integer({ min: 1, max: 4 }), { minLength: 2, maxLength: 6 })
+).map(([first, sizes]) => {
+  let paragraphIndex = first;
+  return sizes.map(size => {
+    const segments = Array.from({ length: size }, (_, i) => segment(paragraphIndex + i));
+    const chunk = { paragraphIndex, charStart: 0, segments, audioData: new ArrayBuffer(1) };
+    paragraphIndex += size;
+    return chunk;
+  });
+});
+
+describe('Preload Pipeline Module - Property Tests', () => {
+
+  /**
+   * Property 1: Buffered Range Ends at the First Gap
+   * For any chunks following each other, the buffered range reaches the end
+   * of the last ready chunk before the first one that is missing its audio.
+   */
+  describe('Property 1: Buffered Range Ends at the First Gap', () => {
+
+    it('should reach the end of the ready chunks that follow the current one', () => {
+      fc.assert(
+        fc.property(chunksArbitrary, fc.nat(), (chunks, gapSeed) => {
+          const [current, ...entries] = chunks;
+          const gap = gapSeed % (entries.length + 1);
+          entries.forEach((entry, i) => {
+            if (i === gap) entry.audioData = null;
+          });
+
+          const lastReady = gap === 0 ? current : entries[Math.min(gap, entries.length) - 1];
+          expect(getBufferedParagraphs(current, entries)).toBe(getChunkEnd(lastReady.segments).paragraphIndex);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should stop at a chunk that does not follow on', () => {
+      const current = { segments: [segment(3)], audioData: new ArrayBuffer(1) };
+      const entries = [
+        { paragraphIndex: 5, charStart: 0, segments: [segment(5)], audioData: new ArrayBuffer(1) }
+      ];
+
+      expect(getBufferedParagraphs(current, entries)).toBe(4);
+    });
+
+    it('should count the part read of a paragraph split across chunks', () => {
+      const current = { segments: [segment(2, 40)], audioData: new ArrayBuffer(1) };
+      const entries = [
+        { paragraphIndex: 2, charStart: 40, segments: [{ ...segment(2, 70), charStart: 40 }], audioData: new ArrayBuffer(1) }
+      ];
+
+      expect(getBufferedParagraphs(current, entries)).toBeCloseTo(2.7);
+    });
+
+    it('should have nothing buffered while the current audio is incomplete or a selection', () => {
+      expect(getBufferedParagraphs({ segments: [segment(0)], audioData: null }, [])).toBeNull();
+      expect(getBufferedParagraphs({ segments: [segment(null)], audioData: new ArrayBuffer(1) }, [])).toBeNull();
+    });
+  });
+
+  /**
+   * Property 2: Backoff Respects the Rate Limit
+   * For any rate limit, the wait is what the response asked for, or doubles
+   * with each rate limit in a row, and never goes over the maximum.
+   */
+  describe('Property 2: Backoff Respects the Rate Limit', () => {
+
+    it('should wait as long as the response asks, up to the maximum', () => {
+      fc.assert(
+        fc.property(fc.double({ min: 0, max: 600, noNaN: true }), fc.integer({ min: 1, max: 10 }), (seconds, attempt) => {
+          expect(getPreloadBackoffMs(seconds, attempt)).toBe(Math.min(MAX_PRELOAD_BACKOFF_MS, seconds * 1000));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should double the wait with each rate limit in a row', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 20 }), (attempt) => {
+          const wait = getPreloadBackoffMs(null, attempt);
+          const next = getPreloadBackoffMs(null, attempt + 1);
+
+          expect(wait).toBeGreaterThanOrEqual(PRELOAD_BACKOFF_MS);
+          expect(next).toBe(Math.min(MAX_PRELOAD_BACKOFF_MS, wait * 2));
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Positions and Settings', () => {
+
+    it('should order positions by paragraph, then offset', () => {
+      expect(comparePositions({ paragraphIndex: 1, charStart: 50 }, { paragraphIndex: 2, charStart: 0 })).toBeLessThan(0);
+      expect(comparePositions({ paragraphIndex: 2, charStart: 50 }, { paragraphIndex: 2, charStart: 0 })).toBeGreaterThan(0);
+      expect(comparePositions({ paragraphIndex: 2, charStart: 0 }, { paragraphIndex: 2, charStart: 0 })).toBe(0);
+    });
+
+    it('should go on after a chunk in the same paragraph when it ends partway through', () => {
+      expect(getChunkEnd([segment(4), segment(5)])).toEqual({ paragraphIndex: 6, charStart: 0 });
+      expect(getChunkEnd([segment(4, 30)])).toEqual({ paragraphIndex: 4, charStart: 30 });
+      expect(getChunkEnd([segment(null)])).toBeNull();
+      expect(getChunkEnd([])).toBeNull();
+    });
+
+    it('should keep saved lookaheads within the limits', () => {
+      expect(resolvePreloadParagraphs(undefined)).toBe(DEFAULT_PRELOAD_PARAGRAPHS);
+      expect(resolvePreloadParagraphs('abc')).toBe(DEFAULT_PRELOAD_PARAGRAPHS);
+      expect(resolvePreloadParagraphs(-3)).toBe(DEFAULT_PRELOAD_PARAGRAPHS);
+      expect(resolvePreloadParagraphs(0.6)).toBe(MIN_PRELOAD_PARAGRAPHS);
+      expect(resolvePreloadParagraphs(50)).toBe(MAX_PRELOAD_PARAGRAPHS);
+      expect(resolvePreloadParagraphs('3')).toBe(3);
+    });
+  });
+});
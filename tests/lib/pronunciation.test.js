@@ -0,0 +1,174 @@
+/**
+ * Property-based tests for pronunciation module
+ *
+ * Feature: pronunciation
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  resolveLexicon,
+  getLexiconEntries,
+  buildTextTransforms,
+  normalizeForSpeech,
+  mapAlignmentToText,
+  getDictionaryEntries,
+  toDictionaryRules
+} = await import('../../lib/pronunciation.js');
+
+/**
+ * Build evenly spaced alignment for spoken text, 0.1s per character
+ * @param {string} text - Spoken text
+ * @returns {Object}
+ */
+function createAlignment(text) {
+  const characters = text.split('');
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i * 0.1),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+  };
+}
+
+/**
+ * Normalize text with lexicon entries
+ * @param {string} text - Paragraph text
+ * @param {Array} entries - Lexicon entries
+ * @returns {{text: string, charMap: number[]|null}}
+ */
+function normalize(text, entries) {
+  return normalizeForSpeech(text, buildTextTransforms(entries));
+}
+
+/**
+ * Words and spoken forms used to build lexicons
+ */
+const wordArbitrary = fc.constantFrom('SQL', 'API', 'nginx', 'k8s', 'GUI', 'id');
+const spokenArbitrary = fc.stringMatching(/^[a-z ]{0,12}$/);
+const textArbitrary = fc.array(fc.oneof(wordArbitrary, fc.constantFrom('the', 'fast', 'SQLite', 'APIs', '42', ',', '.')), { maxLength: 12 })
+  .map(words => words.join(' '));
+
+describe('Pronunciation Module - Property Tests', () => {
+
+  /**
+   * Property 1: Highlight Alignment Covers The Page Text
+   * For any text and lexicon, alignment of the spoken text mapped back gives
+   * one timing per page character, in order, without gaps going backwards.
+   */
+  describe('Property 1: Highlight Alignment Covers The Page Text', () => {
+
+    it('should map alignment of the spoken text to every page character', () => {
+      fc.assert(
+        fc.property(
+          textArbitrary,
+          fc.array(fc.record({ find: wordArbitrary, replace: spokenArbitrary }), { maxLength: 4 }),
+          (text, entries) => {
+            const spoken = normalize(text, entries);
+            const alignment = mapAlignmentToText(createAlignment(spoken.text), spoken.charMap, text);
+
+            expect(alignment.characters.join('')).toBe(text);
+            expect(alignment.character_start_times_seconds).toHaveLength(text.length);
+            for (let i = 0; i < text.length; i++) {
+              expect(alignment.character_end_times_seconds[i]).toBeGreaterThanOrEqual(alignment.character_start_times_seconds[i]);
+              if (i > 0) {
+                expect(alignment.character_start_times_seconds[i]).toBeGreaterThanOrEqual(alignment.character_start_times_seconds[i - 1]);
+              }
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should map the partial alignment of a paragraph still streaming', () => {
+      fc.assert(
+        fc.property(textArbitrary, fc.nat(), (text, cut) => {
+          const spoken = normalize(text, [{ find: 'SQL', replace: 'sequel' }, { find: 'k8s', replace: 'kubernetes' }]);
+          const full = createAlignment(spoken.text);
+          const count = spoken.text.length === 0 ? 0 : cut % spoken.text.length;
+          const partial = {
+            characters: full.characters.slice(0, count),
+            character_start_times_seconds: full.character_start_times_seconds.slice(0, count),
+            character_end_times_seconds: full.character_end_times_seconds.slice(0, count)
+          };
+
+          const mapped = mapAlignmentToText(partial, spoken.charMap, text);
+          expect(text.startsWith(mapped.characters.join(''))).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should leave text without matches unchanged', () => {
+      const alignment = createAlignment('Plain words.');
+      expect(normalize('Plain words.', [{ find: 'SQL', replace: 'sequel' }])).toEqual({ text: 'Plain words.', charMap: null });
+      expect(mapAlignmentToText(alignment, null, 'Plain words.')).toBe(alignment);
+    });
+  });
+
+  /**
+   * Property 2: Words Are Replaced As Whole Words
+   * A word entry never changes part of a longer word, and matches any case
+   * unless the word has a capital letter.
+   */
+  describe('Property 2: Words Are Replaced As Whole Words', () => {
+
+    it('should not replace inside longer words', () => {
+      fc.assert(
+        fc.property(wordArbitrary, fc.stringMatching(/^[a-z0-9]{1,4}$/), (word, suffix) => {
+          const text = `${word}${suffix} and ${suffix}${word}`;
+          expect(normalize(text, [{ find: word, replace: 'X' }]).text).toBe(text);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should match case only for words with capitals', () => {
+      const entries = [{ find: 'SQL', replace: 'sequel' }, { find: 'nginx', replace: 'engine x' }];
+      expect(normalize('SQL, sql and Nginx.', entries).text).toBe('sequel, sql and engine x.');
+    });
+
+    it('should replace literally and expand regular expression groups', () => {
+      expect(normalize('Costs US$5', [{ find: 'US$5', replace: '$1 five dollars' }]).text).toBe('Costs $1 five dollars');
+      expect(normalize('Install v12 or v14', [{ find: 'v(\\d+)', replace: 'version $1', regex: true, flags: '' }]).text)
+        .toBe('Install version 12 or version 14');
+    });
+
+    it('should skip invalid and empty-matching regular expressions', () => {
+      const entries = [{ find: '(', replace: 'x', regex: true, flags: '' }, { find: 'z*', replace: 'x', regex: true, flags: '' }];
+      expect(normalize('abc', entries)).toEqual({ text: 'abc', charMap: null });
+    });
+  });
+
+  describe('Lexicon', () => {
+
+    const lexicon = resolveLexicon({
+      global: [{ find: 'API', replace: 'A P I' }, { find: 'GUI', replace: 'gooey' }, { find: '', replace: 'x' }],
+      domains: {
+        'www.Example.com': [{ find: 'API', replace: 'app eye' }],
+        'docs.example.com': [{ find: 'API', replace: 'interface' }]
+      }
+    });
+
+    it('should let the most specific domain override broader lists', () => {
+      const spoken = (hostname) => normalizeForSpeech('The API GUI', buildTextTransforms(getLexiconEntries(lexicon, hostname))).text;
+
+      expect(spoken('other.org')).toBe('The A P I gooey');
+      expect(spoken('example.com')).toBe('The app eye gooey');
+      expect(spoken('blog.example.com')).toBe('The app eye gooey');
+      expect(spoken('docs.example.com')).toBe('The interface gooey');
+    });
+
+    it('should leave words in the uploaded dictionary to ElevenLabs', () => {
+      const entries = getDictionaryEntries(lexicon);
+      expect(toDictionaryRules(entries)).toEqual([
+        { type: 'alias', string_to_replace: 'API', alias: 'A P I' },
+        { type: 'alias', string_to_replace: 'GUI', alias: 'gooey' }
+      ]);
+
+      const transforms = buildTextTransforms(getLexiconEntries(lexicon, 'other.org'), entries);
+      expect(normalizeForSpeech('The API GUI', transforms).text).toBe('The API GUI');
+    });
+  });
+});
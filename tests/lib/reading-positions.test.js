@@ -0,0 +1,134 @@
+/**
+ * Property-based tests for reading positions module
+ *
+ * Feature: resume-position
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  getCanonicalUrl,
+  getTextFingerprint,
+  getSentenceIndexAtTime,
+  recordReadingPosition,
+  findResumeParagraph
+} = await import('../../lib/reading-positions.js');
+
+/**
+ * Paragraph texts: short sentences of lowercase words
+ */
+const paragraphArbitrary = fc.array(fc.stringMatching(/^[a-z]{1,6}( [a-z]{1,6}){0,4}\.$/), { minLength: 1, maxLength: 3 })
+  .map(sentences => sentences.join(' '));
+
+describe('Reading Positions Module - Property Tests', () => {
+
+  /**
+   * Property 1: Saved Paragraphs Are Found After Layout Changes
+   * For any page and saved paragraph, inserting or removing other paragraphs
+   * above it still resumes at the same text and audio offset.
+   */
+  describe('Property 1: Saved Paragraphs Are Found After Layout Changes', () => {
+
+    it('should follow the saved paragraph when paragraphs are inserted above it', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(paragraphArbitrary, { minLength: 1, maxLength: 12 }),
+          fc.nat(),
+          fc.array(fc.constant('A newly added paragraph!'), { maxLength: 4 }),
+          fc.double({ min: 0, max: 60, noNaN: true }),
+          (texts, pick, inserted, currentTime) => {
+            const paragraphIndex = pick % texts.length;
+            const position = {
+              paragraphIndex,
+              sentenceIndex: 0,
+              currentTime,
+              fingerprint: getTextFingerprint(texts[paragraphIndex]),
+              savedAt: 0
+            };
+            const changed = [...inserted, ...texts];
+
+            expect(findResumeParagraph(changed.map(getTextFingerprint), position))
+              .toEqual({ paragraphIndex: paragraphIndex + inserted.length, currentTime });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should restart a paragraph whose text changed', () => {
+      const fingerprints = ['One.', 'Two.', 'Three.'].map(getTextFingerprint);
+      const position = { paragraphIndex: 1, sentenceIndex: 0, currentTime: 4, fingerprint: getTextFingerprint('Old two.'), savedAt: 0 };
+
+      expect(findResumeParagraph(fingerprints, position)).toEqual({ paragraphIndex: 1, currentTime: 0 });
+      expect(findResumeParagraph(fingerprints, { ...position, paragraphIndex: 7 })).toBeNull();
+      expect(findResumeParagraph(fingerprints, null)).toBeNull();
+    });
+
+    it('should ignore case and whitespace in fingerprints', () => {
+      expect(getTextFingerprint('Hello   world.\n')).toBe(getTextFingerprint('hello world.'));
+      expect(getTextFingerprint('Hello world.')).not.toBe(getTextFingerprint('Hello world!'));
+    });
+  });
+
+  /**
+   * Property 2: Saved Positions Stay Within The Limit
+   * For any sequence of saves, at most the limit of pages is kept, and the
+   * most recently saved pages are the ones kept.
+   */
+  describe('Property 2: Saved Positions Stay Within The Limit', () => {
+
+    it('should keep the most recently saved pages', () => {
+      fc.assert(
+        fc.property(fc.array(fc.integer({ min: 0, max: 20 }), { maxLength: 40 }), fc.integer({ min: 1, max: 8 }), (pages, limit) => {
+          let positions;
+          pages.forEach((page, time) => {
+            positions = recordReadingPosition(positions, `https://example.com/${page}`, { paragraphIndex: 0, savedAt: time }, limit);
+          });
+
+          const expected = [...new Set(pages.slice().reverse())].slice(0, limit).map(page => `https://example.com/${page}`);
+          expect(Object.keys(positions || {}).sort()).toEqual(expected.sort());
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should forget a page', () => {
+      const positions = recordReadingPosition({}, 'https://a.com/', { paragraphIndex: 3, savedAt: 1 });
+      expect(recordReadingPosition(positions, 'https://a.com/', null)).toEqual({});
+    });
+  });
+
+  describe('Canonical URLs', () => {
+
+    it('should drop the fragment and tracking parameters and sort the rest', () => {
+      expect(getCanonicalUrl('https://Example.com/post?utm_source=x&b=2&fbclid=y&a=1#section'))
+        .toBe('https://example.com/post?a=1&b=2');
+      expect(getCanonicalUrl('https://example.com/post#top')).toBe('https://example.com/post');
+    });
+
+    it('should not save positions for non-web pages', () => {
+      expect(getCanonicalUrl('chrome://extensions/')).toBeNull();
+      expect(getCanonicalUrl('not a url')).toBeNull();
+      expect(getCanonicalUrl(undefined)).toBeNull();
+    });
+  });
+
+  describe('Sentence Index', () => {
+
+    it('should count the sentences spoken before a time', () => {
+      const characters = 'One. Two! Three?'.split('');
+      const alignment = {
+        characters,
+        character_start_times_seconds: characters.map((_, i) => i * 0.1),
+        character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.1)
+      };
+
+      expect(getSentenceIndexAtTime(alignment, 0.2)).toBe(0);
+      expect(getSentenceIndexAtTime(alignment, 0.45)).toBe(0);
+      expect(getSentenceIndexAtTime(alignment, 0.55)).toBe(1);
+      expect(getSentenceIndexAtTime(alignment, 1.2)).toBe(2);
+      expect(getSentenceIndexAtTime(null, 3)).toBe(0);
+    });
+  });
+});
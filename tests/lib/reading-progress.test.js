@@ -0,0 +1,116 @@
+/**
+ * Property-based tests for reading progress module
+ *
+ * Feature: floating-player-progress
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  DEFAULT_CHARACTERS_PER_SECOND,
+  MAX_RATE_SAMPLE_SECONDS,
+  resolveSpeechRates,
+  recordSpeechRate,
+  getCharactersPerSecond,
+  estimateRemainingSeconds,
+  formatDuration
+} = await import('../../lib/reading-progress.js');
+
+/**
+ * Paragraphs heard: characters spoken and seconds of audio
+ */
+const sampleArbitrary = fc.record({
+  characters: fc.integer({ min: 1, max: 5000 }),
+  seconds: fc.double({ min: 0.5, max: 400, noNaN: true })
+});
+
+describe('Reading Progress Module - Property Tests', () => {
+
+  /**
+   * Property 1: Speaking Rates Follow What Was Heard
+   * For any paragraphs heard in one voice, the rate stays between the slowest
+   * and fastest paragraph, and never averages over more than the sample cap.
+   */
+  describe('Property 1: Speaking Rates Follow What Was Heard', () => {
+
+    it('should keep the rate between the slowest and fastest paragraph', () => {
+      fc.assert(
+        fc.property(fc.array(sampleArbitrary, { minLength: 1, maxLength: 20 }), (samples) => {
+          let rates = {};
+          for (const { characters, seconds } of samples) {
+            rates = recordSpeechRate(rates, 'voice', characters, seconds);
+          }
+          const perParagraph = samples.map(({ characters, seconds }) => characters / seconds);
+          const rate = getCharactersPerSecond(rates, 'voice');
+
+          expect(rate).toBeGreaterThanOrEqual(Math.min(...perParagraph) * (1 - 1e-9));
+          expect(rate).toBeLessThanOrEqual(Math.max(...perParagraph) * (1 + 1e-9));
+          expect(rates.voice.seconds).toBeLessThanOrEqual(MAX_RATE_SAMPLE_SECONDS);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep voices apart and default for voices not heard', () => {
+      const rates = recordSpeechRate({}, 'fast', 200, 10);
+
+      expect(getCharactersPerSecond(rates, 'fast')).toBe(20);
+      expect(getCharactersPerSecond(rates, 'slow')).toBe(DEFAULT_CHARACTERS_PER_SECOND);
+    });
+
+    it('should ignore empty audio and invalid saved rates', () => {
+      const saved = { good: { characters: 30, seconds: 2 }, bad: { characters: 0, seconds: 3 }, worse: 'x' };
+
+      expect(resolveSpeechRates(saved)).toEqual({ good: { characters: 30, seconds: 2 } });
+      expect(resolveSpeechRates(null)).toEqual({});
+      expect(recordSpeechRate(saved, 'good', 10, 0)).toEqual({ good: { characters: 30, seconds: 2 } });
+    });
+  });
+
+  /**
+   * Property 2: Time Left Shrinks As Reading Goes On
+   * For any page, the time left never grows while reading moves forward, and
+   * is the page's length over the rate and speed at the start.
+   */
+  describe('Property 2: Time Left Shrinks As Reading Goes On', () => {
+
+    it('should never grow as the position moves forward', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 2000 }), { minLength: 1, maxLength: 15 }),
+          fc.nat(), fc.double({ min: 0, max: 1, noNaN: true }),
+          fc.double({ min: 0.5, max: 3, noNaN: true }),
+          (lengths, pick, fraction, speed) => {
+            const index = pick % lengths.length;
+            const here = estimateRemainingSeconds(lengths, index, fraction, 15, speed);
+            const further = index + 1 < lengths.length
+              ? estimateRemainingSeconds(lengths, index + 1, 0, 15, speed)
+              : 0;
+
+            expect(further).toBeLessThanOrEqual(here + 1e-9);
+            expect(estimateRemainingSeconds(lengths, 0, 0, 15, speed))
+              .toBeCloseTo(lengths.reduce((sum, length) => sum + length, 0) / (15 * speed));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should have nothing left past the last paragraph', () => {
+      expect(estimateRemainingSeconds([100, 200], 2, 0, 15, 1)).toBe(0);
+      expect(estimateRemainingSeconds([100, 200], 1, 1, 15, 1)).toBe(0);
+    });
+  });
+
+  describe('Duration Formatting', () => {
+
+    it('should show minutes and seconds, with hours from an hour', () => {
+      expect(formatDuration(0)).toBe('0:00');
+      expect(formatDuration(65.4)).toBe('1:05');
+      expect(formatDuration(3725)).toBe('1:02:05');
+      expect(formatDuration(-3)).toBe('0:00');
+      expect(formatDuration(NaN)).toBe('0:00');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Property-based tests for reading queue module
+ *
+ * Feature: reading-queue
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  MAX_QUEUE_LENGTH,
+  resolveQueue,
+  createQueueItem,
+  addToQueue,
+  removeFromQueue,
+  moveInQueue,
+  getSitePermissions
+} = await import('../../lib/reading-queue.js');
+
+/**
+ * Queue arbitrary: up to 10 distinct pages
+ */
+const queueArbitrary = fc.uniqueArray(fc.integer({ min: 0, max: 50 }), { maxLength: 10 })
+  .map(pages => pages.map(page => ({ id: `item-${page}`, url: `https://example.com/${page}`, title: `Page ${page}`, addedAt: page })));
+
+describe('Reading Queue Module - Property Tests', () => {
+
+  /**
+   * Property 1: Moving Keeps Every Item
+   * For any queue, item and index, moving the item puts it at the clamped
+   * index and leaves the other items in their order.
+   */
+  describe('Property 1: Moving Keeps Every Item', () => {
+
+    it('should move an item without losing or reordering the others', () => {
+      fc.assert(
+        fc.property(queueArbitrary.filter(queue => queue.length > 0), fc.nat(), fc.integer({ min: -3, max: 15 }), (queue, pick, index) => {
+          const item = queue[pick % queue.length];
+          const moved = moveInQueue(queue, item.id, index);
+
+          expect(moved).toHaveLength(queue.length);
+          expect(moved.indexOf(item)).toBe(Math.max(0, Math.min(queue.length - 1, index)));
+          expect(moved.filter(other => other !== item)).toEqual(queue.filter(other => other !== item));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should leave the queue alone for unknown items', () => {
+      const queue = [{ id: 'a', url: 'https://a.com/', title: 'A', addedAt: 0 }];
+      expect(moveInQueue(queue, 'missing', 0)).toBe(queue);
+      expect(removeFromQueue(queue, 'missing')).toEqual(queue);
+      expect(removeFromQueue(queue, 'a')).toEqual([]);
+    });
+  });
+
+  /**
+   * Property 2: A Page Is Queued Once
+   * For any queue, adding a page that is already queued under another
+   * fragment or tracking parameter leaves the queue unchanged.
+   */
+  describe('Property 2: A Page Is Queued Once', () => {
+
+    it('should not queue the same page twice', () => {
+      fc.assert(
+        fc.property(queueArbitrary.filter(queue => queue.length > 0), fc.nat(), (queue, pick) => {
+          const page = queue[pick % queue.length];
+          const again = createQueueItem(`${page.url}?utm_source=newsletter#top`, 'Again');
+
+          expect(addToQueue(queue, again)).toBe(queue);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should add new pages at the end, up to the limit', () => {
+      const item = createQueueItem('https://example.com/new', '  New article ');
+      expect(item.title).toBe('New article');
+      expect(addToQueue([], item)).toEqual([item]);
+
+      const full = Array.from({ length: MAX_QUEUE_LENGTH }, (_, i) => createQueueItem(`https://example.com/${i}`));
+      expect(addToQueue(full, item)).toBe(full);
+    });
+
+    it('should not queue pages that cannot be read', () => {
+      expect(createQueueItem('chrome://settings/')).toBeNull();
+      expect(createQueueItem(undefined)).toBeNull();
+    });
+  });
+
+  describe('Stored Queue', () => {
+
+    it('should drop invalid items and fill in missing titles', () => {
+      expect(resolveQueue([
+        { id: 'a', url: 'https://a.com/', title: '' },
+        { id: 'b', url: 'file:///notes.txt', title: 'Notes' },
+        { url: 'https://c.com/' },
+        null
+      ])).toEqual([{ id: 'a', url: 'https://a.com/', title: 'https://a.com/', addedAt: 0 }]);
+      expect(resolveQueue(undefined)).toEqual([]);
+    });
+  });
+
+  describe('Site Permissions', () => {
+
+    it('should ask for each site once and leave out pages that cannot be read', () => {
+      expect(getSitePermissions([
+        'https://news.example.com/a?utm_source=x',
+        'https://news.example.com/b',
+        'http://blog.example.org:8080/post',
+        'chrome://settings/',
+        undefined
+      ])).toEqual(['https://news.example.com/*', 'http://blog.example.org/*']);
+    });
+  });
+});
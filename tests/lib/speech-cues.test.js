@@ -0,0 +1,127 @@
+/**
+ * Property-based tests for speech cues module
+ *
+ * Feature: structure-announcements
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  BlockType,
+  DEFAULT_SPEECH_CUES,
+  resolveSpeechCues,
+  getSpeechCue,
+  applySpeechCue,
+  stripCueFromAlignment
+} = await import('../../lib/speech-cues.js');
+
+/**
+ * Every cue turned on
+ */
+const ALL_CUES = Object.fromEntries(Object.keys(DEFAULT_SPEECH_CUES).map(type => [type, true]));
+
+/**
+ * Block description arbitrary covering every block type
+ */
+const blockArbitrary = fc.oneof(
+  fc.constant({ type: BlockType.PARAGRAPH }),
+  fc.integer({ min: 1, max: 6 }).map(level => ({ type: BlockType.HEADING, level })),
+  fc.integer({ min: 1, max: 20 }).chain(total => fc.integer({ min: 1, max: total })
+    .map(ordinal => ({ type: BlockType.LIST_ITEM, ordinal, total }))),
+  fc.record({
+    type: fc.constant(BlockType.TABLE_ROW),
+    ordinal: fc.integer({ min: 1, max: 5 }),
+    total: fc.constant(5),
+    headers: fc.array(fc.stringMatching(/^[A-Za-z]{1,8}$/), { maxLength: 4 })
+  }),
+  fc.constant({ type: BlockType.CODE }),
+  fc.constant({ type: BlockType.QUOTE })
+);
+
+/**
+ * Build alignment data for a string with one time step per character
+ * @param {string} text - Synthesized text
+ * @returns {Object}
+ */
+function createAlignment(text) {
+  const characters = text.split('');
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i * 0.05),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) * 0.05)
+  };
+}
+
+describe('Speech Cues Module - Property Tests', () => {
+
+  /**
+   * Property 1: Stripped Alignment Matches The Paragraph Text
+   * For any block and paragraph text, removing the cue from the alignment of
+   * the cued text leaves exactly the paragraph's characters, timed after the cue.
+   */
+  describe('Property 1: Stripped Alignment Matches The Paragraph Text', () => {
+
+    it('should align the paragraph text once the cue is removed', () => {
+      fc.assert(
+        fc.property(blockArbitrary, fc.string({ minLength: 1, maxLength: 80 }), (block, text) => {
+          const spoken = applySpeechCue(text, block, ALL_CUES);
+          const stripped = stripCueFromAlignment(createAlignment(spoken.text), spoken.cueLength);
+
+          expect(stripped.characters.join('')).toBe(text);
+          expect(stripped.character_start_times_seconds.length).toBe(text.length);
+          expect(stripped.character_start_times_seconds[0]).toBeCloseTo(spoken.cueLength * 0.05, 6);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Disabled Cues Leave Text Unchanged
+   * For any block, the text is synthesized as-is unless its cue is turned on.
+   */
+  describe('Property 2: Disabled Cues Leave Text Unchanged', () => {
+
+    it('should only announce block types that are turned on', () => {
+      fc.assert(
+        fc.property(
+          blockArbitrary,
+          fc.dictionary(fc.constantFrom(...Object.keys(DEFAULT_SPEECH_CUES)), fc.boolean()),
+          fc.string({ maxLength: 40 }),
+          (block, saved, text) => {
+            const cues = resolveSpeechCues(saved);
+            const spoken = applySpeechCue(text, block, cues);
+
+            if (cues[block.type]) {
+              expect(spoken.text.endsWith(text)).toBe(true);
+              expect(spoken.cueLength).toBeGreaterThan(0);
+            } else {
+              expect(spoken).toEqual({ text, cueLength: 0 });
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Cue wording', () => {
+
+    it('should describe each block type', () => {
+      expect(getSpeechCue({ type: BlockType.HEADING, level: 2 }, ALL_CUES)).toBe('Heading level 2.');
+      expect(getSpeechCue({ type: BlockType.LIST_ITEM, ordinal: 3, total: 5 }, ALL_CUES)).toBe('Item 3 of 5.');
+      expect(getSpeechCue({ type: BlockType.TABLE_ROW, ordinal: 1, total: 4, headers: ['Name', 'Age'] }, ALL_CUES))
+        .toBe('Row 1 of 4. Columns: Name, Age.');
+      expect(getSpeechCue({ type: BlockType.TABLE_ROW, header: true }, ALL_CUES)).toBe('Table header.');
+      expect(getSpeechCue({ type: BlockType.CODE }, ALL_CUES)).toBe('Code block.');
+      expect(getSpeechCue({ type: BlockType.QUOTE }, ALL_CUES)).toBe('Quote.');
+      expect(getSpeechCue({ type: BlockType.PARAGRAPH }, ALL_CUES)).toBe('');
+      expect(getSpeechCue(undefined, ALL_CUES)).toBe('');
+    });
+
+    it('should keep every cue off by default', () => {
+      expect(Object.values(resolveSpeechCues()).every(enabled => enabled === false)).toBe(true);
+    });
+  });
+});
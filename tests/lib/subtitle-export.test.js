@@ -0,0 +1,148 @@
+/**
+ * Property-based tests for subtitle export module
+ *
+ * Feature: subtitle-export
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  buildSubtitleCues,
+  formatTimestamp,
+  formatSrt,
+  formatWebVtt
+} = await import('../../lib/subtitle-export.js');
+
+/**
+ * Build alignment where every character takes the same time
+ * @param {string} text - Paragraph text
+ * @param {number} perCharacter - Seconds per character
+ * @returns {Object} Alignment in the API's format
+ */
+function createAlignment(text, perCharacter) {
+  const characters = Array.from(text);
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i * perCharacter),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) * perCharacter)
+  };
+}
+
+/**
+ * Sentence arbitrary: words of letters ending in punctuation
+ */
+const sentenceArbitrary = fc.array(fc.stringMatching(/^[a-z]{1,8}$/), { minLength: 1, maxLength: 6 })
+  .map(words => `${words.join(' ')}.`);
+
+describe('Subtitle Export Module - Property Tests', () => {
+
+  /**
+   * Property 1: One Ordered Cue Per Sentence
+   * For any paragraphs, there is one cue per sentence, in order, with
+   * non-decreasing times inside the paragraph's span of the timeline.
+   */
+  describe('Property 1: One Ordered Cue Per Sentence', () => {
+
+    it('should produce ordered cues within each paragraph span', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.array(sentenceArbitrary, { minLength: 1, maxLength: 4 }), { minLength: 1, maxLength: 5 }),
+          fc.boolean(),
+          (paragraphSentences, withAlignment) => {
+            let offset = 0;
+            const paragraphs = paragraphSentences.map(sentences => {
+              const text = sentences.join(' ');
+              const duration = text.length * 0.05;
+              const paragraph = {
+                sentences,
+                alignment: withAlignment ? createAlignment(text, 0.05) : null,
+                start: offset,
+                end: offset + duration
+              };
+              offset += duration;
+              return paragraph;
+            });
+
+            const cues = buildSubtitleCues(paragraphs);
+
+            expect(cues.map(cue => cue.text)).toEqual(paragraphSentences.flat());
+            cues.forEach((cue, index) => {
+              expect(cue.end).toBeGreaterThanOrEqual(cue.start);
+              if (index > 0) {
+                expect(cue.start).toBeGreaterThanOrEqual(cues[index - 1].end - 1e-9);
+              }
+            });
+            expect(cues[cues.length - 1].end).toBeLessThanOrEqual(offset + 1e-9);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should time words from the alignment of their first character', () => {
+      const text = 'Hello there. Bye now.';
+      const [first, second] = buildSubtitleCues([{
+        sentences: ['Hello there.', 'Bye now.'],
+        alignment: createAlignment(text, 0.1),
+        start: 10,
+        end: 20
+      }]);
+
+      expect(first.start).toBeCloseTo(10, 6);
+      expect(first.end).toBeCloseTo(11.2, 6);
+      expect(second.words.map(word => word.start)).toEqual([
+        expect.closeTo(11.3, 6),
+        expect.closeTo(11.7, 6)
+      ]);
+    });
+  });
+
+  /**
+   * Property 2: Timestamps Round Trip
+   * For any time, the formatted timestamp parses back to the same millisecond.
+   */
+  describe('Property 2: Timestamps Round Trip', () => {
+
+    it('should format times as HH:MM:SS with milliseconds', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 99 * 3600000 }), (ms) => {
+          const formatted = formatTimestamp(ms / 1000, '.');
+          const [, h, m, s, millis] = formatted.match(/^(\d{2}):(\d{2}):(\d{2})\.(\d{3})$/);
+
+          expect(((+h * 60 + +m) * 60 + +s) * 1000 + +millis).toBe(ms);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Formatting', () => {
+    const cues = [
+      { start: 0, end: 1.5, text: 'Tom & Jerry <3.', words: [
+        { start: 0, text: 'Tom' }, { start: 0.4, text: '&' }, { start: 0.6, text: 'Jerry' }, { start: 1, text: '<3.' }
+      ] },
+      { start: 1.5, end: 62.25, text: 'Next.', words: [{ start: 1.5, text: 'Next.' }] }
+    ];
+
+    it('should number SRT cues and use comma milliseconds', () => {
+      expect(formatSrt(cues)).toBe(
+        '1\n00:00:00,000 --> 00:00:01,500\nTom & Jerry <3.\n\n' +
+        '2\n00:00:01,500 --> 00:01:02,250\nNext.\n'
+      );
+    });
+
+    it('should escape WebVTT text and add karaoke tags when asked', () => {
+      expect(formatWebVtt(cues)).toBe(
+        'WEBVTT\n\n' +
+        '00:00:00.000 --> 00:00:01.500\nTom &amp; Jerry &lt;3.\n\n' +
+        '00:00:01.500 --> 00:01:02.250\nNext.\n'
+      );
+
+      expect(formatWebVtt(cues, { wordTimings: true }).split('\n\n')[1]).toBe(
+        '00:00:00.000 --> 00:00:01.500\n' +
+        'Tom <00:00:00.400>&amp; <00:00:00.600>Jerry <00:00:01.000>&lt;3.'
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Property-based tests for usage tracker module
+ *
+ * Feature: usage-meter
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const {
+  UNKNOWN_DOMAIN,
+  createEmptyUsage,
+  getDateKey,
+  getUsageDomain,
+  recordUsage,
+  pruneUsage,
+  summarizeUsage
+} = await import('../../lib/usage-tracker.js');
+
+/**
+ * Day key arbitrary within one month so pruning windows overlap
+ */
+const dateArbitrary = fc.integer({ min: 1, max: 28 })
+  .map(day => `2025-03-${String(day).padStart(2, '0')}`);
+
+/**
+ * Usage entry arbitrary
+ */
+const entryArbitrary = fc.record({
+  characters: fc.integer({ min: 1, max: 5000 }),
+  domain: fc.constantFrom('example.com', 'docs.example.org', 'news.site', UNKNOWN_DOMAIN),
+  date: dateArbitrary
+});
+
+describe('Usage Tracker Module - Property Tests', () => {
+
+  /**
+   * Property 1: Usage Totals Are Consistent
+   * For any sequence of recorded requests, each day's total equals the sum of
+   * its per-domain counts and the sum of characters recorded for that day.
+   */
+  describe('Property 1: Usage Totals Are Consistent', () => {
+
+    it('should keep day totals equal to the sum of domain counts', () => {
+      fc.assert(
+        fc.property(fc.array(entryArbitrary, { maxLength: 50 }), (entries) => {
+          const usage = entries.reduce(recordUsage, createEmptyUsage());
+
+          Object.entries(usage.days).forEach(([date, day]) => {
+            const domainSum = Object.values(day.domains).reduce((sum, n) => sum + n, 0);
+            const recorded = entries
+              .filter(entry => entry.date === date)
+              .reduce((sum, entry) => sum + entry.characters, 0);
+
+            expect(day.total).toBe(domainSum);
+            expect(day.total).toBe(recorded);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not modify the usage record it is given', () => {
+      fc.assert(
+        fc.property(fc.array(entryArbitrary, { minLength: 1, maxLength: 10 }), entryArbitrary, (entries, extra) => {
+          const usage = entries.reduce(recordUsage, createEmptyUsage());
+          const snapshot = JSON.parse(JSON.stringify(usage));
+
+          recordUsage(usage, extra);
+
+          expect(usage).toEqual(snapshot);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Pruning Keeps Only The History Window
+   * For any usage record, pruning keeps exactly the days within the window.
+   */
+  describe('Property 2: Pruning Keeps Only The History Window', () => {
+
+    it('should drop days older than the window and keep the rest', () => {
+      fc.assert(
+        fc.property(fc.array(entryArbitrary, { maxLength: 50 }), fc.integer({ min: 1, max: 10 }), (entries, keepDays) => {
+          const usage = entries.reduce(recordUsage, createEmptyUsage());
+          const pruned = pruneUsage(usage, '2025-03-28', keepDays);
+          const firstKept = 28 - keepDays + 1;
+
+          Object.keys(usage.days).forEach(date => {
+            const day = Number(date.slice(-2));
+            expect(date in pruned.days).toBe(day >= firstKept);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('summarizeUsage', () => {
+
+    it('should list today\'s domains by characters used', () => {
+      let usage = createEmptyUsage();
+      usage = recordUsage(usage, { characters: 100, domain: 'a.com', date: '2025-03-02' });
+      usage = recordUsage(usage, { characters: 300, domain: 'b.com', date: '2025-03-02' });
+      usage = recordUsage(usage, { characters: 50, domain: 'a.com', date: '2025-03-01' });
+
+      expect(summarizeUsage(usage, '2025-03-02')).toEqual({
+        today: 400,
+        last30Days: 450,
+        todayByDomain: [
+          { domain: 'b.com', characters: 300 },
+          { domain: 'a.com', characters: 100 }
+        ]
+      });
+    });
+  });
+
+  describe('Helpers', () => {
+
+    it('should format local dates as day keys', () => {
+      expect(getDateKey(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+    });
+
+    it('should attribute web pages to their hostname and everything else to other', () => {
+      expect(getUsageDomain('https://docs.example.com/guide?x=1')).toBe('docs.example.com');
+      expect(getUsageDomain('chrome-extension://abc/popup.html')).toBe(UNKNOWN_DOMAIN);
+      expect(getUsageDomain(null)).toBe(UNKNOWN_DOMAIN);
+    });
+  });
+});